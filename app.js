@@ -53,6 +53,18 @@ app.use(cors(corsOptions));
 // ============================================================================
 // BASIC MIDDLEWARE
 // ============================================================================
+// Behind a reverse proxy (e.g. Render) req.ip is the proxy's address unless
+// TRUST_PROXY says which hops to trust: a hop count ("1"), "true", or a
+// comma-separated list of proxy addresses/subnets. Rate limits, login lockouts
+// and session records all key on req.ip.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy)
+    : trustProxy === 'true' ? true
+    : trustProxy === 'false' ? false
+    : trustProxy);
+}
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -80,19 +92,46 @@ app.get('/api/health', (req, res) => {
 // LOAD YOUR EXISTING ROUTES (with error handling)
 // ============================================================================
 try {
+    const { rateLimitFor } = require('./middleware/rateLimit');
     const authRoutes = require('./routes/auth');
     const salesRoutes = require('./routes/sales');
     const analyticsRoutes = require('./routes/analytics');
     const uploadRoutes = require('./routes/upload');
+    const ingestRoutes = require('./routes/ingest');
     const chatbotRoutes = require('./routes/chatbot');
+    const regionRoutes = require('./routes/regions');
+    const mappingRoutes = require('./routes/mappings');
+    const allocationRoutes = require('./routes/allocation');
+    const auditRoutes = require('./routes/audit');
+    const roleRoutes = require('./routes/roles');
+    const userRoutes = require('./routes/users');
+    const apiKeyRoutes = require('./routes/apiKeys');
+    const reportRoutes = require('./routes/reports');
+    const jobRoutes = require('./routes/jobs');
+    const alertRoutes = require('./routes/alerts');
+    const webhookRoutes = require('./routes/webhooks');
+    const liveRoutes = require('./routes/live');
     
     app.use('/api/auth', authRoutes);
     app.use('/api/sales', salesRoutes);
     app.use('/api/analytics', analyticsRoutes);
-    app.use('/api/upload', uploadRoutes);
-    app.use('/api/chatbot', chatbotRoutes);
-
-    console.log('✅ Core routes (auth, sales, analytics, upload, chatbot) loaded');
+    app.use('/api/upload', rateLimitFor('upload'), uploadRoutes);
+    app.use('/api/ingest', rateLimitFor('upload'), ingestRoutes);
+    app.use('/api/chatbot', rateLimitFor('chatbot'), chatbotRoutes);
+    app.use('/api/regions', regionRoutes);
+    app.use('/api/mapping-profiles', mappingRoutes);
+    app.use('/api/allocation', allocationRoutes);
+    app.use('/api/audit', auditRoutes);
+    app.use('/api/roles', roleRoutes);
+    app.use('/api/users', userRoutes);
+    app.use('/api/api-keys', apiKeyRoutes);
+    app.use('/api/reports', reportRoutes);
+    app.use('/api/jobs', jobRoutes);
+    app.use('/api/alerts', alertRoutes);
+    app.use('/api/webhooks', webhookRoutes);
+    app.use('/api/live', liveRoutes);
+
+    console.log('✅ Core routes (auth, sales, analytics, upload, ingest, chatbot, regions, mapping-profiles, allocation, audit, roles, users, api-keys, reports, jobs, alerts, webhooks, live) loaded');
 
 } catch (error) {
     console.log('❌ CRITICAL ERROR: Could not load core routes. Server may not function correctly.', error);
@@ -133,6 +172,22 @@ const server = app.listen(PORT, () => {
             console.warn('⚠️ Database connection failed on startup check:', error.message);
             console.warn('ℹ️ Server will continue, but database features may not work.');
         }
+
+        // Scheduled jobs (JOBS_SCHEDULER_ENABLED=false to leave them to other instances)
+        try {
+            const { startScheduler } = require('./services/jobs');
+            startScheduler();
+        } catch (error) {
+            console.warn('⚠️ Job scheduler could not start:', error.message);
+        }
+
+        // Webhook deliveries and retries (WEBHOOKS_DISPATCH_ENABLED=false to leave them to other instances)
+        try {
+            const { startWebhookDispatcher } = require('./services/webhooks');
+            startWebhookDispatcher();
+        } catch (error) {
+            console.warn('⚠️ Webhook dispatcher could not start:', error.message);
+        }
     }, 1000);
 });
 
@@ -80,6 +80,7 @@ const analyticsEventSchema = new mongoose.Schema({
 
 const chatLogSchema = new mongoose.Schema({
   userId: String,
+  apiKeyId: String, // Set instead of userId for integration clients
   message: String,
   response: String,
   sessionId: String,
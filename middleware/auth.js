@@ -1,30 +1,52 @@
 // middleware/auth.js
 
 const jwt = require('jsonwebtoken');
+const { loadUserAccess, hasPermission } = require('../services/access');
+const { JWT_SECRET, isSessionActive } = require('../services/sessions');
+const { isApiKey, authenticateApiKey } = require('../services/apiKeys');
+
+// Routes a user who must change their password (forced reset or expiry) can still reach
+const PASSWORD_CHANGE_ALLOWED_PATHS = ['/api/auth/change-password', '/api/auth/verify', '/api/auth/profile', '/api/auth/logout'];
+// Routes a user whose role requires 2FA can reach before setting it up
+const TWO_FACTOR_SETUP_ALLOWED_PATHS = [...PASSWORD_CHANGE_ALLOWED_PATHS, '/api/auth/2fa', '/api/auth/2fa/setup', '/api/auth/2fa/enable'];
 
 /**
- * Middleware to verify the JWT token from the Authorization header.
- * If the token is valid, it attaches the user payload to the request object.
+ * Middleware to verify the JWT token from the Authorization header, or an API
+ * key (X-API-Key header, or "Bearer hk_...").
+ * A JWT's session (sid) must not have been logged out or revoked.
+ * If the token is valid, it attaches the user payload to the request object,
+ * together with the user's current role, permissions and visible branch ids
+ * (branchIds is null when the user may see every branch). For an API key
+ * req.user.id is null and req.user.apiKeyId is set.
  */
 function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const token = readToken(req);
 
   if (token == null) {
     return res.status(401).json({ error: 'Unauthorized: No token provided' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'hansei-secret-key-2025', (err, user) => {
-    if (err) {
-      // Differentiate between an expired token and an invalid one for better client-side handling
-      if (err.name === 'TokenExpiredError') {
-        return res.status(401).json({ error: 'Unauthorized: Token has expired.' });
-      }
-      return res.status(403).json({ error: 'Forbidden: Invalid token.' });
-    }
-    req.user = user; // Attach user payload to the request
-    next();
-  });
+  if (isApiKey(token)) {
+    return verifyApiKey(token, req, res, next);
+  }
+  verifyUserToken(token, req, res, next);
+}
+
+/**
+ * Like authenticateToken, but only for user logins: API keys are refused.
+ * For the user's own account routes (sessions, password, 2FA) and for
+ * issuing and revoking API keys.
+ */
+function authenticateUser(req, res, next) {
+  const token = readToken(req);
+
+  if (token == null) {
+    return res.status(401).json({ error: 'Unauthorized: No token provided' });
+  }
+  if (isApiKey(token)) {
+    return res.status(403).json({ error: 'Forbidden: This endpoint requires a user login, not an API key.' });
+  }
+  verifyUserToken(token, req, res, next);
 }
 
 /**
@@ -43,9 +65,94 @@ function authorizeRole(role) {
   };
 }
 
+/**
+ * Middleware to authorize based on a named permission granted by the user's role
+ * (see PERMISSIONS in services/access.js), e.g. requirePermission('upload:run').
+ * @param {string} permission - The permission required to access the route.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (hasPermission(req.user, permission)) {
+      next();
+    } else {
+      res.status(403).json({ error: `Forbidden: You do not have the "${permission}" permission.` });
+    }
+  };
+}
+
+// --- Helper Functions ---
+function readToken(req) {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+}
+
+async function verifyApiKey(key, req, res, next) {
+  try {
+    const access = await authenticateApiKey(key, { ip: req.ip || null });
+    if (!access) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid, expired or revoked API key.' });
+    }
+    req.user = access;
+    next();
+  } catch (error) {
+    console.error('Error checking API key:', error);
+    res.status(500).json({ error: 'Failed to check API key.' });
+  }
+}
+
+function verifyUserToken(token, req, res, next) {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err) {
+      // Differentiate between an expired token and an invalid one for better client-side handling
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Unauthorized: Token has expired.' });
+      }
+      return res.status(403).json({ error: 'Forbidden: Invalid token.' });
+    }
+
+    try {
+      if (!(await isSessionActive(user.sid))) {
+        return res.status(401).json({ error: 'Unauthorized: Session has ended. Please log in again.' });
+      }
+
+      // Permissions are read on every request so role and scope changes apply immediately
+      const access = await loadUserAccess(user.id);
+      if (!access) {
+        return res.status(401).json({ error: 'Unauthorized: User no longer exists.' });
+      }
+      if (!access.isActive) {
+        return res.status(401).json({ error: 'Unauthorized: Account is disabled.' });
+      }
+      const path = req.originalUrl.split('?')[0];
+      if ((access.mustChangePassword || access.passwordExpired) && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(path)) {
+        return res.status(403).json({
+          error: access.passwordExpired
+            ? 'Forbidden: Your password has expired. Please choose a new one.'
+            : 'Forbidden: You must change your password before continuing.',
+          code: access.passwordExpired ? 'PASSWORD_EXPIRED' : 'PASSWORD_CHANGE_REQUIRED'
+        });
+      }
+      if (access.twoFactorRequired && !access.twoFactorEnabled && !TWO_FACTOR_SETUP_ALLOWED_PATHS.includes(path)) {
+        return res.status(403).json({
+          error: 'Forbidden: Your role requires two-factor authentication. Please set it up first.',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+      req.user = { ...user, ...access }; // Attach user payload to the request
+      next();
+    } catch (accessError) {
+      console.error('Error loading user access:', accessError);
+      res.status(500).json({ error: 'Failed to load user permissions.' });
+    }
+  });
+}
+
 // --- IMPORTANT ---
-// Both functions must be exported from the module.
+// All functions must be exported from the module.
 module.exports = {
   authenticateToken,
-  authorizeRole
+  authenticateUser,
+  authorizeRole,
+  requirePermission
 };
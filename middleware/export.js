@@ -0,0 +1,92 @@
+// middleware/export.js
+
+const { EXPORT_FORMATS, EXPORT_DATASETS, buildSheets, renderExport, exportFileName } = require('../services/exports');
+
+// Query parameters that control the export itself rather than filter the data
+const EXPORT_PARAMS = ['format', 'sheet'];
+
+/**
+ * Lets a dashboard endpoint answer with a CSV or XLSX download of its data
+ * (?format=csv or ?format=xlsx) instead of JSON. The handler runs unchanged,
+ * with the same filters and branch scope, and the JSON it responds with is
+ * converted to the file; error responses stay JSON. A CSV holds one sheet:
+ * the first, or the one named with ?sheet=.
+ * @param {string} datasetName - One of EXPORT_DATASETS (services/exports.js).
+ */
+function exportable(datasetName) {
+  const dataset = EXPORT_DATASETS[datasetName];
+  if (!dataset) {
+    throw new Error(`Unknown export dataset: ${datasetName}`);
+  }
+
+  return (req, res, next) => {
+    const { format, sheet } = req.query;
+    if (format === undefined || format === 'json') {
+      return next();
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Use one of: json, ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    let sheetIndex = 0;
+    if (sheet !== undefined) {
+      sheetIndex = dataset.sheets.findIndex(s => s.name.toLowerCase() === String(sheet).toLowerCase());
+      if (sheetIndex === -1) {
+        return res.status(400).json({
+          error: `Invalid sheet. Use one of: ${dataset.sheets.map(s => s.name).join(', ')}`
+        });
+      }
+    }
+
+    const sendJson = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode >= 400) {
+        return sendJson(body);
+      }
+
+      try {
+        let sheets = buildSheets(dataset, body);
+        if (format === 'csv' || sheet !== undefined) {
+          sheets = [sheets[sheetIndex]];
+        }
+        const { content, contentType } = renderExport(format, sheets, describeExport(req, dataset, body, sheets));
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(datasetName, format, Object.values(req.params))}"`);
+        return res.send(content);
+      } catch (error) {
+        console.error(`Error exporting ${datasetName}:`, error);
+        res.status(500);
+        return sendJson({ error: 'Failed to export data' });
+      }
+    };
+    next();
+  };
+}
+
+// --- Helper Functions ---
+
+// [label, value] rows for the metadata sheet
+function describeExport(req, dataset, body, sheets) {
+  const filters = [
+    ...Object.entries(req.params),
+    ...Object.entries(req.query).filter(([key]) => !EXPORT_PARAMS.includes(key))
+  ];
+
+  return [
+    ['Dataset', dataset.title],
+    ['Endpoint', req.baseUrl + req.path],
+    ['Generated at', new Date().toISOString()],
+    ['Generated by', req.user ? req.user.username : ''],
+    ['Branch access', req.user && req.user.branchIds ? `${req.user.branchIds.length} branch(es)` : 'All branches'],
+    ...(body.scope ? [['Scope', `${body.scope.name} (${body.scope.level})`]] : []),
+    ...(filters.length > 0
+      ? filters.map(([key, value]) => [`Filter: ${key}`, Array.isArray(value) ? value.join(', ') : String(value)])
+      : [['Filters', 'None']]),
+    ...sheets.map(sheet => [`Rows: ${sheet.name}`, sheet.rows.length])
+  ];
+}
+
+module.exports = {
+  exportable
+};
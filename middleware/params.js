@@ -0,0 +1,24 @@
+// middleware/params.js
+
+// Largest value of a Postgres integer (SERIAL) column
+const MAX_INTEGER_ID = 2147483647;
+
+/**
+ * Answers 404 when a route parameter is not an integer id. Anything else
+ * cannot name a row, and would otherwise fail inside the query.
+ * @param {string} name - The route parameter, e.g. 'keyId'.
+ * @param {string} notFoundMessage - The error the 404 carries.
+ */
+function integerParam(name, notFoundMessage) {
+  return (req, res, next) => {
+    const value = req.params[name];
+    if (!/^\d+$/.test(value) || Number(value) > MAX_INTEGER_ID) {
+      return res.status(404).json({ error: notFoundMessage });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  integerParam
+};
@@ -0,0 +1,41 @@
+// middleware/rateLimit.js
+
+const rateLimit = require('express-rate-limit');
+
+// Default limits per route group. Each can be overridden with
+// RATE_LIMIT_<GROUP>_MAX and RATE_LIMIT_<GROUP>_WINDOW_MINUTES,
+// e.g. RATE_LIMIT_CHATBOT_MAX=60.
+const RATE_LIMIT_GROUPS = {
+  auth: { max: 50, windowMinutes: 15 },
+  upload: { max: 30, windowMinutes: 60 },
+  chatbot: { max: 30, windowMinutes: 1 }
+};
+
+/**
+ * Middleware that limits how many requests one IP address can make to a
+ * route group, answering 429 once the limit is reached. Behind a proxy,
+ * TRUST_PROXY must be set (see app.js) or every client shares one limit.
+ * @param {string} group - One of RATE_LIMIT_GROUPS, e.g. 'auth'.
+ */
+function rateLimitFor(group) {
+  const defaults = RATE_LIMIT_GROUPS[group];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit group: ${group}`);
+  }
+  const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+  const max = parseInt(process.env[`${prefix}_MAX`]) || defaults.max;
+  const windowMinutes = parseFloat(process.env[`${prefix}_WINDOW_MINUTES`]) || defaults.windowMinutes;
+
+  return rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many requests. Please slow down and try again later.' }
+  });
+}
+
+module.exports = {
+  RATE_LIMIT_GROUPS,
+  rateLimitFor
+};
@@ -0,0 +1,236 @@
+// routes/alerts.js
+const express = require('express');
+const router = express.Router();
+const { pgPool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { visibleBranchIds } = require('../services/access');
+const {
+  ALERT_METRICS,
+  ALERT_COMPARATORS,
+  ALERT_SEVERITIES,
+  ALERT_STATUSES,
+  ALERT_SCOPE_FIELDS,
+  validateAlertRule,
+  listAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  evaluateAlertRules,
+  listAlerts,
+  getAlert,
+  respondToAlert
+} = require('../services/alerts');
+
+// Alert rules are maintained with 'alerts:manage'. Alerts are listed for the
+// branches the caller can see, and acknowledged or resolved by users who may
+// edit those branches' inventory ('inventory:write').
+
+// What a rule can be built from
+router.get('/metrics', authenticateToken, (req, res) => {
+  res.json({
+    metrics: Object.entries(ALERT_METRICS).map(([name, metric]) => ({ name, label: metric.label })),
+    comparators: Object.keys(ALERT_COMPARATORS),
+    severities: ALERT_SEVERITIES,
+    scopeFields: Object.keys(ALERT_SCOPE_FIELDS)
+  });
+});
+
+// List rules
+router.get('/rules', authenticateToken, async (req, res) => {
+  try {
+    res.json({ rules: await listAlertRules() });
+
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alert rules'
+    });
+  }
+});
+
+// Create a rule and evaluate it straight away.
+// Body: { name, metric, comparator, threshold, scope, onlyPlanned, severity, isActive }
+router.post('/rules', authenticateToken, requirePermission('alerts:manage'), async (req, res) => {
+  const errors = validateAlertRule(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+  }
+
+  try {
+    const rule = await createAlertRule(pgPool, req.body, req.user.id);
+    const evaluation = await evaluateAlertRules({ ruleId: rule.id });
+    res.status(201).json({
+      success: true,
+      rule,
+      evaluation
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An alert rule with this name already exists' });
+    }
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({
+      error: 'Failed to create alert rule'
+    });
+  }
+});
+
+// Change a rule and re-evaluate it. Deactivating a rule resolves its alerts.
+router.put('/rules/:ruleId', authenticateToken, requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const current = await getAlertRule(req.params.ruleId);
+    if (!current) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    const errors = validateAlertRule(req.body || {}, { current });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+    }
+
+    const rule = await updateAlertRule(current.id, req.body);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    const evaluation = await evaluateAlertRules({ ruleId: rule.id });
+    res.json({
+      success: true,
+      rule,
+      evaluation
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An alert rule with this name already exists' });
+    }
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({
+      error: 'Failed to update alert rule'
+    });
+  }
+});
+
+// Delete a rule and its alerts
+router.delete('/rules/:ruleId', authenticateToken, requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const deleted = await deleteAlertRule(req.params.ruleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({
+      error: 'Failed to delete alert rule'
+    });
+  }
+});
+
+// Evaluate every rule now (this also happens after each inventory change)
+router.post('/evaluate', authenticateToken, requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      evaluation: await evaluateAlertRules()
+    });
+
+  } catch (error) {
+    console.error('Error evaluating alert rules:', error);
+    res.status(500).json({
+      error: 'Failed to evaluate alert rules'
+    });
+  }
+});
+
+// List alerts, most severe first.
+// ?status=active (open or acknowledged, default) | open | acknowledged | resolved,
+// ?severity, ?ruleId, ?branchId, ?limit, ?offset
+router.get('/', authenticateToken, async (req, res) => {
+  const { status = 'active', severity, ruleId, branchId } = req.query;
+  if (status !== 'active' && !ALERT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Use one of: active, ${ALERT_STATUSES.join(', ')}` });
+  }
+  if (severity !== undefined && !ALERT_SEVERITIES.includes(severity)) {
+    return res.status(400).json({ error: `Invalid severity. Use one of: ${ALERT_SEVERITIES.join(', ')}` });
+  }
+
+  try {
+    const alerts = await listAlerts({
+      branchIds: visibleBranchIds(req.user),
+      status,
+      severity,
+      ruleId: ruleId !== undefined ? parseInt(ruleId) || 0 : undefined,
+      branchId: branchId !== undefined ? parseInt(branchId) || 0 : undefined,
+      limit: parseInt(req.query.limit) || 100,
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({ alerts });
+
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alerts'
+    });
+  }
+});
+
+// Get one alert
+router.get('/:alertId', authenticateToken, async (req, res) => {
+  try {
+    const alert = await getAlert(req.params.alertId, { branchIds: visibleBranchIds(req.user) });
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json({ alert });
+
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alert'
+    });
+  }
+});
+
+// Acknowledge an open alert, or resolve an open or acknowledged one. Body: { note }
+// An alert resolved while its row still matches the rule is raised again by
+// the next evaluation.
+for (const action of ['acknowledge', 'resolve']) {
+  router.post(`/:alertId/${action}`, authenticateToken, requirePermission('inventory:write'), async (req, res) => {
+    const { note = null } = req.body || {};
+    if (note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+
+    try {
+      const result = await respondToAlert(req.params.alertId, action, {
+        userId: req.user.id,
+        note,
+        branchIds: visibleBranchIds(req.user)
+      });
+      if (result.status === 'not_found') {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      if (result.status === 'invalid_state') {
+        return res.status(409).json({ error: `Alert #${result.alert.id} is ${result.alert.status}.`, alert: result.alert });
+      }
+
+      res.json({
+        success: true,
+        alert: result.alert
+      });
+
+    } catch (error) {
+      console.error(`Error trying to ${action} alert:`, error);
+      res.status(500).json({
+        error: `Failed to ${action} alert`
+      });
+    }
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,231 @@
+// routes/allocation.js
+const express = require('express');
+const router = express.Router();
+const { pgPool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { captureInventorySnapshot } = require('../services/snapshots');
+const { refreshAlerts } = require('../services/alerts');
+const { notifyChange } = require('../services/liveUpdates');
+const { setAuditContext } = require('../services/audit');
+const { HIERARCHY_LEVELS, resolveBranchScope } = require('../services/hierarchy');
+const { visibleBranchIds } = require('../services/access');
+const {
+  ALLOCATION_RULES,
+  proposeAllocation,
+  saveAllocationPlan,
+  listAllocationPlans,
+  getAllocationPlan,
+  dispatchAllocationPlan,
+  cancelAllocationPlan
+} = require('../services/allocation');
+
+// Propose how to split factory stock across branches.
+// ?rule=gap|plan_share|achievement, ?material= (comma list), ?region= (+ level)
+router.get('/proposal', authenticateToken, async (req, res) => {
+  try {
+    const request = await readAllocationRequest(req.query, req.user);
+    if (request.error) {
+      return res.status(request.status).json({ error: request.error });
+    }
+
+    const proposal = await proposeAllocation(request);
+    res.json({
+      scope: request.scope ? { name: request.scope.name, level: request.scope.level } : null,
+      ...proposal
+    });
+
+  } catch (error) {
+    console.error('Error proposing factory stock allocation:', error);
+    res.status(500).json({
+      error: 'Failed to propose factory stock allocation'
+    });
+  }
+});
+
+// List saved allocation plans with lines to branches the user can see
+// (line_count and total_quantity cover only those lines)
+router.get('/plans', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const plans = await listAllocationPlans({ limit, branchIds: visibleBranchIds(req.user) });
+    res.json({
+      plans
+    });
+
+  } catch (error) {
+    console.error('Error fetching allocation plans:', error);
+    res.status(500).json({
+      error: 'Failed to fetch allocation plans'
+    });
+  }
+});
+
+// Get one allocation plan with its dispatch lines (only those to branches the
+// user can see; plans with none of them are not found)
+router.get('/plans/:planId', authenticateToken, async (req, res) => {
+  try {
+    const branchIds = visibleBranchIds(req.user);
+    const plan = await getAllocationPlan(pgPool, req.params.planId, { branchIds });
+    if (!plan || (branchIds && plan.lines.length === 0)) {
+      return res.status(404).json({ error: 'Allocation plan not found' });
+    }
+    res.json({
+      plan
+    });
+
+  } catch (error) {
+    console.error('Error fetching allocation plan:', error);
+    res.status(500).json({
+      error: 'Failed to fetch allocation plan'
+    });
+  }
+});
+
+// Save the current proposal as a draft plan.
+// Body: { rule, material, region, level, notes } - same options as /proposal.
+router.post('/plans', authenticateToken, requirePermission('allocation:manage'), async (req, res) => {
+  let request;
+  try {
+    request = await readAllocationRequest(req.body || {}, req.user);
+  } catch (error) {
+    console.error('Error saving allocation plan:', error);
+    return res.status(500).json({
+      error: 'Failed to save allocation plan'
+    });
+  }
+  if (request.error) {
+    return res.status(request.status).json({ error: request.error });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const proposal = await proposeAllocation(request, client);
+    if (proposal.totals.allocated === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: 'Nothing to allocate: no factory stock matches a branch shortfall.'
+      });
+    }
+
+    const saved = await saveAllocationPlan(client, proposal, {
+      userId: req.user.id,
+      scopeName: request.scope ? request.scope.name : null,
+      notes: req.body.notes || null
+    });
+
+    await client.query('COMMIT');
+    res.status(201).json({
+      success: true,
+      plan: saved,
+      ...proposal
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error saving allocation plan:', error);
+    res.status(500).json({
+      error: 'Failed to save allocation plan'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Mark a draft plan dispatched: quantities move from factory stock into branch transit
+router.post('/plans/:planId/dispatch', authenticateToken, requirePermission('allocation:manage'), async (req, res) => {
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'allocation_dispatch' });
+
+    const result = await dispatchAllocationPlan(client, req.params.planId, { userId: req.user.id });
+
+    if (result.status !== 'dispatched') {
+      await client.query('ROLLBACK');
+      if (result.status === 'not_found') {
+        return res.status(404).json({ error: 'Allocation plan not found' });
+      }
+      if (result.status === 'not_draft') {
+        return res.status(409).json({ error: `Plan #${result.plan.id} is already ${result.plan.status}.` });
+      }
+      return res.status(409).json({
+        error: 'Factory stock has changed since the plan was saved and no longer covers it.',
+        shortages: result.shortages
+      });
+    }
+
+    await captureInventorySnapshot(client, {
+      source: 'dispatch',
+      userId: req.user.id,
+      notes: `Dispatched allocation plan #${result.plan.id}`
+    });
+
+    await client.query('COMMIT');
+    await notifyChange('inventory');
+    await refreshAlerts('allocation dispatch');
+    res.json({
+      success: true,
+      plan: await getAllocationPlan(pgPool, result.plan.id)
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error dispatching allocation plan:', error);
+    res.status(500).json({
+      error: 'Failed to dispatch allocation plan'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Cancel a draft plan
+router.delete('/plans/:planId', authenticateToken, requirePermission('allocation:manage'), async (req, res) => {
+  try {
+    const plan = await cancelAllocationPlan(pgPool, req.params.planId);
+    if (!plan) {
+      return res.status(404).json({ error: 'No draft allocation plan with this id' });
+    }
+    res.json({
+      success: true,
+      plan
+    });
+
+  } catch (error) {
+    console.error('Error cancelling allocation plan:', error);
+    res.status(500).json({
+      error: 'Failed to cancel allocation plan'
+    });
+  }
+});
+
+// --- Helper Functions ---
+// Validates rule/material/region/level from the query string or body.
+// Branches outside the user's scope are never allocated to.
+async function readAllocationRequest({ rule = 'gap', material, region, level }, user) {
+  if (!ALLOCATION_RULES[rule]) {
+    return { status: 400, error: `Invalid rule. Use one of: ${Object.keys(ALLOCATION_RULES).join(', ')}` };
+  }
+  if (level && !HIERARCHY_LEVELS.includes(level)) {
+    return { status: 400, error: `Invalid level. Use one of: ${HIERARCHY_LEVELS.join(', ')}` };
+  }
+
+  let scope = null;
+  if (region) {
+    scope = await resolveBranchScope({ name: region, level });
+    if (!scope) {
+      return { status: 404, error: `Region "${region}" not found` };
+    }
+  }
+
+  return {
+    rule,
+    scope,
+    materials: material ? String(material).split(',') : null,
+    branchIds: visibleBranchIds(user, scope ? scope.branchIds : null)
+  };
+}
+
+module.exports = router;
@@ -2,29 +2,51 @@
 const express = require('express');
 const router = express.Router();
 const { pgPool, AnalyticsEvent } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
-
-// Get branch performance metrics
-router.get('/branch-performance', authenticateToken, async (req, res) => {
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { exportable } = require('../middleware/export');
+const { captureInventorySnapshot, monthCloseTimestamp, listSnapshots } = require('../services/snapshots');
+const { HIERARCHY_LEVELS, resolveBranchScope, branchScopeCondition } = require('../services/hierarchy');
+const { parseAllowedPairs, proposeTransfers } = require('../services/rebalancing');
+const {
+  PERFORMANCE_GROUPINGS,
+  getExecutiveSummary,
+  getRecommendations,
+  getBranchPerformance,
+  getPlanningAnalysis
+} = require('../services/dashboard');
+const { visibleBranchIds } = require('../services/access');
+
+// Get branch performance metrics, optionally filtered to part of the
+// hierarchy (?region=South&level=zone) and rolled up (?groupBy=region)
+router.get('/branch-performance', authenticateToken, exportable('branch-performance'), async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        b.name as branch_name,
-        b.market_share,
-        b.penetration,
-        SUM(i.billing) as total_sales,
-        SUM(i.month_plan) as total_plan,
-        SUM(i.avl_stock) as total_stock,
-        SUM(i.transit) as total_transit,
-        COUNT(DISTINCT i.product_id) as product_count,
-        ROUND((SUM(i.billing)::numeric / NULLIF(SUM(i.month_plan), 0)) * 100, 2) as plan_achievement
-      FROM branches b
-      LEFT JOIN inventory i ON b.id = i.branch_id
-      GROUP BY b.id, b.name, b.market_share, b.penetration
-      ORDER BY total_sales DESC
-    `;
+    const { region, level, groupBy = 'branch' } = req.query;
 
-    const result = await pgPool.query(query);
+    if (!PERFORMANCE_GROUPINGS[groupBy]) {
+      return res.status(400).json({
+        error: `Invalid groupBy. Use one of: ${Object.keys(PERFORMANCE_GROUPINGS).join(', ')}`
+      });
+    }
+    if (level && !HIERARCHY_LEVELS.includes(level)) {
+      return res.status(400).json({
+        error: `Invalid level. Use one of: ${HIERARCHY_LEVELS.join(', ')}`
+      });
+    }
+
+    let scope = null;
+    if (region) {
+      scope = await resolveBranchScope({ name: region, level });
+      if (!scope) {
+        return res.status(404).json({
+          error: `Region "${region}" not found`
+        });
+      }
+    }
+
+    const branchPerformance = await getBranchPerformance({
+      branchIds: visibleBranchIds(req.user, scope && scope.branchIds),
+      groupBy
+    });
 
     // --- START OF FIX ---
     // Log analytics event, but don't let it crash the request if the DB fails.
@@ -40,7 +62,9 @@ router.get('/branch-performance', authenticateToken, async (req, res) => {
     // --- END OF FIX ---
 
     res.json({
-      branchPerformance: result.rows
+      groupBy,
+      scope: scope ? { name: scope.name, level: scope.level } : null,
+      branchPerformance
     });
 
   } catch (error) {
@@ -52,10 +76,14 @@ router.get('/branch-performance', authenticateToken, async (req, res) => {
 });
 
 // Get product performance analysis
-router.get('/product-performance', authenticateToken, async (req, res) => {
+router.get('/product-performance', authenticateToken, exportable('product-performance'), async (req, res) => {
   try {
     const { top = 10, bottom = 10 } = req.query;
 
+    const params = [];
+    const branchFilter = branchScopeCondition(visibleBranchIds(req.user), 'i.branch_id', params);
+    const limitParam = `$${params.length + 1}`;
+
     // Top performing products
     const topQuery = `
       SELECT 
@@ -70,9 +98,10 @@ router.get('/product-performance', authenticateToken, async (req, res) => {
         ROUND((SUM(i.billing)::numeric / NULLIF(SUM(i.month_plan), 0)) * 100, 2) as plan_achievement
       FROM products p
       JOIN inventory i ON p.id = i.product_id
+      WHERE 1=1${branchFilter}
       GROUP BY p.id, p.material, p.tonnage, p.star, p.technology, p.price
       ORDER BY total_sales DESC
-      LIMIT $1
+      LIMIT ${limitParam}
     `;
 
     // Bottom performing products
@@ -89,15 +118,15 @@ router.get('/product-performance', authenticateToken, async (req, res) => {
         ROUND((SUM(i.billing)::numeric / NULLIF(SUM(i.month_plan), 0)) * 100, 2) as plan_achievement
       FROM products p
       JOIN inventory i ON p.id = i.product_id
-      WHERE i.month_plan > 0
+      WHERE i.month_plan > 0${branchFilter}
       GROUP BY p.id, p.material, p.tonnage, p.star, p.technology, p.price
       ORDER BY total_sales ASC
-      LIMIT $1
+      LIMIT ${limitParam}
     `;
 
     const [topResult, bottomResult] = await Promise.all([
-      pgPool.query(topQuery, [parseInt(top)]),
-      pgPool.query(bottomQuery, [parseInt(bottom)])
+      pgPool.query(topQuery, [...params, parseInt(top)]),
+      pgPool.query(bottomQuery, [...params, parseInt(bottom)])
     ]);
 
     res.json({
@@ -114,42 +143,12 @@ router.get('/product-performance', authenticateToken, async (req, res) => {
 });
 
 // Get planning analytics
-router.get('/planning-analysis', authenticateToken, async (req, res) => {
+router.get('/planning-analysis', authenticateToken, exportable('planning-analysis'), async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        b.name as branch_name,
-        SUM(i.op_stock) as op_stock,
-        SUM(i.month_plan) as plan,
-        SUM(i.avl_stock) as avl_stock,
-        SUM(i.transit) as transit,
-        SUM(i.billing) as billing,
-        SUM(i.month_plan - i.billing) as balance_to_bill,
-        SUM(i.avl_stock + i.transit) as total_availability,
-        SUM(GREATEST(0, i.month_plan - (i.avl_stock + i.transit))) as balance_to_dispatch,
-        SUM(GREATEST(0, (i.avl_stock + i.transit) - i.month_plan)) as excess_stock,
-        ROUND((SUM(i.billing)::numeric / NULLIF(SUM(i.month_plan), 0)) * 100, 2) as billing_velocity
-      FROM branches b
-      JOIN inventory i ON b.id = i.branch_id
-      GROUP BY b.id, b.name
-      ORDER BY b.name
-    `;
-
-    const result = await pgPool.query(query);
-
-    // Identify key insights
-    const sortedByVelocity = [...result.rows].sort((a, b) => b.billing_velocity - a.billing_velocity);
-    const sortedByGap = [...result.rows].sort((a, b) => b.balance_to_dispatch - a.balance_to_dispatch);
-    const sortedByExcess = [...result.rows].sort((a, b) => b.excess_stock - a.excess_stock);
-
-    const insights = {
-      topPerformer: sortedByVelocity[0],
-      biggestSupplyGap: sortedByGap[0],
-      mostExcessStock: sortedByExcess[0]
-    };
+    const { planningData, insights } = await getPlanningAnalysis({ branchIds: visibleBranchIds(req.user) });
 
     res.json({
-      planningData: result.rows,
+      planningData,
       insights
     });
 
@@ -161,32 +160,112 @@ router.get('/planning-analysis', authenticateToken, async (req, res) => {
   }
 });
 
-// Get trends data (simulated for now, can be expanded with real historical data)
-router.get('/trends/:period', authenticateToken, async (req, res) => {
+// Trend buckets supported by /trends/:period, mapped to date_trunc units and default bucket counts
+const TREND_PERIODS = {
+  daily: { unit: 'day', defaultLimit: 30 },
+  weekly: { unit: 'week', defaultLimit: 12 },
+  monthly: { unit: 'month', defaultLimit: 12 }
+};
+
+// Get trends data from the inventory snapshot history.
+// For each bucket the latest snapshot taken in that bucket is used.
+router.get('/trends/:period', authenticateToken, exportable('trends'), async (req, res) => {
   try {
     const { period } = req.params; // daily, weekly, monthly
-    
-    // In a real implementation, this would fetch historical data
-    // For now, we'll generate simulated trend data
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
-    const currentMonth = new Date().getMonth();
-    
-    // Simulate growth trend
-    const trendData = months.map((month, index) => {
-      const baseValue = 1000 + (index * 150);
-      const variation = Math.random() * 200 - 100;
-      
+    const { branch, technology, star, tonnage } = req.query;
+
+    const periodConfig = TREND_PERIODS[period];
+    if (!periodConfig) {
+      return res.status(400).json({
+        error: `Invalid period. Use one of: ${Object.keys(TREND_PERIODS).join(', ')}`
+      });
+    }
+    const limit = parseInt(req.query.limit) || periodConfig.defaultLimit;
+
+    const params = [periodConfig.unit];
+    let paramCount = 2;
+    let filters = '';
+
+    if (branch) {
+      filters += ` AND b.name = ANY($${paramCount}::text[])`;
+      params.push(branch.split(','));
+      paramCount++;
+    }
+    if (technology) {
+      const techArray = technology.split(',');
+      if (techArray.includes('Inverter')) {
+        techArray.push('H&C Inv');
+      }
+      filters += ` AND p.technology = ANY($${paramCount}::text[])`;
+      params.push(techArray);
+      paramCount++;
+    }
+    if (star) {
+      filters += ` AND p.star = ANY($${paramCount}::int[])`;
+      params.push(star.split(','));
+      paramCount++;
+    }
+    if (tonnage) {
+      filters += ` AND p.tonnage = ANY($${paramCount}::decimal[])`;
+      params.push(tonnage.split(','));
+      paramCount++;
+    }
+
+    filters += branchScopeCondition(visibleBranchIds(req.user), 'si.branch_id', params);
+    paramCount = params.length + 1;
+
+    params.push(limit);
+
+    const query = `
+      WITH latest AS (
+        SELECT DISTINCT ON (date_trunc($1, s.as_of))
+          s.id,
+          date_trunc($1, s.as_of) as bucket
+        FROM inventory_snapshots s
+        ORDER BY date_trunc($1, s.as_of), s.as_of DESC
+      )
+      SELECT 
+        to_char(l.bucket, 'YYYY-MM-DD') as bucket_date,
+        SUM(si.billing) as sales,
+        SUM(si.month_plan) as plan,
+        SUM(si.avl_stock) as stock,
+        SUM(si.transit) as transit,
+        SUM(si.op_stock) as op_stock
+      FROM latest l
+      JOIN inventory_snapshot_items si ON si.snapshot_id = l.id
+      JOIN products p ON si.product_id = p.id
+      JOIN branches b ON si.branch_id = b.id
+      WHERE 1=1${filters}
+      GROUP BY l.bucket
+      ORDER BY l.bucket DESC
+      LIMIT $${paramCount}
+    `;
+
+    const result = await pgPool.query(query, params);
+
+    // Rows come back newest first so LIMIT keeps the most recent buckets
+    const trendData = result.rows.reverse().map(row => {
+      const sales = parseInt(row.sales) || 0;
+      const plan = parseInt(row.plan) || 0;
+      const stock = parseInt(row.stock) || 0;
+      const transit = parseInt(row.transit) || 0;
+
       return {
-        period: month,
-        sales: Math.round(baseValue + variation),
-        plan: Math.round(baseValue * 0.95),
-        stock: Math.round(3000 - (index * 100) + variation),
-        achievement: Math.round(85 + (index * 2) + (Math.random() * 10))
+        period: formatTrendBucket(row.bucket_date, period),
+        date: row.bucket_date,
+        sales,
+        plan,
+        stock,
+        transit,
+        op_stock: parseInt(row.op_stock) || 0,
+        achievement: plan > 0 ? Math.round((sales / plan) * 100) : 0,
+        availability: plan > 0 ? Math.round(((stock + transit) / plan) * 100) : 0
       };
     });
 
     res.json({
       period,
+      filters: { branch, technology, star, tonnage },
       trends: trendData
     });
 
@@ -198,186 +277,149 @@ router.get('/trends/:period', authenticateToken, async (req, res) => {
   }
 });
 
-// Get executive summary
-router.get('/executive-summary', authenticateToken, async (req, res) => {
+// List recorded inventory snapshots (item counts cover the branches the user can see)
+router.get('/snapshots', authenticateToken, async (req, res) => {
   try {
-    // Overall metrics
-    const overallQuery = `
-      SELECT 
-        SUM(i.billing) as total_sales,
-        SUM(i.month_plan) as total_plan,
-        SUM(i.avl_stock) as total_stock,
-        COUNT(DISTINCT i.product_id) as product_count,
-        COUNT(DISTINCT i.branch_id) as branch_count
-      FROM inventory i
-    `;
+    const snapshots = await listSnapshots({
+      limit: parseInt(req.query.limit) || 50,
+      branchIds: visibleBranchIds(req.user)
+    });
+    res.json({
+      snapshots
+    });
 
-    // Technology breakdown
-    const techQuery = `
-      SELECT 
-        p.technology,
-        SUM(i.billing) as sales,
-        COUNT(DISTINCT p.id) as product_count
-      FROM products p
-      JOIN inventory i ON p.id = i.product_id
-      GROUP BY p.technology
-    `;
+  } catch (error) {
+    console.error('Error fetching snapshots:', error);
+    res.status(500).json({
+      error: 'Failed to fetch snapshots'
+    });
+  }
+});
 
-    // Best selling product
-    const bestSellingQuery = `
-      SELECT 
-        p.material,
-        p.technology,
-        SUM(i.billing) as total_sales
-      FROM products p
-      JOIN inventory i ON p.id = i.product_id
-      GROUP BY p.id, p.material, p.technology
-      ORDER BY total_sales DESC
-      LIMIT 1
-    `;
+// Record a snapshot of the current inventory (manual or month close)
+router.post('/snapshots', authenticateToken, requirePermission('snapshots:manage'), async (req, res) => {
+  try {
+    const { type = 'manual', month, notes } = req.body;
 
-    const [overallResult, techResult, bestSellingResult] = await Promise.all([
-      pgPool.query(overallQuery),
-      pgPool.query(techQuery),
-      pgPool.query(bestSellingQuery)
-    ]);
+    if (type !== 'manual' && type !== 'month_close') {
+      return res.status(400).json({
+        error: 'Snapshot type must be "manual" or "month_close"'
+      });
+    }
 
-    const overall = overallResult.rows[0];
-    const planAchievement = overall.total_plan > 0 
-      ? Math.round((overall.total_sales / overall.total_plan) * 100)
-      : 0;
+    let asOf = new Date();
+    if (type === 'month_close') {
+      try {
+        asOf = monthCloseTimestamp(month);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
 
-    // Calculate technology percentages
-    const totalTechSales = techResult.rows.reduce((sum, tech) => sum + parseInt(tech.sales), 0);
-    const techBreakdown = techResult.rows.map(tech => ({
-      ...tech,
-      percentage: totalTechSales > 0 
-        ? Math.round((parseInt(tech.sales) / totalTechSales) * 100)
-        : 0
-    }));
+    const snapshot = await captureInventorySnapshot(pgPool, {
+      source: type,
+      asOf,
+      userId: req.user.id,
+      notes
+    });
 
-    res.json({
-      summary: {
-        totalSales: parseInt(overall.total_sales) || 0,
-        totalPlan: parseInt(overall.total_plan) || 0,
-        planAchievement,
-        totalStock: parseInt(overall.total_stock) || 0,
-        productCount: parseInt(overall.product_count) || 0,
-        branchCount: parseInt(overall.branch_count) || 0,
-        bestSellingProduct: bestSellingResult.rows[0],
-        technologyBreakdown: techBreakdown
-      }
+    res.status(201).json({
+      success: true,
+      snapshot
     });
 
   } catch (error) {
-    console.error('Error fetching executive summary:', error);
+    console.error('Error creating snapshot:', error);
     res.status(500).json({
-      error: 'Failed to fetch executive summary'
+      error: 'Failed to create snapshot'
     });
   }
 });
 
-// Get actionable recommendations
-router.get('/recommendations', authenticateToken, async (req, res) => {
+// Get executive summary
+router.get('/executive-summary', authenticateToken, async (req, res) => {
   try {
-    // Find underperforming branches
-    const underperformingQuery = `
-      SELECT 
-        b.name,
-        SUM(i.billing) as sales,
-        SUM(i.month_plan) as plan,
-        ROUND((SUM(i.billing)::numeric / NULLIF(SUM(i.month_plan), 0)) * 100, 2) as achievement
-      FROM branches b
-      JOIN inventory i ON b.id = i.branch_id
-      GROUP BY b.id, b.name
-      HAVING SUM(i.month_plan) > 0
-      ORDER BY achievement ASC
-      LIMIT 1
-    `;
+    const summary = await getExecutiveSummary({ branchIds: visibleBranchIds(req.user) });
 
-    // Find overstocked products
-    const overstockedQuery = `
-      SELECT 
-        p.material,
-        SUM(i.avl_stock) as stock,
-        SUM(i.month_plan) as plan,
-        SUM(i.billing) as sales
-      FROM products p
-      JOIN inventory i ON p.id = i.product_id
-      GROUP BY p.id, p.material
-      HAVING SUM(i.avl_stock) > SUM(i.month_plan) * 1.5
-      ORDER BY stock DESC
-      LIMIT 1
-    `;
-
-    // Find products with supply gaps
-    const supplyGapQuery = `
-      SELECT 
-        p.material,
-        b.name as branch_name,
-        i.month_plan - (i.avl_stock + i.transit) as gap
-      FROM inventory i
-      JOIN products p ON i.product_id = p.id
-      JOIN branches b ON i.branch_id = b.id
-      WHERE i.month_plan > (i.avl_stock + i.transit)
-      ORDER BY gap DESC
-      LIMIT 1
-    `;
+    res.json({
+      summary
+    });
 
-    const [underperforming, overstocked, supplyGap] = await Promise.all([
-      pgPool.query(underperformingQuery),
-      pgPool.query(overstockedQuery),
-      pgPool.query(supplyGapQuery)
-    ]);
+  } catch (error) {
+    console.error('Error fetching executive summary:', error);
+    res.status(500).json({
+      error: 'Failed to fetch executive summary'
+    });
+  }
+});
 
-    const recommendations = [];
-
-    if (underperforming.rows.length > 0) {
-      const branch = underperforming.rows[0];
-      recommendations.push({
-        type: 'boost_underperforming',
-        priority: 'high',
-        title: 'Boost Underperforming Region',
-        description: `Launch targeted sales initiative in ${branch.name} branch. It has the lowest achievement rate at ${branch.achievement}%.`,
-        metrics: {
-          branch: branch.name,
-          achievement: `${branch.achievement}%`,
-          sales: parseInt(branch.sales),
-          plan: parseInt(branch.plan)
+// Get inter-branch stock rebalancing proposals.
+// Constraints: minRetainedCover (% of plan a donor keeps), minTransferQty,
+// maxTransfers, sameRegionOnly, sameZoneOnly, allowedPairs ("A>B,C<>D").
+// Filters: material (comma list), region (+ level) to stay inside part of the hierarchy.
+router.get('/rebalancing', authenticateToken, exportable('rebalancing'), async (req, res) => {
+  try {
+    const { material, region, level } = req.query;
+
+    const constraints = {};
+    for (const key of ['minRetainedCover', 'minTransferQty', 'maxTransfers']) {
+      if (req.query[key] !== undefined) {
+        const value = Number(req.query[key]);
+        if (!Number.isFinite(value) || value < 0) {
+          return res.status(400).json({ error: `${key} must be a non-negative number` });
         }
-      });
+        constraints[key] = value;
+      }
     }
-
-    if (overstocked.rows.length > 0) {
-      const product = overstocked.rows[0];
-      recommendations.push({
-        type: 'optimize_inventory',
-        priority: 'medium',
-        title: 'Optimize Inventory & Reduce Waste',
-        description: `Reallocate stock of ${product.material}. This model has excess inventory with low sales velocity.`,
-        metrics: {
-          product: product.material,
-          stock: parseInt(product.stock),
-          plan: parseInt(product.plan),
-          sales: parseInt(product.sales)
-        }
-      });
+    for (const key of ['sameRegionOnly', 'sameZoneOnly']) {
+      if (req.query[key] !== undefined) {
+        constraints[key] = req.query[key] === 'true';
+      }
+    }
+    try {
+      constraints.allowedPairs = parseAllowedPairs(req.query.allowedPairs);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
 
-    if (supplyGap.rows.length > 0) {
-      const gap = supplyGap.rows[0];
-      recommendations.push({
-        type: 'address_supply_gap',
-        priority: 'high',
-        title: 'Address Supply Gaps',
-        description: `Prioritize dispatch of ${gap.material} to ${gap.branch_name}. Supply gap of ${gap.gap} units needs immediate attention.`,
-        metrics: {
-          product: gap.material,
-          branch: gap.branch_name,
-          gap: parseInt(gap.gap)
-        }
+    if (level && !HIERARCHY_LEVELS.includes(level)) {
+      return res.status(400).json({
+        error: `Invalid level. Use one of: ${HIERARCHY_LEVELS.join(', ')}`
       });
     }
+    let scope = null;
+    if (region) {
+      scope = await resolveBranchScope({ name: region, level });
+      if (!scope) {
+        return res.status(404).json({
+          error: `Region "${region}" not found`
+        });
+      }
+    }
+
+    const proposal = await proposeTransfers({
+      constraints,
+      materials: material ? material.split(',') : null,
+      branchIds: visibleBranchIds(req.user, scope ? scope.branchIds : null)
+    });
+
+    res.json({
+      scope: scope ? { name: scope.name, level: scope.level } : null,
+      ...proposal
+    });
+
+  } catch (error) {
+    console.error('Error generating rebalancing proposals:', error);
+    res.status(500).json({
+      error: 'Failed to generate rebalancing proposals'
+    });
+  }
+});
+
+// Get actionable recommendations
+router.get('/recommendations', authenticateToken, async (req, res) => {
+  try {
+    const recommendations = await getRecommendations({ branchIds: visibleBranchIds(req.user) });
 
     res.json({
       recommendations
@@ -391,4 +433,16 @@ router.get('/recommendations', authenticateToken, async (req, res) => {
   }
 });
 
+// --- Helper Functions ---
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Buckets arrive as 'YYYY-MM-DD' strings; monthly buckets are shown as 'Jan 2025'
+function formatTrendBucket(bucketDate, period) {
+  if (period === 'monthly') {
+    const [year, month] = bucketDate.split('-');
+    return `${MONTH_LABELS[parseInt(month) - 1]} ${year}`;
+  }
+  return bucketDate;
+}
+
 module.exports = router;
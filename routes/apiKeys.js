@@ -0,0 +1,97 @@
+// routes/apiKeys.js
+const express = require('express');
+const router = express.Router();
+const { pgPool } = require('../config/database');
+const { authenticateToken, authenticateUser, requirePermission } = require('../middleware/auth');
+const { integerParam } = require('../middleware/params');
+const { PERMISSIONS } = require('../services/access');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../services/apiKeys');
+
+// Every route here requires the 'api_keys:manage' permission. Keys are sent as
+// an "X-API-Key: hk_..." header or "Authorization: Bearer hk_...". Keys can
+// only be issued and revoked from a user login, never with an API key.
+
+// List keys (never the keys themselves). ?active=true hides revoked and expired ones.
+router.get('/', authenticateToken, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    res.json({
+      apiKeys: await listApiKeys({ activeOnly: req.query.active === 'true' })
+    });
+
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API keys'
+    });
+  }
+});
+
+// Issue a key. Body: { name, permissions: [...], expiresAt } (expiresAt optional, ISO date).
+// A key cannot be given permissions its issuer does not have. The key is
+// returned only in this response.
+router.post('/', authenticateUser, requirePermission('api_keys:manage'), async (req, res) => {
+  const { name, permissions = [], expiresAt = null } = req.body;
+  if (!name) {
+    return res.status(400).json({ error: 'Key name is required' });
+  }
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return res.status(400).json({ error: '"permissions" must be a non-empty array' });
+  }
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown permission(s): ${unknown.join(', ')}. Use any of: ${Object.keys(PERMISSIONS).join(', ')}`
+    });
+  }
+  const notHeld = permissions.filter(permission => !req.user.permissions.includes(permission));
+  if (notHeld.length > 0) {
+    return res.status(403).json({ error: `You cannot grant permissions you do not have: ${notHeld.join(', ')}` });
+  }
+  const expiry = expiresAt ? new Date(expiresAt) : null;
+  if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+    return res.status(400).json({ error: 'expiresAt must be a future ISO date' });
+  }
+
+  try {
+    const { apiKey, key } = await createApiKey(pgPool, {
+      name,
+      permissions,
+      expiresAt: expiry,
+      createdBy: req.user.id
+    });
+    res.status(201).json({
+      success: true,
+      apiKey,
+      key,
+      message: 'Store this key now; it cannot be shown again.'
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+// Revoke a key. Requests using it fail immediately.
+router.delete('/:keyId', authenticateUser, requirePermission('api_keys:manage'), integerParam('keyId', 'API key not found'), async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(pgPool, req.params.keyId, { revokedBy: req.user.id });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+    res.json({
+      success: true,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
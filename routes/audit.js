@@ -0,0 +1,107 @@
+// routes/audit.js
+const express = require('express');
+const router = express.Router();
+const { pgPool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { AUDIT_SOURCES, queryAuditLog } = require('../services/audit');
+const { visibleBranchIds } = require('../services/access');
+
+const AUDITED_TABLES = ['inventory', 'products', 'branches', 'users', 'user_branch_scopes'];
+
+/**
+ * Reads the audit log of inventory, product, branch and user account changes, newest first.
+ * Filters: product (id or material), branch (id or name), user (id or username
+ * of who made the change), targetUser (id or username of the account changed),
+ * table, source, from / to (ISO dates; a date-only "to" includes that whole day),
+ * limit, offset.
+ * Requires the 'audit:read' permission.
+ */
+router.get('/', authenticateToken, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { product, branch, user, targetUser, table, source, from, to } = req.query;
+
+    if (table && !AUDITED_TABLES.includes(table)) {
+      return res.status(400).json({ error: `Invalid table. Use one of: ${AUDITED_TABLES.join(', ')}` });
+    }
+    if (source && !AUDIT_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `Invalid source. Use one of: ${AUDIT_SOURCES.join(', ')}` });
+    }
+
+    const fromDate = parseDate(from, false);
+    const toDate = parseDate(to, true);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ error: 'from and to must be ISO dates, e.g. 2025-07-01' });
+    }
+
+    const productId = await resolveId(product, 'SELECT id FROM products WHERE LOWER(material) = LOWER($1)');
+    if (productId === undefined) {
+      return res.status(404).json({ error: `Product "${product}" not found` });
+    }
+    const branchId = await resolveId(branch, 'SELECT id FROM branches WHERE LOWER(name) = LOWER($1)');
+    if (branchId === undefined) {
+      return res.status(404).json({ error: `Branch "${branch}" not found` });
+    }
+    const userId = await resolveId(user, 'SELECT id FROM users WHERE username = $1');
+    if (userId === undefined) {
+      return res.status(404).json({ error: `User "${user}" not found` });
+    }
+    const targetUserId = await resolveId(targetUser, 'SELECT id FROM users WHERE username = $1');
+    if (targetUserId === undefined) {
+      return res.status(404).json({ error: `User "${targetUser}" not found` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { entries, total } = await queryAuditLog({
+      productId,
+      branchId,
+      userId,
+      targetUserId,
+      table,
+      source,
+      from: fromDate,
+      to: toDate,
+      branchIds: visibleBranchIds(req.user),
+      limit,
+      offset
+    });
+
+    res.json({
+      entries,
+      total,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit log'
+    });
+  }
+});
+
+// --- Helper Functions ---
+// Numeric values are taken as ids (the row may since have been deleted);
+// anything else is looked up by name. Returns null when no filter was given
+// and undefined when the name is unknown.
+async function resolveId(value, lookupQuery) {
+  if (value === undefined || value === '') return null;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  const result = await pgPool.query(lookupQuery, [value]);
+  return result.rows.length > 0 ? result.rows[0].id : undefined;
+}
+
+// Returns null when not given and undefined when invalid
+function parseDate(value, endOfDay) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+module.exports = router;
@@ -2,19 +2,70 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { pgPool } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authenticateUser } = require('../middleware/auth');
+const { rateLimitFor } = require('../middleware/rateLimit');
+const { loadUserAccess } = require('../services/access');
+const { setAuditContext } = require('../services/audit');
+const { PASSWORD_POLICY, validatePassword, isPasswordReused, setPassword } = require('../services/users');
+const { RESET_TOKEN_MINUTES, requestPasswordReset, resetPasswordWithToken } = require('../services/passwordReset');
+const {
+  CHALLENGE_TTL_SECONDS,
+  beginEnrolment,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  getTwoFactorStatus,
+  signLoginChallenge,
+  readLoginChallenge
+} = require('../services/twoFactor');
+const {
+  recordLoginAttempt,
+  checkIpBlock,
+  registerFailedLogin,
+  clearFailedLogins,
+  loginDelayMs
+} = require('../services/loginAttempts');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessions');
 
-// Login endpoint
-router.post('/login', async (req, res) => {
+// Only the endpoints that take a password or code are rate limited; token
+// refresh, verify and profile calls are made all the time by signed-in clients
+const limitCredentialAttempts = rateLimitFor('auth');
+
+// Login endpoint. Failed attempts are counted per username and per IP:
+// responses slow down, then the account or IP is temporarily locked out
+// (see services/loginAttempts.js). Users with two-factor authentication get a
+// challengeToken instead of a token, to complete at POST /2fa/verify.
+router.post('/login', limitCredentialAttempts, async (req, res) => {
   try {
     const { username, password, honey_pot } = req.body; // Added honey_pot field
+    const { userAgent, ip } = clientInfo(req);
+    const attempt = { username: username || null, ip, userAgent };
+
+    const ipBlock = await checkIpBlock(ip);
+    if (ipBlock.blocked) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'ip_blocked' });
+      res.set('Retry-After', String(ipBlock.retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Please try again later.',
+        retryAfterSeconds: ipBlock.retryAfterSeconds
+      });
+    }
 
     // --- SECURITY ENHANCEMENT: HONEYPOT TRAP ---
     // If this field is filled out, it's almost certainly a bot.
     if (honey_pot) {
       console.warn(`Honeypot triggered for username: ${username}`);
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'honeypot' });
       // Don't give any specific error, just a generic failure.
       return res.status(401).json({ error: 'Invalid username or password' });
     }
@@ -34,59 +85,170 @@ router.post('/login', async (req, res) => {
     );
 
     if (userResult.rows.length === 0) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'unknown_user' });
+      await sleep(loginDelayMs(ipBlock.failures + 1));
       return res.status(401).json({
         error: 'Invalid username or password'
       });
     }
 
     const user = userResult.rows[0];
+    attempt.userId = user.id;
+
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'locked' });
+      return sendLocked(res, user.locked_until);
+    }
 
     // Verify password
     const validPassword = await bcrypt.compare(password, user.password);
     if (!validPassword) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'invalid_password' });
+      const { failedCount, lockedUntil } = await registerFailedLogin(user.id);
+      if (lockedUntil) {
+        return sendLocked(res, lockedUntil);
+      }
+      await sleep(loginDelayMs(failedCount));
       return res.status(401).json({
         error: 'Invalid username or password'
       });
     }
 
-    // Update last login
-    await pgPool.query(
-      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-      [user.id]
-    );
+    if (!user.is_active) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'disabled' });
+      return res.status(403).json({
+        error: 'This account has been disabled. Contact an administrator.'
+      });
+    }
+
+    if (user.totp_enabled_at) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: signLoginChallenge(user.id),
+        expiresIn: CHALLENGE_TTL_SECONDS,
+        methods: ['totp', 'recovery_code']
+      });
+    }
+
+    await recordLoginAttempt({ ...attempt, success: true, reason: 'success' });
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Second step of a login with two-factor authentication.
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }.
+// Wrong codes count as failed logins towards the account lockout.
+router.post('/2fa/verify', limitCredentialAttempts, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Challenge token and a code or recovery code are required'
+      });
+    }
+
+    const userId = readLoginChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        error: 'This login has expired. Please log in again.'
+      });
+    }
+
+    const userResult = await pgPool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    const user = userResult.rows[0];
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        error: 'This login has expired. Please log in again.'
+      });
+    }
+
+    const { userAgent, ip } = clientInfo(req);
+    const attempt = { username: user.username, userId: user.id, ip, userAgent };
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'locked' });
+      return sendLocked(res, user.locked_until);
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        fullName: user.full_name
-      },
-      process.env.JWT_SECRET || 'hansei-secret-key-2025',
-      { expiresIn: '24h' }
+    const method = await verifySecondFactor(user.id, { code, recoveryCode });
+    if (!method) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'invalid_second_factor' });
+      const { failedCount, lockedUntil } = await registerFailedLogin(user.id);
+      if (lockedUntil) {
+        return sendLocked(res, lockedUntil);
+      }
+      await sleep(loginDelayMs(failedCount));
+      return res.status(401).json({
+        error: 'Invalid verification code'
+      });
+    }
+
+    await recordLoginAttempt({ ...attempt, success: true, reason: 'success' });
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token.
+// Body: { refreshToken }. Each refresh token can be used only once.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, clientInfo(req));
+    if (result.status === 'reused') {
+      console.warn(`Refresh token reused; session ${refreshToken.split('.')[0]} revoked`);
+    }
+    if (result.status !== 'refreshed') {
+      return res.status(401).json({
+        error: 'Session has ended. Please log in again.'
+      });
+    }
+
+    const userResult = await pgPool.query(
+      'SELECT id, username, full_name, role, is_active FROM users WHERE id = $1',
+      [result.session.user_id]
     );
+    const user = userResult.rows[0];
+    if (!user || !user.is_active) {
+      await revokeSession(pgPool, result.session.user_id, result.session.id, 'account_disabled');
+      return res.status(401).json({
+        error: 'Session has ended. Please log in again.'
+      });
+    }
 
     res.json({
       success: true,
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        fullName: user.full_name,
-        role: user.role
-      }
+      token: signAccessToken(user, result.session.id),
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      refreshToken: result.refreshToken
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Token refresh error:', error);
     res.status(500).json({
       error: 'Internal server error'
     });
   }
 });
 
-// Verify token endpoint
+// Verify token endpoint (also accepts an API key, to check it works)
 router.get('/verify', authenticateToken, (req, res) => {
   res.json({
     valid: true,
@@ -94,18 +256,71 @@ router.get('/verify', authenticateToken, (req, res) => {
   });
 });
 
-// Logout endpoint (client-side token removal)
-router.post('/logout', authenticateToken, async (req, res) => {
-  // In a real implementation, you might want to blacklist the token
-  // For now, we'll just return success and let the client remove the token
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+// Logout endpoint: ends the current session, so neither its access token
+// nor its refresh token work any more
+router.post('/logout', authenticateUser, async (req, res) => {
+  try {
+    await revokeSession(pgPool, req.user.id, req.user.sid, 'logout');
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// List the current user's active sessions (device, IP, last use)
+router.get('/sessions', authenticateUser, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json({
+      sessions: sessions.map(({ user_id, ...session }) => ({ ...session, current: session.id === req.user.sid }))
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Revoke one of the current user's sessions (e.g. a lost device)
+router.delete('/sessions/:sessionId', authenticateUser, async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.sessionId)) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    const revoked = await revokeSession(pgPool, req.user.id, req.params.sessionId, 'revoked_by_user');
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      current: req.params.sessionId === req.user.sid
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
 });
 
 // Change password endpoint
-router.post('/change-password', authenticateToken, async (req, res) => {
+router.post('/change-password', authenticateUser, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user.id;
@@ -137,14 +352,28 @@ router.post('/change-password', authenticateToken, async (req, res) => {
       });
     }
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const passwordError = validatePassword(newPassword, { username: req.user.username })
+      || ((await isPasswordReused(pgPool, userId, newPassword)) ? 'Password must differ from your recent passwords' : null);
+    if (passwordError) {
+      return res.status(400).json({
+        error: passwordError
+      });
+    }
 
-    // Update password
-    await pgPool.query(
-      'UPDATE users SET password = $1 WHERE id = $2',
-      [hashedPassword, userId]
-    );
+    // Update password (also clears a forced reset) and sign out other devices
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      await setAuditContext(client, { userId, source: 'account' });
+      await setPassword(client, userId, newPassword);
+      await revokeUserSessions(client, userId, 'password_changed', { exceptSessionId: req.user.sid });
+      await client.query('COMMIT');
+    } catch (updateError) {
+      await client.query('ROLLBACK');
+      throw updateError;
+    } finally {
+      client.release();
+    }
 
     res.json({
       success: true,
@@ -159,11 +388,253 @@ router.post('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
+// Two-factor authentication state of the current user
+router.get('/2fa', authenticateUser, async (req, res) => {
+  try {
+    res.json({
+      twoFactor: await getTwoFactorStatus(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Start setting up an authenticator app. Returns the secret and the otpauth://
+// URL to show as a QR code; 2FA is only turned on by POST /2fa/enable.
+router.post('/2fa/setup', authenticateUser, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = await beginEnrolment(req.user);
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Confirm the authenticator with a code from it. Body: { code }.
+// Returns the recovery codes, which are shown only this once.
+router.post('/2fa/enable', authenticateUser, async (req, res) => {
+  if (!req.body.code) {
+    return res.status(400).json({
+      error: 'Code is required'
+    });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, source: 'account' });
+
+    const result = await enableTwoFactor(client, req.user.id, req.body.code);
+    if (result.status !== 'enabled') {
+      await client.query('ROLLBACK');
+      const errors = {
+        not_enrolled: [400, 'Start with POST /api/auth/2fa/setup'],
+        already_enabled: [409, 'Two-factor authentication is already enabled'],
+        invalid_code: [400, 'Invalid verification code']
+      };
+      const [status, error] = errors[result.status];
+      return res.status(status).json({ error });
+    }
+
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      recoveryCodes: result.recoveryCodes
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Turn two-factor authentication off. Body: { password, code } (code may be a
+// recovery code). Not allowed when the user's role requires 2FA.
+router.post('/2fa/disable', authenticateUser, async (req, res) => {
+  const { password, code } = req.body;
+  if (!password || !code) {
+    return res.status(400).json({
+      error: 'Password and code are required'
+    });
+  }
+  if (req.user.twoFactorRequired) {
+    return res.status(403).json({
+      error: 'Your role requires two-factor authentication'
+    });
+  }
+  if (!req.user.twoFactorEnabled) {
+    return res.status(400).json({
+      error: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    if (!(await confirmIdentity(req.user.id, password, code))) {
+      return res.status(401).json({
+        error: 'Password or code is incorrect'
+      });
+    }
+
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, source: 'account' });
+    await disableTwoFactor(client, req.user.id);
+    await client.query('COMMIT');
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Replace the recovery codes. Body: { password, code }
+router.post('/2fa/recovery-codes', authenticateUser, async (req, res) => {
+  const { password, code } = req.body;
+  if (!password || !code) {
+    return res.status(400).json({
+      error: 'Password and code are required'
+    });
+  }
+  if (!req.user.twoFactorEnabled) {
+    return res.status(400).json({
+      error: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    if (!(await confirmIdentity(req.user.id, password, code))) {
+      return res.status(401).json({
+        error: 'Password or code is incorrect'
+      });
+    }
+
+    await client.query('BEGIN');
+    const recoveryCodes = await replaceRecoveryCodes(client, req.user.id);
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// The password rules, for showing next to password fields
+router.get('/password-policy', (req, res) => {
+  res.json({
+    policy: PASSWORD_POLICY
+  });
+});
+
+// Ask for a password reset. Body: { username } (a username or e-mail address).
+// The reset token is sent through the notifier; the answer is the same
+// whether or not the account exists.
+router.post('/forgot-password', limitCredentialAttempts, async (req, res) => {
+  try {
+    const { username } = req.body;
+    if (!username) {
+      return res.status(400).json({
+        error: 'Username or e-mail is required'
+      });
+    }
+
+    await requestPasswordReset(String(username), { ip: clientInfo(req).ip });
+    res.json({
+      success: true,
+      message: `If the account exists, a reset code has been sent. It is valid for ${RESET_TOKEN_MINUTES} minutes.`
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Choose a new password with a reset token. Body: { token, newPassword }.
+// Signs the user out everywhere and lifts any lockout.
+router.post('/reset-password', limitCredentialAttempts, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        error: 'Token and new password are required'
+      });
+    }
+
+    const result = await resetPasswordWithToken(token, newPassword);
+    if (result.status === 'invalid_token') {
+      return res.status(400).json({
+        error: 'This reset code is invalid or has expired'
+      });
+    }
+    if (result.status === 'rejected') {
+      return res.status(400).json({
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
 // Get user profile
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticateUser, async (req, res) => {
   try {
     const userResult = await pgPool.query(
-      'SELECT id, username, full_name, role, created_at, last_login FROM users WHERE id = $1',
+      'SELECT id, username, full_name, email, role, must_change_password, password_changed_at, created_at, last_login FROM users WHERE id = $1',
       [req.user.id]
     );
 
@@ -185,4 +656,65 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// --- Helper Functions ---
+
+// Starts a session for a fully authenticated user and sends the login response:
+// a short-lived access token plus a refresh token
+async function completeLogin(req, res, user) {
+  // Update last login and forget earlier failures
+  await clearFailedLogins(user.id);
+
+  const { session, refreshToken } = await createSession(pgPool, user.id, clientInfo(req));
+  const token = signAccessToken(user, session.id);
+
+  const access = await loadUserAccess(user.id);
+
+  res.json({
+    success: true,
+    token,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken,
+    user: {
+      id: user.id,
+      username: user.username,
+      fullName: user.full_name,
+      role: user.role,
+      permissions: access.permissions,
+      scopes: access.scopes,
+      mustChangePassword: user.must_change_password,
+      passwordExpired: access.passwordExpired,
+      twoFactorEnabled: access.twoFactorEnabled,
+      twoFactorSetupRequired: access.twoFactorRequired && !access.twoFactorEnabled
+    }
+  });
+}
+
+// Re-checks the password and a second factor before sensitive 2FA changes
+async function confirmIdentity(userId, password, code) {
+  const result = await pgPool.query('SELECT password FROM users WHERE id = $1', [userId]);
+  if (result.rows.length === 0 || !(await bcrypt.compare(password, result.rows[0].password))) {
+    return false;
+  }
+  const isRecoveryCode = /^[0-9a-f]{5}-[0-9a-f]{5}$/i.test(String(code).trim());
+  return Boolean(await verifySecondFactor(userId, isRecoveryCode ? { recoveryCode: code } : { code }));
+}
+
+function clientInfo(req) {
+  return { userAgent: req.get('User-Agent') || null, ip: req.ip || null };
+}
+
+function sendLocked(res, lockedUntil) {
+  const retryAfterSeconds = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(423).json({
+    error: 'This account is temporarily locked after too many failed login attempts.',
+    lockedUntil,
+    retryAfterSeconds
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { pgPool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { captureInventorySnapshot } = require('../services/snapshots');
+const { refreshAlerts } = require('../services/alerts');
+const { publishEvent } = require('../services/webhooks');
+const { notifyChange } = require('../services/liveUpdates');
+const { setAuditContext } = require('../services/audit');
+const { recordImportBatch } = require('../services/importBatches');
+const { changedBranches } = require('../services/inventoryImport');
+const { branchesOutsideScope } = require('../services/access');
+const {
+  validateIngestPayload,
+  payloadChecksum,
+  idempotencyScope,
+  claimIdempotencyKey,
+  saveIdempotentResponse,
+  ingestPayload
+} = require('../services/ingest');
+
+/**
+ * JSON ingestion endpoint for systems that push data (see services/ingest.js
+ * for the payload). Every section is written in one transaction and recorded
+ * as an import batch, so it can be reviewed and reverted under
+ * /api/upload/batches (branches and products it created are kept). Inventory values replace the current figures, so
+ * sending the same lines twice leaves the same result.
+ * With an Idempotency-Key header a retry is answered with the stored response
+ * of the first request (marked Idempotent-Replayed: true) instead of being
+ * applied again; reusing a key for a different payload is refused.
+ * Requires the 'upload:run' permission.
+ */
+router.post('/', authenticateToken, requirePermission('upload:run'), async (req, res) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey !== undefined && !/^[\x21-\x7e]{1,255}$/.test(idempotencyKey)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 1 to 255 printable characters without spaces.' });
+  }
+
+  const payloadError = validateIngestPayload(req.body);
+  if (payloadError) {
+    return res.status(400).json({ error: payloadError });
+  }
+  const checksum = payloadChecksum(req.body);
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'ingest' });
+
+    let claim = null;
+    if (idempotencyKey) {
+      claim = await claimIdempotencyKey(client, { scope: idempotencyScope(req.user), key: idempotencyKey, checksum });
+      if (claim.status === 'mismatch') {
+        await client.query('ROLLBACK');
+        return res.status(422).json({ error: 'This Idempotency-Key was already used for a different payload.' });
+      }
+      if (claim.status === 'replay') {
+        await client.query('ROLLBACK');
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.statusCode).json(claim.response);
+      }
+    }
+
+    const result = await ingestPayload(client, req.body);
+    console.log(`Ingested ${result.summary.accepted} of ${result.summary.total} lines${idempotencyKey ? ` (Idempotency-Key ${idempotencyKey})` : ''}.`);
+
+    // Branch-scoped callers may only write to their own branches
+    const hiddenBranches = branchesOutsideScope(req.user, changedBranches(result));
+    if (hiddenBranches.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        error: `This payload changes branches you do not have access to: ${hiddenBranches.map(branch => branch.name).join(', ')}.`
+      });
+    }
+
+    const batch = await recordImportBatch(client, {
+      userId: req.user.id,
+      fileName: idempotencyKey ? `ingest:${idempotencyKey}` : 'ingest',
+      checksum,
+      format: 'json',
+      summary: result.summary,
+      sheets: Object.entries(result.sections).map(([section, { summary }]) => ({ sheet: section, status: 'imported', format: section, summary }))
+    }, result.inventoryChanges, result.masterChanges);
+
+    if (result.inventoryChanges.length > 0) {
+      await captureInventorySnapshot(client, {
+        source: 'ingest',
+        userId: req.user.id,
+        notes: `Import batch #${batch.id}`
+      });
+    }
+
+    const response = {
+      success: true,
+      batchId: batch.id,
+      idempotencyKey: idempotencyKey || null,
+      summary: result.summary,
+      inventoryRowsChanged: result.inventoryChanges.length,
+      masterRowsChanged: result.masterChanges.length,
+      sections: result.sections
+    };
+    if (claim) {
+      await saveIdempotentResponse(client, claim.id, { statusCode: 200, response, batchId: batch.id });
+    }
+
+    await client.query('COMMIT');
+    await publishEvent('upload.completed', {
+      batchId: batch.id,
+      source: 'ingest',
+      idempotencyKey: idempotencyKey || null,
+      format: 'json',
+      summary: result.summary,
+      uploadedBy: req.user.username
+    });
+    await notifyChange('import', {
+      branchIds: result.inventoryChanges.map(change => change.branchId),
+      data: { action: 'completed', batchId: batch.id, source: 'ingest', summary: result.summary, by: req.user.username }
+    });
+    await refreshAlerts('JSON ingest');
+    res.json(response);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('JSON ingest error:', error);
+    res.status(500).json({ error: 'Failed to ingest data.' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
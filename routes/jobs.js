@@ -0,0 +1,230 @@
+// routes/jobs.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { integerParam } = require('../middleware/params');
+const {
+  JOB_RUN_STATUSES,
+  listJobTypes,
+  validateJob,
+  listJobs,
+  getJob,
+  createJob,
+  updateJob,
+  setJobPaused,
+  deleteJob,
+  listJobRuns,
+  getJobRun,
+  runJobNow
+} = require('../services/jobs');
+
+// Every route here requires the 'jobs:manage' permission. Schedules are cron
+// expressions in server time, e.g. "5 0 1 * *" for 00:05 on the 1st (see services/cron.js).
+
+const validJobId = integerParam('jobId', 'Scheduled job not found');
+
+// List the job types that can be scheduled, with the params each takes
+router.get('/types', authenticateToken, requirePermission('jobs:manage'), (req, res) => {
+  res.json({ jobTypes: listJobTypes() });
+});
+
+// List jobs
+router.get('/', authenticateToken, requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    res.json({ jobs: await listJobs() });
+
+  } catch (error) {
+    console.error('Error fetching scheduled jobs:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scheduled jobs'
+    });
+  }
+});
+
+// Create a job. Body: { name, jobType, schedule, params, isPaused }
+router.post('/', authenticateToken, requirePermission('jobs:manage'), async (req, res) => {
+  const errors = validateJob(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid job', details: errors });
+  }
+
+  try {
+    const job = await createJob(req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A job with this name already exists' });
+    }
+    console.error('Error creating scheduled job:', error);
+    res.status(500).json({
+      error: 'Failed to create scheduled job'
+    });
+  }
+});
+
+// Get one run, with its log
+router.get('/runs/:runId', authenticateToken, requirePermission('jobs:manage'), integerParam('runId', 'Job run not found'), async (req, res) => {
+  try {
+    const run = await getJobRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Job run not found' });
+    }
+    res.json({ run });
+
+  } catch (error) {
+    console.error('Error fetching job run:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job run'
+    });
+  }
+});
+
+// Get one job
+router.get('/:jobId', authenticateToken, requirePermission('jobs:manage'), validJobId, async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled job not found' });
+    }
+    res.json({ job });
+
+  } catch (error) {
+    console.error('Error fetching scheduled job:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scheduled job'
+    });
+  }
+});
+
+// Change a job. Body: any of { name, jobType, schedule, params }
+router.put('/:jobId', authenticateToken, requirePermission('jobs:manage'), validJobId, async (req, res) => {
+  try {
+    const current = await getJob(req.params.jobId);
+    if (!current) {
+      return res.status(404).json({ error: 'Scheduled job not found' });
+    }
+    const errors = validateJob(req.body || {}, { current });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid job', details: errors });
+    }
+
+    const job = await updateJob(req.params.jobId, req.body);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled job not found' });
+    }
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A job with this name already exists' });
+    }
+    console.error('Error updating scheduled job:', error);
+    res.status(500).json({
+      error: 'Failed to update scheduled job'
+    });
+  }
+});
+
+// Pause or resume a job. Resuming skips the occurrences missed while paused.
+for (const [action, paused] of [['pause', true], ['resume', false]]) {
+  router.post(`/:jobId/${action}`, authenticateToken, requirePermission('jobs:manage'), async (req, res) => {
+    try {
+      const job = await setJobPaused(req.params.jobId, paused);
+      if (!job) {
+        return res.status(404).json({ error: 'Scheduled job not found' });
+      }
+      res.json({
+        success: true,
+        job
+      });
+
+    } catch (error) {
+      console.error(`Error trying to ${action} scheduled job:`, error);
+      res.status(500).json({
+        error: `Failed to ${action} scheduled job`
+      });
+    }
+  });
+}
+
+// Run a job now and wait for it. Its schedule is unchanged. Answers 409 with
+// the skipped run when the job is already running.
+router.post('/:jobId/run', authenticateToken, requirePermission('jobs:manage'), validJobId, async (req, res) => {
+  try {
+    const result = await runJobNow(req.params.jobId, req.user.id);
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'Scheduled job not found' });
+    }
+    if (result.run.status === 'skipped') {
+      return res.status(409).json({ error: 'The job is already running', run: result.run });
+    }
+
+    res.json({
+      success: result.run.status === 'succeeded',
+      run: result.run
+    });
+
+  } catch (error) {
+    console.error('Error running scheduled job:', error);
+    res.status(500).json({
+      error: 'Failed to run scheduled job'
+    });
+  }
+});
+
+// Run history of a job, newest first (?status, ?limit, ?offset)
+router.get('/:jobId/runs', authenticateToken, requirePermission('jobs:manage'), validJobId, async (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !JOB_RUN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Use one of: ${JOB_RUN_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const job = await getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled job not found' });
+    }
+
+    const runs = await listJobRuns(job.id, {
+      status,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({ job, runs });
+
+  } catch (error) {
+    console.error('Error fetching job runs:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job runs'
+    });
+  }
+});
+
+// Delete a job and its run history
+router.delete('/:jobId', authenticateToken, requirePermission('jobs:manage'), validJobId, async (req, res) => {
+  try {
+    const deleted = await deleteJob(req.params.jobId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Scheduled job not found' });
+    }
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Error deleting scheduled job:', error);
+    res.status(500).json({
+      error: 'Failed to delete scheduled job'
+    });
+  }
+});
+
+module.exports = router;
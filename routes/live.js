@@ -0,0 +1,214 @@
+// routes/live.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { HIERARCHY_LEVELS, resolveBranchScope } = require('../services/hierarchy');
+const { loadUserAccess, visibleBranchIds } = require('../services/access');
+const { isSessionActive } = require('../services/sessions');
+const { isApiKey, isApiKeyActive } = require('../services/apiKeys');
+const { getKpis } = require('../services/dashboard');
+const { listAlerts, groupBySeverity } = require('../services/alerts');
+const { subscribe, affectsBranches } = require('../services/liveUpdates');
+
+// Comment line sent to keep proxies from closing an idle stream; the user's
+// session (or API key) and branch access are checked again at the same interval
+const HEARTBEAT_MS = 25000;
+
+// Changes arriving within this window are sent as one update
+const FLUSH_DELAY_MS = 500;
+
+const streams = new Set();
+let unsubscribe = null;
+let flushTimer = null;
+
+// Stream dashboard changes as Server-Sent Events (text/event-stream).
+// Takes the same ?branch, ?region and ?level as GET /api/sales/kpis. Browsers'
+// EventSource cannot send headers, so an access token may be given as
+// ?access_token=. URLs end up in proxy and access logs; access tokens expire
+// within minutes, but API keys do not, so keys must be sent as headers.
+// Events, each with a JSON body:
+//   kpis    { scope, kpis } as GET /api/sales/kpis; on connect and after stock changes
+//   alerts  { alerts: { critical, warning, info } } as GET /api/sales/alerts; on connect
+//           and after alerts or stock change
+//   import  { action: 'completed' | 'reverted', batchId, source, summary, by, ... }
+//           when an import or revert touched a branch the user can see
+//   end     { reason } just before the server closes the stream (logout, lost access)
+// Only changes to branches the user can see are sent.
+router.get('/stream', tokenFromQuery, authenticateToken, async (req, res) => {
+  const { branch, region, level } = req.query;
+  if (level && !HIERARCHY_LEVELS.includes(level)) {
+    return res.status(400).json({
+      error: `Invalid level. Use one of: ${HIERARCHY_LEVELS.join(', ')}`
+    });
+  }
+
+  let scope = null;
+  try {
+    if (region) {
+      scope = await resolveBranchScope({ name: region, level });
+      if (!scope) {
+        return res.status(404).json({
+          error: `Region "${region}" not found`
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Error opening live stream:', error);
+    return res.status(500).json({
+      error: 'Failed to open live stream'
+    });
+  }
+
+  const stream = {
+    res,
+    user: req.user,
+    branchName: branch || null,
+    scope,
+    pending: new Set(),
+    closed: false
+  };
+  setStreamAccess(stream, req.user);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  streams.add(stream);
+  if (!unsubscribe) {
+    unsubscribe = subscribe(handleChange);
+  }
+
+  stream.heartbeat = setInterval(() => checkStream(stream), HEARTBEAT_MS);
+  req.on('close', () => closeStream(stream));
+
+  // Start from the current figures, as a fresh page load would
+  stream.pending.add('kpis');
+  stream.pending.add('alerts');
+  await flushStreams([stream]);
+});
+
+// --- Helper Functions ---
+function tokenFromQuery(req, res, next) {
+  if (isApiKey(req.query.access_token)) {
+    return res.status(400).json({
+      error: 'API keys cannot be given in the URL. Send them in the X-API-Key header.'
+    });
+  }
+  if (req.query.access_token && !req.headers['authorization'] && !req.headers['x-api-key']) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+function setStreamAccess(stream, user) {
+  stream.user = user;
+  stream.alertBranchIds = visibleBranchIds(user);
+  stream.kpiBranchIds = visibleBranchIds(user, stream.scope && stream.scope.branchIds);
+}
+
+function send(stream, event, data) {
+  if (stream.closed) return;
+  stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function closeStream(stream, reason = null) {
+  if (stream.closed) return;
+  if (reason) send(stream, 'end', { reason });
+  stream.closed = true;
+  clearInterval(stream.heartbeat);
+  streams.delete(stream);
+  stream.res.end();
+  if (streams.size === 0 && unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+}
+
+// Keeps the connection open and drops it once the login or API key behind it has ended
+async function checkStream(stream) {
+  if (stream.closed) return;
+  stream.res.write(': ping\n\n');
+
+  try {
+    if (stream.user.apiKeyId) {
+      if (!(await isApiKeyActive(stream.user.apiKeyId))) {
+        closeStream(stream, 'API key has been revoked or has expired.');
+      }
+      return;
+    }
+    if (!stream.user.sid) return;
+    if (!(await isSessionActive(stream.user.sid))) {
+      return closeStream(stream, 'Session has ended. Please log in again.');
+    }
+    const access = await loadUserAccess(stream.user.id);
+    if (!access || !access.isActive) {
+      return closeStream(stream, 'Account is disabled.');
+    }
+    setStreamAccess(stream, { ...stream.user, ...access });
+  } catch (error) {
+    console.error('Error checking live stream access:', error.message);
+  }
+}
+
+function handleChange(change) {
+  for (const stream of streams) {
+    if (change.type === 'alerts') {
+      if (affectsBranches(change.branchIds, stream.alertBranchIds)) stream.pending.add('alerts');
+      continue;
+    }
+
+    // Stock changes move both the KPIs and the figures shown on alerts
+    if (affectsBranches(change.branchIds, stream.kpiBranchIds)) stream.pending.add('kpis');
+    if (affectsBranches(change.branchIds, stream.alertBranchIds)) {
+      stream.pending.add('alerts');
+      if (change.type === 'import') send(stream, 'import', change.data);
+    }
+  }
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flushStreams([...streams]);
+    }, FLUSH_DELAY_MS);
+  }
+}
+
+// Sends each stream its pending updates, computing the figures once for
+// streams that see the same branches
+async function flushStreams(targets) {
+  const computed = new Map();
+  const once = (key, compute) => {
+    if (!computed.has(key)) computed.set(key, compute());
+    return computed.get(key);
+  };
+
+  for (const stream of targets) {
+    const pending = [...stream.pending];
+    stream.pending.clear();
+    try {
+      if (pending.includes('kpis')) {
+        const kpis = await once(JSON.stringify(['kpis', stream.kpiBranchIds, stream.branchName]), () => getKpis({
+          branchIds: stream.kpiBranchIds,
+          branchName: stream.branchName
+        }));
+        send(stream, 'kpis', {
+          scope: stream.scope ? { name: stream.scope.name, level: stream.scope.level } : null,
+          kpis
+        });
+      }
+      if (pending.includes('alerts')) {
+        const alerts = await once(JSON.stringify(['alerts', stream.alertBranchIds]), async () =>
+          groupBySeverity(await listAlerts({ branchIds: stream.alertBranchIds, limit: null })));
+        send(stream, 'alerts', { alerts });
+      }
+    } catch (error) {
+      console.error('Error sending live update:', error.message);
+    }
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,153 @@
+// routes/mappings.js
+const express = require('express');
+const router = express.Router();
+const { pgPool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  TARGET_FIELDS,
+  validateProfile,
+  headerSignature,
+  listProfiles,
+  getProfile,
+  resolveProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile
+} = require('../services/columnMappings');
+
+// List all mapping profiles (stored and built-in) and the fields each target accepts
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const profiles = await listProfiles();
+    res.json({
+      targets: TARGET_FIELDS,
+      profiles: profiles.map(profile => ({
+        ...profile,
+        header_signature: headerSignature(profile)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching mapping profiles:', error);
+    res.status(500).json({
+      error: 'Failed to fetch mapping profiles'
+    });
+  }
+});
+
+// Show which profile a set of headers would be auto-matched to.
+// Body: { "headers": ["SKU", "Location", ...] }
+router.post('/match', authenticateToken, async (req, res) => {
+  try {
+    const { headers } = req.body;
+    if (!Array.isArray(headers)) {
+      return res.status(400).json({ error: 'A "headers" array is required' });
+    }
+
+    const profile = await resolveProfile(pgPool, headers.map(String));
+    res.json({
+      profile
+    });
+
+  } catch (error) {
+    console.error('Error matching mapping profile:', error);
+    res.status(500).json({
+      error: 'Failed to match mapping profile'
+    });
+  }
+});
+
+// Get a single profile by name
+router.get('/:name', authenticateToken, async (req, res) => {
+  try {
+    const profile = await getProfile(pgPool, req.params.name);
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+    res.json({
+      profile: { ...profile, header_signature: headerSignature(profile) }
+    });
+
+  } catch (error) {
+    console.error('Error fetching mapping profile:', error);
+    res.status(500).json({
+      error: 'Failed to fetch mapping profile'
+    });
+  }
+});
+
+// Create a profile
+router.post('/', authenticateToken, requirePermission('mappings:manage'), async (req, res) => {
+  try {
+    const errors = validateProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid mapping profile', details: errors });
+    }
+
+    const profile = await createProfile(req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      profile
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A mapping profile with this name already exists' });
+    }
+    console.error('Error creating mapping profile:', error);
+    res.status(500).json({
+      error: 'Failed to create mapping profile'
+    });
+  }
+});
+
+// Replace a profile
+router.put('/:profileId', authenticateToken, requirePermission('mappings:manage'), async (req, res) => {
+  try {
+    const errors = validateProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid mapping profile', details: errors });
+    }
+
+    const profile = await updateProfile(req.params.profileId, req.body);
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    res.json({
+      success: true,
+      profile
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A mapping profile with this name already exists' });
+    }
+    console.error('Error updating mapping profile:', error);
+    res.status(500).json({
+      error: 'Failed to update mapping profile'
+    });
+  }
+});
+
+// Delete a profile
+router.delete('/:profileId', authenticateToken, requirePermission('mappings:manage'), async (req, res) => {
+  try {
+    const deleted = await deleteProfile(req.params.profileId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Error deleting mapping profile:', error);
+    res.status(500).json({
+      error: 'Failed to delete mapping profile'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,286 @@
+// routes/regions.js
+const express = require('express');
+const router = express.Router();
+const { pgPool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getHierarchyTree } = require('../services/hierarchy');
+const { setAuditContext } = require('../services/audit');
+
+// Get the full Zone -> Region -> Branch tree
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const hierarchy = await getHierarchyTree();
+    res.json({
+      hierarchy
+    });
+
+  } catch (error) {
+    console.error('Error fetching region hierarchy:', error);
+    res.status(500).json({
+      error: 'Failed to fetch region hierarchy'
+    });
+  }
+});
+
+// Create a zone
+router.post('/zones', authenticateToken, requirePermission('hierarchy:manage'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'Zone name is required' });
+    }
+
+    const result = await pgPool.query(
+      'INSERT INTO zones (name) VALUES ($1) RETURNING *',
+      [name]
+    );
+
+    res.status(201).json({
+      success: true,
+      zone: result.rows[0]
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A zone with this name already exists' });
+    }
+    console.error('Error creating zone:', error);
+    res.status(500).json({
+      error: 'Failed to create zone'
+    });
+  }
+});
+
+// Rename a zone
+router.put('/zones/:zoneId', authenticateToken, requirePermission('hierarchy:manage'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'Zone name is required' });
+    }
+
+    const result = await pgPool.query(
+      'UPDATE zones SET name = $1 WHERE id = $2 RETURNING *',
+      [name, req.params.zoneId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    res.json({
+      success: true,
+      zone: result.rows[0]
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A zone with this name already exists' });
+    }
+    console.error('Error updating zone:', error);
+    res.status(500).json({
+      error: 'Failed to update zone'
+    });
+  }
+});
+
+// Delete a zone (its regions become unassigned)
+router.delete('/zones/:zoneId', authenticateToken, requirePermission('hierarchy:manage'), async (req, res) => {
+  try {
+    const result = await pgPool.query(
+      'DELETE FROM zones WHERE id = $1 RETURNING *',
+      [req.params.zoneId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Error deleting zone:', error);
+    res.status(500).json({
+      error: 'Failed to delete zone'
+    });
+  }
+});
+
+// Create a region, optionally inside a zone (by zone name)
+router.post('/', authenticateToken, requirePermission('hierarchy:manage'), async (req, res) => {
+  try {
+    const { name, zone } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'Region name is required' });
+    }
+
+    const zoneId = await findZoneId(zone);
+    if (zone && !zoneId) {
+      return res.status(404).json({ error: `Zone "${zone}" not found` });
+    }
+
+    const result = await pgPool.query(
+      'INSERT INTO regions (name, zone_id) VALUES ($1, $2) RETURNING *',
+      [name, zoneId]
+    );
+
+    res.status(201).json({
+      success: true,
+      region: result.rows[0]
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A region with this name already exists' });
+    }
+    console.error('Error creating region:', error);
+    res.status(500).json({
+      error: 'Failed to create region'
+    });
+  }
+});
+
+// Rename a region or move it to another zone (zone: null unassigns it)
+router.put('/:regionId', authenticateToken, requirePermission('hierarchy:manage'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const moveZone = Object.prototype.hasOwnProperty.call(req.body, 'zone');
+
+    const zoneId = moveZone ? await findZoneId(req.body.zone) : null;
+    if (moveZone && req.body.zone && !zoneId) {
+      return res.status(404).json({ error: `Zone "${req.body.zone}" not found` });
+    }
+
+    const result = await pgPool.query(
+      `UPDATE regions
+       SET
+         name = COALESCE($1, name),
+         zone_id = CASE WHEN $2 THEN $3::int ELSE zone_id END
+       WHERE id = $4
+       RETURNING *`,
+      [name, moveZone, zoneId, req.params.regionId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Region not found' });
+    }
+
+    res.json({
+      success: true,
+      region: result.rows[0]
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A region with this name already exists' });
+    }
+    console.error('Error updating region:', error);
+    res.status(500).json({
+      error: 'Failed to update region'
+    });
+  }
+});
+
+// Delete a region (its branches become unassigned)
+router.delete('/:regionId', authenticateToken, requirePermission('hierarchy:manage'), async (req, res) => {
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    // Unassigning the branches is audited like any other branch change
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'region_assignment' });
+
+    const result = await client.query(
+      'DELETE FROM regions WHERE id = $1 RETURNING *',
+      [req.params.regionId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Region not found' });
+    }
+
+    await client.query('COMMIT');
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting region:', error);
+    res.status(500).json({
+      error: 'Failed to delete region'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Assign branches to regions.
+// Body: { "assignments": { "Chennai": "Tamil Nadu", "Cochin": null } }
+router.put('/assignments/branches', authenticateToken, requirePermission('hierarchy:manage'), async (req, res) => {
+  const { assignments } = req.body;
+  if (!assignments || typeof assignments !== 'object' || Array.isArray(assignments)) {
+    return res.status(400).json({ error: 'An "assignments" object of branch name to region name is required' });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'region_assignment' });
+
+    const updated = [];
+    const notFound = [];
+    for (const [branchName, regionName] of Object.entries(assignments)) {
+      let regionId = null;
+      if (regionName) {
+        const regionResult = await client.query('SELECT id FROM regions WHERE LOWER(name) = LOWER($1)', [regionName]);
+        if (regionResult.rows.length === 0) {
+          notFound.push(`region "${regionName}"`);
+          continue;
+        }
+        regionId = regionResult.rows[0].id;
+      }
+
+      const result = await client.query(
+        'UPDATE branches SET region_id = $1 WHERE LOWER(name) = LOWER($2) RETURNING id, name, region_id',
+        [regionId, branchName]
+      );
+      if (result.rows.length === 0) {
+        notFound.push(`branch "${branchName}"`);
+      } else {
+        updated.push(result.rows[0]);
+      }
+    }
+
+    if (notFound.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: `Not found: ${notFound.join(', ')}` });
+    }
+
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      branches: updated
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error assigning branches to regions:', error);
+    res.status(500).json({
+      error: 'Failed to assign branches'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// --- Helper Functions ---
+async function findZoneId(zoneName) {
+  if (!zoneName) return null;
+  const result = await pgPool.query('SELECT id FROM zones WHERE LOWER(name) = LOWER($1)', [zoneName]);
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// routes/reports.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { visibleBranchIds } = require('../services/access');
+const { generateReportPack, listReportPacks, getReportPack } = require('../services/reportPacks');
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Generate an executive report pack for the branches the caller can see.
+// Body: { period: 'YYYY-MM' } for the snapshot that closes that month, or
+// nothing for live inventory. The pack is stored; download it from
+// /packs/:packId/download.
+router.post('/packs', authenticateToken, async (req, res) => {
+  const { period } = req.body || {};
+  if (period !== undefined && period !== null && !PERIOD_PATTERN.test(String(period))) {
+    return res.status(400).json({ error: 'period must be a month in YYYY-MM format' });
+  }
+
+  try {
+    const result = await generateReportPack({
+      period: period || null,
+      branchIds: visibleBranchIds(req.user),
+      generatedBy: { userId: req.user.id, apiKeyId: req.user.apiKeyId, username: req.user.username }
+    });
+    if (result.status === 'no_snapshot') {
+      return res.status(404).json({
+        error: `No inventory snapshot was taken in ${period}. Take a month-close snapshot first.`
+      });
+    }
+
+    res.status(201).json({
+      pack: result.pack,
+      downloadUrl: `${req.baseUrl}/packs/${result.pack.id}/download`
+    });
+
+  } catch (error) {
+    console.error('Error generating report pack:', error);
+    res.status(500).json({
+      error: 'Failed to generate report pack'
+    });
+  }
+});
+
+// List stored packs, newest first (?period=YYYY-MM, ?limit, ?offset)
+router.get('/packs', authenticateToken, async (req, res) => {
+  try {
+    const packs = await listReportPacks({
+      branchIds: visibleBranchIds(req.user),
+      period: req.query.period,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({ packs });
+
+  } catch (error) {
+    console.error('Error fetching report packs:', error);
+    res.status(500).json({
+      error: 'Failed to fetch report packs'
+    });
+  }
+});
+
+// Get one pack's details
+router.get('/packs/:packId', authenticateToken, async (req, res) => {
+  try {
+    const pack = await getReportPack(req.params.packId, { branchIds: visibleBranchIds(req.user) });
+    if (!pack) {
+      return res.status(404).json({ error: 'Report pack not found' });
+    }
+    res.json({ pack });
+
+  } catch (error) {
+    console.error('Error fetching report pack:', error);
+    res.status(500).json({
+      error: 'Failed to fetch report pack'
+    });
+  }
+});
+
+// Download a stored pack
+router.get('/packs/:packId/download', authenticateToken, async (req, res) => {
+  try {
+    const pack = await getReportPack(req.params.packId, { branchIds: visibleBranchIds(req.user), withContent: true });
+    if (!pack) {
+      return res.status(404).json({ error: 'Report pack not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${pack.file_name}"`);
+    res.send(pack.content);
+
+  } catch (error) {
+    console.error('Error downloading report pack:', error);
+    res.status(500).json({
+      error: 'Failed to download report pack'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+// routes/roles.js
+const express = require('express');
+const router = express.Router();
+const { pgPool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/access');
+
+// List the permissions a role can grant
+router.get('/permissions', authenticateToken, requirePermission('users:manage'), (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// List roles with their permissions, whether they require two-factor
+// authentication and how many users hold them
+router.get('/', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await pgPool.query(`
+      SELECT
+        r.name,
+        r.description,
+        r.require_two_factor,
+        COALESCE(array_agg(DISTINCT rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') as permissions,
+        COUNT(DISTINCT u.id)::int as user_count
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role = r.name
+      LEFT JOIN users u ON u.role = r.name
+      GROUP BY r.name, r.description, r.require_two_factor
+      ORDER BY r.name
+    `);
+    res.json({
+      roles: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({
+      error: 'Failed to fetch roles'
+    });
+  }
+});
+
+// Create a role. Body: { name, description, permissions: [...], requireTwoFactor }
+router.post('/', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { name, description = null, permissions = [], requireTwoFactor = false } = req.body;
+  if (!name) {
+    return res.status(400).json({ error: 'Role name is required' });
+  }
+  const invalid = findUnknownPermissions(permissions);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'INSERT INTO roles (name, description, require_two_factor) VALUES ($1, $2, $3)',
+      [name, description, Boolean(requireTwoFactor)]
+    );
+    await setRolePermissions(client, name, permissions);
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      role: { name, description, require_two_factor: Boolean(requireTwoFactor), permissions }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A role with this name already exists' });
+    }
+    console.error('Error creating role:', error);
+    res.status(500).json({
+      error: 'Failed to create role'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Update a role's description, permissions (replaced) and/or requireTwoFactor.
+// Users of a role that starts requiring 2FA must set it up at their next request.
+router.put('/:name', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { description, permissions, requireTwoFactor } = req.body;
+  if (permissions !== undefined) {
+    const invalid = findUnknownPermissions(permissions);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE roles SET
+         description = COALESCE($1, description),
+         require_two_factor = COALESCE($2, require_two_factor)
+       WHERE name = $3
+       RETURNING *`,
+      [description, requireTwoFactor === undefined ? null : Boolean(requireTwoFactor), req.params.name]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    if (permissions !== undefined) {
+      await setRolePermissions(client, req.params.name, permissions);
+    }
+
+    const permissionResult = await client.query(
+      'SELECT permission FROM role_permissions WHERE role = $1 ORDER BY permission',
+      [req.params.name]
+    );
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      role: { ...result.rows[0], permissions: permissionResult.rows.map(row => row.permission) }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating role:', error);
+    res.status(500).json({
+      error: 'Failed to update role'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a role that no user holds
+router.delete('/:name', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await pgPool.query('DELETE FROM roles WHERE name = $1 RETURNING name', [req.params.name]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(409).json({ error: 'This role is still assigned to users' });
+    }
+    console.error('Error deleting role:', error);
+    res.status(500).json({
+      error: 'Failed to delete role'
+    });
+  }
+});
+
+// --- Helper Functions ---
+function findUnknownPermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    return '"permissions" must be an array';
+  }
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  return unknown.length > 0
+    ? `Unknown permission(s): ${unknown.join(', ')}. Use any of: ${Object.keys(PERMISSIONS).join(', ')}`
+    : null;
+}
+
+async function setRolePermissions(client, role, permissions) {
+  await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+  for (const permission of new Set(permissions)) {
+    await client.query('INSERT INTO role_permissions (role, permission) VALUES ($1, $2)', [role, permission]);
+  }
+}
+
+module.exports = router;
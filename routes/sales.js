@@ -2,10 +2,18 @@
 const express = require('express');
 const router = express.Router();
 const { pgPool } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { exportable } = require('../middleware/export');
+const { HIERARCHY_LEVELS, resolveBranchScope, branchScopeCondition } = require('../services/hierarchy');
+const { setAuditContext } = require('../services/audit');
+const { visibleBranchIds } = require('../services/access');
+const { listAlerts, groupBySeverity, refreshAlerts } = require('../services/alerts');
+const { publishEvent } = require('../services/webhooks');
+const { getKpis } = require('../services/dashboard');
+const { notifyChange } = require('../services/liveUpdates');
 
 // Get all products
-router.get('/products', authenticateToken, async (req, res) => {
+router.get('/products', authenticateToken, exportable('products'), async (req, res) => {
   try {
     const { technology, star, tonnage } = req.query;
     
@@ -45,10 +53,12 @@ router.get('/products', authenticateToken, async (req, res) => {
 });
 
 // Get all branches
-router.get('/branches', authenticateToken, async (req, res) => {
+router.get('/branches', authenticateToken, exportable('branches'), async (req, res) => {
   try {
+    const params = [];
     const result = await pgPool.query(
-      'SELECT * FROM branches ORDER BY name'
+      `SELECT * FROM branches WHERE 1=1${branchScopeCondition(visibleBranchIds(req.user), 'id', params)} ORDER BY name`,
+      params
     );
     res.json({
       branches: result.rows
@@ -63,10 +73,11 @@ router.get('/branches', authenticateToken, async (req, res) => {
 });
 
 // Get inventory by branch
-router.get('/inventory/branch/:branchName', authenticateToken, async (req, res) => {
+router.get('/inventory/branch/:branchName', authenticateToken, exportable('branch-inventory'), async (req, res) => {
   try {
     const { branchName } = req.params;
 
+    const params = [branchName];
     const query = `
       SELECT 
         i.*,
@@ -79,11 +90,11 @@ router.get('/inventory/branch/:branchName', authenticateToken, async (req, res)
       FROM inventory i
       JOIN products p ON i.product_id = p.id
       JOIN branches b ON i.branch_id = b.id
-      WHERE b.name = $1
+      WHERE b.name = $1${branchScopeCondition(visibleBranchIds(req.user), 'b.id', params)}
       ORDER BY p.material
     `;
 
-    const result = await pgPool.query(query, [branchName]);
+    const result = await pgPool.query(query, params);
 
     // Calculate availability percentage for each item
     const inventoryWithMetrics = result.rows.map(item => ({
@@ -109,9 +120,25 @@ router.get('/inventory/branch/:branchName', authenticateToken, async (req, res)
   }
 });
 
-// Get region-wide inventory summary
-router.get('/inventory/region/:regionName', authenticateToken, async (req, res) => {
+// Get inventory summary for a zone, region, branch or 'National'
+router.get('/inventory/region/:regionName', authenticateToken, exportable('region-inventory'), async (req, res) => {
   try {
+    const { level } = req.query;
+    if (level && !HIERARCHY_LEVELS.includes(level)) {
+      return res.status(400).json({
+        error: `Invalid level. Use one of: ${HIERARCHY_LEVELS.join(', ')}`
+      });
+    }
+
+    const scope = await resolveBranchScope({ name: req.params.regionName, level });
+    if (!scope) {
+      return res.status(404).json({
+        error: `Region "${req.params.regionName}" not found`
+      });
+    }
+
+    const branchIds = visibleBranchIds(req.user, scope.branchIds);
+    const params = [];
     const query = `
       SELECT 
         p.material,
@@ -126,20 +153,25 @@ router.get('/inventory/region/:regionName', authenticateToken, async (req, res)
         SUM(i.month_plan) as total_month_plan
       FROM inventory i
       JOIN products p ON i.product_id = p.id
+      WHERE 1=1${branchScopeCondition(branchIds, 'i.branch_id', params)}
       GROUP BY p.id, p.material, p.tonnage, p.star, p.technology, p.price
       ORDER BY p.material
     `;
 
-    const result = await pgPool.query(query);
+    const result = await pgPool.query(query, params);
 
     // Calculate aggregated metrics
-    const inventoryWithMetrics = result.rows.map(item => ({
-      ...item,
-      total_available: item.total_avl_stock + item.total_transit,
-      availability_percentage: item.total_month_plan > 0 
-        ? Math.round(((item.total_avl_stock + item.total_transit) / item.total_month_plan) * 100)
-        : 0
-    }));
+    const inventoryWithMetrics = result.rows.map(item => {
+      const totalAvailable = (parseInt(item.total_avl_stock) || 0) + (parseInt(item.total_transit) || 0);
+      const totalPlan = parseInt(item.total_month_plan) || 0;
+      return {
+        ...item,
+        total_available: totalAvailable,
+        availability_percentage: totalPlan > 0
+          ? Math.round((totalAvailable / totalPlan) * 100)
+          : 0
+      };
+    });
 
     // Calculate totals
     const totals = inventoryWithMetrics.reduce((acc, item) => {
@@ -162,7 +194,9 @@ router.get('/inventory/region/:regionName', authenticateToken, async (req, res)
       : 0;
 
     res.json({
-      region: req.params.regionName,
+      region: scope.name,
+      level: scope.level,
+      branchCount: branchIds ? branchIds.length : null,
       inventory: inventoryWithMetrics,
       totals
     });
@@ -178,46 +212,31 @@ router.get('/inventory/region/:regionName', authenticateToken, async (req, res)
 // Get KPIs for dashboard
 router.get('/kpis', authenticateToken, async (req, res) => {
   try {
-    const { branch } = req.query;
-    
-    // MODIFIED: Cast multiplied values to bigint to prevent "integer out of range" error
-    let inventoryQuery = `
-      SELECT 
-        SUM(i.avl_stock) as total_stock,
-        SUM(i.transit) as total_transit,
-        SUM(i.billing) as total_billing,
-        SUM(i.month_plan) as total_plan,
-        SUM(i.avl_stock::bigint * p.price::bigint) as inventory_value
-      FROM inventory i
-      JOIN products p ON i.product_id = p.id
-    `;
-
-    const params = [];
-    if (branch) {
-      inventoryQuery += ` JOIN branches b ON i.branch_id = b.id WHERE b.name = $1`;
-      params.push(branch);
+    const { branch, region, level } = req.query;
+    if (level && !HIERARCHY_LEVELS.includes(level)) {
+      return res.status(400).json({
+        error: `Invalid level. Use one of: ${HIERARCHY_LEVELS.join(', ')}`
+      });
     }
 
-    const inventoryResult = await pgPool.query(inventoryQuery, params);
-    const data = inventoryResult.rows[0];
-
-    const availability = data.total_plan > 0 
-      ? Math.round(((parseInt(data.total_stock) + parseInt(data.total_transit)) / parseInt(data.total_plan)) * 100)
-      : 0;
-
-    const planAchievement = data.total_plan > 0
-      ? Math.round((parseInt(data.total_billing) / parseInt(data.total_plan)) * 100)
-      : 0;
+    let scope = null;
+    if (region) {
+      scope = await resolveBranchScope({ name: region, level });
+      if (!scope) {
+        return res.status(404).json({
+          error: `Region "${region}" not found`
+        });
+      }
+    }
+    
+    const kpis = await getKpis({
+      branchIds: visibleBranchIds(req.user, scope && scope.branchIds),
+      branchName: branch || null
+    });
 
     res.json({
-      kpis: {
-        availability_percentage: availability,
-        plan_achievement_percentage: planAchievement,
-        available_stock: parseInt(data.total_stock) || 0,
-        inventory_value_cr: (parseInt(data.inventory_value) / 10000000).toFixed(2),
-        total_billing: parseInt(data.total_billing) || 0,
-        total_plan: parseInt(data.total_plan) || 0
-      }
+      scope: scope ? { name: scope.name, level: scope.level } : null,
+      kpis
     });
 
   } catch (error) {
@@ -228,59 +247,14 @@ router.get('/kpis', authenticateToken, async (req, res) => {
   }
 });
 
-// Get critical alerts
-router.get('/alerts', authenticateToken, async (req, res) => {
+// Get the open and acknowledged stock alerts, by severity. The rules that
+// raise them are managed under /api/alerts/rules.
+router.get('/alerts', authenticateToken, exportable('alerts'), async (req, res) => {
   try {
-    // Find products with zero stock but have a plan
-    const criticalQuery = `
-      SELECT 
-        p.material,
-        p.tonnage,
-        p.star,
-        p.technology,
-        b.name as branch_name,
-        i.month_plan,
-        i.avl_stock,
-        i.transit
-      FROM inventory i
-      JOIN products p ON i.product_id = p.id
-      JOIN branches b ON i.branch_id = b.id
-      WHERE i.avl_stock = 0 AND i.month_plan > 0
-      ORDER BY i.month_plan DESC
-      LIMIT 10
-    `;
-
-    const criticalResult = await pgPool.query(criticalQuery);
-
-    // Find products with low stock (< 20% of plan)
-    const lowStockQuery = `
-      SELECT 
-        p.material,
-        p.tonnage,
-        p.star,
-        p.technology,
-        b.name as branch_name,
-        i.month_plan,
-        i.avl_stock,
-        i.transit,
-        ROUND(((i.avl_stock + i.transit)::numeric / NULLIF(i.month_plan, 0)) * 100, 2) as availability_percentage
-      FROM inventory i
-      JOIN products p ON i.product_id = p.id
-      JOIN branches b ON i.branch_id = b.id
-      WHERE i.month_plan > 0 
-        AND ((i.avl_stock + i.transit)::numeric / i.month_plan) < 0.2
-        AND i.avl_stock > 0
-      ORDER BY availability_percentage ASC
-      LIMIT 10
-    `;
-
-    const lowStockResult = await pgPool.query(lowStockQuery);
+    const alerts = await listAlerts({ branchIds: visibleBranchIds(req.user), limit: null });
 
     res.json({
-      alerts: {
-        critical: criticalResult.rows,
-        lowStock: lowStockResult.rows
-      }
+      alerts: groupBySeverity(alerts)
     });
 
   } catch (error) {
@@ -291,15 +265,21 @@ router.get('/alerts', authenticateToken, async (req, res) => {
   }
 });
 
-// Update inventory (for admin users)
-router.put('/inventory/:productId/:branchId', authenticateToken, async (req, res) => {
+// Update inventory (for admin users).
+// The previous values, the user and the time are kept in the audit log.
+router.put('/inventory/:productId/:branchId', authenticateToken, requirePermission('inventory:write'), async (req, res) => {
+  // Branch-scoped users may only edit their own branches
+  const visible = visibleBranchIds(req.user);
+  if (visible && !visible.includes(parseInt(req.params.branchId))) {
+    return res.status(403).json({
+      error: 'Insufficient permissions to update inventory of this branch'
+    });
+  }
+
+  const client = await pgPool.connect();
   try {
-    // Check if user has permission
-    if (req.user.role !== 'smart_user') {
-      return res.status(403).json({
-        error: 'Insufficient permissions to update inventory'
-      });
-    }
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'inventory_edit' });
 
     const { productId, branchId } = req.params;
     const { op_stock, avl_stock, transit, billing, month_plan } = req.body;
@@ -317,7 +297,7 @@ router.put('/inventory/:productId/:branchId', authenticateToken, async (req, res
       RETURNING *
     `;
 
-    const result = await pgPool.query(updateQuery, [
+    const result = await client.query(updateQuery, [
       op_stock,
       avl_stock,
       transit,
@@ -328,27 +308,41 @@ router.put('/inventory/:productId/:branchId', authenticateToken, async (req, res
     ]);
 
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         error: 'Inventory record not found'
       });
     }
 
+    await client.query('COMMIT');
+    await publishEvent('inventory.updated', {
+      productId: parseInt(productId),
+      branchId: parseInt(branchId),
+      inventory: result.rows[0],
+      updatedBy: req.user.username
+    });
+    await notifyChange('inventory', { branchIds: [parseInt(branchId)] });
+    await refreshAlerts('inventory edit');
     res.json({
       success: true,
       inventory: result.rows[0]
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error updating inventory:', error);
     res.status(500).json({
       error: 'Failed to update inventory'
     });
+  } finally {
+    client.release();
   }
 });
 
 // Get sales summary by technology
-router.get('/summary/technology', authenticateToken, async (req, res) => {
+router.get('/summary/technology', authenticateToken, exportable('technology-summary'), async (req, res) => {
   try {
+    const params = [];
     const query = `
       SELECT 
         p.technology,
@@ -358,11 +352,12 @@ router.get('/summary/technology', authenticateToken, async (req, res) => {
         SUM(i.avl_stock * p.price) as inventory_value
       FROM inventory i
       JOIN products p ON i.product_id = p.id
+      WHERE 1=1${branchScopeCondition(visibleBranchIds(req.user), 'i.branch_id', params)}
       GROUP BY p.technology
       ORDER BY total_sales DESC
     `;
 
-    const result = await pgPool.query(query);
+    const result = await pgPool.query(query, params);
 
     res.json({
       summary: result.rows
@@ -377,8 +372,23 @@ router.get('/summary/technology', authenticateToken, async (req, res) => {
 });
 
 // Get region summary data (for Region Summary tab)
-router.get('/region-summary', authenticateToken, async (req, res) => {
+router.get('/region-summary', authenticateToken, exportable('region-summary'), async (req, res) => {
   try {
+    const { region = 'National', level } = req.query;
+    if (level && !HIERARCHY_LEVELS.includes(level)) {
+      return res.status(400).json({
+        error: `Invalid level. Use one of: ${HIERARCHY_LEVELS.join(', ')}`
+      });
+    }
+
+    const scope = await resolveBranchScope({ name: region, level });
+    if (!scope) {
+      return res.status(404).json({
+        error: `Region "${region}" not found`
+      });
+    }
+
+    const params = [];
     const query = `
       SELECT 
         p.material,
@@ -396,11 +406,12 @@ router.get('/region-summary', authenticateToken, async (req, res) => {
         SUM(GREATEST(0, (i.avl_stock + i.transit) - i.month_plan)) as excess
       FROM inventory i
       JOIN products p ON i.product_id = p.id
+      WHERE 1=1${branchScopeCondition(visibleBranchIds(req.user, scope.branchIds), 'i.branch_id', params)}
       GROUP BY p.id, p.material, p.tonnage, p.star, p.technology
       ORDER BY p.material
     `;
 
-    const result = await pgPool.query(query);
+    const result = await pgPool.query(query, params);
 
     // Calculate availability percentage for each item
     const summaryData = result.rows.map(item => ({
@@ -431,6 +442,7 @@ router.get('/region-summary', authenticateToken, async (req, res) => {
     });
 
     res.json({
+      scope: { name: scope.name, level: scope.level },
       summary: summaryData,
       totals
     });
@@ -444,8 +456,9 @@ router.get('/region-summary', authenticateToken, async (req, res) => {
 });
 
 // Get coverage analysis data
-router.get('/coverage-analysis', authenticateToken, async (req, res) => {
+router.get('/coverage-analysis', authenticateToken, exportable('coverage-analysis'), async (req, res) => {
   try {
+    const params = [];
     const branchDataQuery = `
       SELECT 
         b.name as branch_name,
@@ -455,11 +468,12 @@ router.get('/coverage-analysis', authenticateToken, async (req, res) => {
         COUNT(DISTINCT i.product_id) as product_count
       FROM branches b
       LEFT JOIN inventory i ON b.id = i.branch_id
+      WHERE 1=1${branchScopeCondition(visibleBranchIds(req.user), 'b.id', params)}
       GROUP BY b.id, b.name, b.penetration
       ORDER BY total_sales DESC
     `;
 
-    const result = await pgPool.query(branchDataQuery);
+    const result = await pgPool.query(branchDataQuery, params);
     const branches = result.rows;
 
     // Calculate summary metrics
@@ -488,10 +502,11 @@ router.get('/coverage-analysis', authenticateToken, async (req, res) => {
 });
 
 // Get product analytics data with filters
-router.get('/product-analytics', authenticateToken, async (req, res) => {
+router.get('/product-analytics', authenticateToken, exportable('product-analytics'), async (req, res) => {
   try {
     const { star, technology, tonnage } = req.query;
     
+    const params = [];
     let query = `
       SELECT 
         p.*,
@@ -499,12 +514,11 @@ router.get('/product-analytics', authenticateToken, async (req, res) => {
         SUM(i.billing) as total_sales,
         SUM(i.month_plan) as total_plan
       FROM products p
-      LEFT JOIN inventory i ON p.id = i.product_id
+      LEFT JOIN inventory i ON p.id = i.product_id${branchScopeCondition(visibleBranchIds(req.user), 'i.branch_id', params)}
       WHERE 1=1
     `;
     
-    const params = [];
-    let paramCount = 1;
+    let paramCount = params.length + 1;
 
     if (star) {
       query += ` AND p.star = ANY($${paramCount}::int[])`;
@@ -555,7 +569,7 @@ router.get('/product-analytics', authenticateToken, async (req, res) => {
 });
 
 // Get product breakdown by category
-router.get('/product-breakdown', authenticateToken, async (req, res) => {
+router.get('/product-breakdown', authenticateToken, exportable('product-breakdown'), async (req, res) => {
   try {
     const { groupBy = 'technology' } = req.query;
     
@@ -571,6 +585,7 @@ router.get('/product-breakdown', authenticateToken, async (req, res) => {
         groupField = "CASE WHEN p.technology = 'H&C Inv' THEN 'Inverter' ELSE p.technology END";
     }
     
+    const params = [];
     const query = `
       SELECT 
         ${groupField} as category,
@@ -578,12 +593,12 @@ router.get('/product-breakdown', authenticateToken, async (req, res) => {
         SUM(i.avl_stock) as total_stock,
         SUM(i.billing) as total_sales
       FROM products p
-      LEFT JOIN inventory i ON p.id = i.product_id
+      LEFT JOIN inventory i ON p.id = i.product_id${branchScopeCondition(visibleBranchIds(req.user), 'i.branch_id', params)}
       GROUP BY category
       ORDER BY total_stock DESC
     `;
 
-    const result = await pgPool.query(query);
+    const result = await pgPool.query(query, params);
 
     res.json({
       breakdown: result.rows
@@ -1,9 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const xlsx = require('xlsx');
 const { pgPool } = require('../config/database');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { captureInventorySnapshot } = require('../services/snapshots');
+const { refreshAlerts } = require('../services/alerts');
+const { publishEvent } = require('../services/webhooks');
+const { notifyChange } = require('../services/liveUpdates');
+const { setAuditContext } = require('../services/audit');
+const { parseUploadedWorkbook, resolveWorkbookProfiles, importWorkbook, changedBranches, describeInventoryChange } = require('../services/inventoryImport');
+const { branchesOutsideScope } = require('../services/access');
+const { getProfile } = require('../services/columnMappings');
+const {
+  fileChecksum,
+  findCommittedBatchByChecksum,
+  recordImportBatch,
+  listImportBatches,
+  getImportBatch,
+  revertImportBatch
+} = require('../services/importBatches');
 
 // --- Multer Configuration for file uploads ---
 // Store files in memory to be processed before saving to disk or DB.
@@ -12,204 +27,333 @@ const upload = multer({ storage: storage });
 
 /**
  * Main upload endpoint.
- * Handles both Excel inventory files and CSV sales files.
- * Protected route, only accessible by 'smart_user'.
+ * Handles CSV files and Excel workbooks. Every sheet of a workbook is imported
+ * in the same transaction, masters (branches, products) before figures. Each
+ * sheet is read through a mapping profile: one named in the "sheets" field
+ * (JSON of sheet name to profile name, or "skip"), else one picked by the
+ * sheet name, else the one whose header signature matches. For a single-sheet
+ * file the "profile" field picks the profile.
+ * Every import is recorded as a batch so it can be reviewed and reverted.
+ * Re-uploading a file that is already imported is refused unless
+ * allowDuplicate=true is sent, since the sales format adds to existing figures.
+ * Requires the 'upload:run' permission.
  */
-router.post('/', authenticateToken, authorizeRole('smart_user'), upload.single('file'), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('upload:run'), upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded.' });
   }
 
+  const options = readImportOptions(req);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+  let sheets;
+  try {
+    sheets = parseUploadedWorkbook(req.file);
+  } catch (error) {
+    return res.status(400).json({ error: 'The uploaded file could not be read.', details: error.message });
+  }
+  if (sheets.every(sheet => !sheet.rows || sheet.rows.length === 0)) {
+    return res.status(400).json({ error: 'No data found in the uploaded file or file is empty.' });
+  }
+
+  let resolved;
+  try {
+    const missingProfile = await findMissingProfile(options);
+    if (missingProfile) {
+      return res.status(400).json({ error: `Column mapping profile "${missingProfile}" not found.` });
+    }
+    resolved = await resolveWorkbookProfiles(pgPool, sheets, options);
+  } catch (error) {
+    console.error('File upload processing error:', error);
+    return res.status(500).json({ error: 'Failed to process file.' });
+  }
+  if (resolved.every(entry => !entry.profile)) {
+    return res.status(422).json({
+      error: 'None of the sheets in the file could be matched to an importer.',
+      sheets: resolved.map(({ sheet, reason }) => ({ sheet: sheet.sheetName, reason }))
+    });
+  }
+
+  const checksum = fileChecksum(req.file.buffer);
+  const allowDuplicate = req.body.allowDuplicate === 'true' || req.query.allowDuplicate === 'true';
+
   const client = await pgPool.connect();
   try {
     await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'upload' });
 
-    let data;
-    // Process based on file type
-    if (req.file.mimetype === 'text/csv' || req.file.originalname.endsWith('.csv')) {
-      // For CSV files
-      const fileContent = req.file.buffer.toString('utf8');
-      const workbook = xlsx.read(fileContent, { type: 'string' });
-      const sheetName = workbook.SheetNames[0];
-      data = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName]);
-    } else {
-      // For Excel files (xlsx, xls)
-      const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
-      const sheetName = workbook.SheetNames[0];
-      data = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName]);
+    const duplicateOf = await findCommittedBatchByChecksum(client, checksum);
+    if (duplicateOf && !allowDuplicate) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: `This file was already imported as batch #${duplicateOf.id}. Revert that batch or resend with allowDuplicate=true.`,
+        duplicateOf
+      });
     }
 
-    if (!data || data.length === 0) {
-        throw new Error("No data found in the uploaded file or file is empty.");
+    // Process the extracted data
+    console.log(`Processing uploaded data (${sheets.length} sheet(s))...`);
+    const result = await importWorkbook(client, resolved);
+    const imported = result.sheets.filter(sheet => sheet.status === 'imported');
+    console.log(`Imported ${imported.length} sheet(s): ${result.summary.accepted} of ${result.summary.total} rows accepted.`);
+
+    // Branch-scoped users may only write to their own branches, as with PUT /api/sales/inventory
+    const hiddenBranches = branchesOutsideScope(req.user, changedBranches(result));
+    if (hiddenBranches.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        error: `This file changes branches you do not have access to: ${hiddenBranches.map(branch => branch.name).join(', ')}.`
+      });
     }
 
-    // Process the extracted data
-    await processInventoryData(data, client);
+    const batch = await recordImportBatch(client, {
+      userId: req.user.id,
+      fileName: req.file.originalname,
+      checksum,
+      format: imported.length === 1 ? imported[0].format : 'workbook',
+      profileName: imported.length === 1 ? imported[0].profile : null,
+      summary: result.summary,
+      sheets: result.sheets.map(({ rows, ...sheet }) => sheet)
+    }, result.inventoryChanges, result.masterChanges);
+
+    // Record the post-import state so trend charts have history
+    await captureInventorySnapshot(client, {
+      source: 'upload',
+      userId: req.user.id,
+      notes: req.file.originalname
+    });
 
     await client.query('COMMIT');
-    res.status(200).json({ success: true, message: 'File processed and data imported successfully.' });
+    await publishEvent('upload.completed', {
+      batchId: batch.id,
+      source: 'file',
+      fileName: req.file.originalname,
+      format: batch.format,
+      profile: batch.profile_name,
+      summary: result.summary,
+      uploadedBy: req.user.username
+    });
+    await notifyChange('import', {
+      branchIds: result.inventoryChanges.map(change => change.branchId),
+      data: { action: 'completed', batchId: batch.id, source: 'file', fileName: req.file.originalname, summary: result.summary, by: req.user.username }
+    });
+    await refreshAlerts('upload');
+    res.status(200).json({
+      success: true,
+      message: 'File processed and data imported successfully.',
+      batchId: batch.id,
+      format: batch.format,
+      profile: batch.profile_name,
+      summary: result.summary,
+      sheets: result.sheets.map(({ rows, ...sheet }) => ({
+        ...sheet,
+        rejectedRows: rows.filter(row => row.status !== 'accepted')
+      }))
+    });
 
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('File upload processing error:', error);
-    res.status(500).json({ error: 'Failed to process file.', details: error.message });
+    res.status(500).json({ error: 'Failed to process file.' });
   } finally {
     client.release();
   }
 });
 
+/**
+ * Dry-run of the upload endpoint.
+ * Runs the whole import inside a transaction that is always rolled back, then
+ * reports the result of every row of every sheet and the inventory and master
+ * data changes the import would make. Nothing is kept.
+ */
+router.post('/preview', authenticateToken, requirePermission('upload:run'), upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded.' });
+  }
 
-// --- Data Processing Logic ---
+  const options = readImportOptions(req);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+  try {
+    const missingProfile = await findMissingProfile(options);
+    if (missingProfile) {
+      return res.status(400).json({ error: `Column mapping profile "${missingProfile}" not found.` });
+    }
+  } catch (error) {
+    console.error('File preview error:', error);
+    return res.status(500).json({ error: 'Failed to preview file.' });
+  }
 
-// Determines which processing function to call based on data columns.
-async function processInventoryData(data, client) {
-  console.log('Processing uploaded data...');
-  
-  const isCSVSalesData = data.length > 0 && 
-    data[0].hasOwnProperty('Item Code') && 
-    data[0].hasOwnProperty('Sales Qty.') &&
-    data[0].hasOwnProperty('Branch');
+  let sheets;
+  try {
+    sheets = parseUploadedWorkbook(req.file);
+  } catch (error) {
+    return res.status(400).json({ error: 'The uploaded file could not be read.', details: error.message });
+  }
+  if (sheets.every(sheet => !sheet.rows || sheet.rows.length === 0)) {
+    return res.status(400).json({ error: 'No data found in the uploaded file or file is empty.' });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
 
-  if (isCSVSalesData) {
-    await processCSVSalesData(data, client);
-  } else {
-    // Fallback to assuming it's direct inventory data
-    await processExcelInventoryData(data, client);
+    const duplicateOf = await findCommittedBatchByChecksum(client, fileChecksum(req.file.buffer));
+    const result = await importWorkbook(client, await resolveWorkbookProfiles(client, sheets, options));
+
+    await client.query('ROLLBACK');
+
+    res.json({
+      fileName: req.file.originalname,
+      duplicateOf,
+      summary: result.summary,
+      sheets: result.sheets.map(sheet => ({
+        ...sheet,
+        headers: sheets.find(s => s.sheetName === sheet.sheet).headers
+      })),
+      deltas: result.inventoryChanges.map(describeInventoryChange),
+      masterChanges: result.masterChanges
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('File preview error:', error);
+    res.status(500).json({ error: 'Failed to preview file.' });
+  } finally {
+    client.release();
   }
-}
+});
 
-// Handles data from the FinalSales.csv format
-async function processCSVSalesData(data, client) {
-  console.log("Detected sales data format. Converting to inventory records...");
-  const products = new Map();
-  const branches = new Set(data.map(row => row.Branch).filter(Boolean));
-
-  // First pass: aggregate all unique products
-  data.forEach(row => {
-    const itemCode = row['Item Code'];
-    if (itemCode && !products.has(itemCode)) {
-      products.set(itemCode, {
-        material: itemCode,
-        tonnage: parseFloat(row['Tonnage']) || 1.0,
-        star: parseInt(row['Star rating']) || 3,
-        technology: row['Technology'] || 'Non Inv',
-        price: generateProductPrice(row)
-      });
+// List import batches, newest first
+router.get('/batches', authenticateToken, requirePermission('upload:run'), async (req, res) => {
+  try {
+    const batches = await listImportBatches({
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({ batches });
+
+  } catch (error) {
+    console.error('Error fetching import batches:', error);
+    res.status(500).json({ error: 'Failed to fetch import batches.' });
+  }
+});
+
+// Get one batch with every inventory and master row it changed (before and after values)
+router.get('/batches/:batchId', authenticateToken, requirePermission('upload:run'), async (req, res) => {
+  try {
+    const batch = await getImportBatch(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found.' });
     }
-  });
-
-  // Insert branches and products
-  for (const branchName of branches) {
-    await client.query(`INSERT INTO branches (name, state) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING`, [branchName, getStateForBranch(branchName)]);
-  }
-  for (const product of products.values()) {
-    await client.query(`INSERT INTO products (material, tonnage, star, technology, price) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (material) DO NOTHING`, [product.material, product.tonnage, product.star, product.technology, product.price]);
-  }
-
-  // Get maps for IDs
-  const [productRows, branchRows] = await Promise.all([
-    client.query('SELECT id, material FROM products'),
-    client.query('SELECT id, name FROM branches')
-  ]);
-  const productMap = new Map(productRows.rows.map(p => [p.material, p.id]));
-  const branchMap = new Map(branchRows.rows.map(b => [b.name, b.id]));
-
-  // Aggregate sales quantities
-  const inventory = new Map();
-  data.forEach(row => {
-    const key = `${row['Item Code']}-${row.Branch}`;
-    const salesQty = parseFloat(row['Sales Qty.']) || 0;
-    if (salesQty > 0) {
-      if (!inventory.has(key)) {
-        inventory.set(key, { totalSales: 0 });
+    res.json({ batch });
+
+  } catch (error) {
+    console.error('Error fetching import batch:', error);
+    res.status(500).json({ error: 'Failed to fetch import batch.' });
+  }
+});
+
+// Revert a batch to the values that were there before it was imported.
+// Branches and products it created are kept and listed in masterKept.
+// Rows edited since the import are reported back; send { "force": true } to revert anyway.
+router.post('/batches/:batchId/revert', authenticateToken, requirePermission('upload:run'), async (req, res) => {
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'upload_revert' });
+
+    const result = await revertImportBatch(client, req.params.batchId, {
+      userId: req.user.id,
+      force: req.body.force === true
+    });
+
+    if (result.status !== 'reverted') {
+      await client.query('ROLLBACK');
+      if (result.status === 'not_found') {
+        return res.status(404).json({ error: 'Import batch not found.' });
       }
-      inventory.get(key).totalSales += salesQty;
-    }
-  });
-
-  // Insert/Update inventory records
-  for (const [key, invData] of inventory.entries()) {
-    const [itemCode, branchName] = key.split('-');
-    const productId = productMap.get(itemCode);
-    const branchId = branchMap.get(branchName);
-
-    if (productId && branchId) {
-      const billing = Math.round(invData.totalSales);
-      // Simulate other inventory fields based on sales
-      const monthPlan = Math.round(billing * 1.2);
-      const availStock = Math.round(billing * 0.5);
-      const transit = Math.round(billing * 0.2);
-      const opStock = availStock + billing - transit;
-
-      await client.query(
-        `INSERT INTO inventory (product_id, branch_id, op_stock, avl_stock, transit, billing, month_plan)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
-         ON CONFLICT (product_id, branch_id) DO UPDATE SET
-           op_stock = inventory.op_stock + EXCLUDED.op_stock,
-           avl_stock = inventory.avl_stock + EXCLUDED.avl_stock,
-           transit = inventory.transit + EXCLUDED.transit,
-           billing = inventory.billing + EXCLUDED.billing,
-           month_plan = inventory.month_plan + EXCLUDED.month_plan,
-           updated_at = CURRENT_TIMESTAMP`,
-        [productId, branchId, opStock, availStock, transit, billing, monthPlan]
-      );
+      if (result.status === 'already_reverted') {
+        return res.status(409).json({ error: `Batch #${result.batch.id} was already reverted.` });
+      }
+      return res.status(409).json({
+        error: 'Some rows changed after this import. Send force=true to revert them anyway.',
+        conflicts: result.conflicts
+      });
     }
+
+    await captureInventorySnapshot(client, {
+      source: 'revert',
+      userId: req.user.id,
+      notes: `Reverted import batch #${result.batch.id}`
+    });
+
+    await client.query('COMMIT');
+    await publishEvent('upload.reverted', {
+      batchId: result.batch.id,
+      restored: result.restored,
+      deleted: result.deleted,
+      masterRestored: result.masterRestored,
+      masterKept: result.masterKept,
+      revertedBy: req.user.username
+    });
+    await notifyChange('import', {
+      branchIds: result.branchIds,
+      data: { action: 'reverted', batchId: result.batch.id, restored: result.restored, deleted: result.deleted, by: req.user.username }
+    });
+    await refreshAlerts('import batch revert');
+    res.json({
+      success: true,
+      batch: result.batch,
+      restored: result.restored,
+      deleted: result.deleted,
+      masterRestored: result.masterRestored,
+      masterKept: result.masterKept,
+      overwrittenConflicts: result.conflicts
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Import batch revert error:', error);
+    res.status(500).json({ error: 'Failed to revert import batch.' });
+  } finally {
+    client.release();
   }
-}
+});
+
+// --- Helper Functions ---
+// Profiles can be chosen with "profile" (single-sheet files) and "sheets"
+// (JSON object of sheet name to profile name) form fields or query parameters
+function readImportOptions(req) {
+  const body = req.body || {};
+  const profileName = body.profile || req.query.profile || undefined;
+  const rawSheets = body.sheets || req.query.sheets;
 
-// Handles direct inventory upload format
-async function processExcelInventoryData(data, client) {
-    console.log("Detected direct inventory data format.");
-  for (const row of data) {
-    const material = row.material || row.Material;
-    const branchName = row.branch || row.Branch;
-
-    if (!material || !branchName) continue;
-
-    const productResult = await client.query('SELECT id FROM products WHERE material = $1', [material]);
-    const branchResult = await client.query('SELECT id FROM branches WHERE name = $1', [branchName]);
-
-    if (productResult.rows.length > 0 && branchResult.rows.length > 0) {
-      const productId = productResult.rows[0].id;
-      const branchId = branchResult.rows[0].id;
-      await client.query(
-        `INSERT INTO inventory (product_id, branch_id, op_stock, avl_stock, transit, billing, month_plan)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
-         ON CONFLICT (product_id, branch_id) DO UPDATE SET 
-           op_stock = EXCLUDED.op_stock, avl_stock = EXCLUDED.avl_stock, transit = EXCLUDED.transit,
-           billing = EXCLUDED.billing, month_plan = EXCLUDED.month_plan, updated_at = CURRENT_TIMESTAMP`,
-        [
-          productId, branchId,
-          parseInt(row.op_stock || row['Op Stock'] || 0),
-          parseInt(row.avl_stock || row['Avl Stock'] || 0),
-          parseInt(row.transit || row.Transit || 0),
-          parseInt(row.billing || row.Billing || 0),
-          parseInt(row.month_plan || row['Month Plan'] || 0)
-        ]
-      );
+  let sheetProfiles = {};
+  if (rawSheets) {
+    try {
+      sheetProfiles = typeof rawSheets === 'string' ? JSON.parse(rawSheets) : rawSheets;
+    } catch (parseError) {
+      return { error: '"sheets" must be a JSON object of sheet name to profile name.' };
+    }
+    if (!sheetProfiles || typeof sheetProfiles !== 'object' || Array.isArray(sheetProfiles)) {
+      return { error: '"sheets" must be a JSON object of sheet name to profile name.' };
     }
   }
-}
 
-// --- Helper Functions ---
-function generateProductPrice(row) {
-  const tonnage = parseFloat(row['Tonnage']) || 1.0;
-  const star = parseInt(row['Star rating']) || 3;
-  const technology = row['Technology'] || 'Non Inv';
-  let basePrice = 25000;
-  basePrice += (tonnage - 0.8) * 15000;
-  basePrice += (star - 1) * 5000;
-  if (technology.includes('Inv')) basePrice += 10000;
-  return Math.round(basePrice);
+  return { profileName, sheetProfiles };
 }
 
-function getStateForBranch(branch) {
-  const stateMap = {
-    'Chennai': 'Tamil Nadu', 'Bangalore': 'Karnataka', 'Hyderabad': 'Telangana',
-    'Vijayawada': 'Andhra Pradesh', 'Cochin': 'Kerala', 'Mumbai': 'Maharashtra',
-    'Delhi': 'Delhi', 'Kolkata': 'West Bengal', 'Pune': 'Maharashtra', 'Ahmedabad': 'Gujarat'
-  };
-  return stateMap[branch] || 'Unknown';
+// Returns the first requested profile name that doesn't exist, if any
+async function findMissingProfile({ profileName, sheetProfiles }) {
+  const names = [profileName, ...Object.values(sheetProfiles)]
+    .filter(name => name && name !== 'skip');
+  for (const name of names) {
+    if (!(await getProfile(pgPool, name))) return name;
+  }
+  return null;
 }
 
 // --- IMPORTANT: Export the router ---
@@ -0,0 +1,512 @@
+// routes/users.js
+const express = require('express');
+const router = express.Router();
+const { pgPool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { SCOPE_LEVELS, loadUserAccess, listUserScopes, replaceUserScopes } = require('../services/access');
+const { setAuditContext } = require('../services/audit');
+const { revokeUserSessions } = require('../services/sessions');
+const { LOGIN_ATTEMPT_REASONS, listLoginAttempts, unlockUser } = require('../services/loginAttempts');
+const { disableTwoFactor } = require('../services/twoFactor');
+const {
+  PUBLIC_COLUMNS,
+  generateTemporaryPassword,
+  validatePassword,
+  createUser,
+  setPassword,
+  roleExists
+} = require('../services/users');
+
+// Every route here requires the 'users:manage' permission, and every change is
+// written to the audit log (source 'user_admin') by the users table triggers.
+
+// List users. Filters: ?role=, ?active=true|false, ?locked=true, ?search= (username, name or e-mail)
+router.get('/', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { role, active, locked, search } = req.query;
+
+    const params = [];
+    let query = `SELECT ${PUBLIC_COLUMNS} FROM users WHERE 1=1`;
+    if (role) {
+      params.push(role);
+      query += ` AND role = $${params.length}`;
+    }
+    if (active === 'true' || active === 'false') {
+      params.push(active === 'true');
+      query += ` AND is_active = $${params.length}`;
+    }
+    if (locked === 'true') {
+      query += ' AND locked_until > NOW()';
+    }
+    if (search) {
+      params.push(`%${search}%`);
+      query += ` AND (username ILIKE $${params.length} OR full_name ILIKE $${params.length} OR email ILIKE $${params.length})`;
+    }
+    query += ' ORDER BY username';
+
+    const result = await pgPool.query(query, params);
+    res.json({
+      users: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      error: 'Failed to fetch users'
+    });
+  }
+});
+
+// Recent login attempts, newest first.
+// Filters: ?username=, ?ip=, ?success=true|false, ?reason=, ?from=, ?to=, ?limit=, ?offset=
+router.get('/login-attempts', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { username, ip, success, reason, from, to } = req.query;
+
+    if (reason && !LOGIN_ATTEMPT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Invalid reason. Use one of: ${LOGIN_ATTEMPT_REASONS.join(', ')}` });
+    }
+    const fromDate = parseDate(from, false);
+    const toDate = parseDate(to, true);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ error: 'from and to must be ISO dates, e.g. 2025-07-01' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { attempts, total } = await listLoginAttempts({
+      username: username || null,
+      ip: ip || null,
+      success: success === 'true' || success === 'false' ? success === 'true' : null,
+      reason: reason || null,
+      from: fromDate,
+      to: toDate,
+      limit,
+      offset
+    });
+
+    res.json({
+      attempts,
+      total,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('Error fetching login attempts:', error);
+    res.status(500).json({
+      error: 'Failed to fetch login attempts'
+    });
+  }
+});
+
+// Get one user, with their branch scopes
+router.get('/:userId', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await pgPool.query(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = $1`, [req.params.userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({
+      user: { ...result.rows[0], scopes: await listUserScopes(req.params.userId) }
+    });
+
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user'
+    });
+  }
+});
+
+// Create a user.
+// Body: { username, fullName, email, role, password, scopes }. Without a password a
+// temporary one is generated and returned once; either way the user must
+// choose their own password at first login.
+router.post('/', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { username, fullName = null, email = null, role, scopes = [] } = req.body;
+  if (!username || !role) {
+    return res.status(400).json({ error: 'Username and role are required' });
+  }
+  if (!Array.isArray(scopes) || scopes.some(scope => !scope || !SCOPE_LEVELS.includes(scope.level) || !scope.name)) {
+    return res.status(400).json({
+      error: `"scopes" must be a list of { level, name } with level one of: ${SCOPE_LEVELS.join(', ')}`
+    });
+  }
+  const temporaryPassword = req.body.password ? null : generateTemporaryPassword();
+  const password = req.body.password || temporaryPassword;
+  const passwordError = validatePassword(password, { username });
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'user_admin' });
+
+    if (!(await roleExists(client, role))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Role "${role}" does not exist` });
+    }
+
+    const user = await createUser(client, { username, password, fullName, email, role, mustChangePassword: true });
+    const notFound = await replaceUserScopes(client, user.id, scopes);
+    if (notFound.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: `Not found: ${notFound.join(', ')}` });
+    }
+
+    await client.query('COMMIT');
+    res.status(201).json({
+      success: true,
+      user: { ...user, scopes: await listUserScopes(user.id) },
+      ...(temporaryPassword ? { temporaryPassword } : {})
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A user with this username already exists' });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      error: 'Failed to create user'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Update a user's username, full name, e-mail or role. Body: { username, fullName, email, role }
+router.put('/:userId', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { username, fullName, email, role } = req.body;
+  if (role !== undefined && parseInt(req.params.userId) === req.user.id && role !== req.user.role) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'user_admin' });
+
+    if (role !== undefined && !(await roleExists(client, role))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Role "${role}" does not exist` });
+    }
+
+    const result = await client.query(
+      `UPDATE users SET
+         username = COALESCE($1, username),
+         full_name = COALESCE($2, full_name),
+         email = COALESCE($3, email),
+         role = COALESCE($4, role)
+       WHERE id = $5
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [username, fullName, email, role, req.params.userId]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A user with this username already exists' });
+    }
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      error: 'Failed to update user'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Disable or re-enable an account. Disabling signs the user out everywhere.
+router.post('/:userId/disable', authenticateToken, requirePermission('users:manage'), (req, res) => {
+  setActive(req, res, false);
+});
+
+router.post('/:userId/enable', authenticateToken, requirePermission('users:manage'), (req, res) => {
+  setActive(req, res, true);
+});
+
+// Lift a lockout caused by failed logins and reset the failure count
+router.post('/:userId/unlock', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'user_admin' });
+
+    const user = await unlockUser(client, req.params.userId);
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      user
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error unlocking user:', error);
+    res.status(500).json({
+      error: 'Failed to unlock user'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Turn off a user's two-factor authentication, e.g. after a lost phone. If
+// their role requires 2FA they have to set it up again at next login.
+router.delete('/:userId/2fa', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'user_admin' });
+
+    const userResult = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.params.userId]);
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await disableTwoFactor(client, req.params.userId);
+
+    await client.query('COMMIT');
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({
+      error: 'Failed to reset two-factor authentication'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Force a password reset. Body: { password } (optional; generated when omitted).
+// The user is signed out everywhere and has to choose a new password at next login.
+router.post('/:userId/reset-password', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const temporaryPassword = req.body.password ? null : generateTemporaryPassword();
+  const password = req.body.password || temporaryPassword;
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'user_admin' });
+
+    const user = await setPassword(client, req.params.userId, password, { mustChange: true });
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await revokeUserSessions(client, user.id, 'password_reset');
+
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      user,
+      ...(temporaryPassword ? { temporaryPassword } : {})
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error resetting password:', error);
+    res.status(500).json({
+      error: 'Failed to reset password'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a user. Records they created keep existing with no creator.
+router.delete('/:userId', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  if (parseInt(req.params.userId) === req.user.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'user_admin' });
+
+    const result = await client.query('DELETE FROM users WHERE id = $1 RETURNING id, username', [req.params.userId]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting user:', error);
+    res.status(500).json({
+      error: 'Failed to delete user'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Get a user's role, permissions, branch scopes and the branches they can see
+router.get('/:userId/access', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const access = await loadUserAccess(req.params.userId);
+    if (!access) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({
+      userId: parseInt(req.params.userId),
+      ...access
+    });
+
+  } catch (error) {
+    console.error('Error fetching user access:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user access'
+    });
+  }
+});
+
+// Change a user's role and/or branch scopes.
+// Body: { "role": "branch_manager", "scopes": [{ "level": "branch", "name": "Chennai" }, { "level": "region", "name": "Kerala" }] }
+// Scopes are replaced; an empty list removes them.
+router.put('/:userId/access', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { role, scopes } = req.body;
+  if (role !== undefined && parseInt(req.params.userId) === req.user.id && role !== req.user.role) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.some(scope => !scope || !SCOPE_LEVELS.includes(scope.level) || !scope.name)) {
+      return res.status(400).json({
+        error: `"scopes" must be a list of { level, name } with level one of: ${SCOPE_LEVELS.join(', ')}`
+      });
+    }
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'user_admin' });
+
+    const userResult = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.params.userId]);
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (role !== undefined) {
+      if (!(await roleExists(client, role))) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: `Role "${role}" does not exist` });
+      }
+      await client.query('UPDATE users SET role = $1 WHERE id = $2', [role, req.params.userId]);
+    }
+
+    if (scopes !== undefined) {
+      const notFound = await replaceUserScopes(client, req.params.userId, scopes);
+      if (notFound.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: `Not found: ${notFound.join(', ')}` });
+      }
+    }
+
+    const access = await loadUserAccess(req.params.userId, client);
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      userId: parseInt(req.params.userId),
+      ...access
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating user access:', error);
+    res.status(500).json({
+      error: 'Failed to update user access'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// --- Helper Functions ---
+// Returns null when not given and undefined when invalid
+function parseDate(value, endOfDay) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+async function setActive(req, res, isActive) {
+  if (!isActive && parseInt(req.params.userId) === req.user.id) {
+    return res.status(400).json({ error: 'You cannot disable your own account' });
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { userId: req.user.id, apiKeyId: req.user.apiKeyId, source: 'user_admin' });
+
+    const result = await client.query(
+      `UPDATE users SET is_active = $1 WHERE id = $2 RETURNING ${PUBLIC_COLUMNS}`,
+      [isActive, req.params.userId]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!isActive) {
+      await revokeUserSessions(client, result.rows[0].id, 'account_disabled');
+    }
+
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error changing account status:', error);
+    res.status(500).json({
+      error: 'Failed to change account status'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = router;
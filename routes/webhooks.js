@@ -0,0 +1,247 @@
+// routes/webhooks.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { integerParam } = require('../middleware/params');
+const {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  validateSubscription,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  rotateSubscriptionSecret,
+  deleteSubscription,
+  sendTestEvent,
+  listDeliveries,
+  getDelivery,
+  redeliver
+} = require('../services/webhooks');
+
+// Every route here requires the 'webhooks:manage' permission. How payloads
+// are signed and retried is described in services/webhooks.js.
+
+const validSubscriptionId = integerParam('subscriptionId', 'Webhook subscription not found');
+const validDeliveryId = integerParam('deliveryId', 'Webhook delivery not found');
+
+// List the event types that can be subscribed to
+router.get('/events', authenticateToken, requirePermission('webhooks:manage'), (req, res) => {
+  res.json({
+    events: Object.entries(WEBHOOK_EVENTS).map(([type, description]) => ({ type, description }))
+  });
+});
+
+// List subscriptions (never their secrets)
+router.get('/', authenticateToken, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    res.json({ subscriptions: await listSubscriptions() });
+
+  } catch (error) {
+    console.error('Error fetching webhook subscriptions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhook subscriptions'
+    });
+  }
+});
+
+// Subscribe. Body: { name, url, eventTypes: ['alert.opened', 'upload.*'], isActive }.
+// The signing secret is returned only in this response.
+router.post('/', authenticateToken, requirePermission('webhooks:manage'), async (req, res) => {
+  const errors = validateSubscription(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid webhook subscription', details: errors });
+  }
+
+  try {
+    const { subscription, secret } = await createSubscription(req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      subscription,
+      secret,
+      message: 'Store the secret now; it will not be shown again.'
+    });
+
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    res.status(500).json({
+      error: 'Failed to create webhook subscription'
+    });
+  }
+});
+
+// Get one delivery with its payload and every attempt
+router.get('/deliveries/:deliveryId', authenticateToken, requirePermission('webhooks:manage'), validDeliveryId, async (req, res) => {
+  try {
+    const delivery = await getDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+    res.json({ delivery });
+
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhook delivery'
+    });
+  }
+});
+
+// Send a finished delivery again
+router.post('/deliveries/:deliveryId/redeliver', authenticateToken, requirePermission('webhooks:manage'), validDeliveryId, async (req, res) => {
+  try {
+    const result = await redeliver(req.params.deliveryId);
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+    if (result.status === 'in_progress') {
+      return res.status(409).json({ error: `Delivery #${result.delivery.id} is still ${result.delivery.status}.` });
+    }
+
+    res.status(202).json({
+      success: true,
+      delivery: result.delivery
+    });
+
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      error: 'Failed to redeliver webhook'
+    });
+  }
+});
+
+// Get one subscription
+router.get('/:subscriptionId', authenticateToken, requirePermission('webhooks:manage'), validSubscriptionId, async (req, res) => {
+  try {
+    const subscription = await getSubscription(req.params.subscriptionId);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    res.json({ subscription });
+
+  } catch (error) {
+    console.error('Error fetching webhook subscription:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhook subscription'
+    });
+  }
+});
+
+// Change a subscription. Body: any of { name, url, eventTypes, isActive }.
+// Deliveries of a paused (inactive) subscription wait until it is active again.
+router.put('/:subscriptionId', authenticateToken, requirePermission('webhooks:manage'), validSubscriptionId, async (req, res) => {
+  const errors = validateSubscription(req.body || {}, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid webhook subscription', details: errors });
+  }
+
+  try {
+    const subscription = await updateSubscription(req.params.subscriptionId, req.body);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    res.json({
+      success: true,
+      subscription
+    });
+
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error);
+    res.status(500).json({
+      error: 'Failed to update webhook subscription'
+    });
+  }
+});
+
+// Issue a new signing secret; the old one stops working immediately
+router.post('/:subscriptionId/rotate-secret', authenticateToken, requirePermission('webhooks:manage'), validSubscriptionId, async (req, res) => {
+  try {
+    const result = await rotateSubscriptionSecret(req.params.subscriptionId);
+    if (!result) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    res.json({
+      success: true,
+      subscription: result.subscription,
+      secret: result.secret
+    });
+
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      error: 'Failed to rotate webhook secret'
+    });
+  }
+});
+
+// Send a webhook.test event now (one attempt, no retries) and report how the receiver answered
+router.post('/:subscriptionId/test', authenticateToken, requirePermission('webhooks:manage'), validSubscriptionId, async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.params.subscriptionId, req.user.username);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+    res.json({
+      success: delivery.status === 'succeeded',
+      delivery
+    });
+
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({
+      error: 'Failed to send test webhook'
+    });
+  }
+});
+
+// Delivery log of a subscription, newest first (?status, ?eventType, ?limit, ?offset)
+router.get('/:subscriptionId/deliveries', authenticateToken, requirePermission('webhooks:manage'), validSubscriptionId, async (req, res) => {
+  const { status, eventType } = req.query;
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Use one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const subscription = await getSubscription(req.params.subscriptionId);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+
+    const deliveries = await listDeliveries(subscription.id, {
+      status,
+      eventType,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({ subscription, deliveries });
+
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+// Delete a subscription and its delivery log
+router.delete('/:subscriptionId', authenticateToken, requirePermission('webhooks:manage'), validSubscriptionId, async (req, res) => {
+  try {
+    const deleted = await deleteSubscription(req.params.subscriptionId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    res.status(500).json({
+      error: 'Failed to delete webhook subscription'
+    });
+  }
+});
+
+module.exports = router;
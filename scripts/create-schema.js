@@ -1,5 +1,7 @@
 // scripts/create-schema.js
 const { pgPool } = require('../config/database');
+const { DEFAULT_ROLES } = require('../services/access');
+const { DEFAULT_ALERT_RULES, createAlertRule } = require('../services/alerts');
 
 const createTables = async () => {
   const client = await pgPool.connect();
@@ -8,13 +10,65 @@ const createTables = async () => {
 
     // Drop existing tables if they exist to ensure a clean slate
     await client.query(`
+      DROP TABLE IF EXISTS audit_log;
+      DROP TABLE IF EXISTS allocation_plan_lines;
+      DROP TABLE IF EXISTS allocation_plans;
+      DROP TABLE IF EXISTS column_mapping_profiles;
+      DROP TABLE IF EXISTS import_batch_master_changes;
+      DROP TABLE IF EXISTS import_batch_changes;
+      DROP TABLE IF EXISTS chat_sessions;
+      DROP TABLE IF EXISTS webhook_deliveries;
+      DROP TABLE IF EXISTS webhook_subscriptions;
+      DROP TABLE IF EXISTS alerts;
+      DROP TABLE IF EXISTS alert_rules;
+      DROP TABLE IF EXISTS job_runs;
+      DROP TABLE IF EXISTS scheduled_jobs;
+      DROP TABLE IF EXISTS report_packs;
+      DROP TABLE IF EXISTS ingest_requests;
+      DROP TABLE IF EXISTS import_batches;
+      DROP TABLE IF EXISTS inventory_snapshot_items;
+      DROP TABLE IF EXISTS inventory_snapshots;
+      DROP TABLE IF EXISTS api_keys;
+      DROP TABLE IF EXISTS user_recovery_codes;
+      DROP TABLE IF EXISTS password_reset_tokens;
+      DROP TABLE IF EXISTS password_history;
+      DROP TABLE IF EXISTS login_attempts;
+      DROP TABLE IF EXISTS user_sessions;
+      DROP TABLE IF EXISTS user_branch_scopes;
       DROP TABLE IF EXISTS inventory;
       DROP TABLE IF EXISTS products;
       DROP TABLE IF EXISTS branches;
+      DROP TABLE IF EXISTS regions;
+      DROP TABLE IF EXISTS zones;
       DROP TABLE IF EXISTS users;
+      DROP TABLE IF EXISTS role_permissions;
+      DROP TABLE IF EXISTS roles;
     `);
     console.log('✅ Dropped existing tables (if any).');
 
+    // Create roles and the permissions they grant (see services/access.js)
+    await client.query(`
+      CREATE TABLE roles (
+        name VARCHAR(50) PRIMARY KEY,
+        description TEXT,
+        require_two_factor BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+
+      CREATE TABLE role_permissions (
+        role VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+        permission VARCHAR(100) NOT NULL,
+        PRIMARY KEY (role, permission)
+      );
+    `);
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+      await client.query('INSERT INTO roles (name, description) VALUES ($1, $2)', [name, role.description]);
+      for (const permission of role.permissions) {
+        await client.query('INSERT INTO role_permissions (role, permission) VALUES ($1, $2)', [name, permission]);
+      }
+    }
+    console.log('✅ Created "roles" and "role_permissions" tables with the default roles.');
+
     // Create users table
     await client.query(`
       CREATE TABLE users (
@@ -22,13 +76,37 @@ const createTables = async () => {
         username VARCHAR(255) UNIQUE NOT NULL,
         password VARCHAR(255) NOT NULL,
         full_name VARCHAR(255),
-        role VARCHAR(50) NOT NULL,
+        email VARCHAR(255),
+        role VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+        password_changed_at TIMESTAMPTZ DEFAULT NOW(),
+        failed_login_count INTEGER NOT NULL DEFAULT 0,
+        locked_until TIMESTAMPTZ,
+        totp_secret VARCHAR(64),
+        totp_enabled_at TIMESTAMPTZ,
+        totp_last_step BIGINT,
         created_at TIMESTAMPTZ DEFAULT NOW(),
         last_login TIMESTAMPTZ
       );
     `);
     console.log('✅ Created "users" table.');
 
+    // Create zone/region master (Branch -> Region -> Zone -> National)
+    await client.query(`
+      CREATE TABLE zones (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL
+      );
+
+      CREATE TABLE regions (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        zone_id INTEGER REFERENCES zones(id) ON DELETE SET NULL
+      );
+    `);
+    console.log('✅ Created "zones" and "regions" tables.');
+
     // Create branches table
     await client.query(`
       CREATE TABLE branches (
@@ -36,7 +114,8 @@ const createTables = async () => {
         name VARCHAR(255) UNIQUE NOT NULL,
         state VARCHAR(255),
         market_share NUMERIC(5, 2),
-        penetration NUMERIC(5, 2)
+        penetration NUMERIC(5, 2),
+        region_id INTEGER REFERENCES regions(id) ON DELETE SET NULL
       );
     `);
     console.log('✅ Created "branches" table.');
@@ -72,6 +151,480 @@ const createTables = async () => {
     `);
     console.log('✅ Created "inventory" table.');
 
+    // Create user branch scopes. A user without the branches:all permission
+    // only sees the branches (directly, or via a region or zone) listed here.
+    await client.query(`
+      CREATE TABLE user_branch_scopes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        branch_id INTEGER REFERENCES branches(id) ON DELETE CASCADE,
+        region_id INTEGER REFERENCES regions(id) ON DELETE CASCADE,
+        zone_id INTEGER REFERENCES zones(id) ON DELETE CASCADE,
+        CHECK (num_nonnulls(branch_id, region_id, zone_id) = 1)
+      );
+      CREATE INDEX idx_user_branch_scopes_user ON user_branch_scopes (user_id);
+    `);
+    console.log('✅ Created "user_branch_scopes" table.');
+
+    // Create login sessions. Each holds the hash of its current refresh token,
+    // which is replaced on every refresh; access tokens carry the session id.
+    await client.query(`
+      CREATE TABLE user_sessions (
+        id UUID PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) NOT NULL,
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        last_used_at TIMESTAMPTZ DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        revoked_at TIMESTAMPTZ,
+        revoked_reason VARCHAR(50)
+      );
+      CREATE INDEX idx_user_sessions_user ON user_sessions (user_id) WHERE revoked_at IS NULL;
+    `);
+    console.log('✅ Created "user_sessions" table.');
+
+    // Create login attempt history (lockout, per-IP blocking and the admin view)
+    await client.query(`
+      CREATE TABLE login_attempts (
+        id BIGSERIAL PRIMARY KEY,
+        username VARCHAR(255),
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        success BOOLEAN NOT NULL,
+        reason VARCHAR(50) NOT NULL,
+        attempted_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX idx_login_attempts_username ON login_attempts (LOWER(username), attempted_at);
+      CREATE INDEX idx_login_attempts_ip ON login_attempts (ip_address, attempted_at);
+    `);
+    console.log('✅ Created "login_attempts" table.');
+
+    // Create password history (previous password hashes, so recent ones are not reused) and
+    // single-use password reset tokens (only their SHA-256 is stored)
+    await client.query(`
+      CREATE TABLE password_history (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX idx_password_history_user ON password_history (user_id, created_at);
+
+      CREATE TABLE password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        requested_ip VARCHAR(64),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ
+      );
+    `);
+    console.log('✅ Created "password_history" and "password_reset_tokens" tables.');
+
+    // Create two-factor recovery codes (single use, only their SHA-256 is stored)
+    await client.query(`
+      CREATE TABLE user_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX idx_user_recovery_codes_user ON user_recovery_codes (user_id);
+    `);
+    console.log('✅ Created "user_recovery_codes" table.');
+
+    // Create API keys for integrations (ERP sync etc.). Only the SHA-256 of a
+    // key is stored; key_prefix is the visible start of it, for telling keys apart.
+    await client.query(`
+      CREATE TABLE api_keys (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        key_prefix VARCHAR(20) NOT NULL,
+        key_hash VARCHAR(64) UNIQUE NOT NULL,
+        permissions TEXT[] NOT NULL DEFAULT '{}',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        expires_at TIMESTAMPTZ,
+        last_used_at TIMESTAMPTZ,
+        last_used_ip VARCHAR(64),
+        revoked_at TIMESTAMPTZ,
+        revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+      );
+    `);
+    console.log('✅ Created "api_keys" table.');
+
+    // Create inventory snapshot tables (history for trend charts)
+    await client.query(`
+      CREATE TABLE inventory_snapshots (
+        id SERIAL PRIMARY KEY,
+        source VARCHAR(50) NOT NULL,
+        as_of TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        notes TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX idx_inventory_snapshots_as_of ON inventory_snapshots (as_of);
+
+      CREATE TABLE inventory_snapshot_items (
+        id SERIAL PRIMARY KEY,
+        snapshot_id INTEGER NOT NULL REFERENCES inventory_snapshots(id) ON DELETE CASCADE,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        branch_id INTEGER REFERENCES branches(id) ON DELETE CASCADE,
+        op_stock INTEGER,
+        avl_stock INTEGER,
+        transit INTEGER,
+        billing INTEGER,
+        month_plan INTEGER
+      );
+      CREATE INDEX idx_inventory_snapshot_items_snapshot ON inventory_snapshot_items (snapshot_id);
+    `);
+    console.log('✅ Created "inventory_snapshots" and "inventory_snapshot_items" tables.');
+
+    // Create import batch ledger (who imported what, and what it changed)
+    await client.query(`
+      CREATE TABLE import_batches (
+        id SERIAL PRIMARY KEY,
+        uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        file_name VARCHAR(255),
+        checksum VARCHAR(64),
+        format VARCHAR(50),
+        profile_name VARCHAR(255),
+        rows_total INTEGER DEFAULT 0,
+        rows_accepted INTEGER DEFAULT 0,
+        rows_skipped INTEGER DEFAULT 0,
+        rows_invalid INTEGER DEFAULT 0,
+        rows_changed INTEGER DEFAULT 0,
+        sheets JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'committed',
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        reverted_at TIMESTAMPTZ,
+        reverted_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+      );
+      CREATE INDEX idx_import_batches_checksum ON import_batches (checksum);
+
+      CREATE TABLE import_batch_changes (
+        id SERIAL PRIMARY KEY,
+        batch_id INTEGER NOT NULL REFERENCES import_batches(id) ON DELETE CASCADE,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        branch_id INTEGER REFERENCES branches(id) ON DELETE CASCADE,
+        before_values JSONB,
+        after_values JSONB NOT NULL
+      );
+      CREATE INDEX idx_import_batch_changes_batch ON import_batch_changes (batch_id);
+      CREATE TABLE import_batch_master_changes (
+        id SERIAL PRIMARY KEY,
+        batch_id INTEGER NOT NULL REFERENCES import_batches(id) ON DELETE CASCADE,
+        table_name VARCHAR(50) NOT NULL,
+        record_key VARCHAR(255) NOT NULL,
+        before_values JSONB,
+        after_values JSONB NOT NULL
+      );
+      CREATE INDEX idx_import_batch_master_changes_batch ON import_batch_master_changes (batch_id);
+    `);
+    console.log('✅ Created "import_batches", "import_batch_changes" and "import_batch_master_changes" tables.');
+
+    // Create the Idempotency-Key ledger of the JSON ingest API (see services/ingest.js)
+    await client.query(`
+      CREATE TABLE ingest_requests (
+        id SERIAL PRIMARY KEY,
+        scope VARCHAR(100) NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        status_code INTEGER,
+        response JSONB,
+        batch_id INTEGER REFERENCES import_batches(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (scope, idempotency_key)
+      );
+      CREATE INDEX idx_ingest_requests_created_at ON ingest_requests (created_at);
+    `);
+    console.log('✅ Created "ingest_requests" table.');
+
+    // Create stored executive report packs (see services/reportPacks.js)
+    await client.query(`
+      CREATE TABLE report_packs (
+        id SERIAL PRIMARY KEY,
+        period VARCHAR(7) NOT NULL,
+        snapshot_id INTEGER REFERENCES inventory_snapshots(id) ON DELETE SET NULL,
+        as_of TIMESTAMPTZ NOT NULL,
+        branch_ids INTEGER[],
+        file_name VARCHAR(255) NOT NULL,
+        content BYTEA NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        summary JSONB,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX idx_report_packs_period ON report_packs (period);
+    `);
+    console.log('✅ Created "report_packs" table.');
+
+    // Create scheduled jobs and their run history (see services/jobs.js)
+    await client.query(`
+      CREATE TABLE scheduled_jobs (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        job_type VARCHAR(50) NOT NULL,
+        schedule VARCHAR(100) NOT NULL,
+        params JSONB NOT NULL DEFAULT '{}',
+        is_paused BOOLEAN NOT NULL DEFAULT false,
+        next_run_at TIMESTAMPTZ,
+        last_run_at TIMESTAMPTZ,
+        last_status VARCHAR(20),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX idx_scheduled_jobs_next_run ON scheduled_jobs (next_run_at) WHERE is_paused = false;
+
+      CREATE TABLE job_runs (
+        id SERIAL PRIMARY KEY,
+        job_id INTEGER NOT NULL REFERENCES scheduled_jobs(id) ON DELETE CASCADE,
+        trigger VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        instance VARCHAR(255),
+        triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMPTZ,
+        result JSONB,
+        log TEXT,
+        error TEXT
+      );
+      CREATE INDEX idx_job_runs_job ON job_runs (job_id, started_at);
+      CREATE INDEX idx_job_runs_running ON job_runs (status) WHERE status = 'running';
+    `);
+    console.log('✅ Created "scheduled_jobs" and "job_runs" tables.');
+
+    // Create stock alert rules and the alerts they raise (see services/alerts.js).
+    // At most one unresolved alert per rule, product and branch.
+    await client.query(`
+      CREATE TABLE alert_rules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        metric VARCHAR(50) NOT NULL,
+        comparator VARCHAR(5) NOT NULL,
+        threshold NUMERIC NOT NULL,
+        scope JSONB NOT NULL DEFAULT '{}',
+        only_planned BOOLEAN NOT NULL DEFAULT true,
+        severity VARCHAR(20) NOT NULL DEFAULT 'warning',
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+
+      CREATE TABLE alerts (
+        id SERIAL PRIMARY KEY,
+        rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        branch_id INTEGER NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        metric_value NUMERIC,
+        opened_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        acknowledged_at TIMESTAMPTZ,
+        acknowledged_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMPTZ,
+        resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        resolution VARCHAR(20),
+        note TEXT
+      );
+      CREATE UNIQUE INDEX idx_alerts_unresolved ON alerts (rule_id, product_id, branch_id) WHERE status <> 'resolved';
+      CREATE INDEX idx_alerts_status ON alerts (status);
+      CREATE INDEX idx_alerts_branch ON alerts (branch_id);
+    `);
+    for (const rule of DEFAULT_ALERT_RULES) {
+      await createAlertRule(client, rule);
+    }
+    console.log('✅ Created "alert_rules" and "alerts" tables with the default rules.');
+
+    // Create webhook subscriptions and their delivery log (see services/webhooks.js)
+    await client.query(`
+      CREATE TABLE webhook_subscriptions (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        url TEXT NOT NULL,
+        secret VARCHAR(100) NOT NULL,
+        event_types TEXT[] NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+
+      CREATE TABLE webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_id UUID NOT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+        last_attempt_at TIMESTAMPTZ,
+        response_status INTEGER,
+        response_body TEXT,
+        error TEXT,
+        attempt_log JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        delivered_at TIMESTAMPTZ
+      );
+      CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status IN ('pending', 'delivering');
+      CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, created_at);
+    `);
+    console.log('✅ Created "webhook_subscriptions" and "webhook_deliveries" tables.');
+
+    // Create chatbot conversation state: the last question of each session (see services/chatbot.js)
+    await client.query(`
+      CREATE TABLE chat_sessions (
+        id VARCHAR(100) PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        api_key_id INTEGER REFERENCES api_keys(id) ON DELETE CASCADE,
+        context JSONB NOT NULL DEFAULT '{}',
+        turns INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX idx_chat_sessions_updated ON chat_sessions (updated_at);
+    `);
+    console.log('✅ Created "chat_sessions" table.');
+
+    // Create column mapping profiles (source headers -> import fields)
+    await client.query(`
+      CREATE TABLE column_mapping_profiles (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        target VARCHAR(50) NOT NULL,
+        columns JSONB NOT NULL,
+        header_signature TEXT[],
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    console.log('✅ Created "column_mapping_profiles" table.');
+
+    // Create factory stock allocation plans (draft -> dispatched | cancelled)
+    await client.query(`
+      CREATE TABLE allocation_plans (
+        id SERIAL PRIMARY KEY,
+        rule VARCHAR(50) NOT NULL,
+        scope_name VARCHAR(255),
+        notes TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'draft',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        dispatched_at TIMESTAMPTZ,
+        dispatched_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE TABLE allocation_plan_lines (
+        id SERIAL PRIMARY KEY,
+        plan_id INTEGER NOT NULL REFERENCES allocation_plans(id) ON DELETE CASCADE,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        branch_id INTEGER REFERENCES branches(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0)
+      );
+      CREATE INDEX idx_allocation_plan_lines_plan ON allocation_plan_lines (plan_id);
+    `);
+    console.log('✅ Created "allocation_plans" and "allocation_plan_lines" tables.');
+
+    // Create the audit log. Rows are written by triggers on inventory, products,
+    // branches, users and user_branch_scopes, so every writer is covered. The user and source come from
+    // the hansei.user_id / hansei.audit_source settings of the transaction
+    // (see services/audit.js). No foreign keys, so entries outlive what they describe.
+    await client.query(`
+      CREATE TABLE audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        table_name VARCHAR(50) NOT NULL,
+        action VARCHAR(10) NOT NULL,
+        product_id INTEGER,
+        branch_id INTEGER,
+        target_user_id INTEGER,
+        before_values JSONB,
+        after_values JSONB,
+        changed_by INTEGER,
+        api_key_id INTEGER,
+        source VARCHAR(50) NOT NULL,
+        changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX idx_audit_log_changed_at ON audit_log (changed_at);
+      CREATE INDEX idx_audit_log_product ON audit_log (product_id);
+      CREATE INDEX idx_audit_log_branch ON audit_log (branch_id);
+      CREATE INDEX idx_audit_log_target_user ON audit_log (target_user_id);
+
+      CREATE OR REPLACE FUNCTION audit_row_change() RETURNS trigger AS $$
+      DECLARE
+        before_row JSONB;
+        after_row JSONB;
+        ref JSONB;
+      BEGIN
+        IF TG_LEVEL = 'ROW' THEN
+          IF TG_OP IN ('UPDATE', 'DELETE') THEN before_row := to_jsonb(OLD); END IF;
+          IF TG_OP IN ('INSERT', 'UPDATE') THEN after_row := to_jsonb(NEW); END IF;
+          IF TG_TABLE_NAME = 'users' THEN
+            -- Never copy password hashes or TOTP secrets into the log, only note
+            -- that a new password was set. Logins only touch last_login, the
+            -- failure counter and the last used TOTP step, which are not worth an
+            -- entry; locking and unlocking (locked_until) are.
+            IF after_row IS NOT NULL AND after_row->>'password' IS DISTINCT FROM before_row->>'password' THEN
+              after_row := after_row || '{"password_changed": true}';
+            END IF;
+            before_row := before_row - 'password' - 'last_login' - 'failed_login_count' - 'totp_secret' - 'totp_last_step';
+            after_row := after_row - 'password' - 'last_login' - 'failed_login_count' - 'totp_secret' - 'totp_last_step';
+          END IF;
+          -- Upserts that rewrite the same numbers are not changes
+          IF TG_OP = 'UPDATE' AND (before_row - 'updated_at') = (after_row - 'updated_at') THEN
+            RETURN NULL;
+          END IF;
+        END IF;
+        ref := COALESCE(after_row, before_row);
+
+        INSERT INTO audit_log (table_name, action, product_id, branch_id, target_user_id, before_values, after_values, changed_by, api_key_id, source)
+        VALUES (
+          TG_TABLE_NAME,
+          lower(TG_OP),
+          CASE TG_TABLE_NAME WHEN 'inventory' THEN (ref->>'product_id')::int WHEN 'products' THEN (ref->>'id')::int END,
+          CASE TG_TABLE_NAME WHEN 'branches' THEN (ref->>'id')::int ELSE (ref->>'branch_id')::int END,
+          CASE TG_TABLE_NAME WHEN 'users' THEN (ref->>'id')::int WHEN 'user_branch_scopes' THEN (ref->>'user_id')::int END,
+          before_row,
+          after_row,
+          NULLIF(current_setting('hansei.user_id', true), '')::int,
+          NULLIF(current_setting('hansei.api_key_id', true), '')::int,
+          COALESCE(NULLIF(current_setting('hansei.audit_source', true), ''), 'database')
+        );
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+        FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+      CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+        FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+    `);
+    for (const table of ['inventory', 'products', 'branches', 'users', 'user_branch_scopes']) {
+      await client.query(`
+        CREATE TRIGGER ${table}_audit AFTER INSERT OR UPDATE OR DELETE ON ${table}
+          FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+        CREATE TRIGGER ${table}_audit_truncate AFTER TRUNCATE ON ${table}
+          FOR EACH STATEMENT EXECUTE FUNCTION audit_row_change();
+      `);
+    }
+    console.log('✅ Created "audit_log" table and audit triggers.');
+
     console.log('🎉 Database schema created successfully!');
   } catch (error) {
     console.error('❌ Error creating database schema:', error);
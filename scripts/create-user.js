@@ -0,0 +1,73 @@
+// scripts/create-user.js
+// Creates a user account, e.g. the first administrator of a fresh database:
+//   node scripts/create-user.js admin --role smart_user --name "Jane Admin" --email jane@example.com
+// The password is read from HANSEI_USER_PASSWORD; when it is not set a
+// temporary password is generated and printed once. Either way the user must
+// choose their own password at first login.
+const { pgPool } = require('../config/database');
+const { setAuditContext } = require('../services/audit');
+const { generateTemporaryPassword, validatePassword, createUser, roleExists } = require('../services/users');
+
+async function createUserFromArgs(args) {
+  const username = args[0] && !args[0].startsWith('--') ? args[0] : null;
+  const option = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const role = option('--role') || 'normal_user';
+  const fullName = option('--name') || null;
+  const email = option('--email') || null;
+
+  if (!username) {
+    throw new Error('Usage: node scripts/create-user.js <username> [--role <role>] [--name "<full name>"] [--email <address>]');
+  }
+
+  const temporaryPassword = process.env.HANSEI_USER_PASSWORD ? null : generateTemporaryPassword();
+  const password = process.env.HANSEI_USER_PASSWORD || temporaryPassword;
+  const passwordError = validatePassword(password, { username });
+  if (passwordError) {
+    throw new Error(passwordError);
+  }
+
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { source: 'user_admin' });
+
+    if (!(await roleExists(client, role))) {
+      throw new Error(`Role "${role}" does not exist`);
+    }
+    const user = await createUser(client, { username, password, fullName, email, role, mustChangePassword: true });
+
+    await client.query('COMMIT');
+    console.log(`👤 Created user "${user.username}" (#${user.id}) with role ${user.role}.`);
+    if (temporaryPassword) {
+      console.log(`🔑 Temporary password: ${temporaryPassword}`);
+    }
+    console.log('The password must be changed at first login.');
+    return user;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      throw new Error(`A user named "${username}" already exists`);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Run the function if this script is executed directly
+if (require.main === module) {
+  createUserFromArgs(process.argv.slice(2))
+    .then(() => {
+      pgPool.end();
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ Could not create user:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { createUserFromArgs };
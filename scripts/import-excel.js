@@ -3,7 +3,7 @@ const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
 const { pgPool } = require('../config/database');
-const bcrypt = require('bcryptjs');
+const { setAuditContext } = require('../services/audit');
 
 // --- Helper Functions for Safe Parsing ---
 
@@ -38,7 +38,16 @@ const safeParseInt = (value, defaultValue) => {
 };
 
 
-async function importCSVSalesData() {
+// Tables the import empties and fills again
+const SEED_TABLES = ['inventory', 'products', 'branches'];
+
+/**
+ * Replaces products, branches and inventory with the contents of FinalSales.csv.
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Also empty the tables that refer to them
+ *   (snapshots, branch scopes, import history, ...) when they hold data.
+ */
+async function importCSVSalesData({ force = false } = {}) {
   try {
     console.log('📊 Starting CSV sales data import...');
 
@@ -56,26 +65,23 @@ async function importCSVSalesData() {
 
     console.log(`Found ${data.length} rows in CSV file`);
 
+    if (!force) {
+      const tablesWithData = await findCascadedTablesWithData(SEED_TABLES);
+      if (tablesWithData.length > 0) {
+        throw new Error(`Re-importing would also empty ${tablesWithData.join(', ')}. Run with --force to do it anyway.`);
+      }
+    }
+
     // Connect to the database client
     const client = await pgPool.connect();
     try {
         await client.query('BEGIN');
+        await setAuditContext(client, { source: 'import_script' });
 
-        // Clear existing data
-        await client.query('TRUNCATE TABLE inventory, products, branches, users RESTART IDENTITY CASCADE');
+        // Clear existing data. Users are kept; create them with `npm run create-user`.
+        await client.query(`TRUNCATE TABLE ${SEED_TABLES.join(', ')} RESTART IDENTITY CASCADE`);
         console.log('Truncated existing tables.');
 
-        // Create default users
-        const hashedPassword1 = await bcrypt.hash('Daikin@Hansei2025!', 10);
-        const hashedPassword2 = await bcrypt.hash('Analytics@2025', 10);
-
-        await client.query(`
-          INSERT INTO users (username, password, full_name, role) VALUES
-          ('smart', $1, 'Smart User', 'smart_user'),
-          ('normal', $2, 'Normal User', 'normal_user')
-        `, [hashedPassword1, hashedPassword2]);
-        console.log('Created default users.');
-
         // Process and insert branches
         const branches = [...new Set(data.map(row => row.Branch))].filter(Boolean);
         console.log('Branches found:', branches);
@@ -246,6 +252,31 @@ async function importCSVSalesData() {
 }
 
 // Helper Functions
+
+// TRUNCATE ... CASCADE also empties every table that refers to the truncated
+// ones, directly or through another truncated table. Returns those that hold rows.
+async function findCascadedTablesWithData(tables) {
+  const result = await pgPool.query(
+    `WITH RECURSIVE cascaded(table_oid) AS (
+       SELECT unnest($1::text[]::regclass[])
+       UNION
+       SELECT c.conrelid FROM pg_constraint c
+       JOIN cascaded ON c.confrelid = cascaded.table_oid
+       WHERE c.contype = 'f'
+     )
+     SELECT table_oid::regclass::text AS table_name FROM cascaded ORDER BY 1`,
+    [tables]
+  );
+
+  const withData = [];
+  for (const { table_name: table } of result.rows) {
+    if (tables.includes(table)) continue;
+    const rows = await pgPool.query(`SELECT EXISTS (SELECT 1 FROM ${table}) AS has_rows`);
+    if (rows.rows[0].has_rows) withData.push(table);
+  }
+  return withData;
+}
+
 function getStateForBranch(branch) {
   const stateMap = {
     'Chennai': 'Tamil Nadu',
@@ -272,7 +303,7 @@ function generatePrice(material, tonnage, star, technology) {
 
 // Entry point for running the script directly
 if (require.main === module) {
-  importCSVSalesData()
+  importCSVSalesData({ force: process.argv.includes('--force') })
     .then(() => {
       console.log('CSV Import completed!');
       process.exit(0);
@@ -0,0 +1,39 @@
+// scripts/snapshot-inventory.js
+// Records a snapshot of the inventory table. Intended to be run from cron:
+//   node scripts/snapshot-inventory.js                      -> manual snapshot, stamped now
+//   node scripts/snapshot-inventory.js --month-close        -> closes the previous month
+//   node scripts/snapshot-inventory.js --month-close 2025-06
+const { pgPool } = require('../config/database');
+const { captureInventorySnapshot, monthCloseTimestamp } = require('../services/snapshots');
+
+async function snapshotInventory(args) {
+  const monthCloseIndex = args.indexOf('--month-close');
+  const isMonthClose = monthCloseIndex !== -1;
+  const month = isMonthClose && args[monthCloseIndex + 1] && !args[monthCloseIndex + 1].startsWith('--')
+    ? args[monthCloseIndex + 1]
+    : undefined;
+
+  const snapshot = await captureInventorySnapshot(pgPool, {
+    source: isMonthClose ? 'month_close' : 'manual',
+    asOf: isMonthClose ? monthCloseTimestamp(month) : new Date(),
+    notes: 'scripts/snapshot-inventory.js'
+  });
+
+  console.log(`📸 Snapshot #${snapshot.id} (${snapshot.source}) recorded with ${snapshot.item_count} rows, as of ${snapshot.as_of.toISOString()}`);
+  return snapshot;
+}
+
+// Run the function if this script is executed directly
+if (require.main === module) {
+  snapshotInventory(process.argv.slice(2))
+    .then(() => {
+      pgPool.end();
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ Snapshot failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { snapshotInventory };
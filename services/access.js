@@ -0,0 +1,175 @@
+// services/access.js
+// Role permissions and branch visibility. Roles grant named permissions
+// (role_permissions); users can be limited to some branches, regions or
+// zones (user_branch_scopes). Loaded fresh on every request by authenticateToken.
+const { pgPool } = require('../config/database');
+const { isPasswordExpired } = require('./users');
+
+const PERMISSIONS = {
+  'inventory:write': 'Edit inventory figures of visible branches',
+  'upload:run': 'Upload, preview and revert data files',
+  'snapshots:manage': 'Record inventory snapshots',
+  'allocation:manage': 'Save, dispatch and cancel factory stock allocation plans',
+  'hierarchy:manage': 'Maintain zones, regions and branch assignments',
+  'mappings:manage': 'Maintain column mapping profiles',
+  'audit:read': 'Read the audit log',
+  'users:manage': 'Manage users, roles and branch scopes',
+  'api_keys:manage': 'Issue and revoke API keys',
+  'jobs:manage': 'Create, pause and run scheduled jobs',
+  'alerts:manage': 'Maintain stock alert rules',
+  'webhooks:manage': 'Manage webhook subscriptions and see their deliveries',
+  'branches:all': 'See every branch regardless of branch scopes'
+};
+
+// Roles created by scripts/create-schema.js
+const DEFAULT_ROLES = {
+  smart_user: {
+    description: 'Administrator with full access',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  normal_user: {
+    description: 'Read-only access to all branches',
+    permissions: ['branches:all']
+  },
+  branch_manager: {
+    description: 'Reads and edits only the branches in their scope',
+    permissions: ['inventory:write']
+  }
+};
+
+const SCOPE_LEVELS = ['branch', 'region', 'zone'];
+
+/**
+ * Loads what a user may do and see.
+ * @param {number} userId
+ * @param {object} [db] - A pg client or pool.
+ * @returns {Promise<object|null>} { role, isActive, mustChangePassword, passwordExpired, twoFactorEnabled,
+ *   twoFactorRequired, permissions, branchIds, scopes }
+ *   where branchIds is null when the user sees every branch; null if the user does not exist.
+ */
+async function loadUserAccess(userId, db = pgPool) {
+  const userResult = await db.query(
+    `SELECT u.id, u.role, u.is_active, u.must_change_password, u.password_changed_at,
+       u.totp_enabled_at IS NOT NULL as two_factor_enabled, r.require_two_factor,
+       COALESCE(array_agg(rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') as permissions
+     FROM users u
+     JOIN roles r ON r.name = u.role
+     LEFT JOIN role_permissions rp ON rp.role = u.role
+     WHERE u.id = $1
+     GROUP BY u.id, r.name`,
+    [userId]
+  );
+  if (userResult.rows.length === 0) return null;
+  const {
+    role,
+    is_active: isActive,
+    must_change_password: mustChangePassword,
+    password_changed_at,
+    two_factor_enabled: twoFactorEnabled,
+    require_two_factor: twoFactorRequired,
+    permissions
+  } = userResult.rows[0];
+  const passwordExpired = isPasswordExpired(password_changed_at);
+
+  const scopes = await listUserScopes(userId, db);
+
+  let branchIds = null;
+  if (!permissions.includes('branches:all')) {
+    const branchResult = await db.query(
+      `SELECT DISTINCT b.id
+       FROM user_branch_scopes s
+       JOIN branches b ON b.id = s.branch_id
+         OR b.region_id = s.region_id
+         OR b.region_id IN (SELECT r.id FROM regions r WHERE r.zone_id = s.zone_id)
+       WHERE s.user_id = $1
+       ORDER BY b.id`,
+      [userId]
+    );
+    branchIds = branchResult.rows.map(row => row.id);
+  }
+
+  return { role, isActive, mustChangePassword, passwordExpired, twoFactorEnabled, twoFactorRequired, permissions, branchIds, scopes };
+}
+
+/**
+ * Returns a user's scopes as [{ level, name }].
+ */
+async function listUserScopes(userId, db = pgPool) {
+  const result = await db.query(
+    `SELECT
+       CASE WHEN s.branch_id IS NOT NULL THEN 'branch' WHEN s.region_id IS NOT NULL THEN 'region' ELSE 'zone' END as level,
+       COALESCE(b.name, r.name, z.name) as name
+     FROM user_branch_scopes s
+     LEFT JOIN branches b ON s.branch_id = b.id
+     LEFT JOIN regions r ON s.region_id = r.id
+     LEFT JOIN zones z ON s.zone_id = z.id
+     WHERE s.user_id = $1
+     ORDER BY level, name`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Replaces a user's scopes. Call inside a transaction.
+ * @param {object} client - The transaction client.
+ * @param {number} userId
+ * @param {object[]} scopes - [{ level: 'branch' | 'region' | 'zone', name }]
+ * @returns {Promise<string[]>} The scopes that could not be found, e.g. 'region "South"'.
+ */
+async function replaceUserScopes(client, userId, scopes) {
+  await client.query('DELETE FROM user_branch_scopes WHERE user_id = $1', [userId]);
+
+  const notFound = [];
+  for (const { level, name } of scopes) {
+    const table = { branch: 'branches', region: 'regions', zone: 'zones' }[level];
+    const lookup = await client.query(`SELECT id FROM ${table} WHERE LOWER(name) = LOWER($1)`, [name]);
+    if (lookup.rows.length === 0) {
+      notFound.push(`${level} "${name}"`);
+      continue;
+    }
+    await client.query(
+      `INSERT INTO user_branch_scopes (user_id, ${level}_id) VALUES ($1, $2)`,
+      [userId, lookup.rows[0].id]
+    );
+  }
+  return notFound;
+}
+
+/**
+ * Narrows a requested set of branches to those the user may see.
+ * @param {object} user - req.user, as set by authenticateToken.
+ * @param {number[]|null} [branchIds] - The requested branches; null means all.
+ * @returns {number[]|null} null only when both are unrestricted.
+ */
+function visibleBranchIds(user, branchIds = null) {
+  if (!user || !user.branchIds) return branchIds;
+  if (!branchIds) return user.branchIds;
+  return branchIds.filter(id => user.branchIds.includes(id));
+}
+
+/**
+ * Returns the branches ({ id, name }) the user may not see, e.g. to refuse a
+ * bulk write that touches them. Empty when the user sees every branch.
+ */
+function branchesOutsideScope(user, branches) {
+  const visible = visibleBranchIds(user);
+  if (!visible) return [];
+  return branches.filter(branch => !visible.includes(branch.id));
+}
+
+function hasPermission(user, permission) {
+  return Boolean(user && user.permissions && user.permissions.includes(permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  SCOPE_LEVELS,
+  loadUserAccess,
+  listUserScopes,
+  replaceUserScopes,
+  visibleBranchIds,
+  branchesOutsideScope,
+  hasPermission
+};
@@ -0,0 +1,513 @@
+// services/alerts.js
+// Stock alert rules and the alerts they raise. A rule compares one metric of
+// an inventory row (a product at a branch) with a threshold, optionally
+// limited to some branches, technologies, star ratings, tonnages or
+// materials:
+//
+//   { name: 'Inverter stock-out', metric: 'avl_stock', comparator: 'eq', threshold: 0,
+//     scope: { technology: ['Inverter'] }, onlyPlanned: true, severity: 'critical' }
+//
+// Rules are evaluated against the whole inventory after every upload, ingest,
+// revert, dispatch and inventory edit (and by the alert_evaluation job). Each
+// matching row gets one alert that stays open, or acknowledged, for as long as
+// the row matches; the evaluation that no longer finds it resolves it. An
+// alert resolved by hand while the row still matches is raised again.
+const { pgPool } = require('../config/database');
+const { branchScopeCondition } = require('./hierarchy');
+const { inventorySource } = require('./snapshots');
+const { publishEvent } = require('./webhooks');
+const { notifyChange } = require('./liveUpdates');
+
+// SQL for each metric over an inventory row (alias i). Rows where a metric is
+// undefined (a percentage without a plan) never match.
+const ALERT_METRICS = {
+  avl_stock: { label: 'Available stock', sql: 'i.avl_stock' },
+  transit: { label: 'Stock in transit', sql: 'i.transit' },
+  available: { label: 'Available stock plus transit', sql: '(i.avl_stock + i.transit)' },
+  op_stock: { label: 'Opening stock', sql: 'i.op_stock' },
+  billing: { label: 'Billing', sql: 'i.billing' },
+  month_plan: { label: 'Month plan', sql: 'i.month_plan' },
+  balance_to_bill: { label: 'Month plan minus billing', sql: '(i.month_plan - i.billing)' },
+  availability_pct: {
+    label: 'Stock plus transit as % of month plan',
+    sql: 'ROUND(((i.avl_stock + i.transit)::numeric / NULLIF(i.month_plan, 0)) * 100, 2)'
+  },
+  billing_pct: {
+    label: 'Billing as % of month plan',
+    sql: 'ROUND((i.billing::numeric / NULLIF(i.month_plan, 0)) * 100, 2)'
+  }
+};
+
+const ALERT_COMPARATORS = { lt: '<', lte: '<=', gt: '>', gte: '>=', eq: '=', neq: '<>' };
+
+const ALERT_SEVERITIES = ['critical', 'warning', 'info'];
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Scope fields, the column each one filters and the type of its values
+const ALERT_SCOPE_FIELDS = {
+  branch: { column: 'i.branch_id', type: 'int' },
+  technology: { column: 'p.technology', type: 'text' },
+  star: { column: 'p.star', type: 'int' },
+  tonnage: { column: 'p.tonnage', type: 'numeric' },
+  material: { column: 'p.material', type: 'text' }
+};
+
+// Rules created by scripts/create-schema.js: the two alerts the dashboard has always shown
+const DEFAULT_ALERT_RULES = [
+  { name: 'Stock-out against plan', metric: 'avl_stock', comparator: 'eq', threshold: 0, severity: 'critical' },
+  { name: 'Availability under 20% of plan', metric: 'availability_pct', comparator: 'lt', threshold: 20, severity: 'warning' }
+];
+
+// Held while the alerts table is brought up to date, so evaluations never overlap
+const ALERT_EVALUATION_LOCK = 72002;
+
+const RULE_COLUMNS = 'id, name, metric, comparator, threshold, scope, only_planned, severity, is_active, created_by, created_at, updated_at';
+
+// Columns shared by rule matches and stored alerts (rows joined as r, i, p, b)
+const ALERT_ROW_COLUMNS = `
+  r.id as rule_id, r.name as rule_name, r.severity, r.metric, r.comparator, r.threshold,
+  p.material, p.tonnage, p.star, p.technology, b.id as branch_id, b.name as branch_name,
+  i.month_plan, i.avl_stock, i.transit,
+  ROUND(((i.avl_stock + i.transit)::numeric / NULLIF(i.month_plan, 0)) * 100, 2) as availability_percentage`;
+
+const ALERT_STATE_COLUMNS = `a.id, a.status, a.metric_value, a.opened_at, a.last_seen_at,
+  a.acknowledged_at, ack.username as acknowledged_by_username,
+  a.resolved_at, res.username as resolved_by_username, a.resolution, a.note,
+  ${ALERT_ROW_COLUMNS}`;
+
+const ALERT_STATE_FROM = `FROM alerts a
+  JOIN alert_rules r ON r.id = a.rule_id
+  JOIN products p ON p.id = a.product_id
+  JOIN branches b ON b.id = a.branch_id
+  LEFT JOIN inventory i ON i.product_id = a.product_id AND i.branch_id = a.branch_id
+  LEFT JOIN users ack ON ack.id = a.acknowledged_by
+  LEFT JOIN users res ON res.id = a.resolved_by`;
+
+// Most severe first, then the worst value of each rule first
+const ALERT_ROW_ORDER = `CASE r.severity WHEN 'critical' THEN 0 WHEN 'warning' THEN 1 ELSE 2 END, r.id,
+  CASE WHEN r.comparator IN ('gt', 'gte') THEN -a.metric_value ELSE a.metric_value END, i.month_plan DESC, p.material, b.name`;
+
+/**
+ * Checks a rule definition.
+ * @param {object} body - { name, metric, comparator, threshold, scope, onlyPlanned, severity, isActive }.
+ * @param {object} [options]
+ * @param {object} [options.current] - The stored rule when updating; missing fields keep its values.
+ * @returns {string[]} The problems found (empty when valid).
+ */
+function validateAlertRule(body, { current = null } = {}) {
+  const value = (key, column) => (body[key] !== undefined ? body[key] : current ? current[column] : undefined);
+  const errors = [];
+
+  const name = value('name', 'name');
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    errors.push('"name" is required');
+  }
+  if (!ALERT_METRICS[value('metric', 'metric')]) {
+    errors.push(`"metric" must be one of: ${Object.keys(ALERT_METRICS).join(', ')}`);
+  }
+  if (!ALERT_COMPARATORS[value('comparator', 'comparator')]) {
+    errors.push(`"comparator" must be one of: ${Object.keys(ALERT_COMPARATORS).join(', ')}`);
+  }
+  const threshold = value('threshold', 'threshold');
+  if (threshold === undefined || threshold === null || threshold === '' || !isFinite(Number(threshold))) {
+    errors.push('"threshold" must be a number');
+  }
+  if (!ALERT_SEVERITIES.includes(value('severity', 'severity') || 'warning')) {
+    errors.push(`"severity" must be one of: ${ALERT_SEVERITIES.join(', ')}`);
+  }
+  for (const flag of ['onlyPlanned', 'isActive']) {
+    if (body[flag] !== undefined && typeof body[flag] !== 'boolean') {
+      errors.push(`"${flag}" must be true or false`);
+    }
+  }
+
+  const scope = value('scope', 'scope') || {};
+  if (typeof scope !== 'object' || Array.isArray(scope)) {
+    errors.push('"scope" must be an object');
+  } else {
+    for (const [field, values] of Object.entries(scope)) {
+      const definition = ALERT_SCOPE_FIELDS[field];
+      if (!definition) {
+        errors.push(`Unknown scope field "${field}". Use any of: ${Object.keys(ALERT_SCOPE_FIELDS).join(', ')}`);
+      } else if (!Array.isArray(values) || values.length === 0) {
+        errors.push(`scope.${field} must be a non-empty array`);
+      } else if (definition.type === 'int' && !values.every(Number.isInteger)) {
+        errors.push(`scope.${field} must contain whole numbers`);
+      } else if (definition.type === 'numeric' && !values.every(v => typeof v === 'number' && isFinite(v))) {
+        errors.push(`scope.${field} must contain numbers`);
+      } else if (definition.type === 'text' && !values.every(v => typeof v === 'string' && v.trim())) {
+        errors.push(`scope.${field} must contain non-empty strings`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Lists rules with how many alerts each has open or acknowledged.
+ */
+async function listAlertRules() {
+  const result = await pgPool.query(
+    `SELECT ${RULE_COLUMNS.split(', ').map(column => `r.${column}`).join(', ')},
+       COUNT(a.id)::int as active_alerts
+     FROM alert_rules r
+     LEFT JOIN alerts a ON a.rule_id = r.id AND a.status <> 'resolved'
+     GROUP BY r.id
+     ORDER BY r.id`
+  );
+  return result.rows;
+}
+
+/**
+ * Returns one rule, or null if it does not exist.
+ */
+async function getAlertRule(ruleId) {
+  const result = await pgPool.query(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE id = $1`, [ruleId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Creates a rule (call validateAlertRule first).
+ * @param {object} db - A pg client or pool.
+ * @param {object} rule - { name, metric, comparator, threshold, scope, onlyPlanned, severity, isActive }.
+ * @param {number} [createdBy]
+ * @throws {Error} With code '23505' when the name is taken.
+ */
+async function createAlertRule(db, { name, metric, comparator, threshold, scope = {}, onlyPlanned = true, severity = 'warning', isActive = true }, createdBy = null) {
+  const result = await db.query(
+    `INSERT INTO alert_rules (name, metric, comparator, threshold, scope, only_planned, severity, is_active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING ${RULE_COLUMNS}`,
+    [name.trim(), metric, comparator, Number(threshold), JSON.stringify(scope), onlyPlanned, severity, isActive, createdBy]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Changes a rule (call validateAlertRule with the current rule first).
+ * @returns {Promise<object|null>} The updated rule, or null if it does not exist.
+ * @throws {Error} With code '23505' when the name is taken.
+ */
+async function updateAlertRule(ruleId, { name, metric, comparator, threshold, scope, onlyPlanned, severity, isActive }) {
+  const result = await pgPool.query(
+    `UPDATE alert_rules SET
+       name = COALESCE($2, name),
+       metric = COALESCE($3, metric),
+       comparator = COALESCE($4, comparator),
+       threshold = COALESCE($5, threshold),
+       scope = COALESCE($6, scope),
+       only_planned = COALESCE($7, only_planned),
+       severity = COALESCE($8, severity),
+       is_active = COALESCE($9, is_active),
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${RULE_COLUMNS}`,
+    [
+      ruleId,
+      name !== undefined ? name.trim() : null,
+      metric,
+      comparator,
+      threshold !== undefined ? Number(threshold) : null,
+      scope !== undefined ? JSON.stringify(scope) : null,
+      onlyPlanned,
+      severity,
+      isActive
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Deletes a rule together with its alerts.
+ * @returns {Promise<boolean>} false if the rule does not exist.
+ */
+async function deleteAlertRule(ruleId) {
+  const result = await pgPool.query('DELETE FROM alert_rules WHERE id = $1', [ruleId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Brings the alerts up to date with the inventory: opens an alert for each
+ * row a rule newly matches and resolves the alerts whose rows no longer
+ * match. Alerts of inactive rules are resolved. Opened and resolved alerts
+ * are published as alert.opened / alert.resolved webhook events.
+ * @param {object} [options]
+ * @param {number} [options.ruleId] - Evaluate only this rule.
+ * @returns {Promise<object>} { rules, opened, resolved, active }
+ */
+async function evaluateAlertRules({ ruleId = null } = {}) {
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [ALERT_EVALUATION_LOCK]);
+
+    const rules = await client.query(
+      `SELECT ${RULE_COLUMNS} FROM alert_rules${ruleId ? ' WHERE id = $1' : ''}`,
+      ruleId ? [ruleId] : []
+    );
+
+    const summary = { rules: 0, opened: 0, resolved: 0, active: 0 };
+    const openedIds = [], resolvedIds = [];
+    for (const rule of rules.rows) {
+      const params = [rule.id];
+      const matches = rule.is_active
+        ? ruleMatchQuery(rule, 'inventory', params)
+        : 'SELECT NULL::int as rule_id, NULL::int as product_id, NULL::int as branch_id, NULL::numeric as metric_value WHERE false';
+      // Update the alerts still matching, open the new ones and resolve the
+      // rest. (No upsert: ON CONFLICT would use up an id per kept alert.)
+      const result = await client.query(
+        `WITH matches AS (${matches}),
+         kept AS (
+           UPDATE alerts a SET metric_value = m.metric_value, last_seen_at = NOW()
+           FROM matches m
+           WHERE a.rule_id = $1 AND a.status <> 'resolved'
+             AND a.product_id = m.product_id AND a.branch_id = m.branch_id
+           RETURNING a.id
+         ),
+         opened AS (
+           INSERT INTO alerts (rule_id, product_id, branch_id, metric_value)
+           SELECT $1, m.product_id, m.branch_id, m.metric_value
+           FROM matches m
+           WHERE NOT EXISTS (
+             SELECT 1 FROM alerts a
+             WHERE a.rule_id = $1 AND a.status <> 'resolved'
+               AND a.product_id = m.product_id AND a.branch_id = m.branch_id
+           )
+           RETURNING id
+         ),
+         resolved AS (
+           UPDATE alerts
+           SET status = 'resolved', resolved_at = NOW(), resolved_by = NULL,
+             resolution = '${rule.is_active ? 'cleared' : 'rule_inactive'}'
+           WHERE rule_id = $1 AND status <> 'resolved' AND id NOT IN (SELECT id FROM kept)
+           RETURNING id
+         )
+         SELECT
+           ARRAY(SELECT id FROM opened) as opened_ids,
+           ARRAY(SELECT id FROM resolved) as resolved_ids,
+           (SELECT COUNT(*) FROM kept)::int as kept`,
+        params
+      );
+      const { opened_ids, resolved_ids, kept } = result.rows[0];
+      summary.rules++;
+      summary.opened += opened_ids.length;
+      summary.resolved += resolved_ids.length;
+      summary.active += kept + opened_ids.length;
+      openedIds.push(...opened_ids);
+      resolvedIds.push(...resolved_ids);
+    }
+
+    await client.query('COMMIT');
+
+    const changedBranchIds = [];
+    for (const [type, ids] of [['alert.opened', openedIds], ['alert.resolved', resolvedIds]]) {
+      if (ids.length === 0) continue;
+      const alerts = await pgPool.query(
+        `SELECT ${ALERT_STATE_COLUMNS} ${ALERT_STATE_FROM} WHERE a.id = ANY($1::int[]) ORDER BY ${ALERT_ROW_ORDER}`,
+        [ids]
+      );
+      for (const alert of alerts.rows) {
+        await publishEvent(type, { alert });
+        changedBranchIds.push(alert.branch_id);
+      }
+    }
+    if (changedBranchIds.length > 0) {
+      await notifyChange('alerts', { branchIds: changedBranchIds });
+    }
+    return summary;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * evaluateAlertRules for after inventory has been committed: a failure is
+ * logged rather than thrown, since the change itself already succeeded.
+ * @param {string} reason - What changed, for the log.
+ * @returns {Promise<object|null>} The evaluation summary, or null if it failed.
+ */
+async function refreshAlerts(reason) {
+  try {
+    return await evaluateAlertRules();
+  } catch (error) {
+    console.error(`Error evaluating alert rules after ${reason}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * The rows the active rules match right now, or in a snapshot, without
+ * touching alert state. Used for reports on past months.
+ * @param {object} [options]
+ * @param {number[]|null} [options.branchIds] - Branches to look at (null for all).
+ * @param {number} [options.snapshotId] - Read this snapshot instead of live inventory.
+ * @returns {Promise<object[]>} Inventory rows with the rule that matched them.
+ */
+async function findRuleMatches({ branchIds = null, snapshotId = null } = {}) {
+  const rules = await pgPool.query(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE is_active = true ORDER BY id`);
+  if (rules.rows.length === 0) return [];
+
+  const params = [];
+  const source = inventorySource(snapshotId, params);
+  const branchFilter = branchScopeCondition(branchIds, 'm.branch_id', params);
+  const matches = rules.rows.map(rule => {
+    params.push(rule.id);
+    return ruleMatchQuery(rule, source, params, `$${params.length}`);
+  });
+
+  const result = await pgPool.query(
+    `SELECT m.metric_value, ${ALERT_ROW_COLUMNS}
+     FROM (${matches.join(' UNION ALL ')}) m
+     JOIN alert_rules r ON r.id = m.rule_id
+     JOIN ${source} i ON i.product_id = m.product_id AND i.branch_id = m.branch_id
+     JOIN products p ON p.id = m.product_id
+     JOIN branches b ON b.id = m.branch_id
+     WHERE 1=1${branchFilter}
+     ORDER BY ${ALERT_ROW_ORDER.replace(/a\.metric_value/g, 'm.metric_value')}`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Lists alerts with the current figures of their rows.
+ * @param {object} [options]
+ * @param {number[]|null} [options.branchIds] - Branches the caller may see (null for all).
+ * @param {string} [options.status] - One of ALERT_STATUSES, or 'active' (open or acknowledged, the default).
+ * @param {string} [options.severity]
+ * @param {number} [options.ruleId]
+ * @param {number} [options.branchId]
+ */
+async function listAlerts({ branchIds = null, status = 'active', severity, ruleId, branchId, limit = 100, offset = 0 } = {}) {
+  const params = [];
+  let where = `WHERE 1=1${branchScopeCondition(branchIds, 'a.branch_id', params)}`;
+  if (status === 'active') {
+    where += ` AND a.status <> 'resolved'`;
+  } else if (status) {
+    params.push(status);
+    where += ` AND a.status = $${params.length}`;
+  }
+  for (const [value, column] of [[severity, 'r.severity'], [ruleId, 'a.rule_id'], [branchId, 'a.branch_id']]) {
+    if (value !== undefined && value !== null) {
+      params.push(value);
+      where += ` AND ${column} = $${params.length}`;
+    }
+  }
+
+  const result = await pgPool.query(
+    `SELECT ${ALERT_STATE_COLUMNS}
+     ${ALERT_STATE_FROM}
+     ${where}
+     ORDER BY ${ALERT_ROW_ORDER}
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return result.rows;
+}
+
+/**
+ * Returns one alert, or null if it does not exist or the caller may not see its branch.
+ */
+async function getAlert(alertId, { branchIds = null } = {}) {
+  const params = [alertId];
+  const result = await pgPool.query(
+    `SELECT ${ALERT_STATE_COLUMNS}
+     ${ALERT_STATE_FROM}
+     WHERE a.id = $1${branchScopeCondition(branchIds, 'a.branch_id', params)}`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Acknowledges an open alert or resolves an open or acknowledged one,
+ * publishes the matching webhook event and tells the live dashboards.
+ * @param {number} alertId
+ * @param {string} action - 'acknowledge' or 'resolve'.
+ * @param {object} options - { userId, note, branchIds }.
+ * @returns {Promise<object>} { status, alert } where status is 'updated',
+ *   'not_found' or 'invalid_state' (e.g. acknowledging a resolved alert).
+ */
+async function respondToAlert(alertId, action, { userId = null, note = null, branchIds = null } = {}) {
+  const alert = await getAlert(alertId, { branchIds });
+  if (!alert) return { status: 'not_found' };
+
+  const allowedFrom = action === 'acknowledge' ? ['open'] : ['open', 'acknowledged'];
+  if (!allowedFrom.includes(alert.status)) {
+    return { status: 'invalid_state', alert };
+  }
+
+  const result = await pgPool.query(
+    action === 'acknowledge'
+      ? `UPDATE alerts SET status = 'acknowledged', acknowledged_at = NOW(), acknowledged_by = $2, note = COALESCE($3, note)
+         WHERE id = $1 AND status = 'open'`
+      : `UPDATE alerts SET status = 'resolved', resolved_at = NOW(), resolved_by = $2, resolution = 'manual', note = COALESCE($3, note)
+         WHERE id = $1 AND status <> 'resolved'`,
+    [alertId, userId, note]
+  );
+  if (result.rowCount === 0) {
+    // Changed state since it was read, e.g. resolved by an evaluation
+    return { status: 'invalid_state', alert: await getAlert(alertId) };
+  }
+
+  const updated = await getAlert(alertId);
+  await publishEvent(action === 'acknowledge' ? 'alert.acknowledged' : 'alert.resolved', { alert: updated });
+  await notifyChange('alerts', { branchIds: [updated.branch_id] });
+  return { status: 'updated', alert: updated };
+}
+
+/**
+ * Splits alert rows into { critical, warning, info }, keeping their order.
+ */
+function groupBySeverity(rows) {
+  return Object.fromEntries(ALERT_SEVERITIES.map(severity => [severity, rows.filter(row => row.severity === severity)]));
+}
+
+// --- Helper Functions ---
+
+// SELECT rule_id, product_id, branch_id, metric_value of the rows a rule matches
+function ruleMatchQuery(rule, source, params, ruleParam = '$1') {
+  const metric = ALERT_METRICS[rule.metric].sql;
+  params.push(rule.threshold);
+  let where = `${metric} ${ALERT_COMPARATORS[rule.comparator]} $${params.length}`;
+  if (rule.only_planned) {
+    where += ' AND i.month_plan > 0';
+  }
+  for (const [field, values] of Object.entries(rule.scope || {})) {
+    const { column, type } = ALERT_SCOPE_FIELDS[field];
+    params.push(values);
+    where += ` AND ${column} = ANY($${params.length}::${type}[])`;
+  }
+
+  return `SELECT ${ruleParam}::int as rule_id, i.product_id, i.branch_id, ${metric} as metric_value
+    FROM ${source} i
+    JOIN products p ON p.id = i.product_id
+    WHERE ${where}`;
+}
+
+module.exports = {
+  ALERT_METRICS,
+  ALERT_COMPARATORS,
+  ALERT_SEVERITIES,
+  ALERT_STATUSES,
+  ALERT_SCOPE_FIELDS,
+  DEFAULT_ALERT_RULES,
+  validateAlertRule,
+  listAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  evaluateAlertRules,
+  refreshAlerts,
+  findRuleMatches,
+  groupBySeverity,
+  listAlerts,
+  getAlert,
+  respondToAlert
+};
@@ -0,0 +1,332 @@
+// services/allocation.js
+// Splits the stock waiting at the factory (products.factory_stock) across
+// branches, and turns saved splits into dispatches that move it into transit.
+const { pgPool } = require('../config/database');
+const { branchScopeCondition } = require('./hierarchy');
+
+// How the factory stock of a material is shared out between branches.
+// Every rule only sends a branch what it still needs to cover its month plan.
+const ALLOCATION_RULES = {
+  gap: 'Largest shortfall against month plan first',
+  plan_share: 'In proportion to each branch\'s month plan',
+  achievement: 'Best plan achievement (billing / plan) first'
+};
+
+/**
+ * Builds a dispatch plan for the current factory stock.
+ * @param {object} [options]
+ * @param {string} [options.rule] - One of the ALLOCATION_RULES keys.
+ * @param {string[]} [options.materials] - Limit to these materials.
+ * @param {number[]|null} [options.branchIds] - Only allocate to these branches.
+ * @param {object} [db] - A pg client or pool; pass the transaction client when saving.
+ * @returns {Promise<object>} { rule, materials: [{ material, lines, ... }], totals }
+ */
+async function proposeAllocation({ rule = 'gap', materials = null, branchIds = null } = {}, db = pgPool) {
+  if (!ALLOCATION_RULES[rule]) {
+    throw new Error(`Unknown allocation rule: ${rule}`);
+  }
+
+  const params = [];
+  let filters = '';
+  if (materials && materials.length > 0) {
+    params.push(materials);
+    filters += ` AND p.material = ANY($${params.length}::text[])`;
+  }
+  if (branchIds) {
+    params.push(branchIds);
+    filters += ` AND b.id = ANY($${params.length}::int[])`;
+  }
+
+  const result = await db.query(`
+    SELECT
+      p.id as product_id,
+      p.material,
+      p.factory_stock,
+      b.id as branch_id,
+      b.name as branch_name,
+      i.avl_stock,
+      i.transit,
+      i.billing,
+      i.month_plan
+    FROM inventory i
+    JOIN products p ON i.product_id = p.id
+    JOIN branches b ON i.branch_id = b.id
+    WHERE p.factory_stock > 0${filters}
+    ORDER BY p.material, b.name
+  `, params);
+
+  const byMaterial = new Map();
+  for (const row of result.rows) {
+    if (!byMaterial.has(row.material)) {
+      byMaterial.set(row.material, { material: row.material, product_id: row.product_id, factory_stock: row.factory_stock, rows: [] });
+    }
+    const avl = row.avl_stock || 0;
+    const transit = row.transit || 0;
+    const plan = row.month_plan || 0;
+    byMaterial.get(row.material).rows.push({
+      branch_id: row.branch_id,
+      branch_name: row.branch_name,
+      avl_stock: avl,
+      transit,
+      month_plan: plan,
+      achievement: plan > 0 ? Math.round(((row.billing || 0) / plan) * 100) : 0,
+      gap: Math.max(0, plan - (avl + transit)),
+      allocated: 0
+    });
+  }
+
+  const allocations = [];
+  const totals = { factory_stock: 0, allocated: 0, unallocated: 0, unmet_gap: 0 };
+
+  for (const { material, product_id, factory_stock, rows } of byMaterial.values()) {
+    if (rule === 'plan_share') {
+      splitByPlanShare(rows, factory_stock);
+    } else {
+      const ordered = rows.filter(row => row.gap > 0).sort(rule === 'gap'
+        ? (a, b) => b.gap - a.gap
+        : (a, b) => b.achievement - a.achievement || b.gap - a.gap);
+      let remaining = factory_stock;
+      for (const row of ordered) {
+        row.allocated = Math.min(row.gap, remaining);
+        remaining -= row.allocated;
+      }
+    }
+
+    const lines = rows
+      .filter(row => row.allocated > 0)
+      .sort((a, b) => b.allocated - a.allocated)
+      .map(row => describeLine(product_id, row));
+    const allocated = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const unmetGap = rows.reduce((sum, row) => sum + (row.gap - row.allocated), 0);
+
+    allocations.push({
+      material,
+      product_id,
+      factory_stock,
+      allocated,
+      unallocated: factory_stock - allocated,
+      unmet_gap: unmetGap,
+      lines
+    });
+
+    totals.factory_stock += factory_stock;
+    totals.allocated += allocated;
+    totals.unallocated += factory_stock - allocated;
+    totals.unmet_gap += unmetGap;
+  }
+
+  return { rule, description: ALLOCATION_RULES[rule], materials: allocations, totals };
+}
+
+/**
+ * Saves a proposal as a draft plan. Call inside a transaction.
+ * @returns {Promise<object>} The allocation_plans row.
+ */
+async function saveAllocationPlan(client, proposal, { userId = null, scopeName = null, notes = null } = {}) {
+  const planResult = await client.query(
+    `INSERT INTO allocation_plans (rule, scope_name, notes, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [proposal.rule, scopeName, notes, userId]
+  );
+  const plan = planResult.rows[0];
+
+  for (const allocation of proposal.materials) {
+    for (const line of allocation.lines) {
+      await client.query(
+        `INSERT INTO allocation_plan_lines (plan_id, product_id, branch_id, quantity)
+         VALUES ($1, $2, $3, $4)`,
+        [plan.id, line.product_id, line.branch_id, line.quantity]
+      );
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Lists saved plans, newest first, with their line count and total quantity.
+ * @param {object} [options]
+ * @param {number[]|null} [options.branchIds] - Only list plans with lines to
+ *   these branches, counting only those lines.
+ */
+async function listAllocationPlans({ limit = 50, branchIds = null } = {}) {
+  const params = [limit];
+  const result = await pgPool.query(
+    `SELECT ap.*, u.username as created_by_username,
+            COUNT(apl.id)::int as line_count,
+            COALESCE(SUM(apl.quantity), 0)::int as total_quantity
+     FROM allocation_plans ap
+     LEFT JOIN users u ON ap.created_by = u.id
+     LEFT JOIN allocation_plan_lines apl ON apl.plan_id = ap.id${branchScopeCondition(branchIds, 'apl.branch_id', params)}
+     GROUP BY ap.id, u.username
+     ${branchIds ? 'HAVING COUNT(apl.id) > 0' : ''}
+     ORDER BY ap.created_at DESC
+     LIMIT $1`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Returns a saved plan with its lines, or null if it does not exist.
+ * @param {object} [options]
+ * @param {number[]|null} [options.branchIds] - Only return lines to these branches.
+ */
+async function getAllocationPlan(db, planId, { branchIds = null } = {}) {
+  const planResult = await db.query('SELECT * FROM allocation_plans WHERE id = $1', [planId]);
+  if (planResult.rows.length === 0) return null;
+
+  const params = [planId];
+  const linesResult = await db.query(
+    `SELECT apl.product_id, apl.branch_id, p.material, b.name as branch_name, apl.quantity
+     FROM allocation_plan_lines apl
+     JOIN products p ON apl.product_id = p.id
+     JOIN branches b ON apl.branch_id = b.id
+     WHERE apl.plan_id = $1${branchScopeCondition(branchIds, 'apl.branch_id', params)}
+     ORDER BY p.material, apl.quantity DESC`,
+    params
+  );
+
+  return { ...planResult.rows[0], lines: linesResult.rows };
+}
+
+/**
+ * Dispatches a draft plan: each line's quantity is added to the branch's
+ * transit and taken off the product's factory_stock. Call inside a transaction.
+ * Nothing is moved if any material no longer has enough factory stock.
+ * @returns {Promise<object>} { status: 'not_found' | 'not_draft' | 'insufficient_stock' | 'dispatched', plan, shortages }
+ */
+async function dispatchAllocationPlan(client, planId, { userId = null } = {}) {
+  const planResult = await client.query(
+    'SELECT * FROM allocation_plans WHERE id = $1 FOR UPDATE',
+    [planId]
+  );
+  if (planResult.rows.length === 0) return { status: 'not_found' };
+  if (planResult.rows[0].status !== 'draft') return { status: 'not_draft', plan: planResult.rows[0] };
+
+  // Lock the products first so factory_stock cannot change under the check
+  await client.query(
+    `SELECT id FROM products
+     WHERE id IN (SELECT product_id FROM allocation_plan_lines WHERE plan_id = $1)
+     ORDER BY id
+     FOR UPDATE`,
+    [planId]
+  );
+  const required = await client.query(
+    `SELECT p.id as product_id, p.material, p.factory_stock, SUM(apl.quantity)::int as quantity
+     FROM allocation_plan_lines apl
+     JOIN products p ON apl.product_id = p.id
+     WHERE apl.plan_id = $1
+     GROUP BY p.id
+     ORDER BY p.id`,
+    [planId]
+  );
+
+  const shortages = required.rows
+    .filter(row => (row.factory_stock || 0) < row.quantity)
+    .map(row => ({ material: row.material, required: row.quantity, factory_stock: row.factory_stock || 0 }));
+  if (shortages.length > 0) {
+    return { status: 'insufficient_stock', plan: planResult.rows[0], shortages };
+  }
+
+  await client.query(
+    `INSERT INTO inventory (product_id, branch_id, op_stock, avl_stock, transit, billing, month_plan)
+     SELECT product_id, branch_id, 0, 0, quantity, 0, 0
+     FROM allocation_plan_lines
+     WHERE plan_id = $1
+     ON CONFLICT (product_id, branch_id) DO UPDATE SET
+       transit = COALESCE(inventory.transit, 0) + EXCLUDED.transit,
+       updated_at = NOW()`,
+    [planId]
+  );
+
+  for (const row of required.rows) {
+    await client.query(
+      'UPDATE products SET factory_stock = factory_stock - $1 WHERE id = $2',
+      [row.quantity, row.product_id]
+    );
+  }
+
+  const updated = await client.query(
+    `UPDATE allocation_plans SET status = 'dispatched', dispatched_at = NOW(), dispatched_by = $2
+     WHERE id = $1
+     RETURNING *`,
+    [planId, userId]
+  );
+
+  return { status: 'dispatched', plan: updated.rows[0], shortages: [] };
+}
+
+/**
+ * Cancels a draft plan. Returns the updated row, or null if the plan does not
+ * exist or is no longer a draft.
+ */
+async function cancelAllocationPlan(db, planId) {
+  const result = await db.query(
+    `UPDATE allocation_plans SET status = 'cancelled'
+     WHERE id = $1 AND status = 'draft'
+     RETURNING *`,
+    [planId]
+  );
+  return result.rows[0] || null;
+}
+
+// --- Helper Functions ---
+// Shares the stock out in proportion to month_plan (largest remainder), never
+// beyond a branch's gap. Whatever a capped branch could not take is shared
+// again among the others.
+function splitByPlanShare(rows, stock) {
+  let remaining = stock;
+  let open = rows.filter(row => row.gap > 0 && row.month_plan > 0);
+
+  while (remaining > 0 && open.length > 0) {
+    const totalPlan = open.reduce((sum, row) => sum + row.month_plan, 0);
+    const shares = open.map(row => {
+      const exact = remaining * row.month_plan / totalPlan;
+      return { row, whole: Math.floor(exact), fraction: exact - Math.floor(exact) };
+    });
+    const leftover = remaining - shares.reduce((sum, share) => sum + share.whole, 0);
+    shares.sort((a, b) => b.fraction - a.fraction);
+    for (let i = 0; i < leftover; i++) shares[i].whole += 1;
+
+    let given = 0;
+    for (const share of shares) {
+      const quantity = Math.min(share.whole, share.row.gap - share.row.allocated);
+      share.row.allocated += quantity;
+      given += quantity;
+    }
+
+    remaining -= given;
+    open = open.filter(row => row.allocated < row.gap);
+    if (given === 0) break;
+  }
+}
+
+function availability(avl, transit, plan) {
+  return plan > 0 ? Math.round(((avl + transit) / plan) * 100) : 0;
+}
+
+function describeLine(productId, row) {
+  return {
+    product_id: productId,
+    branch_id: row.branch_id,
+    branch: row.branch_name,
+    quantity: row.allocated,
+    month_plan: row.month_plan,
+    gap: row.gap,
+    achievement: row.achievement,
+    availability_before: availability(row.avl_stock, row.transit, row.month_plan),
+    availability_after: availability(row.avl_stock, row.transit + row.allocated, row.month_plan)
+  };
+}
+
+module.exports = {
+  ALLOCATION_RULES,
+  proposeAllocation,
+  saveAllocationPlan,
+  listAllocationPlans,
+  getAllocationPlan,
+  dispatchAllocationPlan,
+  cancelAllocationPlan
+};
@@ -0,0 +1,128 @@
+// services/apiKeys.js
+// API keys let integrations (e.g. the nightly ERP sync) call the API without a
+// user account. A key carries its own permission set; it sees every branch
+// only with 'branches:all' and no branch otherwise. Only the SHA-256 of a key
+// is stored; the key itself is shown once, when it is issued.
+const crypto = require('crypto');
+const { pgPool } = require('../config/database');
+
+const API_KEY_PREFIX = 'hk_';
+
+// last_used_at is written at most this often per key
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+const KEY_COLUMNS = 'id, name, key_prefix, permissions, created_by, created_at, expires_at, last_used_at, last_used_ip, revoked_at, revoked_by';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Whether a bearer token looks like an API key rather than a JWT.
+ */
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Issues a key.
+ * @param {object} db - A pg client or pool.
+ * @param {object} key - { name, permissions, expiresAt, createdBy }
+ * @returns {Promise<object>} { apiKey, key } - key is the secret, to hand out once.
+ */
+async function createApiKey(db, { name, permissions, expiresAt = null, createdBy = null }) {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const result = await db.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, permissions, created_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${KEY_COLUMNS}`,
+    [name, key.slice(0, 11), hashKey(key), [...new Set(permissions)], createdBy, expiresAt]
+  );
+  return { apiKey: result.rows[0], key };
+}
+
+/**
+ * Lists keys, newest first. Revoked and expired keys are included unless activeOnly.
+ */
+async function listApiKeys({ activeOnly = false } = {}) {
+  const result = await pgPool.query(
+    `SELECT ${KEY_COLUMNS.split(', ').map(column => `k.${column}`).join(', ')},
+       u.username as created_by_username,
+       k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW()) as active
+     FROM api_keys k
+     LEFT JOIN users u ON k.created_by = u.id
+     ${activeOnly ? 'WHERE k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())' : ''}
+     ORDER BY k.created_at DESC, k.id DESC`
+  );
+  return result.rows;
+}
+
+/**
+ * Revokes a key.
+ * @returns {Promise<object|null>} The key, or null if there is no such unrevoked key.
+ */
+async function revokeApiKey(db, keyId, { revokedBy = null } = {}) {
+  const result = await db.query(
+    `UPDATE api_keys SET revoked_at = NOW(), revoked_by = $1
+     WHERE id = $2 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}`,
+    [revokedBy, keyId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Looks up a presented key and notes its use.
+ * @param {string} key
+ * @param {object} [options] - { ip } of the request.
+ * @returns {Promise<object|null>} What the key may do and see, shaped like req.user
+ *   ({ id: null, apiKeyId, username, permissions, branchIds, scopes }), or null
+ *   when the key is unknown, revoked or expired.
+ */
+async function authenticateApiKey(key, { ip = null } = {}) {
+  const result = await pgPool.query(
+    `SELECT id, name, permissions, last_used_at FROM api_keys
+     WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [hashKey(key)]
+  );
+  if (result.rows.length === 0) return null;
+  const apiKey = result.rows[0];
+
+  if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > LAST_USED_RESOLUTION_SECONDS * 1000) {
+    await pgPool.query('UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $1 WHERE id = $2', [ip, apiKey.id]);
+  }
+
+  return {
+    id: null,
+    apiKeyId: apiKey.id,
+    username: `api-key:${apiKey.name}`,
+    role: null,
+    permissions: apiKey.permissions,
+    branchIds: apiKey.permissions.includes('branches:all') ? null : [],
+    scopes: []
+  };
+}
+
+/**
+ * Whether a key may still be used, for connections that outlive the request
+ * that authenticated them.
+ * @returns {Promise<boolean>} False once the key is revoked or expired.
+ */
+async function isApiKeyActive(apiKeyId) {
+  const result = await pgPool.query(
+    `SELECT 1 FROM api_keys
+     WHERE id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [apiKeyId]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+  isApiKeyActive
+};
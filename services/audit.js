@@ -0,0 +1,130 @@
+// services/audit.js
+// Who changed inventory, products, branches and user accounts. The audit_log rows are written
+// by database triggers (see scripts/create-schema.js); this module tells the
+// triggers who is making the change and reads the log back.
+const { pgPool } = require('../config/database');
+
+// Known values of audit_log.source. Changes made without a context (e.g. from
+// psql) are recorded as 'database'.
+const AUDIT_SOURCES = [
+  'inventory_edit',
+  'upload',
+  'ingest',
+  'upload_revert',
+  'allocation_dispatch',
+  'region_assignment',
+  'user_admin',
+  'account',
+  'login',
+  'password_reset',
+  'import_script',
+  'database'
+];
+
+/**
+ * Stamps the current transaction with the user (or API key) and source that
+ * the audit triggers record. Call on the transaction client right after BEGIN;
+ * the settings are transaction-local and vanish on COMMIT/ROLLBACK.
+ * @param {object} client - The transaction client.
+ * @param {object} context
+ * @param {number|null} [context.userId] - The user making the change.
+ * @param {number|null} [context.apiKeyId] - The API key making the change.
+ * @param {string} context.source - One of AUDIT_SOURCES.
+ */
+async function setAuditContext(client, { userId = null, apiKeyId = null, source }) {
+  if (!AUDIT_SOURCES.includes(source)) {
+    throw new Error(`Unknown audit source: ${source}`);
+  }
+  const setting = value => (value === null || value === undefined ? '' : String(value));
+  await client.query(
+    `SELECT set_config('hansei.user_id', $1, true), set_config('hansei.api_key_id', $2, true), set_config('hansei.audit_source', $3, true)`,
+    [setting(userId), setting(apiKeyId), source]
+  );
+}
+
+/**
+ * Reads the audit log, newest first.
+ * @param {object} [filters]
+ * @param {number} [filters.productId]
+ * @param {number} [filters.branchId]
+ * @param {number} [filters.userId] - The user who made the change.
+ * @param {number} [filters.targetUserId] - The user account the change was made to.
+ * @param {string} [filters.table] - inventory, products, branches, users or user_branch_scopes.
+ * @param {string} [filters.source]
+ * @param {Date} [filters.from] - Inclusive.
+ * @param {Date} [filters.to] - Exclusive.
+ * @param {number[]|null} [filters.branchIds] - Hide entries of other branches.
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<object>} { entries, total }
+ */
+async function queryAuditLog({ productId, branchId, userId, targetUserId, table, source, from, to, branchIds = null, limit = 100, offset = 0 } = {}) {
+  const params = [];
+  let where = 'WHERE 1=1';
+  const addFilter = (value, condition) => {
+    if (value === undefined || value === null) return;
+    params.push(value);
+    where += ` AND ${condition.replace('?', `$${params.length}`)}`;
+  };
+  addFilter(productId, 'a.product_id = ?');
+  addFilter(branchId, 'a.branch_id = ?');
+  addFilter(userId, 'a.changed_by = ?');
+  addFilter(targetUserId, 'a.target_user_id = ?');
+  addFilter(table, 'a.table_name = ?');
+  addFilter(source, 'a.source = ?');
+  addFilter(from, 'a.changed_at >= ?');
+  addFilter(to, 'a.changed_at < ?');
+  addFilter(branchIds, '(a.branch_id IS NULL OR a.branch_id = ANY(?::int[]))');
+
+  const countResult = await pgPool.query(`SELECT COUNT(*)::int as total FROM audit_log a ${where}`, params);
+
+  const result = await pgPool.query(
+    `SELECT
+       a.id,
+       a.changed_at,
+       a.table_name,
+       a.action,
+       a.source,
+       a.changed_by,
+       u.username as changed_by_username,
+       a.api_key_id,
+       k.name as api_key_name,
+       a.product_id,
+       p.material,
+       a.branch_id,
+       b.name as branch_name,
+       a.target_user_id,
+       tu.username as target_username,
+       a.before_values,
+       a.after_values
+     FROM audit_log a
+     LEFT JOIN users u ON a.changed_by = u.id
+     LEFT JOIN api_keys k ON a.api_key_id = k.id
+     LEFT JOIN products p ON a.product_id = p.id
+     LEFT JOIN branches b ON a.branch_id = b.id
+     LEFT JOIN users tu ON a.target_user_id = tu.id
+     ${where}
+     ORDER BY a.changed_at DESC, a.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    entries: result.rows.map(row => ({ ...row, changed_fields: changedFields(row.before_values, row.after_values) })),
+    total: countResult.rows[0].total
+  };
+}
+
+// --- Helper Functions ---
+function changedFields(before, after) {
+  if (!before || !after) return null;
+  return Object.keys(after).filter(key =>
+    key !== 'updated_at' && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+}
+
+module.exports = {
+  AUDIT_SOURCES,
+  setAuditContext,
+  queryAuditLog
+};
@@ -0,0 +1,833 @@
+// services/chatbot.js
+// Understands and answers chatbot questions. parseQuery() reads a message into
+// an intent and entities, recognizing any branch and material code in the
+// database, technology, star and tonnage values, metrics ("availability",
+// "sales", "stock in transit"), groupings ("by branch") and time words
+// ("yesterday", "last month", "in March 2026"). answerQuery() answers from
+// one inventory query built from those entities, so
+//
+//   "availability of 1.5 ton 5 star inverter in Hyderabad"
+//
+// needs no special case. Answers only cover the branches the user may see.
+//
+// Within a session a question can build on the previous one: "and what about
+// Cochin?" or "show me only inverters" keep the rest of the last question and
+// change only what they name (see refineQuery). The last question of each
+// session is kept in chat_sessions, so conversations survive a restart.
+const { pgPool } = require('../config/database');
+const { branchScopeCondition } = require('./hierarchy');
+const { visibleBranchIds } = require('./access');
+const { listAlerts } = require('./alerts');
+const { inventorySource, findMonthSnapshot, findSnapshotAsOf } = require('./snapshots');
+
+// Figures computed from the summed inventory rows. words are matched as whole
+// phrases, longest first, so "available stock" is stock and "availability" is not.
+const CHAT_METRICS = {
+  stock: {
+    label: 'available stock',
+    unit: 'units',
+    words: ['stock', 'available stock', 'avl stock', 'inventory', 'units in stock', 'on hand'],
+    value: t => t.stock
+  },
+  transit: {
+    label: 'stock in transit',
+    unit: 'units',
+    words: ['transit', 'in transit', 'on the way'],
+    value: t => t.transit
+  },
+  opening_stock: {
+    label: 'opening stock',
+    unit: 'units',
+    words: ['opening stock', 'op stock', 'opening'],
+    value: t => t.opening_stock
+  },
+  billing: {
+    label: 'billing',
+    unit: 'units',
+    words: ['sales', 'total sales', 'billing', 'billed', 'sold', 'revenue', 'selling'],
+    value: t => t.billing
+  },
+  plan: {
+    label: 'month plan',
+    unit: 'units',
+    words: ['plan', 'month plan', 'monthly plan', 'target'],
+    value: t => t.plan
+  },
+  balance_to_bill: {
+    label: 'balance to bill',
+    unit: 'units',
+    words: ['balance to bill', 'balance', 'pending billing', 'left to bill', 'remaining'],
+    value: t => t.plan - t.billing
+  },
+  availability: {
+    label: 'availability',
+    unit: 'percent',
+    words: ['availability', 'available', 'coverage'],
+    value: t => (t.plan > 0 ? Math.round(((t.stock + t.transit) / t.plan) * 100) : null),
+    detail: t => `${formatNumber(t.stock)} in stock + ${formatNumber(t.transit)} in transit against a plan of ${formatNumber(t.plan)} units`
+  },
+  achievement: {
+    label: 'plan achievement',
+    unit: 'percent',
+    words: ['achievement', 'plan achievement', 'achievement rate', 'performance'],
+    value: t => (t.plan > 0 ? Math.round((t.billing / t.plan) * 100) : null),
+    detail: t => `${formatNumber(t.billing)} billed against a plan of ${formatNumber(t.plan)} units`
+  },
+  inventory_value: {
+    label: 'inventory value',
+    unit: 'value',
+    words: ['inventory value', 'stock value', 'value', 'worth'],
+    value: t => t.value
+  }
+};
+
+// How answers can be broken down, and the words that ask for it
+const CHAT_GROUPINGS = {
+  branch: { column: 'b.name', noun: 'branch', plural: 'branches', words: ['branch', 'branches', 'city', 'cities', 'location'] },
+  technology: { column: 'p.technology', noun: 'technology', plural: 'technologies', words: ['technology', 'technologies', 'type'] },
+  star: { column: 'p.star', noun: 'star rating', plural: 'star ratings', words: ['star', 'stars', 'star rating', 'rating'], format: value => `${value} star` },
+  tonnage: { column: 'p.tonnage', noun: 'tonnage', plural: 'tonnages', words: ['tonnage', 'ton', 'tons', 'capacity'], format: value => `${formatTonnage(value)} ton` },
+  product: { column: 'p.material', noun: 'product', plural: 'products', words: ['product', 'products', 'material', 'materials', 'model', 'models', 'sku'] }
+};
+
+// Ways of naming a technology. 'Inverter' also covers 'H&C Inv' models, as the
+// dashboard filters do.
+const TECHNOLOGY_WORDS = [
+  ['non inverter', 'Non Inv'],
+  ['non-inverter', 'Non Inv'],
+  ['non inv', 'Non Inv'],
+  ['fixed speed', 'Non Inv'],
+  ['hot and cold', 'H&C Inv'],
+  ['hot & cold', 'H&C Inv'],
+  ['h&c', 'H&C Inv'],
+  ['heat pump', 'H&C Inv'],
+  ['inverter', 'Inverter'],
+  ['inv', 'Inverter']
+];
+
+// Words asking for the live figures rather than a snapshot
+const LIVE_WORDS = /\b(?:today|now|right now|current|currently|live|latest|this month|so far)\b/g;
+
+// Starting words and phrases that make a message a follow-up to the last question
+const FOLLOW_UP_START = /^\s*(?:and|but|also|what about|how about|what of|same|then|ok|okay|only|just)\b/;
+const FOLLOW_UP_WORDS = /\b(?:only|just|instead|same|them|those|there|too|as well)\b/;
+// Follow-up words that add to the last question's branches or products instead of replacing them
+const COMBINE_WORDS = /\b(?:also|too|as well|add|compare|versus|vs)\b/;
+
+// Intents whose entities a follow-up can refine
+const REFINABLE_INTENTS = ['figures', 'top_products', 'critical_alerts', 'low_stock', 'product_count'];
+
+// A conversation idle for longer starts afresh; sessions idle for
+// CHAT_SESSION_RETENTION_DAYS are deleted
+const CHAT_CONTEXT_TTL_MINUTES = parseInt(process.env.CHAT_CONTEXT_TTL_MINUTES) || 120;
+const CHAT_SESSION_RETENTION_DAYS = 30;
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Branch and product names are re-read at most this often
+const VOCABULARY_TTL_MS = 60000;
+
+const DEFAULT_TOP_LIMIT = 3;
+// Longest list of groups spelled out in one answer
+const MAX_LISTED_GROUPS = 10;
+
+let vocabulary = null;
+
+/**
+ * Reads a message into what is being asked.
+ * @param {string} message
+ * @param {object} vocab - From loadVocabulary().
+ * @param {Date} [now] - The moment time words are relative to.
+ * @returns {object} { intent, metric, groupBy, limit, order, period, live, branches,
+ *   materials, technologies, stars, tonnages, followUp, combine } where intent is one of
+ *   'greeting', 'help', 'about', 'reset', 'critical_alerts', 'low_stock', 'top_products',
+ *   'product_count', 'branch_list', 'figures' or 'unknown'; branches are { id, name };
+ *   period is null for the live figures, or { label, month } / { label, asOf } for a
+ *   snapshot; live is true when the message asks for the current figures; followUp
+ *   and combine say how the message relates to the previous one (see refineQuery).
+ */
+function parseQuery(message, vocab, now = new Date()) {
+  const lowered = ` ${String(message).toLowerCase().replace(/[?!,;:()"]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+
+  // Entities are cut out of text as they are found so no word is read twice
+  let text = lowered;
+  const take = pattern => {
+    const matches = [];
+    text = text.replace(pattern, (...match) => {
+      matches.push(match);
+      return ' ';
+    });
+    return matches;
+  };
+
+  const parsed = {
+    intent: 'unknown',
+    metric: null,
+    groupBy: null,
+    limit: null,
+    order: 'desc',
+    period: null,
+    live: new RegExp(LIVE_WORDS.source).test(lowered),
+    branches: [],
+    materials: [],
+    technologies: [],
+    stars: [],
+    tonnages: [],
+    followUp: FOLLOW_UP_START.test(lowered) || FOLLOW_UP_WORDS.test(lowered),
+    combine: COMBINE_WORDS.test(lowered)
+  };
+
+  // Material codes first: they can look like numbers or other words
+  for (const token of text.trim().split(' ')) {
+    const material = vocab.materials.get(token.replace(/\.+$/, ''));
+    if (material) {
+      pushUnique(parsed.materials, material);
+      text = text.replace(` ${token} `, '  ');
+    }
+  }
+
+  for (const branch of vocab.branches) {
+    if (take(phrasePattern(branch.name.toLowerCase())).length > 0) {
+      parsed.branches.push({ id: branch.id, name: branch.name });
+    }
+  }
+
+  for (const [words, technology] of vocab.technologyWords) {
+    if (take(phrasePattern(words, 's?')).length > 0) {
+      pushUnique(parsed.technologies, technology);
+    }
+  }
+
+  for (const [, value] of take(/(?<![\w.])(\d)\s*-?\s*(?:stars?|\*)(?!\w)/g)) {
+    pushUnique(parsed.stars, parseInt(value));
+  }
+  for (const [, value] of take(/(?<![\w.])(\d+(?:\.\d+)?)\s*-?\s*(?:tons?|tonnes?|tr)(?!\w)/g)) {
+    pushUnique(parsed.tonnages, parseFloat(value));
+  }
+
+  parsed.period = parsePeriod(take, now);
+
+  const ranking = /\b(top|best|highest|most|bottom|worst|lowest|least)\s+(?:(\d{1,3})\s+)?(?:selling\s+)?([a-z]+)/.exec(text);
+  const asked = /\b(?:which|what)\s+([a-z]+)/.exec(text);
+  if (ranking && ranking[2]) {
+    parsed.limit = parseInt(ranking[2]);
+  }
+  if (ranking && ['bottom', 'worst', 'lowest', 'least'].includes(ranking[1])) {
+    parsed.order = 'asc';
+  }
+
+  parsed.groupBy = parseGrouping(take);
+  if (!parsed.groupBy && ranking) {
+    // "top 5 branches", "which branch has the lowest ...": rank the branches rather than the products
+    const noun = asked ? asked[1] : ranking[3];
+    parsed.groupBy = Object.keys(CHAT_GROUPINGS).find(name => CHAT_GROUPINGS[name].words.includes(noun)) || null;
+    if (asked && parsed.groupBy && !parsed.limit) parsed.limit = 1;
+  }
+  if (!parsed.groupBy && parsed.branches.length > 1) {
+    parsed.groupBy = 'branch';
+  }
+
+  parsed.metric = parseMetric(take);
+  parsed.intent = parseIntent(lowered, parsed, Boolean(ranking));
+  if (!parsed.groupBy && parsed.intent === 'figures' && /\btechnolog(y|ies)\b/.test(lowered)) {
+    parsed.groupBy = 'technology';
+  }
+  return parsed;
+}
+
+/**
+ * Answers a chatbot message for a user. With a sessionId the message may
+ * follow on from the session's previous question, and becomes the session's
+ * context for the next one.
+ * @param {string} message
+ * @param {object} user - req.user, as set by authenticateToken.
+ * @param {object} [options]
+ * @param {string} [options.sessionId]
+ * @returns {Promise<string>} The answer.
+ */
+async function answerQuery(message, user, { sessionId = null } = {}) {
+  const parsed = parseQuery(message, await loadVocabulary());
+  if (!sessionId) {
+    return answerParsedQuery(parsed, user);
+  }
+
+  const context = await loadConversation(sessionId, user);
+  const question = refineQuery(parsed, context);
+  const response = await answerParsedQuery(question, user);
+
+  // Greetings, help and the like leave the conversation where it was
+  let nextContext = context;
+  if (question.intent === 'reset') nextContext = null;
+  if (REFINABLE_INTENTS.includes(question.intent)) nextContext = question;
+  await saveConversation(sessionId, user, nextContext);
+  return response;
+}
+
+/**
+ * Applies a message to the previous question of the conversation. A follow-up
+ * - a message starting with "and", "what about", "only"..., or one naming only
+ * branches, products, a period or a grouping ("Cochin?", "last month") - keeps
+ * everything from the previous question that it does not name itself:
+ *
+ *   "stock in Chennai"  then "and what about Cochin?"  is stock in Cochin
+ *   "sales by branch"   then "show me only inverters"  is inverter sales by branch
+ *   "stock in Chennai"  then "compare with Cochin"     is stock in Chennai and Cochin
+ *
+ * @param {object} parsed - From parseQuery().
+ * @param {object|null} context - The previous question (parsed and refined), if any.
+ * @returns {object} The question to answer, in parseQuery's shape.
+ */
+function refineQuery(parsed, context) {
+  if (!context || !REFINABLE_INTENTS.includes(context.intent)) return parsed;
+
+  const names = ['branches', 'materials', 'technologies', 'stars', 'tonnages'];
+  const namesSomething = names.some(name => parsed[name].length > 0) || parsed.groupBy || parsed.period || parsed.live;
+  const openIntent = ['figures', 'unknown'].includes(parsed.intent);
+  const followUp = (parsed.followUp && (openIntent || REFINABLE_INTENTS.includes(parsed.intent))) ||
+    (openIntent && !parsed.metric && namesSomething);
+  if (!followUp) return parsed;
+
+  const pick = (name, combine = parsed.combine) => {
+    if (parsed[name].length === 0) return context[name] || [];
+    if (!combine) return parsed[name];
+    const merged = [...(context[name] || [])];
+    for (const value of parsed[name]) {
+      if (!merged.some(existing => JSON.stringify(existing) === JSON.stringify(value))) merged.push(value);
+    }
+    return merged;
+  };
+
+  const question = {
+    ...parsed,
+    intent: openIntent ? context.intent : parsed.intent,
+    metric: parsed.metric || context.metric,
+    period: parsed.period || (parsed.live ? null : context.period),
+    branches: pick('branches')
+  };
+
+  // Material codes and product attributes are alternatives: naming one drops the other
+  const namesAttributes = ['technologies', 'stars', 'tonnages'].some(name => parsed[name].length > 0);
+  if (parsed.materials.length > 0) {
+    question.materials = pick('materials');
+  } else {
+    question.materials = namesAttributes && !parsed.combine ? [] : context.materials || [];
+    for (const name of ['technologies', 'stars', 'tonnages']) {
+      question[name] = pick(name);
+    }
+  }
+
+  const filterOf = { branch: 'branches', technology: 'technologies', star: 'stars', tonnage: 'tonnages', product: 'materials' };
+  if (parsed.groupBy || parsed.limit !== null) {
+    question.groupBy = parsed.groupBy;
+    // "by branch" spreads the answer over every branch unless the message names some
+    const grouped = filterOf[parsed.groupBy];
+    if (grouped && parsed[grouped].length === 0) question[grouped] = [];
+  } else {
+    // Keep the breakdown, unless the message narrows it to one value ("what about Cochin?")
+    const grouped = filterOf[context.groupBy];
+    const narrowedToOne = grouped && parsed[grouped].length > 0 && question[grouped].length === 1;
+    question.groupBy = narrowedToOne ? null : context.groupBy;
+    question.limit = context.limit;
+    question.order = context.order;
+  }
+  if (!question.groupBy && question.branches.length > 1) {
+    question.groupBy = 'branch';
+  }
+  return question;
+}
+
+/**
+ * Answers an already parsed question (see parseQuery).
+ * @returns {Promise<string>} The answer.
+ */
+async function answerParsedQuery(parsed, user) {
+  switch (parsed.intent) {
+    case 'greeting':
+      return 'Hello! I\'m the Hansei AI assistant. How can I help you with the sales data today?';
+
+    case 'reset':
+      return 'Okay, let\'s start over. What would you like to know?';
+
+    case 'help':
+      return `You can ask me things like:
+- What is the total stock?
+- Availability of 1.5 ton 5 star inverter in Hyderabad
+- Sales by branch last month
+- How many products are there?
+- What are the critical alerts in Chennai?
+- Show me the top 5 selling products
+- What's the plan achievement rate?
+Follow-ups such as "and what about Cochin?" or "show me only inverters" change the last question; say "start over" to clear it.`;
+
+    case 'about':
+      return 'I am an AI assistant for the Hansei Intelligence Portal. I can help you analyze sales data, check inventory levels, and provide insights about branch performance. I have access to real-time data across all branches and products.';
+
+    case 'critical_alerts':
+    case 'low_stock':
+      return answerAlerts(parsed, user);
+
+    case 'product_count':
+      return answerProductCount(parsed);
+
+    case 'branch_list':
+      return answerBranchList(user);
+
+    case 'top_products':
+      return answerFigures({ ...parsed, metric: parsed.metric || 'billing', groupBy: 'product', limit: parsed.limit || DEFAULT_TOP_LIMIT }, user);
+
+    case 'figures':
+      return answerFigures(parsed, user);
+
+    default:
+      return 'I\'m not sure how to answer that. Please try asking about sales, stock, availability or plan achievement for a branch or product, or type "help" for a list of commands.';
+  }
+}
+
+/**
+ * Returns the branch names, material codes and technology words the parser
+ * recognizes, re-read from the database every VOCABULARY_TTL_MS.
+ */
+async function loadVocabulary() {
+  if (vocabulary && Date.now() - vocabulary.loadedAt < VOCABULARY_TTL_MS) {
+    return vocabulary;
+  }
+
+  const [branchesResult, materialsResult, technologiesResult] = await Promise.all([
+    pgPool.query('SELECT id, name FROM branches'),
+    pgPool.query('SELECT material FROM products'),
+    pgPool.query('SELECT DISTINCT technology FROM products WHERE technology IS NOT NULL')
+  ]);
+
+  const technologyWords = new Map(TECHNOLOGY_WORDS);
+  for (const { technology } of technologiesResult.rows) {
+    technologyWords.set(technology.toLowerCase(), technology);
+  }
+
+  // Longest first, so "Navi Mumbai" is found before "Mumbai" and "non inverter" before "inverter"
+  vocabulary = {
+    loadedAt: Date.now(),
+    branches: branchesResult.rows.sort((a, b) => b.name.length - a.name.length),
+    materials: new Map(materialsResult.rows.map(({ material }) => [material.toLowerCase(), material])),
+    technologyWords: [...technologyWords.entries()].sort((a, b) => b[0].length - a[0].length)
+  };
+  return vocabulary;
+}
+
+// --- Helper Functions ---
+function phrasePattern(phrase, suffix = '') {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+');
+  return new RegExp(`(?<![\\w&])${escaped}${suffix}(?![\\w&])`, 'g');
+}
+
+function pushUnique(list, value) {
+  if (!list.includes(value)) list.push(value);
+}
+
+function parsePeriod(take, now) {
+  let period = null;
+  const found = value => {
+    if (!period) period = value;
+  };
+  const endOfDay = daysAgo => new Date(now.getFullYear(), now.getMonth(), now.getDate() - daysAgo, 23, 59, 59, 999);
+  const monthKey = (year, monthIndex) => {
+    const date = new Date(year, monthIndex, 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  };
+  const monthPeriod = (year, monthIndex, label) => {
+    // The running month has no closing snapshot yet: answer from the live figures
+    if (year === now.getFullYear() && monthIndex === now.getMonth()) return null;
+    return { label, month: monthKey(year, monthIndex) };
+  };
+
+  for (const [match, year, month, day] of take(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+    found({ label: `on ${match}`, asOf: new Date(parseInt(year), parseInt(month) - 1, parseInt(day), 23, 59, 59, 999) });
+  }
+  for (const [match, year, month] of take(/\b(\d{4})-(\d{2})\b/g)) {
+    found(monthPeriod(parseInt(year), parseInt(month) - 1, `in ${match}`));
+  }
+
+  const monthNames = MONTH_NAMES.join('|');
+  for (const [, name, year] of take(new RegExp(`\\b(?:(?:in|for|during|of|end of)\\s+)?(${monthNames})\\s+(\\d{4})\\b`, 'g'))) {
+    found(monthPeriod(parseInt(year), MONTH_NAMES.indexOf(name), `in ${capitalize(name)} ${year}`));
+  }
+  // A month without a year is the latest one, and needs a preposition ("in may")
+  for (const [, name] of take(new RegExp(`\\b(?:in|for|during|of|end of)\\s+(${monthNames})\\b`, 'g'))) {
+    const monthIndex = MONTH_NAMES.indexOf(name);
+    const year = monthIndex > now.getMonth() ? now.getFullYear() - 1 : now.getFullYear();
+    found(monthPeriod(year, monthIndex, `in ${capitalize(name)} ${year}`));
+  }
+
+  for (const [, count] of take(/\b(\d{1,3}) days? ago\b/g)) {
+    found({ label: `${count} days ago`, asOf: endOfDay(parseInt(count)) });
+  }
+  if (take(/\byesterday\b/g).length > 0) {
+    found({ label: 'yesterday', asOf: endOfDay(1) });
+  }
+  if (take(/\b(?:last|previous|past) week\b|\ba week ago\b/g).length > 0) {
+    found({ label: 'a week ago', asOf: endOfDay(7) });
+  }
+  if (take(/\b(?:last|previous|past) month\b|\ba month ago\b/g).length > 0) {
+    found(monthPeriod(now.getFullYear(), now.getMonth() - 1, 'last month'));
+  }
+  take(LIVE_WORDS);
+  return period;
+}
+
+function parseGrouping(take) {
+  for (const [name, grouping] of Object.entries(CHAT_GROUPINGS)) {
+    const words = grouping.words.map(word => word.replace(/ /g, '\\s+')).join('|');
+    const pattern = new RegExp(
+      `\\b(?:by|per|each|every|for each|for every)\\s+(?:${words})\\b|\\b(?:${words})[- ]?wise\\b|\\b(?:${words})(?=\\s+(?:performance|breakdown|split|mix|comparison)\\b)`,
+      'g'
+    );
+    if (take(pattern).length > 0) return name;
+  }
+  return null;
+}
+
+function parseMetric(take) {
+  const words = [];
+  for (const [name, metric] of Object.entries(CHAT_METRICS)) {
+    for (const word of metric.words) words.push([word, name]);
+  }
+  words.sort((a, b) => b[0].length - a[0].length);
+
+  let found = null;
+  for (const [word, name] of words) {
+    if (take(phrasePattern(word)).length > 0 && !found) found = name;
+  }
+  return found;
+}
+
+function parseIntent(lowered, parsed, ranked) {
+  const has = pattern => pattern.test(lowered);
+  const hasEntities = parsed.branches.length > 0 || parsed.materials.length > 0 || parsed.technologies.length > 0 ||
+    parsed.stars.length > 0 || parsed.tonnages.length > 0;
+
+  if (has(/^\s*(?:reset|start over|start again|clear|forget (?:it|that)|new (?:topic|question|conversation))\b/)) return 'reset';
+  if (has(/\b(help|commands?|what can you)\b/)) return 'help';
+  if (has(/\b(hansei|who are you|what are you)\b/)) return 'about';
+  if (has(/\b(low stock|low on stock|shortages?|running low|restock\w*)\b/)) return 'low_stock';
+  if (has(/\b(critical|alerts?|stock-?outs?|out of stock)\b/)) return 'critical_alerts';
+  if (ranked) return parsed.groupBy && parsed.groupBy !== 'product' ? 'figures' : 'top_products';
+  if (!parsed.metric && !parsed.groupBy) {
+    if (has(/\b(products|models|skus|how many products?)\b/)) return 'product_count';
+    if (!hasEntities && has(/\b(branch|branches|cities|locations)\b/)) return 'branch_list';
+  }
+  if (parsed.metric || parsed.groupBy || hasEntities || parsed.period) return 'figures';
+  if (has(/\btechnolog(y|ies)\b/)) return 'figures';
+  if (has(/\b(hi|hello|hey|good (morning|afternoon|evening))\b/)) return 'greeting';
+  return 'unknown';
+}
+
+async function resolvePeriod(period) {
+  if (!period) return null;
+  return period.month ? findMonthSnapshot(period.month) : findSnapshotAsOf(period.asOf);
+}
+
+function expandTechnologies(technologies) {
+  const expanded = [...technologies];
+  if (expanded.includes('Inverter')) pushUnique(expanded, 'H&C Inv');
+  return expanded;
+}
+
+// Narrows the branches the user can see to the ones the question names
+function branchScope(parsed, user) {
+  return parsed.branches.length > 0
+    ? visibleBranchIds(user, parsed.branches.map(branch => branch.id))
+    : visibleBranchIds(user);
+}
+
+function productConditions(parsed, params) {
+  let conditions = '';
+  const add = (values, column, type) => {
+    if (values.length === 0) return;
+    params.push(values);
+    conditions += ` AND ${column} = ANY($${params.length}::${type}[])`;
+  };
+  add(parsed.materials, 'p.material', 'text');
+  add(expandTechnologies(parsed.technologies), 'p.technology', 'text');
+  add(parsed.stars, 'p.star', 'int');
+  add(parsed.tonnages, 'p.tonnage', 'numeric');
+  return conditions;
+}
+
+function matchesProductFilters(row, parsed) {
+  const technologies = expandTechnologies(parsed.technologies);
+  return (parsed.materials.length === 0 || parsed.materials.includes(row.material)) &&
+    (technologies.length === 0 || technologies.includes(row.technology)) &&
+    (parsed.stars.length === 0 || parsed.stars.includes(parseInt(row.star))) &&
+    (parsed.tonnages.length === 0 || parsed.tonnages.includes(parseFloat(row.tonnage)));
+}
+
+// The one query behind every figure: inventory totals for the question's
+// products and branches, optionally per group
+async function queryInventoryTotals(parsed, user, snapshotId = null) {
+  const params = [];
+  const source = inventorySource(snapshotId, params);
+  const grouping = parsed.groupBy ? CHAT_GROUPINGS[parsed.groupBy] : null;
+  const conditions = productConditions(parsed, params) + branchScopeCondition(branchScope(parsed, user), 'i.branch_id', params);
+
+  const result = await pgPool.query(`
+    SELECT
+      ${grouping ? `${grouping.column} as group_value,` : ''}
+      COUNT(*)::int as row_count,
+      COALESCE(SUM(i.avl_stock), 0) as stock,
+      COALESCE(SUM(i.transit), 0) as transit,
+      COALESCE(SUM(i.op_stock), 0) as opening_stock,
+      COALESCE(SUM(i.billing), 0) as billing,
+      COALESCE(SUM(i.month_plan), 0) as plan,
+      COALESCE(SUM(i.avl_stock::bigint * p.price::bigint), 0) as value
+    FROM ${source} i
+    JOIN products p ON i.product_id = p.id
+    JOIN branches b ON i.branch_id = b.id
+    WHERE 1=1${conditions}
+    ${grouping ? `GROUP BY ${grouping.column}` : ''}
+  `, params);
+
+  return result.rows
+    .filter(row => row.row_count > 0)
+    .map(row => ({
+      ...row,
+      stock: parseInt(row.stock),
+      transit: parseInt(row.transit),
+      opening_stock: parseInt(row.opening_stock),
+      billing: parseInt(row.billing),
+      plan: parseInt(row.plan),
+      value: parseInt(row.value)
+    }));
+}
+
+async function answerFigures(parsed, user) {
+  const snapshot = await resolvePeriod(parsed.period);
+  if (parsed.period && !snapshot) {
+    return `I don't have an inventory snapshot from ${parsed.period.label.replace(/^(in|on) /, '')}, so I can only answer with the current figures.`;
+  }
+
+  const rows = await queryInventoryTotals(parsed, user, snapshot && snapshot.id);
+  const target = describeTarget(parsed, user);
+  const when = snapshot ? ` as of ${formatDate(snapshot.as_of)}` : '';
+  if (rows.length === 0) {
+    return `I don't have any figures for ${target}${when} that you are allowed to see.`;
+  }
+
+  if (!parsed.groupBy) {
+    const totals = rows[0];
+    const metric = CHAT_METRICS[parsed.metric];
+    if (!metric) {
+      const achievement = CHAT_METRICS.achievement.value(totals);
+      return `${capitalize(target)} ${snapshot ? 'had' : 'currently has'} ${formatNumber(totals.stock)} units in stock (${formatNumber(totals.transit)} in transit) and ${snapshot ? 'had' : 'has'} achieved ${formatNumber(totals.billing)} units in sales` +
+        `${totals.plan > 0 ? ` against a plan of ${formatNumber(totals.plan)} units (${achievement}%)` : ''}${when}.`;
+    }
+
+    const value = metric.value(totals);
+    if (value === null) {
+      return `There is no month plan for ${target}${when}, so I can't work out the ${metric.label}.`;
+    }
+    return `The ${metric.label} for ${target}${when} is ${formatMetric(metric, value)}${metric.detail ? ` (${metric.detail(totals)})` : ''}.`;
+  }
+
+  const grouping = CHAT_GROUPINGS[parsed.groupBy];
+  const metric = CHAT_METRICS[parsed.metric || 'stock'];
+  const direction = parsed.order === 'asc' ? 1 : -1;
+  const ranked = rows
+    .map(row => ({ label: grouping.format ? grouping.format(row.group_value) : row.group_value, value: metric.value(row) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+      return direction * (a.value - b.value);
+    });
+  const shown = ranked.slice(0, parsed.limit || MAX_LISTED_GROUPS);
+  const listed = shown.map(group => `${group.label} (${group.value === null ? 'no plan' : formatMetric(metric, group.value)})`).join(', ');
+
+  if (parsed.limit) {
+    const filters = describeFilters(parsed, user, ' for ');
+    if (shown.length === 1) {
+      return `The ${grouping.noun} with the ${parsed.order === 'asc' ? 'lowest' : 'highest'} ${metric.label}${filters}${when} is ${listed}.`;
+    }
+    const rank = parsed.order === 'asc' ? 'bottom' : 'top';
+    const what = parsed.groupBy === 'product' && parsed.metric === 'billing'
+      ? 'selling products'
+      : `${grouping.plural} by ${metric.label}`;
+    return `The ${rank} ${shown.length} ${what}${filters}${when} are: ${listed}`;
+  }
+  const more = ranked.length > shown.length ? `, and ${ranked.length - shown.length} more` : '';
+  return `${capitalize(metric.label)} by ${grouping.noun} for ${target}${when}: ${listed}${more}.`;
+}
+
+async function answerAlerts(parsed, user) {
+  const critical = parsed.intent === 'critical_alerts';
+  const alerts = (await listAlerts({ branchIds: branchScope(parsed, user), severity: critical ? 'critical' : 'warning', limit: null }))
+    .filter(alert => matchesProductFilters(alert, parsed));
+  const filters = describeFilters(parsed, user, ' for ');
+
+  if (critical) {
+    if (alerts.length > 0) {
+      const examples = alerts
+        .slice(0, 3)
+        .map(a => `${a.material} at ${a.branch_name} (plan: ${a.month_plan})`)
+        .join(', ');
+      return `Yes, there are ${alerts.length} open critical stock alerts${filters}, including: ${examples}`;
+    }
+    return `Good news! There are currently no critical stock alerts${filters}.`;
+  }
+
+  if (alerts.length > 0) {
+    const shortages = alerts
+      .slice(0, 3)
+      .map(s => `${s.material} at ${s.branch_name} (only ${s.avl_stock} units)`)
+      .join(', ');
+    return `Low stock alerts${filters}: ${shortages}. These products need immediate restocking.`;
+  }
+  return `All products${filters} have adequate stock levels.`;
+}
+
+async function answerProductCount(parsed) {
+  const params = [];
+  const conditions = productConditions(parsed, params);
+  const result = await pgPool.query(`SELECT COUNT(*) as count FROM products p WHERE 1=1${conditions}`, params);
+  const productCount = parseInt(result.rows[0].count);
+
+  const products = describeProducts(parsed);
+  if (products) {
+    return `We are tracking ${productCount} ${products.replace(/ products$/, productCount === 1 ? ' model' : ' models')}.`;
+  }
+
+  const techResult = await pgPool.query(
+    'SELECT technology, COUNT(*) as count FROM products GROUP BY technology'
+  );
+  const techBreakdown = techResult.rows
+    .map(t => `${t.count} ${t.technology}`)
+    .join(', ');
+
+  return `We are tracking ${productCount} different product models: ${techBreakdown}.`;
+}
+
+async function answerBranchList(user) {
+  const visible = visibleBranchIds(user);
+  const branchParams = [];
+  const result = await pgPool.query(
+    `SELECT name FROM branches WHERE 1=1${branchScopeCondition(visible, 'id', branchParams)} ORDER BY name`,
+    branchParams
+  );
+  const branches = result.rows.map(b => b.name).join(', ');
+  return `We are monitoring ${result.rows.length} branches: ${branches}. Which branch are you interested in?`;
+}
+
+// "1.5 ton 5 star Inverter products", "M1 and M2", or null when no product is named
+function describeProducts(parsed) {
+  if (parsed.materials.length > 0) {
+    return joinWords(parsed.materials);
+  }
+  const attributes = [
+    parsed.tonnages.length > 0 ? `${parsed.tonnages.map(formatTonnage).join('/')} ton` : null,
+    parsed.stars.length > 0 ? `${parsed.stars.join('/')} star` : null,
+    parsed.technologies.length > 0 ? parsed.technologies.join('/') : null
+  ].filter(Boolean);
+  return attributes.length > 0 ? `${attributes.join(' ')} products` : null;
+}
+
+// What a figure is about: "1.5 ton Inverter products in Hyderabad", "Chennai" or "all branches"
+function describeTarget(parsed, user) {
+  const products = describeProducts(parsed);
+  const branches = parsed.branches.length > 0 ? joinWords(parsed.branches.map(branch => branch.name)) : null;
+  if (products) {
+    return branches ? `${products} in ${branches}` : products;
+  }
+  return branches || (visibleBranchIds(user) ? 'your branches' : 'all branches');
+}
+
+function describeFilters(parsed, user, prefix) {
+  return parsed.materials.length > 0 || parsed.technologies.length > 0 || parsed.stars.length > 0 ||
+    parsed.tonnages.length > 0 || parsed.branches.length > 0
+    ? `${prefix}${describeTarget(parsed, user)}`
+    : '';
+}
+
+function joinWords(words) {
+  return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words[0];
+}
+
+function formatNumber(value) {
+  return value.toLocaleString();
+}
+
+function formatTonnage(value) {
+  return String(parseFloat(value));
+}
+
+function formatMetric(metric, value) {
+  if (metric.unit === 'percent') return `${value}%`;
+  if (metric.unit === 'value') return `₹${(value / 10000000).toFixed(2)} Cr`;
+  return `${formatNumber(value)} ${value === 1 ? 'unit' : 'units'}`;
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+async function loadConversation(sessionId, user) {
+  const result = await pgPool.query(
+    `SELECT context FROM chat_sessions
+     WHERE id = $1
+       AND user_id IS NOT DISTINCT FROM $2 AND api_key_id IS NOT DISTINCT FROM $3
+       AND updated_at > NOW() - make_interval(mins => $4)`,
+    [sessionId, user.id || null, user.apiKeyId || null, CHAT_CONTEXT_TTL_MINUTES]
+  );
+  const context = result.rows[0] ? result.rows[0].context : null;
+  if (!context || !context.intent) return null;
+  if (context.period && context.period.asOf) {
+    context.period.asOf = new Date(context.period.asOf);
+  }
+  return context;
+}
+
+// A session id used by someone else is answered but not written to
+async function saveConversation(sessionId, user, question) {
+  const context = question
+    ? {
+      intent: question.intent,
+      metric: question.metric,
+      groupBy: question.groupBy,
+      limit: question.limit,
+      order: question.order,
+      period: question.period,
+      branches: question.branches,
+      materials: question.materials,
+      technologies: question.technologies,
+      stars: question.stars,
+      tonnages: question.tonnages
+    }
+    : {};
+
+  const result = await pgPool.query(
+    `INSERT INTO chat_sessions (id, user_id, api_key_id, context)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (id) DO UPDATE SET context = EXCLUDED.context, turns = chat_sessions.turns + 1, updated_at = NOW()
+     WHERE chat_sessions.user_id IS NOT DISTINCT FROM EXCLUDED.user_id
+       AND chat_sessions.api_key_id IS NOT DISTINCT FROM EXCLUDED.api_key_id
+     RETURNING turns`,
+    [sessionId, user.id || null, user.apiKeyId || null, JSON.stringify(context)]
+  );
+  if (result.rows[0] && result.rows[0].turns === 1) {
+    // New sessions are rare enough to clear out the abandoned ones
+    await pgPool.query(
+      'DELETE FROM chat_sessions WHERE updated_at < NOW() - make_interval(days => $1)',
+      [CHAT_SESSION_RETENTION_DAYS]
+    );
+  }
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+  CHAT_METRICS,
+  CHAT_GROUPINGS,
+  parseQuery,
+  refineQuery,
+  answerQuery,
+  answerParsedQuery,
+  loadVocabulary
+};
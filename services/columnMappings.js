@@ -0,0 +1,341 @@
+// services/columnMappings.js
+// Named profiles that map the columns of an uploaded sheet onto our import fields.
+//
+// A profile looks like:
+//   {
+//     name: 'Distributor ERP',
+//     target: 'inventory',
+//     columns: {
+//       material:  { source: 'SKU' },
+//       branch:    { source: ['Location', 'Depot'] },     // first non-blank header wins
+//       avl_stock: { source: 'Free Stock (cases)', multiply: 4 },
+//       month_plan:{ default: 0 }                          // constant when no source/blank
+//     },
+//     header_signature: ['SKU', 'Location']              // optional, used for auto-matching
+//   }
+const { pgPool } = require('../config/database');
+
+// Fields each import target understands. Required fields must be mapped.
+const TARGET_FIELDS = {
+  inventory: {
+    required: ['material', 'branch'],
+    numeric: ['op_stock', 'avl_stock', 'transit', 'billing', 'month_plan'],
+    text: []
+  },
+  sales: {
+    required: ['material', 'branch', 'sales_qty'],
+    numeric: ['sales_qty', 'tonnage', 'star'],
+    text: ['technology']
+  },
+  products: {
+    required: ['material'],
+    numeric: ['tonnage', 'star', 'price', 'factory_stock'],
+    text: ['technology']
+  },
+  branches: {
+    required: ['branch'],
+    numeric: ['market_share', 'penetration'],
+    text: ['state', 'region']
+  }
+};
+
+// The formats the upload route has always understood, expressed as profiles,
+// plus the master/plan sheets of the monthly MIS workbook. Profiles with
+// autoMatch: false are only used when picked by sheet name or explicitly.
+const BUILT_IN_PROFILES = [
+  {
+    name: 'builtin:sales',
+    target: 'sales',
+    builtIn: true,
+    columns: {
+      material: { source: 'Item Code' },
+      branch: { source: 'Branch' },
+      sales_qty: { source: 'Sales Qty.' },
+      tonnage: { source: 'Tonnage', default: 1.0 },
+      star: { source: 'Star rating', default: 3 },
+      technology: { source: 'Technology', default: 'Non Inv' }
+    },
+    header_signature: ['Item Code', 'Sales Qty.', 'Branch']
+  },
+  {
+    name: 'builtin:inventory',
+    target: 'inventory',
+    builtIn: true,
+    columns: {
+      material: { source: ['material', 'Material'] },
+      branch: { source: ['branch', 'Branch'] },
+      op_stock: { source: ['op_stock', 'Op Stock'], default: 0 },
+      avl_stock: { source: ['avl_stock', 'Avl Stock'], default: 0 },
+      transit: { source: ['transit', 'Transit'], default: 0 },
+      billing: { source: ['billing', 'Billing'], default: 0 },
+      month_plan: { source: ['month_plan', 'Month Plan'], default: 0 }
+    },
+    // Fallback for anything else, as before
+    header_signature: []
+  },
+  {
+    name: 'builtin:plan',
+    target: 'inventory',
+    builtIn: true,
+    autoMatch: false,
+    columns: {
+      material: { source: ['material', 'Material'] },
+      branch: { source: ['branch', 'Branch'] },
+      month_plan: { source: ['month_plan', 'Month Plan', 'Plan'] }
+    }
+  },
+  {
+    name: 'builtin:products',
+    target: 'products',
+    builtIn: true,
+    autoMatch: false,
+    columns: {
+      material: { source: ['material', 'Material', 'Item Code'] },
+      tonnage: { source: ['tonnage', 'Tonnage'] },
+      star: { source: ['star', 'Star', 'Star rating'] },
+      technology: { source: ['technology', 'Technology'] },
+      price: { source: ['price', 'Price'] },
+      factory_stock: { source: ['factory_stock', 'Factory Stock'] }
+    }
+  },
+  {
+    name: 'builtin:branches',
+    target: 'branches',
+    builtIn: true,
+    autoMatch: false,
+    columns: {
+      branch: { source: ['branch', 'Branch', 'name', 'Name'] },
+      state: { source: ['state', 'State'] },
+      region: { source: ['region', 'Region'] },
+      market_share: { source: ['market_share', 'Market Share'] },
+      penetration: { source: ['penetration', 'Penetration'] }
+    }
+  }
+];
+
+/**
+ * Checks a profile definition and returns a list of problems (empty if valid).
+ */
+function validateProfile({ name, target, columns, header_signature }) {
+  const errors = [];
+  if (!name || typeof name !== 'string') errors.push('name is required');
+  if (name && name.startsWith('builtin:')) errors.push('names starting with "builtin:" are reserved');
+
+  const targetFields = TARGET_FIELDS[target];
+  if (!targetFields) {
+    errors.push(`target must be one of: ${Object.keys(TARGET_FIELDS).join(', ')}`);
+    return errors;
+  }
+
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    errors.push('columns must be an object of field name to column mapping');
+    return errors;
+  }
+
+  const knownFields = [...targetFields.required, ...targetFields.numeric, ...targetFields.text];
+  for (const [field, mapping] of Object.entries(columns)) {
+    if (!knownFields.includes(field)) {
+      errors.push(`unknown field "${field}" for target ${target}`);
+      continue;
+    }
+    if (!mapping || typeof mapping !== 'object') {
+      errors.push(`mapping for "${field}" must be an object`);
+      continue;
+    }
+    const sources = toSourceList(mapping.source);
+    if (sources.some(source => typeof source !== 'string' || source === '')) {
+      errors.push(`source for "${field}" must be a header name or a list of header names`);
+    }
+    if (sources.length === 0 && mapping.default === undefined) {
+      errors.push(`"${field}" needs a source or a default`);
+    }
+    if (mapping.multiply !== undefined) {
+      if (!targetFields.numeric.includes(field)) {
+        errors.push(`multiply is only allowed on numeric fields, not "${field}"`);
+      } else if (typeof mapping.multiply !== 'number' || !Number.isFinite(mapping.multiply) || mapping.multiply === 0) {
+        errors.push(`multiply for "${field}" must be a non-zero number`);
+      }
+    }
+  }
+
+  for (const field of targetFields.required) {
+    if (!columns[field]) errors.push(`required field "${field}" is not mapped`);
+  }
+
+  if (header_signature !== undefined && header_signature !== null &&
+      (!Array.isArray(header_signature) || header_signature.some(h => typeof h !== 'string'))) {
+    errors.push('header_signature must be a list of header names');
+  }
+
+  return errors;
+}
+
+/**
+ * The headers a file must contain for the profile to be auto-matched. Defaults
+ * to the first source header of every required field.
+ */
+function headerSignature(profile) {
+  if (Array.isArray(profile.header_signature) && (profile.header_signature.length > 0 || profile.builtIn)) {
+    return profile.header_signature;
+  }
+  const targetFields = TARGET_FIELDS[profile.target];
+  return targetFields.required
+    .map(field => toSourceList(profile.columns[field] && profile.columns[field].source)[0])
+    .filter(Boolean);
+}
+
+async function listProfiles() {
+  const result = await pgPool.query(
+    `SELECT cmp.*, u.username as created_by_username
+     FROM column_mapping_profiles cmp
+     LEFT JOIN users u ON cmp.created_by = u.id
+     ORDER BY cmp.name`
+  );
+  return [...result.rows, ...BUILT_IN_PROFILES];
+}
+
+async function getProfile(db, name) {
+  const builtIn = BUILT_IN_PROFILES.find(p => p.name === name);
+  if (builtIn) return builtIn;
+  const result = await db.query('SELECT * FROM column_mapping_profiles WHERE name = $1', [name]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Picks the profile for an upload: the one asked for by name, otherwise the
+ * stored or built-in profile whose header signature matches the most headers.
+ * Stored profiles win ties against built-ins.
+ * @param {object} db - A pg client or pool.
+ * @param {string[]} headers - The headers present in the uploaded sheet.
+ * @param {string} [requestedName]
+ * @param {object} [options]
+ * @param {boolean} [options.allowFallback=true] - Whether profiles with an empty
+ *   signature (the catch-all inventory format) may match.
+ * @returns {Promise<object|null>} null if a requested profile doesn't exist or nothing matched.
+ */
+async function resolveProfile(db, headers, requestedName, { allowFallback = true } = {}) {
+  if (requestedName) {
+    return getProfile(db, requestedName);
+  }
+
+  const stored = await db.query('SELECT * FROM column_mapping_profiles ORDER BY id');
+  const headerSet = new Set(headers);
+
+  let best = null;
+  let bestScore = -1;
+  for (const profile of [...stored.rows, ...BUILT_IN_PROFILES]) {
+    if (profile.autoMatch === false) continue;
+    const signature = headerSignature(profile);
+    if (signature.length === 0 && !allowFallback) continue;
+    if (!signature.every(header => headerSet.has(header))) continue;
+    if (signature.length > bestScore) {
+      best = profile;
+      bestScore = signature.length;
+    }
+  }
+  return best;
+}
+
+/**
+ * True when every required field of the profile can be read from these
+ * headers (or has a default).
+ */
+function profileFitsHeaders(profile, headers) {
+  const headerSet = new Set(headers);
+  return TARGET_FIELDS[profile.target].required.every(field => {
+    const mapping = profile.columns[field];
+    if (!mapping) return false;
+    return mapping.default !== undefined || toSourceList(mapping.source).some(source => headerSet.has(source));
+  });
+}
+
+/**
+ * Maps raw sheet rows onto the profile's fields. Numeric fields are parsed and
+ * multiplied; anything unparseable becomes NaN, with the original kept in raw.
+ * @returns {object[]} One { values, raw } per input row.
+ */
+function mapRows(data, profile) {
+  const targetFields = TARGET_FIELDS[profile.target];
+
+  return data.map(row => {
+    const values = {};
+    const raw = {};
+
+    for (const [field, mapping] of Object.entries(profile.columns)) {
+      let value;
+      for (const source of toSourceList(mapping.source)) {
+        if (row[source] !== undefined && row[source] !== null && String(row[source]).trim() !== '') {
+          value = row[source];
+          break;
+        }
+      }
+      if (value === undefined) value = mapping.default;
+      raw[field] = value;
+
+      if (value === undefined) continue;
+      if (targetFields.numeric.includes(field)) {
+        const number = parseNumber(value);
+        values[field] = mapping.multiply !== undefined ? number * mapping.multiply : number;
+      } else {
+        values[field] = String(value).trim();
+      }
+    }
+
+    return { values, raw };
+  });
+}
+
+async function createProfile({ name, target, columns, header_signature }, userId) {
+  const result = await pgPool.query(
+    `INSERT INTO column_mapping_profiles (name, target, columns, header_signature, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [name, target, columns, header_signature || null, userId]
+  );
+  return result.rows[0];
+}
+
+async function updateProfile(id, { name, target, columns, header_signature }) {
+  const result = await pgPool.query(
+    `UPDATE column_mapping_profiles
+     SET name = $1, target = $2, columns = $3, header_signature = $4, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING *`,
+    [name, target, columns, header_signature || null, id]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteProfile(id) {
+  const result = await pgPool.query('DELETE FROM column_mapping_profiles WHERE id = $1 RETURNING id', [id]);
+  return result.rowCount > 0;
+}
+
+// --- Helper Functions ---
+function toSourceList(source) {
+  if (source === undefined || source === null) return [];
+  return Array.isArray(source) ? source : [source];
+}
+
+// Returns NaN for anything that isn't a plain number ("1,200" is accepted)
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value).replace(/,/g, '').trim();
+  if (cleaned === '') return NaN;
+  return Number(cleaned);
+}
+
+module.exports = {
+  TARGET_FIELDS,
+  BUILT_IN_PROFILES,
+  validateProfile,
+  headerSignature,
+  listProfiles,
+  getProfile,
+  resolveProfile,
+  profileFitsHeaders,
+  mapRows,
+  createProfile,
+  updateProfile,
+  deleteProfile
+};
@@ -0,0 +1,164 @@
+// services/cron.js
+// Cron expressions for scheduled jobs (services/jobs.js): the usual five
+// fields, evaluated in the server's local time like the month-close stamps.
+//
+//   ┌ minute (0-59)
+//   │ ┌ hour (0-23)
+//   │ │ ┌ day of month (1-31)
+//   │ │ │ ┌ month (1-12 or jan-dec)
+//   │ │ │ │ ┌ day of week (0-7 or sun-sat, 0 and 7 are Sunday)
+//   5 0 1 * *     -> 00:05 on the first of every month
+//
+// Each field takes *, a value, a range (1-5), a step (*/15, 1-31/2) or a
+// comma-separated list of those. When both day fields are restricted a day
+// matching either one qualifies, as in classic cron. @hourly, @daily,
+// @weekly, @monthly and @yearly are accepted as shorthands.
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// No expression needs more than a few years of days to find its next match;
+// 31 February never matches at all.
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression
+ * @returns {object} { minutes, hours, days, months, weekdays } as Sets, plus
+ *   daysRestricted / weekdaysRestricted.
+ * @throws {Error} With a message naming the offending field.
+ */
+function parseCron(expression) {
+  const source = CRON_SHORTHANDS[String(expression || '').trim().toLowerCase()] || String(expression || '').trim();
+  const parts = source.split(/\s+/).filter(Boolean);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression must have ${CRON_FIELDS.length} fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, CRON_FIELDS[index]));
+  // 7 is another way to write Sunday
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: parts[2] !== '*',
+    weekdaysRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * Returns the first minute after `after` that matches the expression.
+ * @param {string|object} expression - A cron expression or the result of parseCron.
+ * @param {Date} [after] - Defaults to now.
+ * @returns {Date}
+ * @throws {Error} When the expression is invalid or never matches (e.g. 30 February).
+ */
+function nextCronTime(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const time = new Date(after.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+
+  const limit = new Date(time.getTime());
+  limit.setDate(limit.getDate() + MAX_SEARCH_DAYS);
+
+  while (time <= limit) {
+    if (!cron.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0);
+      continue;
+    }
+    if (!cron.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1);
+      continue;
+    }
+    return time;
+  }
+  throw new Error('Cron expression never matches a date');
+}
+
+// --- Helper Functions ---
+function parseField(part, field) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      throw new Error(`Invalid step "${item}" in the ${field.name} field`);
+    }
+
+    let start, end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range "${range}" in the ${field.name} field`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means from 5 to the end in steps of 15
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+function parseValue(text, field) {
+  const lower = String(text).toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.name === 'month' ? 1 : 0);
+  }
+  const value = /^\d+$/.test(lower) ? parseInt(lower, 10) : NaN;
+  if (isNaN(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid value "${text}" in the ${field.name} field (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+function matchesDay(cron, time) {
+  const dayMatches = cron.days.has(time.getDate());
+  const weekdayMatches = cron.weekdays.has(time.getDay());
+  if (cron.daysRestricted && cron.weekdaysRestricted) {
+    return dayMatches || weekdayMatches;
+  }
+  return dayMatches && weekdayMatches;
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime
+};
@@ -0,0 +1,395 @@
+// services/dashboard.js
+// The figures behind the executive dashboard screens, shared by the sales and
+// analytics routes and the executive report pack. Every function reads the
+// live inventory, or a snapshot when given snapshotId, limited to branchIds
+// (null for every branch).
+const { pgPool } = require('../config/database');
+const { branchScopeCondition } = require('./hierarchy');
+const { inventorySource } = require('./snapshots');
+const { DEFAULT_CONSTRAINTS, proposeTransfers } = require('./rebalancing');
+const { findRuleMatches, groupBySeverity } = require('./alerts');
+
+// Roll-up levels accepted by getBranchPerformance's groupBy
+const PERFORMANCE_GROUPINGS = {
+  branch: { label: 'b.name', key: 'b.id, b.name, b.market_share, b.penetration, r.name, z.name' },
+  region: { label: "COALESCE(r.name, 'Unassigned')", key: "COALESCE(r.name, 'Unassigned')" },
+  zone: { label: "COALESCE(z.name, 'Unassigned')", key: "COALESCE(z.name, 'Unassigned')" },
+  national: { label: "'National'", key: "'National'" }
+};
+
+/**
+ * The headline dashboard figures (GET /api/sales/kpis and the live stream).
+ * @param {object} [options]
+ * @param {string|null} [options.branchName] - Only this branch.
+ * @returns {Promise<object>} { availability_percentage, plan_achievement_percentage,
+ *   available_stock, inventory_value_cr, total_billing, total_plan }
+ */
+async function getKpis({ branchIds = null, branchName = null, snapshotId = null } = {}) {
+  const params = [];
+  const source = inventorySource(snapshotId, params);
+
+  // MODIFIED: Cast multiplied values to bigint to prevent "integer out of range" error
+  let inventoryQuery = `
+    SELECT 
+      SUM(i.avl_stock) as total_stock,
+      SUM(i.transit) as total_transit,
+      SUM(i.billing) as total_billing,
+      SUM(i.month_plan) as total_plan,
+      SUM(i.avl_stock::bigint * p.price::bigint) as inventory_value
+    FROM ${source} i
+    JOIN products p ON i.product_id = p.id
+    JOIN branches b ON i.branch_id = b.id
+    WHERE 1=1
+  `;
+
+  if (branchName) {
+    params.push(branchName);
+    inventoryQuery += ` AND b.name = $${params.length}`;
+  }
+  inventoryQuery += branchScopeCondition(branchIds, 'i.branch_id', params);
+
+  const inventoryResult = await pgPool.query(inventoryQuery, params);
+  const data = inventoryResult.rows[0];
+
+  const availability = data.total_plan > 0 
+    ? Math.round(((parseInt(data.total_stock) + parseInt(data.total_transit)) / parseInt(data.total_plan)) * 100)
+    : 0;
+
+  const planAchievement = data.total_plan > 0
+    ? Math.round((parseInt(data.total_billing) / parseInt(data.total_plan)) * 100)
+    : 0;
+
+  return {
+    availability_percentage: availability,
+    plan_achievement_percentage: planAchievement,
+    available_stock: parseInt(data.total_stock) || 0,
+    inventory_value_cr: ((parseInt(data.inventory_value) || 0) / 10000000).toFixed(2),
+    total_billing: parseInt(data.total_billing) || 0,
+    total_plan: parseInt(data.total_plan) || 0
+  };
+}
+
+/**
+ * Sales, plan and stock totals with the technology split and the best seller.
+ * @returns {Promise<object>} { totalSales, totalPlan, planAchievement, totalStock,
+ *   productCount, branchCount, bestSellingProduct, technologyBreakdown }
+ */
+async function getExecutiveSummary({ branchIds = null, snapshotId = null } = {}) {
+  const params = [];
+  const source = inventorySource(snapshotId, params);
+  const branchFilter = branchScopeCondition(branchIds, 'i.branch_id', params);
+
+  // Overall metrics
+  const overallQuery = `
+    SELECT
+      SUM(i.billing) as total_sales,
+      SUM(i.month_plan) as total_plan,
+      SUM(i.avl_stock) as total_stock,
+      COUNT(DISTINCT i.product_id) as product_count,
+      COUNT(DISTINCT i.branch_id) as branch_count
+    FROM ${source} i
+    WHERE 1=1${branchFilter}
+  `;
+
+  // Technology breakdown
+  const techQuery = `
+    SELECT
+      p.technology,
+      SUM(i.billing) as sales,
+      COUNT(DISTINCT p.id) as product_count
+    FROM products p
+    JOIN ${source} i ON p.id = i.product_id
+    WHERE 1=1${branchFilter}
+    GROUP BY p.technology
+  `;
+
+  // Best selling product
+  const bestSellingQuery = `
+    SELECT
+      p.material,
+      p.technology,
+      SUM(i.billing) as total_sales
+    FROM products p
+    JOIN ${source} i ON p.id = i.product_id
+    WHERE 1=1${branchFilter}
+    GROUP BY p.id, p.material, p.technology
+    ORDER BY total_sales DESC
+    LIMIT 1
+  `;
+
+  const [overallResult, techResult, bestSellingResult] = await Promise.all([
+    pgPool.query(overallQuery, params),
+    pgPool.query(techQuery, params),
+    pgPool.query(bestSellingQuery, params)
+  ]);
+
+  const overall = overallResult.rows[0];
+  const planAchievement = overall.total_plan > 0
+    ? Math.round((overall.total_sales / overall.total_plan) * 100)
+    : 0;
+
+  // Calculate technology percentages
+  const totalTechSales = techResult.rows.reduce((sum, tech) => sum + parseInt(tech.sales), 0);
+  const techBreakdown = techResult.rows.map(tech => ({
+    ...tech,
+    percentage: totalTechSales > 0
+      ? Math.round((parseInt(tech.sales) / totalTechSales) * 100)
+      : 0
+  }));
+
+  return {
+    totalSales: parseInt(overall.total_sales) || 0,
+    totalPlan: parseInt(overall.total_plan) || 0,
+    planAchievement,
+    totalStock: parseInt(overall.total_stock) || 0,
+    productCount: parseInt(overall.product_count) || 0,
+    branchCount: parseInt(overall.branch_count) || 0,
+    bestSellingProduct: bestSellingResult.rows[0],
+    technologyBreakdown: techBreakdown
+  };
+}
+
+/**
+ * Up to four actions: boost the weakest branch, move overstocked product,
+ * close the biggest supply gap and the top stock transfer.
+ * @returns {Promise<object[]>} { type, priority, title, description, metrics } each.
+ */
+async function getRecommendations({ branchIds = null, snapshotId = null } = {}) {
+  const params = [];
+  const source = inventorySource(snapshotId, params);
+  const branchFilter = branchScopeCondition(branchIds, 'i.branch_id', params);
+
+  // Find underperforming branches
+  const underperformingQuery = `
+    SELECT
+      b.name,
+      SUM(i.billing) as sales,
+      SUM(i.month_plan) as plan,
+      ROUND((SUM(i.billing)::numeric / NULLIF(SUM(i.month_plan), 0)) * 100, 2) as achievement
+    FROM branches b
+    JOIN ${source} i ON b.id = i.branch_id
+    WHERE 1=1${branchFilter}
+    GROUP BY b.id, b.name
+    HAVING SUM(i.month_plan) > 0
+    ORDER BY achievement ASC
+    LIMIT 1
+  `;
+
+  // Find overstocked products
+  const overstockedQuery = `
+    SELECT
+      p.material,
+      SUM(i.avl_stock) as stock,
+      SUM(i.month_plan) as plan,
+      SUM(i.billing) as sales
+    FROM products p
+    JOIN ${source} i ON p.id = i.product_id
+    WHERE 1=1${branchFilter}
+    GROUP BY p.id, p.material
+    HAVING SUM(i.avl_stock) > SUM(i.month_plan) * 1.5
+    ORDER BY stock DESC
+    LIMIT 1
+  `;
+
+  // Find products with supply gaps
+  const supplyGapQuery = `
+    SELECT
+      p.material,
+      b.name as branch_name,
+      i.month_plan - (i.avl_stock + i.transit) as gap
+    FROM ${source} i
+    JOIN products p ON i.product_id = p.id
+    JOIN branches b ON i.branch_id = b.id
+    WHERE i.month_plan > (i.avl_stock + i.transit)${branchFilter}
+    ORDER BY gap DESC
+    LIMIT 1
+  `;
+
+  const [underperforming, overstocked, supplyGap, rebalancing] = await Promise.all([
+    pgPool.query(underperformingQuery, params),
+    pgPool.query(overstockedQuery, params),
+    pgPool.query(supplyGapQuery, params),
+    proposeTransfers({
+      constraints: { ...DEFAULT_CONSTRAINTS, maxTransfers: 1 },
+      branchIds,
+      snapshotId
+    })
+  ]);
+
+  const recommendations = [];
+
+  if (underperforming.rows.length > 0) {
+    const branch = underperforming.rows[0];
+    recommendations.push({
+      type: 'boost_underperforming',
+      priority: 'high',
+      title: 'Boost Underperforming Region',
+      description: `Launch targeted sales initiative in ${branch.name} branch. It has the lowest achievement rate at ${branch.achievement}%.`,
+      metrics: {
+        branch: branch.name,
+        achievement: `${branch.achievement}%`,
+        sales: parseInt(branch.sales),
+        plan: parseInt(branch.plan)
+      }
+    });
+  }
+
+  if (overstocked.rows.length > 0) {
+    const product = overstocked.rows[0];
+    recommendations.push({
+      type: 'optimize_inventory',
+      priority: 'medium',
+      title: 'Optimize Inventory & Reduce Waste',
+      description: `Reallocate stock of ${product.material}. This model has excess inventory with low sales velocity.`,
+      metrics: {
+        product: product.material,
+        stock: parseInt(product.stock),
+        plan: parseInt(product.plan),
+        sales: parseInt(product.sales)
+      }
+    });
+  }
+
+  if (supplyGap.rows.length > 0) {
+    const gap = supplyGap.rows[0];
+    recommendations.push({
+      type: 'address_supply_gap',
+      priority: 'high',
+      title: 'Address Supply Gaps',
+      description: `Prioritize dispatch of ${gap.material} to ${gap.branch_name}. Supply gap of ${gap.gap} units needs immediate attention.`,
+      metrics: {
+        product: gap.material,
+        branch: gap.branch_name,
+        gap: parseInt(gap.gap)
+      }
+    });
+  }
+
+  if (rebalancing.transfers.length > 0) {
+    const transfer = rebalancing.transfers[0];
+    recommendations.push({
+      type: 'rebalance_stock',
+      priority: 'medium',
+      title: 'Rebalance Stock Between Branches',
+      description: `Transfer ${transfer.quantity} units of ${transfer.material} from ${transfer.from.branch} to ${transfer.to.branch}. ${transfer.to.branch} availability rises from ${transfer.to.availability_before}% to ${transfer.to.availability_after}%.`,
+      metrics: {
+        product: transfer.material,
+        from: transfer.from.branch,
+        to: transfer.to.branch,
+        quantity: transfer.quantity,
+        proposedTransfers: rebalancing.totalProposed
+      }
+    });
+  }
+
+  return recommendations;
+}
+
+/**
+ * Sales, plan and stock per branch, or rolled up to region, zone or national.
+ * @param {object} [options] - { branchIds, snapshotId, groupBy } where groupBy
+ *   is one of PERFORMANCE_GROUPINGS (default 'branch').
+ * @returns {Promise<object[]>} One row per group, best sales first.
+ */
+async function getBranchPerformance({ branchIds = null, snapshotId = null, groupBy = 'branch' } = {}) {
+  const grouping = PERFORMANCE_GROUPINGS[groupBy];
+  if (!grouping) {
+    throw new Error(`Invalid groupBy "${groupBy}". Use one of: ${Object.keys(PERFORMANCE_GROUPINGS).join(', ')}`);
+  }
+
+  const params = [];
+  const branchColumns = groupBy === 'branch'
+    ? `b.name as branch_name,
+      r.name as region_name,
+      z.name as zone_name,
+      b.market_share,
+      b.penetration,`
+    : `${grouping.label} as ${groupBy}_name,
+      COUNT(DISTINCT b.id) as branch_count,
+      ROUND(AVG(b.market_share), 2) as market_share,
+      ROUND(AVG(b.penetration), 2) as penetration,`;
+
+  const query = `
+    SELECT
+      ${branchColumns}
+      SUM(i.billing) as total_sales,
+      SUM(i.month_plan) as total_plan,
+      SUM(i.avl_stock) as total_stock,
+      SUM(i.transit) as total_transit,
+      COUNT(DISTINCT i.product_id) as product_count,
+      ROUND((SUM(i.billing)::numeric / NULLIF(SUM(i.month_plan), 0)) * 100, 2) as plan_achievement
+    FROM branches b
+    LEFT JOIN regions r ON b.region_id = r.id
+    LEFT JOIN zones z ON r.zone_id = z.id
+    LEFT JOIN ${inventorySource(snapshotId, params)} i ON b.id = i.branch_id
+    WHERE 1=1${branchScopeCondition(branchIds, 'b.id', params)}
+    GROUP BY ${grouping.key}
+    ORDER BY total_sales DESC
+  `;
+
+  const result = await pgPool.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Plan, billing and availability per branch with the standout branches.
+ * @returns {Promise<object>} { planningData, insights } where insights holds
+ *   topPerformer, biggestSupplyGap and mostExcessStock.
+ */
+async function getPlanningAnalysis({ branchIds = null, snapshotId = null } = {}) {
+  const params = [];
+  const query = `
+    SELECT
+      b.name as branch_name,
+      SUM(i.op_stock) as op_stock,
+      SUM(i.month_plan) as plan,
+      SUM(i.avl_stock) as avl_stock,
+      SUM(i.transit) as transit,
+      SUM(i.billing) as billing,
+      SUM(i.month_plan - i.billing) as balance_to_bill,
+      SUM(i.avl_stock + i.transit) as total_availability,
+      SUM(GREATEST(0, i.month_plan - (i.avl_stock + i.transit))) as balance_to_dispatch,
+      SUM(GREATEST(0, (i.avl_stock + i.transit) - i.month_plan)) as excess_stock,
+      ROUND((SUM(i.billing)::numeric / NULLIF(SUM(i.month_plan), 0)) * 100, 2) as billing_velocity
+    FROM branches b
+    JOIN ${inventorySource(snapshotId, params)} i ON b.id = i.branch_id
+    WHERE 1=1${branchScopeCondition(branchIds, 'b.id', params)}
+    GROUP BY b.id, b.name
+    ORDER BY b.name
+  `;
+
+  const result = await pgPool.query(query, params);
+
+  // Identify key insights
+  const sortedByVelocity = [...result.rows].sort((a, b) => b.billing_velocity - a.billing_velocity);
+  const sortedByGap = [...result.rows].sort((a, b) => b.balance_to_dispatch - a.balance_to_dispatch);
+  const sortedByExcess = [...result.rows].sort((a, b) => b.excess_stock - a.excess_stock);
+
+  return {
+    planningData: result.rows,
+    insights: {
+      topPerformer: sortedByVelocity[0],
+      biggestSupplyGap: sortedByGap[0],
+      mostExcessStock: sortedByExcess[0]
+    }
+  };
+}
+
+/**
+ * The rows the active alert rules match (services/alerts.js), by severity.
+ * Unlike the tracked alerts this also works on a snapshot.
+ * @returns {Promise<object>} { critical, warning, info }
+ */
+async function getStockAlerts({ branchIds = null, snapshotId = null } = {}) {
+  return groupBySeverity(await findRuleMatches({ branchIds, snapshotId }));
+}
+
+module.exports = {
+  PERFORMANCE_GROUPINGS,
+  getKpis,
+  getExecutiveSummary,
+  getRecommendations,
+  getBranchPerformance,
+  getPlanningAnalysis,
+  getStockAlerts
+};
@@ -0,0 +1,484 @@
+// services/exports.js
+// CSV/XLSX downloads of the dashboard datasets. Each dataset below says which
+// list(s) of the endpoint's JSON response become sheets and how to type their
+// columns; the export middleware (middleware/export.js) turns the response of
+// the same request into the file, so exports always use the same filters and
+// branch scope as the screen.
+//
+// Numeric columns are written as numbers (pg returns SUMs and NUMERICs as
+// strings) and are added up in a totals row unless the column says otherwise.
+// An XLSX file also gets a "Metadata" sheet with the filters and generation time.
+const xlsx = require('xlsx');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Conditional formatting for availability %: red under 50, amber under 90,
+// green from 90 (Excel's built-in Bad / Neutral / Good colours)
+const AVAILABILITY_BANDS = [
+  { below: 50, style: 'bad' },
+  { below: 90, style: 'neutral' },
+  { style: 'good' }
+];
+const BAND_STYLES = {
+  bad: { font: 'FF9C0006', fill: 'FFFFC7CE' },
+  neutral: { font: 'FF9C5700', fill: 'FFFFEB9C' },
+  good: { font: 'FF006100', fill: 'FFC6EFCE' }
+};
+
+// CSV text starting with one of these is read as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Column helpers. total is false (no total), or a function of the summed
+// totals row for ratios, e.g. availability = (stock + transit) / plan. bands
+// colours the column's cells in XLSX files.
+const text = (key, header) => ({ key, header, type: 'text' });
+const number = (key, header, { total = true, bands = null } = {}) => ({ key, header, type: 'number', total, bands });
+const percentOf = (numeratorKeys, denominatorKey, decimals = 0) => totals => {
+  const denominator = totals[denominatorKey];
+  if (!denominator) return 0;
+  const numerator = numeratorKeys.reduce((sum, key) => sum + (totals[key] || 0), 0);
+  return Number(((numerator / denominator) * 100).toFixed(decimals));
+};
+
+const PRODUCT_COLUMNS = [
+  text('material', 'Material'),
+  number('tonnage', 'Tonnage', { total: false }),
+  number('star', 'Star', { total: false }),
+  text('technology', 'Technology')
+];
+
+const EXPORT_DATASETS = {
+  products: {
+    title: 'Products',
+    sheets: [{
+      name: 'Products',
+      rows: body => body.products,
+      columns: [...PRODUCT_COLUMNS, number('price', 'Price', { total: false }), number('factory_stock', 'Factory Stock')]
+    }]
+  },
+  branches: {
+    title: 'Branches',
+    sheets: [{
+      name: 'Branches',
+      rows: body => body.branches,
+      columns: [
+        text('name', 'Branch'),
+        text('state', 'State'),
+        number('market_share', 'Market Share %', { total: false }),
+        number('penetration', 'Penetration %', { total: false })
+      ]
+    }]
+  },
+  'branch-inventory': {
+    title: 'Branch inventory',
+    sheets: [{
+      name: 'Inventory',
+      rows: body => body.inventory,
+      columns: [
+        ...PRODUCT_COLUMNS,
+        number('price', 'Price', { total: false }),
+        number('op_stock', 'Op Stock'),
+        number('avl_stock', 'Avl Stock'),
+        number('transit', 'Transit'),
+        number('billing', 'Billing'),
+        number('month_plan', 'Month Plan'),
+        number('total_available', 'Total Available'),
+        number('availability_percentage', 'Availability %', { total: percentOf(['avl_stock', 'transit'], 'month_plan'), bands: AVAILABILITY_BANDS }),
+        number('balance_to_dispatch', 'Balance to Dispatch'),
+        number('balance_to_produce', 'Balance to Produce')
+      ]
+    }]
+  },
+  'region-inventory': {
+    title: 'Region inventory',
+    sheets: [{
+      name: 'Inventory',
+      rows: body => body.inventory,
+      columns: [
+        ...PRODUCT_COLUMNS,
+        number('price', 'Price', { total: false }),
+        number('total_op_stock', 'Op Stock'),
+        number('total_avl_stock', 'Avl Stock'),
+        number('total_transit', 'Transit'),
+        number('total_billing', 'Billing'),
+        number('total_month_plan', 'Month Plan'),
+        number('total_available', 'Total Available'),
+        number('availability_percentage', 'Availability %', { total: percentOf(['total_avl_stock', 'total_transit'], 'total_month_plan'), bands: AVAILABILITY_BANDS })
+      ]
+    }]
+  },
+  alerts: {
+    title: 'Stock alerts',
+    sheets: [['Critical', 'critical'], ['Warning', 'warning'], ['Info', 'info']].map(([name, severity]) => ({
+      name,
+      rows: body => body.alerts[severity],
+      columns: [
+        ...PRODUCT_COLUMNS,
+        text('branch_name', 'Branch'),
+        text('rule_name', 'Rule'),
+        number('metric_value', 'Value', { total: false }),
+        text('status', 'Status'),
+        number('month_plan', 'Month Plan'),
+        number('avl_stock', 'Avl Stock'),
+        number('transit', 'Transit'),
+        number('availability_percentage', 'Availability %', { total: percentOf(['avl_stock', 'transit'], 'month_plan', 2), bands: AVAILABILITY_BANDS })
+      ]
+    }))
+  },
+  'technology-summary': {
+    title: 'Sales by technology',
+    sheets: [{
+      name: 'Technology',
+      rows: body => body.summary,
+      columns: [
+        text('technology', 'Technology'),
+        number('product_count', 'Products'),
+        number('total_stock', 'Stock'),
+        number('total_sales', 'Sales'),
+        number('inventory_value', 'Inventory Value')
+      ]
+    }]
+  },
+  'region-summary': {
+    title: 'Region summary',
+    sheets: [{
+      name: 'Region Summary',
+      rows: body => body.summary,
+      columns: [
+        ...PRODUCT_COLUMNS,
+        number('op_stock', 'Op Stock'),
+        number('plan', 'Plan'),
+        number('avl_stock', 'Avl Stock'),
+        number('transit', 'Transit'),
+        number('billing', 'Billing'),
+        number('total_avl', 'Total Available'),
+        number('bal_dispatch', 'Balance to Dispatch'),
+        number('bal_produce', 'Balance to Produce'),
+        number('excess', 'Excess'),
+        number('avl_percent_plan', 'Availability % of Plan', { total: percentOf(['total_avl'], 'plan'), bands: AVAILABILITY_BANDS })
+      ]
+    }]
+  },
+  'coverage-analysis': {
+    title: 'Coverage analysis',
+    sheets: [{
+      name: 'Coverage',
+      rows: body => body.branches,
+      columns: [
+        text('branch_name', 'Branch'),
+        number('penetration', 'Penetration %', { total: false }),
+        number('total_sales', 'Sales'),
+        number('total_stock', 'Stock'),
+        number('product_count', 'Products', { total: false })
+      ]
+    }]
+  },
+  'product-analytics': {
+    title: 'Product analytics',
+    sheets: [{
+      name: 'Products',
+      rows: body => body.products,
+      columns: [
+        ...PRODUCT_COLUMNS,
+        number('price', 'Price', { total: false }),
+        number('total_stock', 'Stock'),
+        number('total_sales', 'Sales'),
+        number('total_plan', 'Plan')
+      ]
+    }]
+  },
+  'product-breakdown': {
+    title: 'Product breakdown',
+    sheets: [{
+      name: 'Breakdown',
+      rows: body => body.breakdown,
+      columns: [
+        text('category', 'Category'),
+        number('product_count', 'Products'),
+        number('total_stock', 'Stock'),
+        number('total_sales', 'Sales')
+      ]
+    }]
+  },
+  'branch-performance': {
+    title: 'Branch performance',
+    sheets: [{
+      name: 'Performance',
+      rows: body => body.branchPerformance,
+      columns: body => [
+        ...(body.groupBy === 'branch'
+          ? [text('branch_name', 'Branch'), text('region_name', 'Region'), text('zone_name', 'Zone')]
+          : [text(`${body.groupBy}_name`, body.groupBy[0].toUpperCase() + body.groupBy.slice(1)), number('branch_count', 'Branches')]),
+        number('market_share', 'Market Share %', { total: false }),
+        number('penetration', 'Penetration %', { total: false }),
+        number('total_sales', 'Sales'),
+        number('total_plan', 'Plan'),
+        number('total_stock', 'Stock'),
+        number('total_transit', 'Transit'),
+        number('product_count', 'Products', { total: false }),
+        number('plan_achievement', 'Plan Achievement %', { total: percentOf(['total_sales'], 'total_plan', 2) })
+      ]
+    }]
+  },
+  'product-performance': {
+    title: 'Product performance',
+    sheets: ['Top Performers', 'Bottom Performers'].map(name => ({
+      name,
+      rows: body => (name === 'Top Performers' ? body.topPerformers : body.bottomPerformers),
+      columns: [
+        ...PRODUCT_COLUMNS,
+        number('price', 'Price', { total: false }),
+        number('total_sales', 'Sales'),
+        number('total_plan', 'Plan'),
+        number('total_stock', 'Stock'),
+        number('plan_achievement', 'Plan Achievement %', { total: percentOf(['total_sales'], 'total_plan', 2) })
+      ]
+    }))
+  },
+  'planning-analysis': {
+    title: 'Planning analysis',
+    sheets: [{
+      name: 'Planning',
+      rows: body => body.planningData,
+      columns: [
+        text('branch_name', 'Branch'),
+        number('op_stock', 'Op Stock'),
+        number('plan', 'Plan'),
+        number('avl_stock', 'Avl Stock'),
+        number('transit', 'Transit'),
+        number('billing', 'Billing'),
+        number('balance_to_bill', 'Balance to Bill'),
+        number('total_availability', 'Total Available'),
+        number('balance_to_dispatch', 'Balance to Dispatch'),
+        number('excess_stock', 'Excess Stock'),
+        number('billing_velocity', 'Billing Velocity %', { total: percentOf(['billing'], 'plan', 2) })
+      ]
+    }]
+  },
+  trends: {
+    title: 'Trends',
+    sheets: [{
+      name: 'Trends',
+      rows: body => body.trends,
+      // Each period is a point-in-time position, so periods do not add up
+      totals: false,
+      columns: [
+        text('period', 'Period'),
+        text('date', 'Date'),
+        number('sales', 'Sales'),
+        number('plan', 'Plan'),
+        number('stock', 'Stock'),
+        number('transit', 'Transit'),
+        number('op_stock', 'Op Stock'),
+        number('achievement', 'Achievement %'),
+        number('availability', 'Availability %', { bands: AVAILABILITY_BANDS })
+      ]
+    }]
+  },
+  rebalancing: {
+    title: 'Stock rebalancing proposals',
+    sheets: [{
+      name: 'Transfers',
+      rows: body => body.transfers,
+      columns: [
+        number('rank', 'Rank', { total: false }),
+        text('material', 'Material'),
+        number('quantity', 'Quantity'),
+        text('from.branch', 'From Branch'),
+        number('from.availability_before', 'From Availability % Before', { total: false }),
+        number('from.availability_after', 'From Availability % After', { total: false }),
+        text('to.branch', 'To Branch'),
+        number('to.availability_before', 'To Availability % Before', { total: false }),
+        number('to.availability_after', 'To Availability % After', { total: false })
+      ]
+    }]
+  }
+};
+
+/**
+ * Turns an endpoint response into typed sheets.
+ * @param {object} dataset - An EXPORT_DATASETS entry.
+ * @param {object} body - The JSON the endpoint responded with.
+ * @returns {object[]} One { name, header, rows, totals, bands } per sheet, where
+ *   rows hold the cell values in column order, totals is null when the sheet
+ *   has none and bands lists { column, bands } for conditional formatting.
+ */
+function buildSheets(dataset, body) {
+  return dataset.sheets.map(sheet => {
+    const columns = typeof sheet.columns === 'function' ? sheet.columns(body) : sheet.columns;
+    const records = sheet.rows(body) || [];
+    const rows = records.map(record => columns.map(column => cellValue(column, readPath(record, column.key))));
+
+    let totals = null;
+    if (sheet.totals !== false) {
+      const sums = {};
+      columns.forEach((column, index) => {
+        if (column.type === 'number') {
+          sums[column.key] = rows.reduce((sum, row) => sum + (row[index] || 0), 0);
+        }
+      });
+      totals = columns.map((column, index) => {
+        if (index === 0) return `Total (${rows.length} ${rows.length === 1 ? 'row' : 'rows'})`;
+        if (column.type !== 'number' || column.total === false) return null;
+        if (typeof column.total === 'function') return column.total(sums);
+        return roundTotal(sums[column.key]);
+      });
+    }
+
+    return {
+      name: sheet.name,
+      header: columns.map(column => column.header),
+      rows,
+      totals,
+      bands: columns
+        .map((column, index) => ({ column: index, bands: column.bands }))
+        .filter(entry => entry.bands)
+    };
+  });
+}
+
+/**
+ * Renders sheets as a file.
+ * @param {string} format - 'csv' (first sheet only) or 'xlsx'.
+ * @param {object[]} sheets - From buildSheets.
+ * @param {object[]} [metadata] - [label, value] pairs for the XLSX metadata sheet.
+ * @returns {object} { content, contentType } - content is a string or Buffer.
+ */
+function renderExport(format, sheets, metadata = []) {
+  if (format === 'csv') {
+    // The BOM makes Excel read the file as UTF-8
+    return { content: '\ufeff' + xlsx.utils.sheet_to_csv(toWorksheet(guardFormulas(sheets[0]))), contentType: CONTENT_TYPES.csv };
+  }
+
+  const workbook = xlsx.utils.book_new();
+  for (const sheet of sheets) {
+    xlsx.utils.book_append_sheet(workbook, toWorksheet(sheet), sheet.name.slice(0, 31));
+  }
+  if (metadata.length > 0) {
+    const metadataSheet = xlsx.utils.aoa_to_sheet([['Field', 'Value'], ...metadata]);
+    metadataSheet['!cols'] = [{ wch: 24 }, { wch: 60 }];
+    xlsx.utils.book_append_sheet(workbook, metadataSheet, 'Metadata');
+  }
+  return {
+    content: addConditionalFormats(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }), sheets),
+    contentType: CONTENT_TYPES.xlsx
+  };
+}
+
+/**
+ * A download file name like "region-summary-South-2026-03-31.xlsx".
+ */
+function exportFileName(datasetName, format, parts = []) {
+  const slug = [datasetName, ...parts, new Date().toISOString().slice(0, 10)]
+    .filter(Boolean)
+    .join('-')
+    .replace(/[^A-Za-z0-9._-]+/g, '_');
+  return `${slug}.${format}`;
+}
+
+// --- Helper Functions ---
+function readPath(record, key) {
+  return key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), record);
+}
+
+function cellValue(column, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (column.type === 'number') {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return String(value);
+}
+
+// A leading quote keeps spreadsheet apps from running CSV text such as
+// "=HYPERLINK(...)" from a product or branch name as a formula. XLSX cells
+// are typed, so text there is never a formula and is left as it is.
+function guardFormulas(sheet) {
+  const guard = row => row.map(value =>
+    (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value));
+  return {
+    ...sheet,
+    header: guard(sheet.header),
+    rows: sheet.rows.map(guard),
+    totals: sheet.totals && guard(sheet.totals)
+  };
+}
+
+// Keeps sums of decimals (e.g. 0.1 + 0.2) from showing float noise
+function roundTotal(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// SheetJS does not write conditional formatting, so the rules are added to
+// the sheet XML of the finished file. Sheets are stored as
+// xl/worksheets/sheet<N>.xml in workbook order.
+function addConditionalFormats(buffer, sheets) {
+  if (!sheets.some(sheet => sheet.bands && sheet.bands.length > 0 && sheet.rows.length > 0)) {
+    return buffer;
+  }
+
+  const zip = xlsx.CFB.read(buffer, { type: 'buffer' });
+  const styleNames = Object.keys(BAND_STYLES);
+
+  const styles = xlsx.CFB.find(zip, '/xl/styles.xml');
+  const dxfs = styleNames.map(name => {
+    const { font, fill } = BAND_STYLES[name];
+    return `<dxf><font><color rgb="${font}"/></font><fill><patternFill><bgColor rgb="${fill}"/></patternFill></fill></dxf>`;
+  });
+  styles.content = Buffer.from(Buffer.from(styles.content).toString()
+    .replace('<dxfs count="0"/>', `<dxfs count="${dxfs.length}">${dxfs.join('')}</dxfs>`));
+
+  sheets.forEach((sheet, index) => {
+    if (!sheet.bands || sheet.bands.length === 0 || sheet.rows.length === 0) return;
+    const lastRow = 1 + sheet.rows.length + (sheet.totals ? 1 : 0);
+    let priority = 1;
+
+    const blocks = sheet.bands.map(({ column, bands }) => {
+      const letter = xlsx.utils.encode_col(column);
+      const cell = `${letter}2`;
+      let previous = null;
+      const rules = bands.map(band => {
+        const conditions = [`ISNUMBER(${cell})`];
+        if (previous !== null) conditions.push(`${cell}>=${previous}`);
+        if (band.below !== undefined) conditions.push(`${cell}<${band.below}`);
+        previous = band.below;
+        return `<cfRule type="expression" dxfId="${styleNames.indexOf(band.style)}" priority="${priority++}">`
+          + `<formula>${escapeXml(`AND(${conditions.join(',')})`)}</formula></cfRule>`;
+      });
+      return `<conditionalFormatting sqref="${letter}2:${letter}${lastRow}">${rules.join('')}</conditionalFormatting>`;
+    });
+
+    const entry = xlsx.CFB.find(zip, `/xl/worksheets/sheet${index + 1}.xml`);
+    entry.content = Buffer.from(Buffer.from(entry.content).toString()
+      .replace('</sheetData>', `</sheetData>${blocks.join('')}`));
+  });
+
+  return xlsx.CFB.write(zip, { type: 'buffer', fileType: 'zip' });
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toWorksheet({ header, rows, totals }) {
+  const worksheet = xlsx.utils.aoa_to_sheet([header, ...rows, ...(totals ? [totals] : [])]);
+  worksheet['!cols'] = header.map((title, index) => ({
+    wch: Math.min(40, Math.max(10, title.length, ...rows.map(row => String(row[index] ?? '').length)))
+  }));
+  return worksheet;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_DATASETS,
+  EXPORT_COLUMNS: { text, number, percentOf },
+  AVAILABILITY_BANDS,
+  buildSheets,
+  renderExport,
+  exportFileName
+};
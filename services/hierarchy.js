@@ -0,0 +1,110 @@
+// services/hierarchy.js
+// Branch -> Region -> Zone -> National roll-up helpers shared by the sales and analytics routes.
+const { pgPool } = require('../config/database');
+
+const HIERARCHY_LEVELS = ['branch', 'region', 'zone', 'national'];
+const NATIONAL_NAMES = ['national', 'all', 'india'];
+
+/**
+ * Resolves a name at some level of the hierarchy to the branch ids beneath it.
+ * When no level is given the name is matched against zones, then regions,
+ * then branches (case-insensitive), so '/inventory/region/South' just works.
+ * @param {object} options
+ * @param {string} options.name - Zone, region or branch name, or 'National'.
+ * @param {string} [options.level] - One of HIERARCHY_LEVELS to disambiguate.
+ * @returns {Promise<object|null>} { level, name, branchIds } where branchIds is
+ *   null for national scope, or null if nothing matched.
+ */
+async function resolveBranchScope({ name, level }) {
+  if (level && !HIERARCHY_LEVELS.includes(level)) {
+    throw new Error(`Invalid level "${level}". Use one of: ${HIERARCHY_LEVELS.join(', ')}`);
+  }
+
+  if (level === 'national' || (!level && NATIONAL_NAMES.includes(String(name).toLowerCase()))) {
+    return { level: 'national', name: 'National', branchIds: null };
+  }
+
+  const lookups = {
+    zone: `
+      SELECT z.name, COALESCE(array_agg(b.id ORDER BY b.id) FILTER (WHERE b.id IS NOT NULL), '{}') as branch_ids
+      FROM zones z
+      LEFT JOIN regions r ON r.zone_id = z.id
+      LEFT JOIN branches b ON b.region_id = r.id
+      WHERE LOWER(z.name) = LOWER($1)
+      GROUP BY z.id, z.name
+    `,
+    region: `
+      SELECT r.name, COALESCE(array_agg(b.id ORDER BY b.id) FILTER (WHERE b.id IS NOT NULL), '{}') as branch_ids
+      FROM regions r
+      LEFT JOIN branches b ON b.region_id = r.id
+      WHERE LOWER(r.name) = LOWER($1)
+      GROUP BY r.id, r.name
+    `,
+    branch: `
+      SELECT b.name, ARRAY[b.id] as branch_ids
+      FROM branches b
+      WHERE LOWER(b.name) = LOWER($1)
+    `
+  };
+
+  const levelsToTry = level ? [level] : ['zone', 'region', 'branch'];
+  for (const candidate of levelsToTry) {
+    const result = await pgPool.query(lookups[candidate], [name]);
+    if (result.rows.length > 0) {
+      return {
+        level: candidate,
+        name: result.rows[0].name,
+        branchIds: result.rows[0].branch_ids
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Appends a "branch id is in scope" condition to a query being built.
+ * @param {number[]|null} branchIds - null means no restriction.
+ * @param {string} column - The qualified branch id column, e.g. 'i.branch_id'.
+ * @param {any[]} params - The query's parameter array; the id list is pushed onto it.
+ * @returns {string} An ' AND ...' fragment, or '' when unrestricted.
+ */
+function branchScopeCondition(branchIds, column, params) {
+  if (!branchIds) return '';
+  params.push(branchIds);
+  return ` AND ${column} = ANY($${params.length}::int[])`;
+}
+
+/**
+ * Returns every zone with its regions and branches, plus the branches not yet
+ * assigned to a region.
+ */
+async function getHierarchyTree() {
+  const [zonesResult, regionsResult, branchesResult] = await Promise.all([
+    pgPool.query('SELECT id, name FROM zones ORDER BY name'),
+    pgPool.query('SELECT id, name, zone_id FROM regions ORDER BY name'),
+    pgPool.query('SELECT id, name, state, region_id FROM branches ORDER BY name')
+  ]);
+
+  const regions = regionsResult.rows.map(region => ({
+    ...region,
+    branches: branchesResult.rows.filter(b => b.region_id === region.id)
+  }));
+
+  return {
+    name: 'National',
+    zones: zonesResult.rows.map(zone => ({
+      ...zone,
+      regions: regions.filter(r => r.zone_id === zone.id)
+    })),
+    unassignedRegions: regions.filter(r => r.zone_id === null),
+    unassignedBranches: branchesResult.rows.filter(b => b.region_id === null)
+  };
+}
+
+module.exports = {
+  HIERARCHY_LEVELS,
+  resolveBranchScope,
+  branchScopeCondition,
+  getHierarchyTree
+};
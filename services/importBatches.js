@@ -0,0 +1,302 @@
+// services/importBatches.js
+// Ledger of every import, with the before/after values of each inventory row
+// and each branch or product master row it touched so a batch can be reviewed
+// and reverted.
+const crypto = require('crypto');
+const { pgPool } = require('../config/database');
+const { INVENTORY_FIELDS } = require('./inventoryImport');
+
+// Master tables an import can edit, with the column that identifies a row
+const MASTER_KEYS = {
+  branches: 'name',
+  products: 'material'
+};
+
+/**
+ * SHA-256 of the uploaded file, used to spot the same file being imported twice.
+ */
+function fileChecksum(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Returns the newest committed (not reverted) batch with this checksum, if any.
+ */
+async function findCommittedBatchByChecksum(db, checksum) {
+  const result = await db.query(
+    `SELECT id, file_name, created_at FROM import_batches
+     WHERE checksum = $1 AND status = 'committed'
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [checksum]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Records a batch and the inventory and master rows it changed. Call inside
+ * the import's transaction, after the data has been applied. A row changed by
+ * several sheets is stored once, with its value before the first and after the last.
+ * @param {object} client - The transaction client.
+ * @param {object} batch - { userId, fileName, checksum, format, profileName, summary, sheets }
+ * @param {object[]} changes - The inventory changes returned by applyImportPlan/importWorkbook.
+ * @param {object[]} [masterChanges] - The master changes returned by the same call.
+ * @returns {Promise<object>} The import_batches row.
+ */
+async function recordImportBatch(client, { userId, fileName, checksum, format, profileName = null, summary, sheets = null }, changes, masterChanges = []) {
+  const merged = mergeChanges(changes, change => `${change.productId}:${change.branchId}`);
+  const mergedMaster = mergeChanges(masterChanges, change => `${change.table}:${change.key}`);
+
+  const batchResult = await client.query(
+    `INSERT INTO import_batches
+       (uploaded_by, file_name, checksum, format, profile_name, rows_total, rows_accepted, rows_skipped, rows_invalid, rows_changed, sheets)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [userId, fileName, checksum, format, profileName, summary.total, summary.accepted, summary.skipped, summary.invalid, merged.size, sheets === null ? null : JSON.stringify(sheets)]
+  );
+  const batch = batchResult.rows[0];
+
+  for (const change of merged.values()) {
+    await client.query(
+      `INSERT INTO import_batch_changes (batch_id, product_id, branch_id, before_values, after_values)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [batch.id, change.productId, change.branchId, change.before, change.after]
+    );
+  }
+  for (const change of mergedMaster.values()) {
+    await client.query(
+      `INSERT INTO import_batch_master_changes (batch_id, table_name, record_key, before_values, after_values)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [batch.id, change.table, change.key, change.before, change.after]
+    );
+  }
+
+  return batch;
+}
+
+/**
+ * Lists batches, newest first, with the uploader's username.
+ */
+async function listImportBatches({ limit = 50, offset = 0 } = {}) {
+  const result = await pgPool.query(
+    `SELECT ib.*, u.username as uploaded_by_username, ru.username as reverted_by_username
+     FROM import_batches ib
+     LEFT JOIN users u ON ib.uploaded_by = u.id
+     LEFT JOIN users ru ON ib.reverted_by = ru.id
+     ORDER BY ib.created_at DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+  return result.rows;
+}
+
+/**
+ * Returns a batch with every inventory row (changes) and master row
+ * (masterChanges) it changed, or null if not found.
+ */
+async function getImportBatch(batchId) {
+  const batchResult = await pgPool.query(
+    `SELECT ib.*, u.username as uploaded_by_username, ru.username as reverted_by_username
+     FROM import_batches ib
+     LEFT JOIN users u ON ib.uploaded_by = u.id
+     LEFT JOIN users ru ON ib.reverted_by = ru.id
+     WHERE ib.id = $1`,
+    [batchId]
+  );
+  if (batchResult.rows.length === 0) return null;
+
+  const changesResult = await pgPool.query(
+    `SELECT c.product_id, c.branch_id, p.material, b.name as branch_name, c.before_values, c.after_values
+     FROM import_batch_changes c
+     LEFT JOIN products p ON c.product_id = p.id
+     LEFT JOIN branches b ON c.branch_id = b.id
+     WHERE c.batch_id = $1
+     ORDER BY p.material, b.name`,
+    [batchId]
+  );
+
+  const masterResult = await pgPool.query(
+    `SELECT table_name, record_key, before_values, after_values
+     FROM import_batch_master_changes
+     WHERE batch_id = $1
+     ORDER BY table_name, record_key`,
+    [batchId]
+  );
+
+  return { ...batchResult.rows[0], changes: changesResult.rows, masterChanges: masterResult.rows };
+}
+
+/**
+ * Puts every inventory row the batch touched back to its prior values (rows the
+ * batch created are deleted), and every branch or product row it edited back to
+ * its prior values. Branches and products the batch created are kept and listed
+ * in masterKept, since deleting them would also delete their snapshots, plans
+ * and history. Rows edited since the import are reported as conflicts and
+ * nothing is changed unless force is set.
+ * Must be called with a client inside an open transaction.
+ * @returns {Promise<object>} { status, batch?, conflicts?, restored?, deleted?,
+ *   masterRestored?, masterKept?, branchIds? } where status is 'not_found',
+ *   'already_reverted', 'conflict' or 'reverted'.
+ */
+async function revertImportBatch(client, batchId, { userId, force = false }) {
+  const batchResult = await client.query('SELECT * FROM import_batches WHERE id = $1 FOR UPDATE', [batchId]);
+  if (batchResult.rows.length === 0) {
+    return { status: 'not_found' };
+  }
+  const batch = batchResult.rows[0];
+  if (batch.status === 'reverted') {
+    return { status: 'already_reverted', batch };
+  }
+
+  const changesResult = await client.query(
+    `SELECT c.*, p.material, b.name as branch_name
+     FROM import_batch_changes c
+     LEFT JOIN products p ON c.product_id = p.id
+     LEFT JOIN branches b ON c.branch_id = b.id
+     WHERE c.batch_id = $1`,
+    [batchId]
+  );
+
+  const conflicts = [];
+  const currentRows = new Map();
+  for (const change of changesResult.rows) {
+    const currentResult = await client.query(
+      `SELECT ${INVENTORY_FIELDS.join(', ')} FROM inventory WHERE product_id = $1 AND branch_id = $2 FOR UPDATE`,
+      [change.product_id, change.branch_id]
+    );
+    const current = currentResult.rows[0] || null;
+    currentRows.set(change.id, current);
+
+    if (!sameValues(current, change.after_values)) {
+      conflicts.push({
+        material: change.material,
+        branch: change.branch_name,
+        expected: change.after_values,
+        current
+      });
+    }
+  }
+
+  const masterResult = await client.query(
+    'SELECT * FROM import_batch_master_changes WHERE batch_id = $1 ORDER BY id',
+    [batchId]
+  );
+  const masterChanges = masterResult.rows.filter(change => MASTER_KEYS[change.table_name]);
+  for (const change of masterChanges) {
+    const currentResult = await client.query(
+      `SELECT * FROM ${change.table_name} WHERE ${MASTER_KEYS[change.table_name]} = $1 FOR UPDATE`,
+      [change.record_key]
+    );
+    const current = currentResult.rows[0] || null;
+    if (!sameMasterValues(current, change.after_values)) {
+      conflicts.push({
+        table: change.table_name,
+        key: change.record_key,
+        expected: change.after_values,
+        current
+      });
+    }
+  }
+
+  if (conflicts.length > 0 && !force) {
+    return { status: 'conflict', batch, conflicts };
+  }
+
+  let restored = 0;
+  let deleted = 0;
+  for (const change of changesResult.rows) {
+    if (change.before_values === null) {
+      const result = await client.query(
+        'DELETE FROM inventory WHERE product_id = $1 AND branch_id = $2',
+        [change.product_id, change.branch_id]
+      );
+      deleted += result.rowCount;
+    } else {
+      const before = change.before_values;
+      const result = await client.query(
+        `INSERT INTO inventory (product_id, branch_id, op_stock, avl_stock, transit, billing, month_plan)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (product_id, branch_id) DO UPDATE SET
+           op_stock = EXCLUDED.op_stock, avl_stock = EXCLUDED.avl_stock, transit = EXCLUDED.transit,
+           billing = EXCLUDED.billing, month_plan = EXCLUDED.month_plan, updated_at = CURRENT_TIMESTAMP`,
+        [change.product_id, change.branch_id, before.op_stock, before.avl_stock, before.transit, before.billing, before.month_plan]
+      );
+      restored += result.rowCount;
+    }
+  }
+
+  let masterRestored = 0;
+  const masterKept = [];
+  for (const change of masterChanges) {
+    if (change.before_values === null) {
+      masterKept.push({ table: change.table_name, key: change.record_key });
+      continue;
+    }
+    const keyColumn = MASTER_KEYS[change.table_name];
+    const columns = Object.keys(change.before_values).filter(column => column !== 'id' && column !== keyColumn);
+    if (columns.length === 0) continue;
+    const result = await client.query(
+      `UPDATE ${change.table_name}
+       SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}
+       WHERE ${keyColumn} = $1`,
+      [change.record_key, ...columns.map(column => change.before_values[column])]
+    );
+    masterRestored += result.rowCount;
+  }
+
+  const updatedBatch = await client.query(
+    `UPDATE import_batches
+     SET status = 'reverted', reverted_at = CURRENT_TIMESTAMP, reverted_by = $1
+     WHERE id = $2
+     RETURNING *`,
+    [userId, batchId]
+  );
+
+  return {
+    status: 'reverted',
+    batch: updatedBatch.rows[0],
+    conflicts,
+    restored,
+    deleted,
+    masterRestored,
+    masterKept,
+    branchIds: [...new Set([
+      ...changesResult.rows.map(change => change.branch_id),
+      ...masterChanges.filter(change => change.table_name === 'branches').map(change => change.after_values.id)
+    ])]
+  };
+}
+
+// --- Helper Functions ---
+// Keeps one entry per row: its value before the first change and after the last
+function mergeChanges(changes, keyOf) {
+  const merged = new Map();
+  for (const change of changes) {
+    const key = keyOf(change);
+    if (merged.has(key)) {
+      merged.get(key).after = change.after;
+    } else {
+      merged.set(key, { ...change });
+    }
+  }
+  return merged;
+}
+
+function sameValues(current, expected) {
+  if (!current || !expected) return current === expected;
+  return INVENTORY_FIELDS.every(field => current[field] === expected[field]);
+}
+
+function sameMasterValues(current, expected) {
+  if (!current || !expected) return current === expected;
+  return Object.keys(expected).every(column => current[column] === expected[column]);
+}
+
+module.exports = {
+  fileChecksum,
+  findCommittedBatchByChecksum,
+  recordImportBatch,
+  listImportBatches,
+  getImportBatch,
+  revertImportBatch
+};
@@ -0,0 +1,214 @@
+// services/ingest.js
+// JSON ingestion for systems that push data (e.g. the ERP) instead of
+// uploading files. A payload has up to three sections of lines:
+//   {
+//     branches:  [{ branch, state, region, market_share, penetration }],
+//     products:  [{ material, tonnage, star, technology, price, factory_stock }],
+//     inventory: [{ material, branch, op_stock, avl_stock, transit, billing, month_plan }]
+//   }
+// Lines go through the same planners as uploaded sheets. Inventory values
+// replace the current figures (never add to them) and fields a line leaves out
+// keep their value. Requests sent with an Idempotency-Key are recorded in
+// ingest_requests, and a retry with the same key gets the first response back.
+const crypto = require('crypto');
+const { buildImportPlan, applyImportPlan } = require('./inventoryImport');
+
+const MAX_INGEST_LINES = parseInt(process.env.INGEST_MAX_LINES) || 5000;
+// How long an Idempotency-Key is remembered
+const IDEMPOTENCY_KEY_HOURS = parseInt(process.env.INGEST_IDEMPOTENCY_HOURS) || 24;
+
+// Masters are written before the figures that refer to them
+const INGEST_SECTIONS = ['branches', 'products', 'inventory'];
+
+// Fields are read from keys of the same name, with no defaults
+const INGEST_PROFILES = {
+  branches: {
+    name: 'ingest:branches',
+    target: 'branches',
+    columns: {
+      branch: { source: ['branch', 'name'] },
+      state: { source: 'state' },
+      region: { source: 'region' },
+      market_share: { source: 'market_share' },
+      penetration: { source: 'penetration' }
+    }
+  },
+  products: {
+    name: 'ingest:products',
+    target: 'products',
+    columns: {
+      material: { source: 'material' },
+      tonnage: { source: 'tonnage' },
+      star: { source: 'star' },
+      technology: { source: 'technology' },
+      price: { source: 'price' },
+      factory_stock: { source: 'factory_stock' }
+    }
+  },
+  inventory: {
+    name: 'ingest:inventory',
+    target: 'inventory',
+    columns: {
+      material: { source: 'material' },
+      branch: { source: 'branch' },
+      op_stock: { source: 'op_stock' },
+      avl_stock: { source: 'avl_stock' },
+      transit: { source: 'transit' },
+      billing: { source: 'billing' },
+      month_plan: { source: 'month_plan' }
+    }
+  }
+};
+
+/**
+ * Checks the shape of a payload (not the lines themselves, which get
+ * per-line results).
+ * @returns {string|null} What is wrong, or null when the payload can be ingested.
+ */
+function validateIngestPayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return 'Body must be a JSON object';
+  }
+  const unknown = Object.keys(payload).filter(section => !INGEST_SECTIONS.includes(section));
+  if (unknown.length > 0) {
+    return `Unknown section(s): ${unknown.join(', ')}. Expected: ${INGEST_SECTIONS.join(', ')}`;
+  }
+
+  let lines = 0;
+  for (const section of INGEST_SECTIONS) {
+    if (payload[section] === undefined) continue;
+    if (!Array.isArray(payload[section])) {
+      return `${section} must be an array of lines`;
+    }
+    const badLine = payload[section].findIndex(line => !line || typeof line !== 'object' || Array.isArray(line));
+    if (badLine !== -1) {
+      return `${section} line ${badLine + 1} must be an object`;
+    }
+    lines += payload[section].length;
+  }
+
+  if (lines === 0) {
+    return `Payload has no lines; send at least one of: ${INGEST_SECTIONS.join(', ')}`;
+  }
+  if (lines > MAX_INGEST_LINES) {
+    return `Payload has ${lines} lines; at most ${MAX_INGEST_LINES} are accepted per request`;
+  }
+  return null;
+}
+
+/**
+ * SHA-256 of the payload with object keys sorted, so the same data always
+ * hashes the same however the client serialised it.
+ */
+function payloadChecksum(payload) {
+  return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+}
+
+/**
+ * Idempotency keys are per caller: a user or an API key.
+ */
+function idempotencyScope(user) {
+  return user.apiKeyId ? `api_key:${user.apiKeyId}` : `user:${user.id}`;
+}
+
+/**
+ * Claims an Idempotency-Key for this request. Call inside the ingest's
+ * transaction: the claim commits or rolls back with the data, and a concurrent
+ * request with the same key waits here until this one finishes.
+ * @param {object} client - The transaction client.
+ * @param {object} request - { scope, key, checksum }
+ * @returns {Promise<object>} { status, ... } where status is 'claimed' (with
+ *   id, for saveIdempotentResponse), 'replay' (with statusCode and response of
+ *   the first request) or 'mismatch' (the key was used for another payload).
+ */
+async function claimIdempotencyKey(client, { scope, key, checksum }) {
+  await client.query(
+    'DELETE FROM ingest_requests WHERE created_at < NOW() - make_interval(hours => $1)',
+    [IDEMPOTENCY_KEY_HOURS]
+  );
+
+  const inserted = await client.query(
+    `INSERT INTO ingest_requests (scope, idempotency_key, checksum)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (scope, idempotency_key) DO NOTHING
+     RETURNING id`,
+    [scope, key, checksum]
+  );
+  if (inserted.rows.length > 0) {
+    return { status: 'claimed', id: inserted.rows[0].id };
+  }
+
+  const existing = await client.query(
+    'SELECT checksum, status_code, response FROM ingest_requests WHERE scope = $1 AND idempotency_key = $2',
+    [scope, key]
+  );
+  const request = existing.rows[0];
+  if (request.checksum !== checksum) {
+    return { status: 'mismatch' };
+  }
+  return { status: 'replay', statusCode: request.status_code, response: request.response };
+}
+
+/**
+ * Stores the response of a claimed request so retries can be answered with it.
+ */
+async function saveIdempotentResponse(client, id, { statusCode, response, batchId = null }) {
+  await client.query(
+    'UPDATE ingest_requests SET status_code = $1, response = $2, batch_id = $3 WHERE id = $4',
+    [statusCode, JSON.stringify(response), batchId, id]
+  );
+}
+
+/**
+ * Writes every section of a validated payload, masters first.
+ * Must be called with a client inside an open transaction.
+ * @returns {Promise<object>} { sections, inventoryChanges, masterChanges, summary }
+ *   where sections maps each section sent to { summary, lines } and every line
+ *   result is { line, status, material?, branch?, reason? } (line is the
+ *   1-based position in the section's array).
+ */
+async function ingestPayload(client, payload) {
+  const sections = {};
+  const inventoryChanges = [];
+  const masterChanges = [];
+  const summary = { total: 0, accepted: 0, skipped: 0, invalid: 0 };
+
+  for (const section of INGEST_SECTIONS) {
+    if (!payload[section]) continue;
+
+    const plan = await buildImportPlan({ rows: payload[section], firstRow: 1 }, client, INGEST_PROFILES[section]);
+    const written = await applyImportPlan(plan, client);
+    inventoryChanges.push(...written.inventoryChanges);
+    masterChanges.push(...written.masterChanges);
+
+    sections[section] = {
+      summary: plan.summary,
+      lines: plan.rows.map(({ row, ...result }) => ({ line: row, ...result }))
+    };
+    for (const key of Object.keys(summary)) summary[key] += plan.summary[key];
+  }
+
+  return { sections, inventoryChanges, masterChanges, summary };
+}
+
+// --- Helper Functions ---
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  MAX_INGEST_LINES,
+  INGEST_SECTIONS,
+  validateIngestPayload,
+  payloadChecksum,
+  idempotencyScope,
+  claimIdempotencyKey,
+  saveIdempotentResponse,
+  ingestPayload
+};
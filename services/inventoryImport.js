@@ -0,0 +1,650 @@
+// services/inventoryImport.js
+// Turns uploaded rows into an import plan (per-row results + inventory changes)
+// which can either be previewed against the current data or applied.
+const xlsx = require('xlsx');
+const { resolveProfile, profileFitsHeaders, getProfile, mapRows } = require('./columnMappings');
+
+const INVENTORY_FIELDS = ['op_stock', 'avl_stock', 'transit', 'billing', 'month_plan'];
+const PRODUCT_FIELDS = ['tonnage', 'star', 'technology', 'price', 'factory_stock'];
+const BRANCH_FIELDS = ['state', 'market_share', 'penetration', 'region'];
+
+// Sheets are routed to a profile by name when the name matches one of these
+// (first match wins) and the sheet has the columns that profile needs.
+const SHEET_NAME_ROUTES = [
+  { pattern: /product|material|sku/i, profile: 'builtin:products' },
+  { pattern: /branch/i, profile: 'builtin:branches' },
+  { pattern: /plan/i, profile: 'builtin:plan' },
+  { pattern: /stock|inventory/i, profile: 'builtin:inventory' },
+  { pattern: /sales/i, profile: 'builtin:sales' }
+];
+
+// Master data is imported before the figures that refer to it
+const TARGET_ORDER = { branches: 0, products: 1, inventory: 2, sales: 2 };
+
+/**
+ * Reads every sheet of an uploaded CSV or Excel file (a CSV has exactly one).
+ * @param {object} file - The multer file (buffer, mimetype, originalname).
+ * @returns {object[]} One { sheetName, headers, rows } per sheet, with one
+ *   object per data row, keyed by header.
+ */
+function parseUploadedWorkbook(file) {
+  let workbook;
+  if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    workbook = xlsx.read(file.buffer.toString('utf8'), { type: 'string' });
+  } else {
+    workbook = xlsx.read(file.buffer, { type: 'buffer' });
+  }
+
+  return workbook.SheetNames.map(sheetName => {
+    const sheet = workbook.Sheets[sheetName];
+    const headerRow = xlsx.utils.sheet_to_json(sheet, { header: 1 })[0] || [];
+    return {
+      sheetName,
+      headers: headerRow.filter(header => header !== undefined && header !== null).map(String),
+      rows: xlsx.utils.sheet_to_json(sheet)
+    };
+  });
+}
+
+/**
+ * Chooses the mapping profile for one sheet: an explicit choice, then a match
+ * on the sheet name, then a match on the headers. Only the first sheet may
+ * fall back to the catch-all inventory format, so notes or pivot sheets in a
+ * workbook are ignored rather than imported as empty rows.
+ * @returns {Promise<object|null>} The profile, or null if the sheet should be ignored.
+ * @throws {Error} When an explicitly requested profile does not exist.
+ */
+async function resolveSheetProfile(db, sheet, { requestedName, isFirstSheet }) {
+  if (requestedName) {
+    const profile = await getProfile(db, requestedName);
+    if (!profile) {
+      throw new Error(`Column mapping profile "${requestedName}" not found`);
+    }
+    return profile;
+  }
+
+  const route = SHEET_NAME_ROUTES.find(r => r.pattern.test(sheet.sheetName));
+  if (route) {
+    const profile = await getProfile(db, route.profile);
+    if (profileFitsHeaders(profile, sheet.headers)) {
+      return profile;
+    }
+  }
+
+  return resolveProfile(db, sheet.headers, undefined, { allowFallback: isFirstSheet });
+}
+
+/**
+ * Builds an import plan for one sheet without writing anything.
+ * @param {object} sheet - { headers, rows } from parseUploadedWorkbook, and
+ *   optionally firstRow: the number reported for rows[0] (default 2, after the
+ *   header) when the rows do not come from a sheet.
+ * @param {object} db - A pg client or pool used to look up known products/branches.
+ * @param {object} profile - The column mapping profile to read the sheet with.
+ * @returns {Promise<object>} { format, profile, rows, changes, productChanges,
+ *   branchChanges, newProducts, newBranches, summary }
+ */
+async function buildImportPlan({ rows, firstRow = 2 }, db, profile) {
+  const [productRows, branchRows, regionRows] = await Promise.all([
+    db.query('SELECT material FROM products'),
+    db.query('SELECT name FROM branches'),
+    db.query('SELECT id, name FROM regions')
+  ]);
+  const known = {
+    products: new Set(productRows.rows.map(p => p.material)),
+    branches: new Set(branchRows.rows.map(b => b.name)),
+    regions: new Map(regionRows.rows.map(r => [r.name.toLowerCase(), r.id]))
+  };
+
+  const planners = {
+    sales: planSalesData,
+    inventory: planInventoryData,
+    products: planProductData,
+    branches: planBranchData
+  };
+
+  // Sheet rows know their place in the sheet (__rowNum__, 0-based), so the
+  // blank lines sheet_to_json leaves out do not shift the reported numbers
+  const records = mapRows(rows, profile).map((record, index) => ({
+    ...record,
+    rowNumber: rows[index].__rowNum__ !== undefined ? rows[index].__rowNum__ + 1 : index + firstRow
+  }));
+  const plan = {
+    changes: [],
+    productChanges: [],
+    branchChanges: [],
+    newProducts: [],
+    newBranches: [],
+    ...planners[profile.target](records, known)
+  };
+
+  plan.format = profile.target;
+  plan.profile = profile.name;
+  plan.summary = summarizeRows(plan.rows);
+  return plan;
+}
+
+/**
+ * Picks the mapping profile of every sheet of a workbook (see resolveSheetProfile).
+ * @param {object} db - A pg client or pool.
+ * @param {object[]} sheets - From parseUploadedWorkbook.
+ * @param {object} [options]
+ * @param {string} [options.profileName] - Profile for a single-sheet file.
+ * @param {object} [options.sheetProfiles] - Sheet name -> profile name, or
+ *   'skip' to ignore that sheet. Overrides profileName.
+ * @returns {Promise<object[]>} One { sheet, profile, reason } per sheet in
+ *   workbook order, where profile is null (and reason says why) for a sheet
+ *   that will be ignored.
+ */
+async function resolveWorkbookProfiles(db, sheets, { profileName, sheetProfiles = {} } = {}) {
+  const resolved = [];
+  for (const [index, sheet] of sheets.entries()) {
+    const requestedName = sheetProfiles[sheet.sheetName] || (sheets.length === 1 ? profileName : undefined);
+
+    if (requestedName === 'skip') {
+      resolved.push({ sheet, profile: null, reason: 'Skipped on request' });
+    } else if (!sheet.rows || sheet.rows.length === 0) {
+      resolved.push({ sheet, profile: null, reason: 'Sheet is empty' });
+    } else {
+      const profile = await resolveSheetProfile(db, sheet, { requestedName, isFirstSheet: index === 0 });
+      resolved.push({ sheet, profile, reason: profile ? null : 'No mapping profile matches this sheet' });
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Imports every sheet of a workbook in one go: masters first, then figures.
+ * Must be called with a client inside an open transaction; roll it back to
+ * get a dry run.
+ * @param {object} client - The transaction client.
+ * @param {object[]} resolved - From resolveWorkbookProfiles.
+ * @returns {Promise<object>} { sheets, inventoryChanges, masterChanges, summary }
+ */
+async function importWorkbook(client, resolved) {
+  const ordered = [...resolved].sort((a, b) => {
+    const orderA = a.profile ? TARGET_ORDER[a.profile.target] : 99;
+    const orderB = b.profile ? TARGET_ORDER[b.profile.target] : 99;
+    return orderA - orderB;
+  });
+
+  const results = new Map();
+  const inventoryChanges = [];
+  const masterChanges = [];
+  for (const { sheet, profile, reason } of ordered) {
+    if (!profile) {
+      results.set(sheet.sheetName, { sheet: sheet.sheetName, status: 'ignored', reason, rows: [] });
+      continue;
+    }
+
+    const plan = await buildImportPlan(sheet, client, profile);
+    const written = await applyImportPlan(plan, client);
+    inventoryChanges.push(...written.inventoryChanges);
+    masterChanges.push(...written.masterChanges);
+
+    results.set(sheet.sheetName, {
+      sheet: sheet.sheetName,
+      status: 'imported',
+      format: plan.format,
+      profile: plan.profile,
+      summary: plan.summary,
+      rows: plan.rows,
+      inventoryRowsChanged: written.inventoryChanges.length,
+      masterRowsChanged: written.masterChanges.length,
+      newBranches: plan.newBranches.map(b => b.name),
+      newProducts: plan.newProducts.map(p => p.material)
+    });
+  }
+
+  // Report in workbook order
+  const sheetResults = resolved.map(({ sheet }) => results.get(sheet.sheetName));
+  const summary = sheetResults
+    .filter(result => result.summary)
+    .reduce((acc, result) => {
+      for (const key of Object.keys(acc)) acc[key] += result.summary[key];
+      return acc;
+    }, { total: 0, accepted: 0, skipped: 0, invalid: 0 });
+
+  return { sheets: sheetResults, inventoryChanges, masterChanges, summary };
+}
+
+// Handles sales lines (the FinalSales.csv format). Sales are aggregated per
+// product/branch and added on top of the existing inventory figures; unknown
+// products and branches are created.
+function planSalesData(records, known) {
+  const rows = [];
+  const newProducts = new Map();
+  const newBranches = new Set();
+  const totals = new Map();
+
+  records.forEach(({ values, raw, rowNumber }) => {
+    const itemCode = values.material;
+    const branchName = values.branch;
+
+    if (!itemCode || !branchName) {
+      rows.push({ row: rowNumber, status: 'skipped', reason: 'Missing material or branch' });
+      return;
+    }
+
+    const salesQty = values.sales_qty;
+    if (salesQty === undefined) {
+      rows.push({ row: rowNumber, status: 'skipped', material: itemCode, branch: branchName, reason: 'No sales quantity' });
+      return;
+    }
+    if (Number.isNaN(salesQty)) {
+      rows.push({ row: rowNumber, status: 'invalid', material: itemCode, branch: branchName, reason: `sales_qty "${raw.sales_qty}" is not a number` });
+      return;
+    }
+    if (salesQty <= 0) {
+      rows.push({ row: rowNumber, status: 'skipped', material: itemCode, branch: branchName, reason: 'No positive sales quantity' });
+      return;
+    }
+
+    if (!known.products.has(itemCode) && !newProducts.has(itemCode)) {
+      const product = {
+        material: itemCode,
+        tonnage: Number.isFinite(values.tonnage) && values.tonnage > 0 ? values.tonnage : 1.0,
+        star: Number.isFinite(values.star) && values.star > 0 ? Math.round(values.star) : 3,
+        technology: values.technology || 'Non Inv'
+      };
+      product.price = generateProductPrice(product);
+      newProducts.set(itemCode, product);
+    }
+    if (!known.branches.has(branchName)) {
+      newBranches.add(branchName);
+    }
+
+    const key = changeKey(itemCode, branchName);
+    if (!totals.has(key)) {
+      totals.set(key, { material: itemCode, branch: branchName, totalSales: 0 });
+    }
+    totals.get(key).totalSales += salesQty;
+    rows.push({ row: rowNumber, status: 'accepted', material: itemCode, branch: branchName });
+  });
+
+  const changes = [...totals.values()].map(total => {
+    const billing = Math.round(total.totalSales);
+    // Simulate other inventory fields based on sales
+    const monthPlan = Math.round(billing * 1.2);
+    const availStock = Math.round(billing * 0.5);
+    const transit = Math.round(billing * 0.2);
+    const opStock = availStock + billing - transit;
+
+    return {
+      material: total.material,
+      branch: total.branch,
+      mode: 'add',
+      values: { op_stock: opStock, avl_stock: availStock, transit, billing, month_plan: monthPlan }
+    };
+  });
+
+  return {
+    rows,
+    changes,
+    newProducts: [...newProducts.values()],
+    newBranches: [...newBranches].map(name => ({ name, state: getStateForBranch(name) }))
+  };
+}
+
+// Handles direct inventory figures. Values replace the existing figures field
+// by field; rows for unknown products or branches are skipped.
+function planInventoryData(records, known) {
+  const rows = [];
+  const changes = [];
+  const firstSeen = new Map();
+
+  records.forEach(({ values: mapped, raw, rowNumber }) => {
+    const material = mapped.material;
+    const branchName = mapped.branch;
+
+    if (!material || !branchName) {
+      rows.push({ row: rowNumber, status: 'skipped', reason: 'Missing material or branch' });
+      return;
+    }
+    if (!known.products.has(material)) {
+      rows.push({ row: rowNumber, status: 'skipped', material, branch: branchName, reason: `Unknown material "${material}"` });
+      return;
+    }
+    if (!known.branches.has(branchName)) {
+      rows.push({ row: rowNumber, status: 'skipped', material, branch: branchName, reason: `Unknown branch "${branchName}"` });
+      return;
+    }
+
+    const key = changeKey(material, branchName);
+    if (firstSeen.has(key)) {
+      rows.push({ row: rowNumber, status: 'invalid', material, branch: branchName, reason: `Duplicate of row ${firstSeen.get(key)}` });
+      return;
+    }
+
+    // Fields the profile leaves unmapped (or blank without a default) keep their current value
+    const values = {};
+    const problems = [];
+    for (const field of INVENTORY_FIELDS) {
+      if (mapped[field] === undefined) continue;
+      const value = mapped[field];
+      if (Number.isNaN(value) || !Number.isInteger(value)) {
+        problems.push(`${field} "${raw[field]}" is not a whole number`);
+      } else if (value < 0) {
+        problems.push(`${field} cannot be negative (${value})`);
+      } else {
+        values[field] = value;
+      }
+    }
+
+    if (problems.length > 0) {
+      rows.push({ row: rowNumber, status: 'invalid', material, branch: branchName, reason: problems.join('; ') });
+      return;
+    }
+    if (Object.keys(values).length === 0) {
+      rows.push({ row: rowNumber, status: 'skipped', material, branch: branchName, reason: 'No inventory values' });
+      return;
+    }
+
+    firstSeen.set(key, rowNumber);
+    changes.push({ material, branch: branchName, mode: 'replace', values });
+    rows.push({ row: rowNumber, status: 'accepted', material, branch: branchName });
+  });
+
+  return {
+    rows,
+    changes,
+    newProducts: [],
+    newBranches: []
+  };
+}
+
+// Product master rows. Unknown materials are created; known ones are updated
+// in the columns the sheet provides.
+function planProductData(records, known) {
+  const rows = [];
+  const productChanges = [];
+  const firstSeen = new Map();
+
+  records.forEach(({ values: mapped, raw, rowNumber }) => {
+    const material = mapped.material;
+
+    if (!material) {
+      rows.push({ row: rowNumber, status: 'skipped', reason: 'Missing material' });
+      return;
+    }
+    if (firstSeen.has(material)) {
+      rows.push({ row: rowNumber, status: 'invalid', material, reason: `Duplicate of row ${firstSeen.get(material)}` });
+      return;
+    }
+
+    const values = {};
+    const problems = [];
+    for (const field of PRODUCT_FIELDS) {
+      if (mapped[field] === undefined) continue;
+      if (field === 'technology') {
+        values.technology = mapped.technology;
+      } else if (Number.isNaN(mapped[field])) {
+        problems.push(`${field} "${raw[field]}" is not a number`);
+      } else if (mapped[field] < 0) {
+        problems.push(`${field} cannot be negative (${mapped[field]})`);
+      } else {
+        values[field] = field === 'tonnage' ? mapped[field] : Math.round(mapped[field]);
+      }
+    }
+
+    if (problems.length > 0) {
+      rows.push({ row: rowNumber, status: 'invalid', material, reason: problems.join('; ') });
+      return;
+    }
+
+    const isNew = !known.products.has(material);
+    if (isNew && values.price === undefined) {
+      values.price = generateProductPrice({
+        tonnage: values.tonnage || 1.0,
+        star: values.star || 3,
+        technology: values.technology || 'Non Inv'
+      });
+    }
+
+    firstSeen.set(material, rowNumber);
+    productChanges.push({ material, isNew, values });
+    rows.push({ row: rowNumber, status: 'accepted', material });
+  });
+
+  return { rows, productChanges };
+}
+
+// Branch master rows. Unknown branches are created; a region column assigns
+// the branch to an existing region.
+function planBranchData(records, known) {
+  const rows = [];
+  const branchChanges = [];
+  const firstSeen = new Map();
+
+  records.forEach(({ values: mapped, raw, rowNumber }) => {
+    const branchName = mapped.branch;
+
+    if (!branchName) {
+      rows.push({ row: rowNumber, status: 'skipped', reason: 'Missing branch' });
+      return;
+    }
+    if (firstSeen.has(branchName)) {
+      rows.push({ row: rowNumber, status: 'invalid', branch: branchName, reason: `Duplicate of row ${firstSeen.get(branchName)}` });
+      return;
+    }
+
+    const values = {};
+    const problems = [];
+    for (const field of BRANCH_FIELDS) {
+      if (mapped[field] === undefined) continue;
+      if (field === 'state') {
+        values.state = mapped.state;
+      } else if (field === 'region') {
+        const regionId = known.regions.get(mapped.region.toLowerCase());
+        if (regionId === undefined) {
+          problems.push(`Unknown region "${mapped.region}"`);
+        } else {
+          values.region_id = regionId;
+        }
+      } else if (Number.isNaN(mapped[field]) || mapped[field] < 0 || mapped[field] > 100) {
+        problems.push(`${field} "${raw[field]}" must be a percentage between 0 and 100`);
+      } else {
+        values[field] = mapped[field];
+      }
+    }
+
+    if (problems.length > 0) {
+      rows.push({ row: rowNumber, status: 'invalid', branch: branchName, reason: problems.join('; ') });
+      return;
+    }
+
+    const isNew = !known.branches.has(branchName);
+    if (isNew && values.state === undefined) {
+      values.state = getStateForBranch(branchName);
+    }
+
+    firstSeen.set(branchName, rowNumber);
+    branchChanges.push({ name: branchName, isNew, values });
+    rows.push({ row: rowNumber, status: 'accepted', branch: branchName });
+  });
+
+  return { rows, branchChanges };
+}
+
+/**
+ * Writes the plan: branch and product masters first, then inventory.
+ * Must be called with a client inside an open transaction.
+ * @returns {Promise<object>} { inventoryChanges, masterChanges } where each
+ *   inventory change is { productId, branchId, material, branch, before, after }
+ *   (before is null when the row was created) and each master change is
+ *   { table, key, before, after }.
+ */
+async function applyImportPlan(plan, client) {
+  const masterChanges = [];
+
+  for (const branch of plan.newBranches) {
+    const result = await client.query(`INSERT INTO branches (name, state) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING RETURNING *`, [branch.name, branch.state]);
+    if (result.rows.length > 0) {
+      masterChanges.push({ table: 'branches', key: branch.name, action: 'insert', before: null, after: result.rows[0] });
+    }
+  }
+  for (const product of plan.newProducts) {
+    const result = await client.query(`INSERT INTO products (material, tonnage, star, technology, price) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (material) DO NOTHING RETURNING *`, [product.material, product.tonnage, product.star, product.technology, product.price]);
+    if (result.rows.length > 0) {
+      masterChanges.push({ table: 'products', key: product.material, action: 'insert', before: null, after: result.rows[0] });
+    }
+  }
+
+  for (const change of plan.branchChanges) {
+    masterChanges.push(await upsertMasterRow(client, 'branches', 'name', change.name, change.values));
+  }
+  for (const change of plan.productChanges) {
+    masterChanges.push(await upsertMasterRow(client, 'products', 'material', change.material, change.values));
+  }
+
+  if (plan.changes.length === 0) {
+    return { inventoryChanges: [], masterChanges };
+  }
+
+  // Get maps for IDs
+  const [productRows, branchRows] = await Promise.all([
+    client.query('SELECT id, material FROM products'),
+    client.query('SELECT id, name FROM branches')
+  ]);
+  const productMap = new Map(productRows.rows.map(p => [p.material, p.id]));
+  const branchMap = new Map(branchRows.rows.map(b => [b.name, b.id]));
+
+  const inventoryChanges = [];
+  for (const change of plan.changes) {
+    const productId = productMap.get(change.material);
+    const branchId = branchMap.get(change.branch);
+    if (!productId || !branchId) continue;
+
+    const beforeResult = await client.query(
+      `SELECT ${INVENTORY_FIELDS.join(', ')} FROM inventory WHERE product_id = $1 AND branch_id = $2 FOR UPDATE`,
+      [productId, branchId]
+    );
+
+    // New rows start from zero; existing rows are added to or overwritten
+    // only in the fields the change carries.
+    const fields = INVENTORY_FIELDS.filter(field => change.values[field] !== undefined);
+    const onConflict = fields.map(field => (change.mode === 'add'
+      ? `${field} = inventory.${field} + EXCLUDED.${field}`
+      : `${field} = EXCLUDED.${field}`));
+
+    const result = await client.query(
+      `INSERT INTO inventory (product_id, branch_id, ${INVENTORY_FIELDS.join(', ')})
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (product_id, branch_id) DO UPDATE SET
+           ${[...onConflict, 'updated_at = CURRENT_TIMESTAMP'].join(',\n           ')}
+       RETURNING ${INVENTORY_FIELDS.join(', ')}`,
+      [productId, branchId, ...INVENTORY_FIELDS.map(field => change.values[field] || 0)]
+    );
+
+    inventoryChanges.push({
+      productId,
+      branchId,
+      material: change.material,
+      branch: change.branch,
+      before: beforeResult.rows[0] || null,
+      after: result.rows[0]
+    });
+  }
+
+  return { inventoryChanges, masterChanges };
+}
+
+/**
+ * The branches ({ id, name }) an import wrote to: those of its inventory rows
+ * and the branch master rows it created or edited.
+ * @param {object} result - { inventoryChanges, masterChanges } of importWorkbook.
+ */
+function changedBranches({ inventoryChanges, masterChanges }) {
+  const branches = new Map();
+  for (const change of inventoryChanges) {
+    branches.set(change.branchId, change.branch);
+  }
+  for (const change of masterChanges) {
+    if (change.table === 'branches') branches.set(change.after.id, change.key);
+  }
+  return [...branches].map(([id, name]) => ({ id, name }));
+}
+
+/**
+ * Turns an applied inventory change into a preview entry with per-field deltas.
+ */
+function describeInventoryChange({ material, branch, before, after }) {
+  const delta = {};
+  for (const field of INVENTORY_FIELDS) {
+    delta[field] = after[field] - (before ? before[field] : 0);
+  }
+  return {
+    material,
+    branch,
+    action: before ? 'update' : 'insert',
+    before,
+    after,
+    delta
+  };
+}
+
+// --- Helper Functions ---
+function summarizeRows(rows) {
+  return rows.reduce((acc, row) => {
+    acc.total++;
+    acc[row.status]++;
+    return acc;
+  }, { total: 0, accepted: 0, skipped: 0, invalid: 0 });
+}
+
+// Inserts or updates one products/branches row by its natural key, touching
+// only the given columns. Column names come from PRODUCT_FIELDS/BRANCH_FIELDS.
+async function upsertMasterRow(client, table, keyColumn, key, values) {
+  const columns = Object.keys(values);
+  const beforeResult = await client.query(`SELECT * FROM ${table} WHERE ${keyColumn} = $1 FOR UPDATE`, [key]);
+
+  const placeholders = columns.map((_, index) => `$${index + 2}`);
+  const updates = columns.map(column => `${column} = EXCLUDED.${column}`);
+  const result = await client.query(
+    `INSERT INTO ${table} (${[keyColumn, ...columns].join(', ')})
+     VALUES (${['$1', ...placeholders].join(', ')})
+     ON CONFLICT (${keyColumn}) DO ${updates.length > 0 ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}
+     RETURNING *`,
+    [key, ...columns.map(column => values[column])]
+  );
+
+  return {
+    table,
+    key,
+    action: beforeResult.rows.length > 0 ? 'update' : 'insert',
+    before: beforeResult.rows[0] || null,
+    after: result.rows[0] || beforeResult.rows[0]
+  };
+}
+
+function changeKey(material, branchName) {
+  return `${material}\u0000${branchName}`;
+}
+
+function generateProductPrice({ tonnage, star, technology }) {
+  let basePrice = 25000;
+  basePrice += (tonnage - 0.8) * 15000;
+  basePrice += (star - 1) * 5000;
+  if (technology.includes('Inv')) basePrice += 10000;
+  return Math.round(basePrice);
+}
+
+function getStateForBranch(branch) {
+  const stateMap = {
+    'Chennai': 'Tamil Nadu', 'Bangalore': 'Karnataka', 'Hyderabad': 'Telangana',
+    'Vijayawada': 'Andhra Pradesh', 'Cochin': 'Kerala', 'Mumbai': 'Maharashtra',
+    'Delhi': 'Delhi', 'Kolkata': 'West Bengal', 'Pune': 'Maharashtra', 'Ahmedabad': 'Gujarat'
+  };
+  return stateMap[branch] || 'Unknown';
+}
+
+module.exports = {
+  INVENTORY_FIELDS,
+  parseUploadedWorkbook,
+  buildImportPlan,
+  applyImportPlan,
+  resolveWorkbookProfiles,
+  importWorkbook,
+  changedBranches,
+  describeInventoryChange
+};
@@ -0,0 +1,517 @@
+// services/jobs.js
+// Scheduled jobs: named jobs of a registered type (a snapshot, a report pack,
+// an alert evaluation, ...) that run on a cron schedule (services/cron.js),
+// with every run recorded in job_runs together with its log.
+//
+// The scheduler runs inside the API process and polls scheduled_jobs every
+// JOBS_POLL_SECONDS (default 30); JOBS_SCHEDULER_ENABLED=false turns it off on
+// an instance. When several servers run, each due occurrence is claimed by
+// exactly one of them (FOR UPDATE SKIP LOCKED while next_run_at is moved on),
+// and a run holds an advisory lock on its job for as long as it executes, so a
+// job never runs twice at the same time, even when started by hand. Missed
+// occurrences (every server down) are run once, then the schedule resumes.
+const os = require('os');
+const { pgPool } = require('../config/database');
+const { parseCron, nextCronTime } = require('./cron');
+const { captureInventorySnapshot, monthCloseTimestamp } = require('./snapshots');
+const { generateReportPack } = require('./reportPacks');
+const { evaluateAlertRules } = require('./alerts');
+
+const JOB_RUN_STATUSES = ['running', 'succeeded', 'failed', 'skipped'];
+
+// First key of the two-key advisory locks held by running jobs (the second is the job id)
+const JOB_LOCK_NAMESPACE = 72001;
+
+const JOB_COLUMNS = 'id, name, job_type, schedule, params, is_paused, next_run_at, last_run_at, last_status, created_by, created_at, updated_at';
+const RUN_COLUMNS = 'id, job_id, trigger, status, instance, triggered_by, started_at, finished_at, result, error';
+
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// What each job type does. validate(params) returns a list of problems;
+// run(params, { job, log }) does the work and returns a summary for the run record.
+const jobTypes = {
+  inventory_snapshot: {
+    description: 'Record an inventory snapshot. params: { type: "manual" | "month_close" } (month_close closes the previous month)',
+    validate: params => (
+      params.type === undefined || ['manual', 'month_close'].includes(params.type)
+        ? []
+        : ['params.type must be "manual" or "month_close"']
+    ),
+    run: async (params, { job, log }) => {
+      const type = params.type || 'manual';
+      const snapshot = await captureInventorySnapshot(pgPool, {
+        source: type,
+        asOf: type === 'month_close' ? monthCloseTimestamp() : new Date(),
+        notes: `job:${job.name}`
+      });
+      log(`Snapshot #${snapshot.id} (${snapshot.source}) recorded with ${snapshot.item_count} rows, as of ${snapshot.as_of.toISOString()}`);
+      return { snapshotId: snapshot.id, itemCount: snapshot.item_count };
+    }
+  },
+  report_pack: {
+    description: 'Generate an executive report pack for all branches. params: { period: "previous_month" | "live" | "YYYY-MM" } (default previous_month)',
+    validate: params => (
+      params.period === undefined || ['previous_month', 'live'].includes(params.period) || PERIOD_PATTERN.test(String(params.period))
+        ? []
+        : ['params.period must be "previous_month", "live" or a month in YYYY-MM format']
+    ),
+    run: async (params, { job, log }) => {
+      const period = resolvePeriod(params.period || 'previous_month');
+      log(period ? `Building the pack for ${period}` : 'Building the pack from live inventory');
+      const result = await generateReportPack({ period, generatedBy: { username: `job:${job.name}` } });
+      if (result.status === 'no_snapshot') {
+        throw new Error(`No inventory snapshot was taken in ${period}`);
+      }
+      log(`Report pack #${result.pack.id} stored as ${result.pack.file_name} (${result.pack.size_bytes} bytes)`);
+      return { packId: result.pack.id, period: result.pack.period, fileName: result.pack.file_name };
+    }
+  },
+  alert_evaluation: {
+    description: 'Evaluate the stock alert rules against the current inventory. No params',
+    validate: () => [],
+    run: async (params, { log }) => {
+      const summary = await evaluateAlertRules();
+      log(`${summary.rules} rule(s) evaluated: ${summary.opened} alert(s) opened, ${summary.resolved} resolved, ${summary.active} active`);
+      return summary;
+    }
+  }
+};
+
+let pollTimer = null;
+
+/**
+ * Adds or replaces a job type.
+ * @param {string} name - The job_type value that selects it.
+ * @param {object} type - { description, validate(params) => string[], run(params, { job, log }) => result }.
+ */
+function registerJobType(name, type) {
+  jobTypes[name] = type;
+}
+
+/**
+ * Lists the job types that can be scheduled.
+ * @returns {object[]} [{ name, description }]
+ */
+function listJobTypes() {
+  return Object.entries(jobTypes).map(([name, type]) => ({ name, description: type.description }));
+}
+
+/**
+ * Checks a job definition.
+ * @param {object} body - { name, jobType, schedule, params }.
+ * @param {object} [options]
+ * @param {object} [options.current] - The stored job when updating; missing fields keep its values.
+ * @returns {string[]} The problems found (empty when valid).
+ */
+function validateJob(body, { current = null } = {}) {
+  const errors = [];
+  const name = body.name !== undefined ? body.name : current && current.name;
+  const jobType = body.jobType !== undefined ? body.jobType : current && current.job_type;
+  const schedule = body.schedule !== undefined ? body.schedule : current && current.schedule;
+  const params = body.params !== undefined ? body.params : (current ? current.params : {});
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    errors.push('"name" is required');
+  }
+  if (!jobTypes[jobType]) {
+    errors.push(`"jobType" must be one of: ${Object.keys(jobTypes).join(', ')}`);
+  }
+  try {
+    nextCronTime(parseCron(schedule));
+  } catch (error) {
+    errors.push(`Invalid "schedule": ${error.message}`);
+  }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push('"params" must be an object');
+  } else if (jobTypes[jobType]) {
+    errors.push(...jobTypes[jobType].validate(params));
+  }
+  return errors;
+}
+
+/**
+ * Lists jobs with the outcome of their latest run.
+ */
+async function listJobs() {
+  const result = await pgPool.query(
+    `SELECT ${JOB_COLUMNS.split(', ').map(column => `j.${column}`).join(', ')},
+       u.username as created_by_username
+     FROM scheduled_jobs j
+     LEFT JOIN users u ON j.created_by = u.id
+     ORDER BY j.name`
+  );
+  return result.rows;
+}
+
+/**
+ * Returns one job, or null if it does not exist.
+ */
+async function getJob(jobId) {
+  const result = await pgPool.query(`SELECT ${JOB_COLUMNS} FROM scheduled_jobs WHERE id = $1`, [jobId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Creates a job (call validateJob first). It is first due at the next
+ * occurrence of its schedule unless created paused.
+ * @param {object} body - { name, jobType, schedule, params, isPaused }.
+ * @param {number} [createdBy] - The user creating it.
+ * @throws {Error} With code '23505' when the name is taken.
+ */
+async function createJob({ name, jobType, schedule, params = {}, isPaused = false }, createdBy = null) {
+  const result = await pgPool.query(
+    `INSERT INTO scheduled_jobs (name, job_type, schedule, params, is_paused, next_run_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${JOB_COLUMNS}`,
+    [name.trim(), jobType, schedule.trim(), JSON.stringify(params), Boolean(isPaused), isPaused ? null : nextCronTime(schedule), createdBy]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Changes a job's name, type, schedule or params (call validateJob with the
+ * current job first). A new schedule moves the next run to its next occurrence.
+ * @returns {Promise<object|null>} The updated job, or null if it does not exist.
+ * @throws {Error} With code '23505' when the name is taken.
+ */
+async function updateJob(jobId, { name, jobType, schedule, params }) {
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query(`SELECT ${JOB_COLUMNS} FROM scheduled_jobs WHERE id = $1 FOR UPDATE`, [jobId]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const job = current.rows[0];
+    const newSchedule = schedule !== undefined ? schedule.trim() : job.schedule;
+    const nextRunAt = job.is_paused
+      ? null
+      : (newSchedule !== job.schedule ? nextCronTime(newSchedule) : job.next_run_at);
+
+    const result = await client.query(
+      `UPDATE scheduled_jobs
+       SET name = $2, job_type = $3, schedule = $4, params = $5, next_run_at = $6, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${JOB_COLUMNS}`,
+      [
+        jobId,
+        name !== undefined ? name.trim() : job.name,
+        jobType !== undefined ? jobType : job.job_type,
+        newSchedule,
+        JSON.stringify(params !== undefined ? params : job.params),
+        nextRunAt
+      ]
+    );
+    await client.query('COMMIT');
+    return result.rows[0];
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Pauses or resumes a job. A resumed job is next due at the next occurrence
+ * of its schedule; occurrences missed while paused are not made up.
+ * @returns {Promise<object|null>} The updated job, or null if it does not exist.
+ */
+async function setJobPaused(jobId, paused) {
+  const job = await getJob(jobId);
+  if (!job) return null;
+  if (job.is_paused === paused) return job;
+
+  const result = await pgPool.query(
+    `UPDATE scheduled_jobs SET is_paused = $2, next_run_at = $3, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${JOB_COLUMNS}`,
+    [jobId, paused, paused ? null : nextCronTime(job.schedule)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Deletes a job and its run history.
+ * @returns {Promise<boolean>} false if the job does not exist.
+ */
+async function deleteJob(jobId) {
+  const result = await pgPool.query('DELETE FROM scheduled_jobs WHERE id = $1', [jobId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Lists a job's runs, newest first, without their logs.
+ */
+async function listJobRuns(jobId, { status, limit = 50, offset = 0 } = {}) {
+  const params = [jobId];
+  let where = 'WHERE r.job_id = $1';
+  if (status) {
+    params.push(status);
+    where += ` AND r.status = $${params.length}`;
+  }
+
+  const result = await pgPool.query(
+    `SELECT ${RUN_COLUMNS.split(', ').map(column => `r.${column}`).join(', ')},
+       u.username as triggered_by_username
+     FROM job_runs r
+     LEFT JOIN users u ON r.triggered_by = u.id
+     ${where}
+     ORDER BY r.started_at DESC, r.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return result.rows;
+}
+
+/**
+ * Returns one run with its log, or null if it does not exist.
+ */
+async function getJobRun(runId) {
+  const result = await pgPool.query(
+    `SELECT ${RUN_COLUMNS.split(', ').map(column => `r.${column}`).join(', ')}, r.log,
+       j.name as job_name, j.job_type, u.username as triggered_by_username
+     FROM job_runs r
+     JOIN scheduled_jobs j ON r.job_id = j.id
+     LEFT JOIN users u ON r.triggered_by = u.id
+     WHERE r.id = $1`,
+    [runId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Runs a job now, outside its schedule, and waits for it to finish. The
+ * schedule is not affected.
+ * @param {number} jobId
+ * @param {number} [userId] - The user starting it.
+ * @returns {Promise<object>} { status, run } where status is 'not_found', or
+ *   'finished' with the run record (its status is 'succeeded', 'failed' or
+ *   'skipped' when the job was already running).
+ */
+async function runJobNow(jobId, userId = null) {
+  const job = await getJob(jobId);
+  if (!job) return { status: 'not_found' };
+  const run = await executeJob(job, { trigger: 'manual', userId });
+  return { status: 'finished', run };
+}
+
+/**
+ * Runs every job that is due, one after another, until none are left.
+ * Each occurrence is claimed by exactly one instance.
+ * @returns {Promise<number>} How many runs this instance started.
+ */
+async function runDueJobs() {
+  await failInterruptedRuns();
+
+  let started = 0;
+  for (let job = await claimDueJob(); job; job = await claimDueJob()) {
+    await executeJob(job, { trigger: 'scheduled' });
+    started++;
+  }
+  return started;
+}
+
+/**
+ * Starts polling for due jobs, unless JOBS_SCHEDULER_ENABLED is 'false'.
+ * Safe to call more than once.
+ */
+function startScheduler() {
+  if (process.env.JOBS_SCHEDULER_ENABLED === 'false' || pollTimer) return;
+  const interval = (parseInt(process.env.JOBS_POLL_SECONDS) || 30) * 1000;
+
+  const poll = async () => {
+    try {
+      await runDueJobs();
+    } catch (error) {
+      console.error('Error running scheduled jobs:', error.message);
+    }
+    if (pollTimer) {
+      pollTimer = setTimeout(poll, interval);
+      pollTimer.unref();
+    }
+  };
+
+  pollTimer = setTimeout(poll, interval);
+  pollTimer.unref();
+  console.log(`⏰ Job scheduler started on ${INSTANCE} (polling every ${interval / 1000}s)`);
+}
+
+/**
+ * Stops polling. A run in progress finishes.
+ */
+function stopScheduler() {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+}
+
+// --- Helper Functions ---
+
+// Takes the most overdue job whose occurrence no other instance is claiming
+// and moves it on to its next occurrence
+async function claimDueJob() {
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `SELECT ${JOB_COLUMNS} FROM scheduled_jobs
+       WHERE is_paused = false AND next_run_at <= NOW()
+       ORDER BY next_run_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`
+    );
+    const job = result.rows[0];
+    if (!job) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    // A schedule that no longer has an occurrence pauses the job after this run
+    let nextRunAt = null;
+    try {
+      nextRunAt = nextCronTime(job.schedule);
+    } catch (error) {
+      console.error(`Scheduled job "${job.name}" has an unusable schedule:`, error.message);
+    }
+    await client.query(
+      `UPDATE scheduled_jobs SET next_run_at = $2, is_paused = $3 WHERE id = $1`,
+      [job.id, nextRunAt, nextRunAt === null]
+    );
+    await client.query('COMMIT');
+    return job;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Runs a job while holding its advisory lock and records the run. The lock
+// lives on a connection of its own, so it is released even if this process dies.
+async function executeJob(job, { trigger, userId = null }) {
+  const lockClient = await pgPool.connect();
+  let locked = false;
+  try {
+    const lockResult = await lockClient.query('SELECT pg_try_advisory_lock($1, $2) as locked', [JOB_LOCK_NAMESPACE, job.id]);
+    locked = lockResult.rows[0].locked;
+    if (!locked) {
+      return await recordRun(job, {
+        trigger,
+        userId,
+        status: 'skipped',
+        log: `[${new Date().toISOString()}] Skipped: the job is already running`,
+        finished: true
+      });
+    }
+
+    const run = await recordRun(job, { trigger, userId, status: 'running' });
+    const lines = [];
+    const log = message => lines.push(`[${new Date().toISOString()}] ${message}`);
+    const type = jobTypes[job.job_type];
+
+    let status = 'succeeded', result = null, errorMessage = null;
+    log(`Started (${trigger}) on ${INSTANCE}`);
+    try {
+      if (!type) {
+        throw new Error(`Unknown job type: ${job.job_type}`);
+      }
+      result = await type.run(job.params || {}, { job, log }) || null;
+      log('Finished');
+    } catch (error) {
+      status = 'failed';
+      errorMessage = error.message;
+      log(`Failed: ${error.message}`);
+      console.error(`Scheduled job "${job.name}" failed:`, error.message);
+    }
+
+    const finished = await pgPool.query(
+      `UPDATE job_runs SET status = $2, finished_at = NOW(), result = $3, error = $4, log = $5
+       WHERE id = $1
+       RETURNING ${RUN_COLUMNS}`,
+      [run.id, status, result === null ? null : JSON.stringify(result), errorMessage, lines.join('\n')]
+    );
+    await pgPool.query(
+      'UPDATE scheduled_jobs SET last_run_at = $2, last_status = $3 WHERE id = $1',
+      [job.id, run.started_at, status]
+    );
+    return finished.rows[0];
+
+  } finally {
+    if (locked) {
+      await lockClient.query('SELECT pg_advisory_unlock($1, $2)', [JOB_LOCK_NAMESPACE, job.id]).catch(() => {});
+    }
+    lockClient.release();
+  }
+}
+
+async function recordRun(job, { trigger, userId, status, log = null, finished = false }) {
+  const result = await pgPool.query(
+    `INSERT INTO job_runs (job_id, trigger, status, instance, triggered_by, log, finished_at)
+     VALUES ($1, $2, $3, $4, $5, $6, ${finished ? 'NOW()' : 'NULL'})
+     RETURNING ${RUN_COLUMNS}`,
+    [job.id, trigger, status, INSTANCE, userId, log]
+  );
+  return result.rows[0];
+}
+
+// Runs left 'running' by an instance that stopped mid-run: their job's lock is free
+async function failInterruptedRuns() {
+  const running = await pgPool.query(`SELECT id, job_id FROM job_runs WHERE status = 'running'`);
+  if (running.rows.length === 0) return;
+
+  const client = await pgPool.connect();
+  try {
+    for (const run of running.rows) {
+      const lockResult = await client.query('SELECT pg_try_advisory_lock($1, $2) as locked', [JOB_LOCK_NAMESPACE, run.job_id]);
+      if (!lockResult.rows[0].locked) continue;
+      try {
+        const updated = await client.query(
+          `UPDATE job_runs
+           SET status = 'failed', finished_at = NOW(), error = 'Interrupted: the server running the job stopped'
+           WHERE id = $1 AND status = 'running'`,
+          [run.id]
+        );
+        if (updated.rowCount > 0) {
+          await client.query(`UPDATE scheduled_jobs SET last_status = 'failed' WHERE id = $1`, [run.job_id]);
+        }
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1, $2)', [JOB_LOCK_NAMESPACE, run.job_id]);
+      }
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// 'previous_month' -> last month's YYYY-MM, 'live' -> null
+function resolvePeriod(period) {
+  if (period === 'live') return null;
+  if (period !== 'previous_month') return period;
+  const monthEnd = monthCloseTimestamp();
+  return `${monthEnd.getFullYear()}-${String(monthEnd.getMonth() + 1).padStart(2, '0')}`;
+}
+
+module.exports = {
+  JOB_RUN_STATUSES,
+  registerJobType,
+  listJobTypes,
+  validateJob,
+  listJobs,
+  getJob,
+  createJob,
+  updateJob,
+  setJobPaused,
+  deleteJob,
+  listJobRuns,
+  getJobRun,
+  runJobNow,
+  runDueJobs,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,143 @@
+// services/liveUpdates.js
+// Change notifications for open dashboards (GET /api/live/stream). A change is
+// announced with Postgres NOTIFY, so it reaches the streams of every API
+// instance, and only once the change is committed. Each instance keeps one
+// connection LISTENing, opened when its first stream subscribes.
+//
+// A notification is { type, branchIds, data }:
+//   inventory  stock figures changed (KPIs and alert rows are stale)
+//   alerts     alerts were opened, acknowledged or resolved
+//   import     an upload or JSON ingest was imported, or a batch reverted
+// branchIds lists the branches affected, or is null when any may be.
+const { pgPool } = require('../config/database');
+
+const LIVE_CHANNEL = 'live_updates';
+const LIVE_CHANGE_TYPES = ['inventory', 'alerts', 'import'];
+
+// NOTIFY payloads must stay under 8000 bytes
+const MAX_PAYLOAD_BYTES = 7900;
+
+const RECONNECT_DELAY_MS = 5000;
+
+const listeners = new Set();
+let listenClient = null;
+let connecting = null;
+let reconnectTimer = null;
+
+/**
+ * Announces a change to every instance. Call it after the change has been
+ * committed. Never throws: a failure is logged, since the change itself succeeded.
+ * @param {string} type - One of LIVE_CHANGE_TYPES.
+ * @param {object} [options]
+ * @param {number[]|null} [options.branchIds] - The branches affected; null for any.
+ * @param {object} [options.data] - Details passed on to the streams.
+ */
+async function notifyChange(type, { branchIds = null, data = {} } = {}) {
+  try {
+    const ids = branchIds ? [...new Set(branchIds.map(id => parseInt(id)).filter(Boolean))] : null;
+    let payload = JSON.stringify({ type, branchIds: ids, data });
+    if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+      // Too many branches or details to send: tell everyone that something changed
+      payload = JSON.stringify({ type, branchIds: null, data: {} });
+    }
+    await pgPool.query('SELECT pg_notify($1, $2)', [LIVE_CHANNEL, payload]);
+  } catch (error) {
+    console.error(`Error announcing live ${type} change:`, error.message);
+  }
+}
+
+/**
+ * Calls listener({ type, branchIds, data }) for every change announced by any
+ * instance, starting to listen if this is the first subscriber.
+ * @returns {Function} Call it to unsubscribe.
+ */
+function subscribe(listener) {
+  listeners.add(listener);
+  startListening();
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * True when a change to branchIds concerns someone who sees visibleIds
+ * (either may be null for every branch).
+ */
+function affectsBranches(branchIds, visibleIds) {
+  if (!branchIds || !visibleIds) return true;
+  return branchIds.some(id => visibleIds.includes(id));
+}
+
+/**
+ * Closes the listening connection (for shutdown and tests).
+ */
+async function stopListening() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  const client = listenClient;
+  listenClient = null;
+  if (client) {
+    client.removeAllListeners('notification');
+    client.removeAllListeners('error');
+    client.release(true);
+  }
+}
+
+// --- Helper Functions ---
+function startListening() {
+  if (listenClient || connecting || reconnectTimer) return;
+  connecting = (async () => {
+    let client = null;
+    try {
+      client = await pgPool.connect();
+      client.on('notification', handleNotification);
+      client.on('error', error => dropConnection(client, error));
+      await client.query(`LISTEN ${LIVE_CHANNEL}`);
+      listenClient = client;
+    } catch (error) {
+      dropConnection(client, error);
+    } finally {
+      connecting = null;
+    }
+  })();
+}
+
+function dropConnection(client, error) {
+  console.error('Live updates connection lost:', error.message);
+  if (client) {
+    client.removeAllListeners('notification');
+    client.release(true);
+  }
+  if (listenClient === client) listenClient = null;
+  if (listeners.size > 0 && !reconnectTimer) {
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      if (listeners.size > 0) startListening();
+    }, RECONNECT_DELAY_MS);
+  }
+}
+
+function handleNotification(message) {
+  if (message.channel !== LIVE_CHANNEL) return;
+  let change;
+  try {
+    change = JSON.parse(message.payload);
+  } catch (error) {
+    return;
+  }
+  for (const listener of listeners) {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error('Error handling live update:', error);
+    }
+  }
+}
+
+module.exports = {
+  LIVE_CHANGE_TYPES,
+  notifyChange,
+  subscribe,
+  affectsBranches,
+  stopListening
+};
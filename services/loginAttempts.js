@@ -0,0 +1,172 @@
+// services/loginAttempts.js
+// Failed-login tracking. Every attempt is recorded in login_attempts. A user
+// is locked out for a while after every LOGIN_MAX_FAILURES consecutive
+// failures, each lockout twice as long as the last; an IP address is blocked
+// after too many failures within a window. Failed responses are also slowed
+// down progressively.
+const { pgPool } = require('../config/database');
+const { setAuditContext } = require('./audit');
+
+const LOGIN_LIMITS = {
+  maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  maxLockoutMinutes: parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 24 * 60,
+  ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+  // Failures allowed before responses start being delayed
+  delayAfterFailures: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 2,
+  maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 8000
+};
+
+// Known values of login_attempts.reason
+const LOGIN_ATTEMPT_REASONS = ['success', 'invalid_password', 'invalid_second_factor', 'unknown_user', 'locked', 'disabled', 'ip_blocked', 'honeypot'];
+
+/**
+ * Records a login attempt.
+ * @param {object} attempt - { username, userId, ip, userAgent, success, reason }
+ */
+async function recordLoginAttempt({ username = null, userId = null, ip = null, userAgent = null, success, reason }) {
+  await pgPool.query(
+    `INSERT INTO login_attempts (username, user_id, ip_address, user_agent, success, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [username, userId, ip, userAgent, success, reason]
+  );
+}
+
+/**
+ * Whether an IP address has failed too often recently.
+ * @returns {Promise<object>} { blocked, failures, retryAfterSeconds }
+ */
+async function checkIpBlock(ip) {
+  const result = await pgPool.query(
+    `SELECT COUNT(*)::int as failures, MIN(attempted_at) as oldest
+     FROM login_attempts
+     WHERE ip_address = $1 AND success = FALSE AND reason <> 'ip_blocked'
+       AND attempted_at > NOW() - make_interval(mins => $2)`,
+    [ip, LOGIN_LIMITS.ipWindowMinutes]
+  );
+  const { failures, oldest } = result.rows[0];
+  if (failures < LOGIN_LIMITS.ipMaxFailures) {
+    return { blocked: false, failures, retryAfterSeconds: 0 };
+  }
+  const windowEnds = new Date(oldest).getTime() + LOGIN_LIMITS.ipWindowMinutes * 60000;
+  return { blocked: true, failures, retryAfterSeconds: Math.max(1, Math.ceil((windowEnds - Date.now()) / 1000)) };
+}
+
+/**
+ * Counts a failed password for a user and locks the account on every
+ * maxFailures-th consecutive failure.
+ * @returns {Promise<object>} { failedCount, lockedUntil } (lockedUntil is null unless this failure locked the account)
+ */
+async function registerFailedLogin(userId) {
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await setAuditContext(client, { source: 'login' });
+
+    const result = await client.query(
+      `UPDATE users SET
+         failed_login_count = failed_login_count + 1,
+         locked_until = CASE
+           WHEN (failed_login_count + 1) % $1 = 0
+           THEN NOW() + make_interval(mins => LEAST($2 * power(2, (failed_login_count + 1) / $1 - 1), $3)::int)
+           ELSE locked_until
+         END
+       WHERE id = $4
+       RETURNING failed_login_count, locked_until`,
+      [LOGIN_LIMITS.maxFailures, LOGIN_LIMITS.lockoutMinutes, LOGIN_LIMITS.maxLockoutMinutes, userId]
+    );
+
+    await client.query('COMMIT');
+    const { failed_login_count: failedCount, locked_until: lockedUntil } = result.rows[0];
+    return {
+      failedCount,
+      lockedUntil: failedCount % LOGIN_LIMITS.maxFailures === 0 ? lockedUntil : null
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Clears a user's failure count after a successful login.
+ */
+async function clearFailedLogins(userId) {
+  await pgPool.query(
+    'UPDATE users SET failed_login_count = 0, last_login = CURRENT_TIMESTAMP WHERE id = $1',
+    [userId]
+  );
+}
+
+/**
+ * Unlocks an account and resets its failure count. Call inside a transaction
+ * stamped with the admin's audit context.
+ * @returns {Promise<object|null>} The user row, or null if not found.
+ */
+async function unlockUser(client, userId) {
+  const result = await client.query(
+    `UPDATE users SET failed_login_count = 0, locked_until = NULL
+     WHERE id = $1
+     RETURNING id, username, failed_login_count, locked_until`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * How long to hold back a failed login response, doubling with each failure
+ * past delayAfterFailures.
+ * @param {number} failures - Consecutive failures so far (including this one).
+ */
+function loginDelayMs(failures) {
+  if (failures <= LOGIN_LIMITS.delayAfterFailures) return 0;
+  return Math.min(500 * 2 ** (failures - LOGIN_LIMITS.delayAfterFailures - 1), LOGIN_LIMITS.maxDelayMs);
+}
+
+/**
+ * Reads login attempts, newest first.
+ * @param {object} filters - { username, userId, ip, success, reason, from, to, limit, offset }
+ * @returns {Promise<object>} { attempts, total }
+ */
+async function listLoginAttempts({ username, userId, ip, success, reason, from, to, limit = 100, offset = 0 } = {}) {
+  const params = [];
+  let where = 'WHERE 1=1';
+  const addFilter = (value, condition) => {
+    if (value === undefined || value === null) return;
+    params.push(value);
+    where += ` AND ${condition.replace('?', `$${params.length}`)}`;
+  };
+  addFilter(username, 'LOWER(a.username) = LOWER(?)');
+  addFilter(userId, 'a.user_id = ?');
+  addFilter(ip, 'a.ip_address = ?');
+  addFilter(success, 'a.success = ?');
+  addFilter(reason, 'a.reason = ?');
+  addFilter(from, 'a.attempted_at >= ?');
+  addFilter(to, 'a.attempted_at < ?');
+
+  const countResult = await pgPool.query(`SELECT COUNT(*)::int as total FROM login_attempts a ${where}`, params);
+  const result = await pgPool.query(
+    `SELECT a.id, a.username, a.user_id, a.ip_address, a.user_agent, a.success, a.reason, a.attempted_at
+     FROM login_attempts a
+     ${where}
+     ORDER BY a.attempted_at DESC, a.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return { attempts: result.rows, total: countResult.rows[0].total };
+}
+
+module.exports = {
+  LOGIN_LIMITS,
+  LOGIN_ATTEMPT_REASONS,
+  recordLoginAttempt,
+  checkIpBlock,
+  registerFailedLogin,
+  clearFailedLogins,
+  unlockUser,
+  loginDelayMs,
+  listLoginAttempts
+};
@@ -0,0 +1,57 @@
+// services/notifier.js
+// Delivers messages to users (password reset links and the like). The
+// transport is picked with NOTIFIER_TRANSPORT:
+//   console - prints the message to the server log (the default outside
+//             production; in production it must be chosen explicitly, since
+//             reset codes would end up in the log)
+//   file    - appends it as a JSON line to NOTIFIER_FILE (default ./notifications.log)
+// Other transports (e-mail, SMS, chat) plug in with registerTransport().
+const fs = require('fs');
+const path = require('path');
+
+const transports = {
+  console: async message => {
+    console.log(`📨 Notification to ${message.to.username}${message.to.email ? ` <${message.to.email}>` : ''}: ${message.subject}`);
+    console.log(message.text);
+  },
+  file: async message => {
+    const file = process.env.NOTIFIER_FILE || path.join(__dirname, '..', 'notifications.log');
+    await fs.promises.appendFile(file, JSON.stringify({ sentAt: new Date().toISOString(), ...message }) + '\n');
+  }
+};
+
+/**
+ * Adds or replaces a transport.
+ * @param {string} name - The NOTIFIER_TRANSPORT value that selects it.
+ * @param {function} send - async (message) => void; message is { to, subject, text, category }.
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Sends a message through the configured transport.
+ * @param {object} message
+ * @param {object} message.to - { id, username, email } of the recipient.
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} [message.category] - e.g. 'password_reset', for transports that route by kind.
+ * @throws When no transport is configured in production, or the configured
+ *   transport does not exist or fails.
+ */
+async function notify(message) {
+  const name = process.env.NOTIFIER_TRANSPORT || (process.env.NODE_ENV !== 'production' ? 'console' : null);
+  if (!name) {
+    throw new Error('No notifier transport configured: set NOTIFIER_TRANSPORT');
+  }
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Unknown notifier transport: ${name}`);
+  }
+  await send(message);
+}
+
+module.exports = {
+  registerTransport,
+  notify
+};
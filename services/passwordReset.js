@@ -0,0 +1,132 @@
+// services/passwordReset.js
+// Self-service password reset. A user asks for a reset by username or e-mail
+// and receives a single-use token through the notifier; only the token's
+// SHA-256 is stored and it expires after PASSWORD_RESET_TOKEN_MINUTES.
+const crypto = require('crypto');
+const { pgPool } = require('../config/database');
+const { setAuditContext } = require('./audit');
+const { notify } = require('./notifier');
+const { revokeUserSessions } = require('./sessions');
+const { validatePassword, isPasswordReused, setPassword } = require('./users');
+
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 30;
+// A user gets at most one reset message per this many seconds
+const RESET_REQUEST_INTERVAL_SECONDS = 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issues a reset token and sends it to the user. Does nothing (and says
+ * nothing) when no active user matches, so callers can answer the same way
+ * whether or not the account exists. A message that cannot be sent is only
+ * logged, for the same reason, and its token is dropped so the user can ask
+ * again straight away.
+ * @param {string} identifier - A username or e-mail address.
+ * @param {object} [options] - { ip } of the request.
+ */
+async function requestPasswordReset(identifier, { ip = null } = {}) {
+  const userResult = await pgPool.query(
+    `SELECT id, username, full_name, email FROM users
+     WHERE is_active AND (username = $1 OR LOWER(email) = LOWER($1))
+     ORDER BY (username = $1) DESC
+     LIMIT 1`,
+    [identifier]
+  );
+  if (userResult.rows.length === 0) return;
+  const user = userResult.rows[0];
+
+  const recent = await pgPool.query(
+    `SELECT 1 FROM password_reset_tokens
+     WHERE user_id = $1 AND created_at > NOW() - make_interval(secs => $2)`,
+    [user.id, RESET_REQUEST_INTERVAL_SECONDS]
+  );
+  if (recent.rows.length > 0) return;
+
+  // Only the newest token works
+  await pgPool.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [user.id]);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await pgPool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [user.id, hashToken(token), ip, RESET_TOKEN_MINUTES]
+  );
+
+  const link = process.env.PASSWORD_RESET_URL ? `${process.env.PASSWORD_RESET_URL}${encodeURIComponent(token)}` : null;
+  try {
+    await notify({
+      to: { id: user.id, username: user.username, email: user.email },
+      category: 'password_reset',
+      subject: 'Reset your Hansei password',
+      text: [
+        `Hello ${user.full_name || user.username},`,
+        '',
+        'A password reset was requested for your account.',
+        link ? `Open this link to choose a new password: ${link}` : `Your reset code: ${token}`,
+        `It expires in ${RESET_TOKEN_MINUTES} minutes and can be used once.`,
+        'If you did not ask for this, you can ignore this message.'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error(`Error sending password reset to ${user.username}:`, error.message);
+    await pgPool.query('DELETE FROM password_reset_tokens WHERE token_hash = $1', [hashToken(token)]);
+  }
+}
+
+/**
+ * Sets a new password with a reset token. The token is used up, earlier
+ * failed logins are forgotten and every session of the user is ended.
+ * @param {string} token
+ * @param {string} newPassword
+ * @returns {Promise<object>} { status, error } where status is 'reset',
+ *   'invalid_token' or 'rejected' (error says what is wrong with the password).
+ */
+async function resetPasswordWithToken(token, newPassword) {
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(
+      `SELECT t.id, t.user_id, u.username
+       FROM password_reset_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > NOW() AND u.is_active
+       FOR UPDATE OF t`,
+      [hashToken(String(token))]
+    );
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 'invalid_token' };
+    }
+    const { id: tokenId, user_id: userId, username } = tokenResult.rows[0];
+
+    const passwordError = validatePassword(newPassword, { username })
+      || ((await isPasswordReused(client, userId, newPassword)) ? 'Password must differ from your recent passwords' : null);
+    if (passwordError) {
+      await client.query('ROLLBACK');
+      return { status: 'rejected', error: passwordError };
+    }
+
+    await setAuditContext(client, { userId, source: 'password_reset' });
+    await setPassword(client, userId, newPassword);
+    await client.query('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1', [userId]);
+    await client.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1', [tokenId]);
+    await revokeUserSessions(client, userId, 'password_reset');
+
+    await client.query('COMMIT');
+    return { status: 'reset' };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  RESET_TOKEN_MINUTES,
+  requestPasswordReset,
+  resetPasswordWithToken
+};
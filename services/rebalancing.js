@@ -0,0 +1,188 @@
+// services/rebalancing.js
+// Pairs excess stock at one branch with shortfalls of the same material at
+// other branches and proposes transfers between them.
+const { pgPool } = require('../config/database');
+const { inventorySource } = require('./snapshots');
+
+const DEFAULT_CONSTRAINTS = {
+  minRetainedCover: 100, // % of its own month plan a donor branch keeps
+  minTransferQty: 1,
+  maxTransfers: 50,
+  sameRegionOnly: false,
+  sameZoneOnly: false,
+  allowedPairs: null // null = any pair; otherwise [{ from, to }] by branch name
+};
+
+/**
+ * Parses "Chennai>Bangalore,Cochin<>Chennai" into [{ from, to }] pairs.
+ * "<>" allows transfers both ways.
+ */
+function parseAllowedPairs(value) {
+  if (!value) return null;
+  const pairs = [];
+  for (const item of String(value).split(',').map(part => part.trim()).filter(Boolean)) {
+    if (item.includes('<>')) {
+      const [a, b] = item.split('<>').map(part => part.trim());
+      pairs.push({ from: a, to: b }, { from: b, to: a });
+    } else if (item.includes('>')) {
+      const [from, to] = item.split('>').map(part => part.trim());
+      pairs.push({ from, to });
+    } else {
+      throw new Error(`Invalid branch pair "${item}", expected "From>To" or "A<>B"`);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Builds the ranked list of proposed transfers.
+ * Donors are branch rows whose avl_stock + transit exceeds what they must keep
+ * (minRetainedCover % of month_plan); only physical avl_stock can be moved.
+ * Receivers are rows short of their month_plan. For each material the largest
+ * shortfalls are filled first from the largest surpluses.
+ * @param {object} [options]
+ * @param {object} [options.constraints] - Overrides for DEFAULT_CONSTRAINTS.
+ * @param {string[]} [options.materials] - Limit to these materials.
+ * @param {number[]|null} [options.branchIds] - Limit donors and receivers to these branches.
+ * @param {number|null} [options.snapshotId] - Work from a snapshot instead of live inventory.
+ * @returns {Promise<object>} { transfers, unmetShortfall, constraints }
+ */
+async function proposeTransfers({ constraints = {}, materials = null, branchIds = null, snapshotId = null } = {}) {
+  const settings = { ...DEFAULT_CONSTRAINTS, ...constraints };
+
+  const params = [];
+  let filters = '';
+  if (materials && materials.length > 0) {
+    params.push(materials);
+    filters += ` AND p.material = ANY($${params.length}::text[])`;
+  }
+  if (branchIds) {
+    params.push(branchIds);
+    filters += ` AND b.id = ANY($${params.length}::int[])`;
+  }
+
+  const result = await pgPool.query(`
+    SELECT 
+      p.id as product_id,
+      p.material,
+      b.id as branch_id,
+      b.name as branch_name,
+      b.region_id,
+      r.zone_id,
+      i.avl_stock,
+      i.transit,
+      i.month_plan
+    FROM ${inventorySource(snapshotId, params)} i
+    JOIN products p ON i.product_id = p.id
+    JOIN branches b ON i.branch_id = b.id
+    LEFT JOIN regions r ON b.region_id = r.id
+    WHERE 1=1${filters}
+    ORDER BY p.material, b.name
+  `, params);
+
+  const byMaterial = new Map();
+  for (const row of result.rows) {
+    if (!byMaterial.has(row.material)) byMaterial.set(row.material, []);
+    byMaterial.get(row.material).push({
+      ...row,
+      avl_stock: row.avl_stock || 0,
+      transit: row.transit || 0,
+      month_plan: row.month_plan || 0
+    });
+  }
+
+  const transfers = [];
+  let unmetShortfall = 0;
+
+  for (const [material, rows] of byMaterial.entries()) {
+    const donors = rows
+      .map(row => {
+        const retained = Math.ceil(row.month_plan * settings.minRetainedCover / 100);
+        const surplus = Math.min(row.avl_stock, row.avl_stock + row.transit - retained);
+        return { ...row, retained, remaining: surplus };
+      })
+      .filter(row => row.remaining > 0)
+      .sort((a, b) => b.remaining - a.remaining);
+
+    const receivers = rows
+      .map(row => ({ ...row, remaining: row.month_plan - (row.avl_stock + row.transit) }))
+      .filter(row => row.remaining > 0)
+      .sort((a, b) => b.remaining - a.remaining);
+
+    for (const receiver of receivers) {
+      for (const donor of donors) {
+        if (receiver.remaining <= 0) break;
+        if (donor.remaining <= 0 || donor.branch_id === receiver.branch_id) continue;
+        if (!pairAllowed(donor, receiver, settings)) continue;
+
+        const quantity = Math.min(donor.remaining, receiver.remaining);
+        if (quantity < settings.minTransferQty) continue;
+
+        transfers.push(describeTransfer(material, donor, receiver, quantity));
+        donor.remaining -= quantity;
+        donor.avl_stock -= quantity;
+        receiver.remaining -= quantity;
+        receiver.transit += quantity;
+      }
+      unmetShortfall += Math.max(0, receiver.remaining);
+    }
+  }
+
+  // Biggest moves first; among equals, the receiver in the worst position first
+  transfers.sort((a, b) => b.quantity - a.quantity ||
+    a.to.availability_before - b.to.availability_before);
+
+  return {
+    transfers: transfers.slice(0, settings.maxTransfers).map((transfer, index) => ({ rank: index + 1, ...transfer })),
+    totalProposed: transfers.length,
+    unmetShortfall,
+    constraints: settings
+  };
+}
+
+// --- Helper Functions ---
+function pairAllowed(donor, receiver, settings) {
+  if (settings.sameRegionOnly && (donor.region_id === null || donor.region_id !== receiver.region_id)) {
+    return false;
+  }
+  if (settings.sameZoneOnly && (donor.zone_id === null || donor.zone_id !== receiver.zone_id)) {
+    return false;
+  }
+  if (settings.allowedPairs) {
+    return settings.allowedPairs.some(pair =>
+      pair.from.toLowerCase() === donor.branch_name.toLowerCase() &&
+      pair.to.toLowerCase() === receiver.branch_name.toLowerCase()
+    );
+  }
+  return true;
+}
+
+function availability(avl, transit, plan) {
+  return plan > 0 ? Math.round(((avl + transit) / plan) * 100) : 0;
+}
+
+function describeTransfer(material, donor, receiver, quantity) {
+  return {
+    material,
+    quantity,
+    from: {
+      branch: donor.branch_name,
+      month_plan: donor.month_plan,
+      retained_minimum: donor.retained,
+      availability_before: availability(donor.avl_stock, donor.transit, donor.month_plan),
+      availability_after: availability(donor.avl_stock - quantity, donor.transit, donor.month_plan)
+    },
+    to: {
+      branch: receiver.branch_name,
+      month_plan: receiver.month_plan,
+      availability_before: availability(receiver.avl_stock, receiver.transit, receiver.month_plan),
+      availability_after: availability(receiver.avl_stock, receiver.transit + quantity, receiver.month_plan)
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONSTRAINTS,
+  parseAllowedPairs,
+  proposeTransfers
+};
@@ -0,0 +1,252 @@
+// services/reportPacks.js
+// The monthly executive report pack: one workbook with a summary cover and a
+// sheet each for technology, recommendations, branch performance, planning
+// and stock alerts, built from the same figures as the dashboard
+// (services/dashboard.js). A pack for a past month reads the snapshot that
+// closes that month; without a period it reads live inventory. Packs are kept
+// in report_packs so they can be downloaded again.
+const { pgPool } = require('../config/database');
+const { findMonthSnapshot } = require('./snapshots');
+const {
+  getExecutiveSummary,
+  getRecommendations,
+  getBranchPerformance,
+  getPlanningAnalysis,
+  getStockAlerts
+} = require('./dashboard');
+const { EXPORT_COLUMNS, AVAILABILITY_BANDS, buildSheets, renderExport } = require('./exports');
+
+const { text, number, percentOf } = EXPORT_COLUMNS;
+
+const PACK_COLUMNS = 'id, period, snapshot_id, as_of, branch_ids, file_name, size_bytes, summary, created_by, api_key_id, created_at';
+
+// Sheets after the cover, read from the collected sections
+const PACK_SHEETS = {
+  title: 'Executive report pack',
+  sheets: [
+    {
+      name: 'Technology',
+      rows: sections => sections.summary.technologyBreakdown,
+      columns: [
+        text('technology', 'Technology'),
+        number('product_count', 'Products'),
+        number('sales', 'Sales'),
+        number('percentage', 'Share of Sales %')
+      ]
+    },
+    {
+      name: 'Recommendations',
+      rows: sections => sections.recommendations,
+      totals: false,
+      columns: [
+        text('priority', 'Priority'),
+        text('title', 'Recommendation'),
+        text('description', 'Details')
+      ]
+    },
+    {
+      name: 'Branch Performance',
+      rows: sections => sections.branchPerformance.map(row => withAvailability(row, row.total_stock, row.total_transit, row.total_plan)),
+      columns: [
+        text('branch_name', 'Branch'),
+        text('region_name', 'Region'),
+        text('zone_name', 'Zone'),
+        number('market_share', 'Market Share %', { total: false }),
+        number('penetration', 'Penetration %', { total: false }),
+        number('total_sales', 'Sales'),
+        number('total_plan', 'Plan'),
+        number('total_stock', 'Stock'),
+        number('total_transit', 'Transit'),
+        number('product_count', 'Products', { total: false }),
+        number('plan_achievement', 'Plan Achievement %', { total: percentOf(['total_sales'], 'total_plan', 2) }),
+        number('availability_percentage', 'Availability %', {
+          total: percentOf(['total_stock', 'total_transit'], 'total_plan'),
+          bands: AVAILABILITY_BANDS
+        })
+      ]
+    },
+    {
+      name: 'Planning',
+      rows: sections => sections.planning.planningData.map(row => withAvailability(row, row.avl_stock, row.transit, row.plan)),
+      columns: [
+        text('branch_name', 'Branch'),
+        number('op_stock', 'Op Stock'),
+        number('plan', 'Plan'),
+        number('avl_stock', 'Avl Stock'),
+        number('transit', 'Transit'),
+        number('billing', 'Billing'),
+        number('balance_to_bill', 'Balance to Bill'),
+        number('total_availability', 'Total Available'),
+        number('balance_to_dispatch', 'Balance to Dispatch'),
+        number('excess_stock', 'Excess Stock'),
+        number('billing_velocity', 'Billing Velocity %', { total: percentOf(['billing'], 'plan', 2) }),
+        number('availability_percentage', 'Availability %', {
+          total: percentOf(['avl_stock', 'transit'], 'plan'),
+          bands: AVAILABILITY_BANDS
+        })
+      ]
+    },
+    ...[['Critical Alerts', 'critical'], ['Warning Alerts', 'warning']].map(([name, key]) => ({
+      name,
+      rows: sections => sections.alerts[key].map(row => withAvailability(row, row.avl_stock, row.transit, row.month_plan)),
+      columns: [
+        text('material', 'Material'),
+        text('technology', 'Technology'),
+        text('branch_name', 'Branch'),
+        text('rule_name', 'Rule'),
+        number('metric_value', 'Value', { total: false }),
+        number('month_plan', 'Month Plan'),
+        number('avl_stock', 'Avl Stock'),
+        number('transit', 'Transit'),
+        number('availability_percentage', 'Availability %', {
+          total: percentOf(['avl_stock', 'transit'], 'month_plan'),
+          bands: AVAILABILITY_BANDS
+        })
+      ]
+    }))
+  ]
+};
+
+/**
+ * Builds a pack and stores it.
+ * @param {object} options
+ * @param {string} [options.period] - 'YYYY-MM' to report on the snapshot that
+ *   closes that month; omit for live inventory.
+ * @param {number[]|null} [options.branchIds] - Branches to report on (null for all).
+ * @param {object} [options.generatedBy] - { userId, apiKeyId, username } for the record and the cover.
+ * @returns {Promise<object>} { status, pack } where status is 'generated' or
+ *   'no_snapshot' (the month has no snapshot to report on).
+ */
+async function generateReportPack({ period = null, branchIds = null, generatedBy = {} } = {}) {
+  let snapshot = null;
+  if (period) {
+    snapshot = await findMonthSnapshot(period);
+    if (!snapshot) return { status: 'no_snapshot' };
+  }
+
+  const asOf = snapshot ? new Date(snapshot.as_of) : new Date();
+  const label = period || `${asOf.getFullYear()}-${String(asOf.getMonth() + 1).padStart(2, '0')}`;
+  const options = { branchIds, snapshotId: snapshot ? snapshot.id : null };
+
+  const [summary, recommendations, branchPerformance, planning, alerts] = await Promise.all([
+    getExecutiveSummary(options),
+    getRecommendations(options),
+    getBranchPerformance(options),
+    getPlanningAnalysis(options),
+    getStockAlerts(options)
+  ]);
+
+  const cover = {
+    name: 'Summary',
+    header: ['Item', 'Value'],
+    rows: [
+      ['Report', PACK_SHEETS.title],
+      ['Period', label],
+      ['Data as of', asOf.toISOString()],
+      ['Data source', snapshot ? `Inventory snapshot #${snapshot.id} (${snapshot.source})` : 'Live inventory'],
+      ['Branch access', branchIds ? `${branchIds.length} branch(es)` : 'All branches'],
+      ['Generated at', new Date().toISOString()],
+      ['Generated by', generatedBy.username || ''],
+      ['Total Sales', summary.totalSales],
+      ['Total Plan', summary.totalPlan],
+      ['Plan Achievement %', summary.planAchievement],
+      ['Total Stock', summary.totalStock],
+      ['Products', summary.productCount],
+      ['Branches', summary.branchCount],
+      ['Best Selling Product', summary.bestSellingProduct ? summary.bestSellingProduct.material : 'N/A'],
+      ['Recommendations', recommendations.length],
+      ['Critical Alerts', alerts.critical.length],
+      ['Warning Alerts', alerts.warning.length]
+    ],
+    totals: null,
+    bands: []
+  };
+
+  const sheets = buildSheets(PACK_SHEETS, { summary, recommendations, branchPerformance, planning, alerts });
+  const { content } = renderExport('xlsx', [cover, ...sheets]);
+
+  const result = await pgPool.query(
+    `INSERT INTO report_packs (period, snapshot_id, as_of, branch_ids, file_name, content, size_bytes, summary, created_by, api_key_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING ${PACK_COLUMNS}`,
+    [
+      label,
+      snapshot ? snapshot.id : null,
+      asOf,
+      branchIds,
+      `executive-report-${label}${snapshot ? '' : '-live'}.xlsx`,
+      content,
+      content.length,
+      JSON.stringify({ ...summary, recommendations: recommendations.length, criticalAlerts: alerts.critical.length, warningAlerts: alerts.warning.length }),
+      generatedBy.userId || null,
+      generatedBy.apiKeyId || null
+    ]
+  );
+  return { status: 'generated', pack: result.rows[0] };
+}
+
+/**
+ * Lists stored packs, newest first, without their files. A caller limited to
+ * some branches sees only packs built from branches they can all see.
+ */
+async function listReportPacks({ branchIds = null, period, limit = 50, offset = 0 } = {}) {
+  const params = [];
+  let where = `WHERE 1=1${packAccessCondition(branchIds, params)}`;
+  if (period) {
+    params.push(period);
+    where += ` AND rp.period = $${params.length}`;
+  }
+
+  const result = await pgPool.query(
+    `SELECT ${PACK_COLUMNS.split(', ').map(column => `rp.${column}`).join(', ')},
+       u.username as created_by_username, k.name as api_key_name
+     FROM report_packs rp
+     LEFT JOIN users u ON rp.created_by = u.id
+     LEFT JOIN api_keys k ON rp.api_key_id = k.id
+     ${where}
+     ORDER BY rp.created_at DESC, rp.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return result.rows;
+}
+
+/**
+ * Returns one pack (with its file when withContent), or null if it does not
+ * exist or the caller may not see it.
+ */
+async function getReportPack(packId, { branchIds = null, withContent = false } = {}) {
+  const params = [packId];
+  const result = await pgPool.query(
+    `SELECT ${PACK_COLUMNS.split(', ').map(column => `rp.${column}`).join(', ')}${withContent ? ', rp.content' : ''}
+     FROM report_packs rp
+     WHERE rp.id = $1${packAccessCondition(branchIds, params)}`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+// --- Helper Functions ---
+function withAvailability(row, stock, transit, plan) {
+  const planned = Number(plan) || 0;
+  return {
+    ...row,
+    availability_percentage: planned > 0
+      ? Math.round((((Number(stock) || 0) + (Number(transit) || 0)) / planned) * 100)
+      : null
+  };
+}
+
+// Packs built for every branch need unrestricted access; others need access
+// to each branch they cover
+function packAccessCondition(branchIds, params) {
+  if (!branchIds) return '';
+  params.push(branchIds);
+  return ` AND rp.branch_ids IS NOT NULL AND rp.branch_ids <@ $${params.length}::int[]`;
+}
+
+module.exports = {
+  generateReportPack,
+  listReportPacks,
+  getReportPack
+};
@@ -0,0 +1,199 @@
+// services/sessions.js
+// Login sessions. A login creates a session and returns a short-lived access
+// token (JWT carrying the session id as "sid") plus a refresh token. Only the
+// SHA-256 of the refresh token is stored, and each refresh replaces it, so a
+// refresh token works once; presenting an already used one revokes the session.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { pgPool } = require('../config/database');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'hansei-secret-key-2025';
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+// A session ends when it has not been refreshed for this many days
+const SESSION_IDLE_DAYS = parseInt(process.env.SESSION_IDLE_DAYS) || 30;
+
+const SESSION_COLUMNS = 'id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Signs an access token for a user and session.
+ * @param {object} user - A users row.
+ * @param {string} sessionId
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      fullName: user.full_name,
+      sid: sessionId
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * Starts a session for a user who has just logged in.
+ * @param {object} db - A pg client or pool.
+ * @param {number} userId
+ * @param {object} client - { userAgent, ip } of the request.
+ * @returns {Promise<object>} { session, refreshToken }
+ */
+async function createSession(db, userId, { userAgent = null, ip = null } = {}) {
+  // Forget this user's sessions that ended long ago
+  await db.query(
+    `DELETE FROM user_sessions
+     WHERE user_id = $1 AND COALESCE(revoked_at, expires_at) < NOW() - make_interval(days => $2)`,
+    [userId, SESSION_IDLE_DAYS]
+  );
+
+  const sessionId = uuidv4();
+  const refreshToken = newRefreshToken(sessionId);
+  const result = await db.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+     RETURNING ${SESSION_COLUMNS}`,
+    [sessionId, userId, hashToken(refreshToken), userAgent, ip, SESSION_IDLE_DAYS]
+  );
+  return { session: result.rows[0], refreshToken };
+}
+
+/**
+ * Exchanges a refresh token for a new one.
+ * @param {string} refreshToken
+ * @param {object} client - { userAgent, ip } of the request.
+ * @returns {Promise<object>} { status, session, refreshToken } where status is
+ *   'refreshed', 'invalid' (unknown, expired or revoked) or 'reused' (an
+ *   already used token; the session has been revoked).
+ */
+async function rotateRefreshToken(refreshToken, { userAgent = null, ip = null } = {}) {
+  const sessionId = typeof refreshToken === 'string' ? refreshToken.split('.')[0] : '';
+  if (!/^[0-9a-f-]{36}$/.test(sessionId)) {
+    return { status: 'invalid' };
+  }
+
+  const nextToken = newRefreshToken(sessionId);
+  const result = await pgPool.query(
+    `UPDATE user_sessions SET
+       refresh_token_hash = $1,
+       last_used_at = NOW(),
+       expires_at = NOW() + make_interval(days => $2),
+       user_agent = COALESCE($3, user_agent),
+       ip_address = COALESCE($4, ip_address)
+     WHERE id = $5 AND refresh_token_hash = $6 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING ${SESSION_COLUMNS}`,
+    [hashToken(nextToken), SESSION_IDLE_DAYS, userAgent, ip, sessionId, hashToken(refreshToken)]
+  );
+  if (result.rows.length > 0) {
+    return { status: 'refreshed', session: result.rows[0], refreshToken: nextToken };
+  }
+
+  // The token was stolen or replayed if its session is still live
+  const reuse = await pgPool.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING id`,
+    [sessionId]
+  );
+  return { status: reuse.rows.length > 0 ? 'reused' : 'invalid' };
+}
+
+/**
+ * Whether an access token's session is still live.
+ */
+async function isSessionActive(sessionId, db = pgPool) {
+  if (!sessionId) return false;
+  const result = await db.query(
+    'SELECT 1 FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Lists a user's live sessions, most recently used first.
+ */
+async function listSessions(userId, db = pgPool) {
+  const result = await db.query(
+    `SELECT ${SESSION_COLUMNS} FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows.map(session => ({ ...session, device: describeDevice(session.user_agent) }));
+}
+
+/**
+ * Revokes one of a user's sessions.
+ * @returns {Promise<boolean>} false if the user has no such live session.
+ */
+async function revokeSession(db, userId, sessionId, reason) {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $1
+     WHERE id = $2 AND user_id = $3 AND revoked_at IS NULL
+     RETURNING id`,
+    [reason, sessionId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Revokes all of a user's sessions, optionally keeping one (the caller's own).
+ * @returns {Promise<number>} How many sessions were revoked.
+ */
+async function revokeUserSessions(db, userId, reason, { exceptSessionId = null } = {}) {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $1
+     WHERE user_id = $2 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+    [reason, userId, exceptSessionId]
+  );
+  return result.rowCount;
+}
+
+// --- Helper Functions ---
+
+// A short label such as "Chrome on Windows" for the sessions list
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\//, 'Opera'],
+    [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'],
+    [/Safari\//, 'Safari'],
+    [/PostmanRuntime/, 'Postman'],
+    [/curl\//, 'curl']
+  ].find(([pattern]) => pattern.test(userAgent));
+  const os = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad/, 'iOS'],
+    [/Mac OS X/, 'macOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return userAgent.slice(0, 60);
+  return [browser && browser[1], os && os[1]].filter(Boolean).join(' on ');
+}
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,144 @@
+// services/snapshots.js
+const { pgPool } = require('../config/database');
+const { branchScopeCondition } = require('./hierarchy');
+
+const SNAPSHOT_SOURCES = ['upload', 'ingest', 'revert', 'month_close', 'manual', 'dispatch'];
+
+/**
+ * Copies the current contents of the inventory table into a new snapshot.
+ * Pass the transaction client when calling from inside a transaction so the
+ * snapshot sees the uncommitted rows and is rolled back together with them.
+ * @param {object} db - A pg client or pool.
+ * @param {object} options
+ * @param {string} options.source - One of SNAPSHOT_SOURCES.
+ * @param {Date} [options.asOf] - The moment the snapshot represents (defaults to now).
+ * @param {number} [options.userId] - The user who triggered the snapshot.
+ * @param {string} [options.notes] - Free text, e.g. the uploaded file name.
+ * @returns {Promise<object>} The snapshot header row, with item_count.
+ */
+async function captureInventorySnapshot(db, { source, asOf = new Date(), userId = null, notes = null }) {
+  if (!SNAPSHOT_SOURCES.includes(source)) {
+    throw new Error(`Unknown snapshot source: ${source}`);
+  }
+
+  const headerResult = await db.query(
+    `INSERT INTO inventory_snapshots (source, as_of, created_by, notes)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [source, asOf, userId, notes]
+  );
+  const snapshot = headerResult.rows[0];
+
+  const itemsResult = await db.query(
+    `INSERT INTO inventory_snapshot_items
+       (snapshot_id, product_id, branch_id, op_stock, avl_stock, transit, billing, month_plan)
+     SELECT $1, product_id, branch_id, op_stock, avl_stock, transit, billing, month_plan
+     FROM inventory`,
+    [snapshot.id]
+  );
+
+  return { ...snapshot, item_count: itemsResult.rowCount };
+}
+
+/**
+ * Returns the last instant of the given month ('YYYY-MM'), or of the previous
+ * calendar month when no month is given. Month-close snapshots are stamped
+ * with this so they land in the right bucket even if taken a few days late.
+ */
+function monthCloseTimestamp(month) {
+  let year, monthIndex;
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 12) {
+      throw new Error(`Invalid month "${month}", expected YYYY-MM`);
+    }
+    year = parseInt(match[1]);
+    monthIndex = parseInt(match[2]) - 1;
+  } else {
+    const now = new Date();
+    year = now.getFullYear();
+    monthIndex = now.getMonth() - 1;
+  }
+  // Day 0 of the following month is the last day of this one.
+  return new Date(year, monthIndex + 1, 0, 23, 59, 59, 999);
+}
+
+/**
+ * Finds the snapshot that closes a month: the latest one stamped inside it.
+ * @param {string} month - 'YYYY-MM'.
+ * @returns {Promise<object|null>} The snapshot header row, or null if the month has none.
+ * @throws {Error} When month is not YYYY-MM.
+ */
+async function findMonthSnapshot(month) {
+  const monthEnd = monthCloseTimestamp(month);
+  const monthStart = new Date(monthEnd.getFullYear(), monthEnd.getMonth(), 1);
+  const result = await pgPool.query(
+    `SELECT * FROM inventory_snapshots
+     WHERE as_of >= $1 AND as_of <= $2
+     ORDER BY as_of DESC, id DESC
+     LIMIT 1`,
+    [monthStart, monthEnd]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Finds the latest snapshot taken at or before a moment.
+ * @param {Date} moment
+ * @returns {Promise<object|null>} The snapshot header row, or null if there is none that old.
+ */
+async function findSnapshotAsOf(moment) {
+  const result = await pgPool.query(
+    `SELECT * FROM inventory_snapshots
+     WHERE as_of <= $1
+     ORDER BY as_of DESC, id DESC
+     LIMIT 1`,
+    [moment]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The inventory rows a query reads: the live inventory table, or the items of
+ * a snapshot (which have the same columns) to report on a past position.
+ * @param {number|null} snapshotId - null for live inventory.
+ * @param {any[]} params - The query's parameter array; the snapshot id is pushed onto it.
+ * @returns {string} A table expression to alias, e.g. `FROM ${inventorySource(id, params)} i`.
+ */
+function inventorySource(snapshotId, params) {
+  if (!snapshotId) return 'inventory';
+  params.push(snapshotId);
+  return `(SELECT * FROM inventory_snapshot_items WHERE snapshot_id = $${params.length})`;
+}
+
+/**
+ * Lists the most recent snapshots with their item counts.
+ * @param {object} [options]
+ * @param {number[]|null} [options.branchIds] - Count only items of these
+ *   branches. Notes are left out too, as they can name files uploaded for
+ *   other branches.
+ */
+async function listSnapshots({ limit = 50, branchIds = null } = {}) {
+  const params = [limit];
+  const result = await pgPool.query(
+    `SELECT s.id, s.source, s.as_of, s.created_by, ${branchIds ? 'NULL' : 's.notes'} as notes, s.created_at,
+            COUNT(si.id)::int as item_count
+     FROM inventory_snapshots s
+     LEFT JOIN inventory_snapshot_items si ON si.snapshot_id = s.id${branchScopeCondition(branchIds, 'si.branch_id', params)}
+     GROUP BY s.id
+     ORDER BY s.as_of DESC
+     LIMIT $1`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = {
+  SNAPSHOT_SOURCES,
+  captureInventorySnapshot,
+  monthCloseTimestamp,
+  findMonthSnapshot,
+  findSnapshotAsOf,
+  inventorySource,
+  listSnapshots
+};
@@ -0,0 +1,247 @@
+// services/twoFactor.js
+// TOTP two-factor authentication (RFC 6238: 6 digits, 30 second steps,
+// HMAC-SHA1, compatible with Google Authenticator, Authy, 1Password...).
+// The secret lives in users.totp_secret and 2FA is on once totp_enabled_at is
+// set. Each step's code is accepted once (totp_last_step). Recovery codes are
+// single use and stored as SHA-256 hashes in user_recovery_codes.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pgPool } = require('../config/database');
+const { JWT_SECRET } = require('./sessions');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Hansei';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side of now are accepted, for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+// How long a password-verified login waits for its second factor
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Starts (or restarts) enrolment: stores a new secret that is not active until
+ * enableTwoFactor() confirms a code from it.
+ * @returns {Promise<object>} { secret, otpauthUrl } - the URL is what the QR code encodes.
+ */
+async function beginEnrolment(user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  await pgPool.query('UPDATE users SET totp_secret = $1, totp_enabled_at = NULL WHERE id = $2', [secret, user.id]);
+
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+    + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+  return { secret, otpauthUrl };
+}
+
+/**
+ * Turns 2FA on after the user proved their authenticator works. Call inside a
+ * transaction stamped with an audit context.
+ * @returns {Promise<object>} { status, recoveryCodes } where status is 'enabled',
+ *   'not_enrolled' (no pending secret), 'already_enabled' or 'invalid_code'.
+ */
+async function enableTwoFactor(client, userId, code) {
+  const result = await client.query(
+    'SELECT totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || !user.totp_secret) return { status: 'not_enrolled' };
+  if (user.totp_enabled_at) return { status: 'already_enabled' };
+
+  const step = matchTotpStep(user.totp_secret, code, user.totp_last_step);
+  if (step === null) return { status: 'invalid_code' };
+
+  await client.query(
+    'UPDATE users SET totp_enabled_at = NOW(), totp_last_step = $1 WHERE id = $2',
+    [step, userId]
+  );
+  const recoveryCodes = await replaceRecoveryCodes(client, userId);
+  return { status: 'enabled', recoveryCodes };
+}
+
+/**
+ * Turns 2FA off and forgets the secret and recovery codes. Call inside a
+ * transaction stamped with an audit context.
+ */
+async function disableTwoFactor(client, userId) {
+  await client.query(
+    'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+    [userId]
+  );
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Checks a second factor: a current TOTP code or an unused recovery code
+ * (which is then used up).
+ * @param {number} userId
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code' when accepted, null otherwise.
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const result = await pgPool.query(
+      `UPDATE user_recovery_codes SET used_at = NOW()
+       WHERE id = (
+         SELECT id FROM user_recovery_codes
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         LIMIT 1
+       )
+       RETURNING id`,
+      [userId, hashRecoveryCode(recoveryCode)]
+    );
+    return result.rows.length > 0 ? 'recovery_code' : null;
+  }
+
+  const result = await pgPool.query(
+    'SELECT totp_secret, totp_last_step FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+    [userId]
+  );
+  if (result.rows.length === 0) return null;
+  const { totp_secret: secret, totp_last_step: lastStep } = result.rows[0];
+
+  const step = matchTotpStep(secret, code, lastStep);
+  if (step === null) return null;
+
+  // Claim the step so the same code cannot be replayed
+  const claimed = await pgPool.query(
+    `UPDATE users SET totp_last_step = $1
+     WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+     RETURNING id`,
+    [step, userId]
+  );
+  return claimed.rows.length > 0 ? 'totp' : null;
+}
+
+/**
+ * Issues a fresh set of recovery codes, replacing any earlier ones.
+ * @returns {Promise<string[]>} The codes, shown to the user once.
+ */
+async function replaceRecoveryCodes(client, userId) {
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    codes.push(code);
+    await client.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+  return codes;
+}
+
+/**
+ * Reads a user's 2FA state.
+ * @returns {Promise<object|null>} { enabled, enabledAt, pendingEnrolment, required, recoveryCodesRemaining }
+ */
+async function getTwoFactorStatus(userId, db = pgPool) {
+  const result = await db.query(
+    `SELECT
+       u.totp_secret IS NOT NULL as has_secret,
+       u.totp_enabled_at,
+       r.require_two_factor,
+       (SELECT COUNT(*)::int FROM user_recovery_codes c WHERE c.user_id = u.id AND c.used_at IS NULL) as recovery_codes_remaining
+     FROM users u
+     JOIN roles r ON r.name = u.role
+     WHERE u.id = $1`,
+    [userId]
+  );
+  if (result.rows.length === 0) return null;
+  const row = result.rows[0];
+  return {
+    enabled: Boolean(row.totp_enabled_at),
+    enabledAt: row.totp_enabled_at,
+    pendingEnrolment: row.has_secret && !row.totp_enabled_at,
+    required: row.require_two_factor,
+    recoveryCodesRemaining: row.recovery_codes_remaining
+  };
+}
+
+/**
+ * Signs the token a client exchanges, together with a second factor, for a
+ * session at POST /api/auth/2fa/verify.
+ */
+function signLoginChallenge(userId) {
+  return jwt.sign({ id: userId, purpose: 'two_factor' }, JWT_SECRET, { expiresIn: CHALLENGE_TTL_SECONDS });
+}
+
+/**
+ * @returns {number|null} The user id of a valid, unexpired login challenge.
+ */
+function readLoginChallenge(challengeToken) {
+  try {
+    const payload = jwt.verify(String(challengeToken), JWT_SECRET);
+    return payload.purpose === 'two_factor' ? payload.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// --- Helper Functions ---
+
+// Returns the time step a code belongs to (within TOTP_WINDOW of now and
+// after lastStep), or null when the code does not match
+function matchTotpStep(secret, code, lastStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+    if (lastStep !== null && step <= Number(lastStep)) continue;
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+}
+
+module.exports = {
+  CHALLENGE_TTL_SECONDS,
+  beginEnrolment,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  getTwoFactorStatus,
+  signLoginChallenge,
+  readLoginChallenge
+};
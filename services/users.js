@@ -0,0 +1,138 @@
+// services/users.js
+// Creating and updating user accounts, shared by the /api/users admin routes
+// and scripts/create-user.js, and the password policy they enforce.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+// Configurable with PASSWORD_MIN_LENGTH, PASSWORD_MIN_CHARACTER_CLASSES,
+// PASSWORD_HISTORY and PASSWORD_MAX_AGE_DAYS (0 turns expiry off)
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  // How many of lowercase, uppercase, digits and symbols a password must mix
+  minCharacterClasses: Math.min(parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES) || 3, 4),
+  // A new password may not match the current one or the ones before it, this many in all
+  historySize: parseInt(process.env.PASSWORD_HISTORY) || 5,
+  maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 0
+};
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+// Columns safe to return to clients (never the password hash)
+const PUBLIC_COLUMNS = 'id, username, full_name, email, role, is_active, must_change_password, password_changed_at, failed_login_count, locked_until, created_at, last_login';
+
+/**
+ * Returns a random password for handing out once, e.g. on a forced reset.
+ */
+function generateTemporaryPassword() {
+  return crypto.randomBytes(9).toString('base64').replace(/[+/=]/g, '') + 'aZ#7';
+}
+
+/**
+ * Checks a password against the length and character class rules.
+ * @param {string} password
+ * @param {object} [options] - { username } to reject passwords containing it.
+ * @returns {string|null} What is wrong with the password, or null if it is acceptable.
+ */
+function validatePassword(password, { username = null } = {}) {
+  if (typeof password !== 'string' || password.length < PASSWORD_POLICY.minLength) {
+    return `Password must be at least ${PASSWORD_POLICY.minLength} characters long`;
+  }
+  const classes = CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length;
+  if (classes < PASSWORD_POLICY.minCharacterClasses) {
+    return `Password must mix at least ${PASSWORD_POLICY.minCharacterClasses} of: lowercase letters, uppercase letters, digits and symbols`;
+  }
+  if (username && username.length >= 3 && password.toLowerCase().includes(username.toLowerCase())) {
+    return 'Password must not contain the username';
+  }
+  return null;
+}
+
+/**
+ * Whether a password matches the user's current one or one of their recent ones.
+ */
+async function isPasswordReused(db, userId, password) {
+  const result = await db.query(
+    `SELECT password as password_hash FROM users WHERE id = $1
+     UNION ALL
+     (SELECT password_hash FROM password_history WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2)`,
+    [userId, PASSWORD_POLICY.historySize - 1]
+  );
+  for (const row of result.rows) {
+    if (await bcrypt.compare(password, row.password_hash)) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a password set at passwordChangedAt has outlived PASSWORD_MAX_AGE_DAYS.
+ */
+function isPasswordExpired(passwordChangedAt) {
+  if (!PASSWORD_POLICY.maxAgeDays || !passwordChangedAt) return false;
+  return Date.now() - new Date(passwordChangedAt).getTime() > PASSWORD_POLICY.maxAgeDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Creates a user.
+ * @param {object} db - A pg client or pool.
+ * @param {object} user - { username, password, fullName, email, role, mustChangePassword }
+ * @returns {Promise<object>} The new user row (public columns only).
+ * @throws The pg unique violation (code 23505) when the username is taken.
+ */
+async function createUser(db, { username, password, fullName = null, email = null, role, mustChangePassword = true }) {
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const result = await db.query(
+    `INSERT INTO users (username, password, full_name, email, role, must_change_password)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [username, hashedPassword, fullName, email, role, mustChangePassword]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Sets a new password. With mustChange the user has to pick their own at next login.
+ * Callers check reuse (isPasswordReused) for passwords the user chose themselves.
+ * @returns {Promise<object|null>} The updated user row, or null if not found.
+ */
+async function setPassword(db, userId, password, { mustChange = false } = {}) {
+  const hashedPassword = await bcrypt.hash(password, 10);
+  await rememberCurrentPassword(db, userId);
+  const result = await db.query(
+    `UPDATE users SET password = $1, must_change_password = $2, password_changed_at = NOW()
+     WHERE id = $3
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [hashedPassword, mustChange, userId]
+  );
+  return result.rows[0] || null;
+}
+
+async function roleExists(db, role) {
+  const result = await db.query('SELECT 1 FROM roles WHERE name = $1', [role]);
+  return result.rows.length > 0;
+}
+
+// --- Helper Functions ---
+// Moves the password being replaced into password_history, keeping only as
+// many as isPasswordReused looks at
+async function rememberCurrentPassword(db, userId) {
+  await db.query('INSERT INTO password_history (user_id, password_hash) SELECT id, password FROM users WHERE id = $1', [userId]);
+  await db.query(
+    `DELETE FROM password_history
+     WHERE user_id = $1 AND id NOT IN (
+       SELECT id FROM password_history WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2
+     )`,
+    [userId, PASSWORD_POLICY.historySize - 1]
+  );
+}
+
+module.exports = {
+  PASSWORD_POLICY,
+  PUBLIC_COLUMNS,
+  generateTemporaryPassword,
+  validatePassword,
+  isPasswordReused,
+  isPasswordExpired,
+  createUser,
+  setPassword,
+  roleExists
+};
@@ -0,0 +1,554 @@
+// services/webhooks.js
+// Outbound webhooks. A subscription names a URL and the event types it wants
+// ('alert.opened', 'upload.*' or '*'); every matching event becomes a delivery
+// that is POSTed to the URL as
+//
+//   { "id": "<event uuid>", "type": "alert.opened", "createdAt": "...", "data": { ... } }
+//
+// with these headers:
+//   X-Hansei-Event      the event type
+//   X-Hansei-Delivery   the delivery id (the same on every retry)
+//   X-Hansei-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the subscription secret>
+//
+// Receivers should recompute the HMAC over the raw body and reject old
+// timestamps. Any 2xx answer is a success; anything else, or no complete answer
+// within WEBHOOK_TIMEOUT_MS (default 10000), is retried after 1 minute, 5 minutes,
+// 30 minutes, 2 hours and 12 hours before the delivery is marked failed.
+//
+// Deliveries are never sent to loopback, private or link-local addresses (such
+// as a cloud metadata service), checked on every attempt after resolving the
+// host, unless the host is listed in WEBHOOK_ALLOWED_HOSTS (comma-separated).
+//
+// Deliveries are stored first and sent by a dispatcher in the API process
+// (WEBHOOKS_DISPATCH_ENABLED=false turns it off on an instance), so an event
+// survives a restart. Each due delivery is claimed by one instance at a time.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { pgPool } = require('../config/database');
+
+const WEBHOOK_EVENTS = {
+  'alert.opened': 'An alert rule matched a product at a branch',
+  'alert.acknowledged': 'A user acknowledged an alert',
+  'alert.resolved': 'An alert was resolved, by a user or because its row no longer matches',
+  'upload.completed': 'A file upload or JSON ingest was imported',
+  'upload.reverted': 'An import batch was reverted',
+  'inventory.updated': 'A user edited an inventory row',
+  'webhook.test': 'Sent by the test endpoint only'
+};
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'failed'];
+
+// Wait before each retry; a delivery gets one attempt more than there are delays
+const RETRY_DELAYS_SECONDS = [60, 300, 1800, 7200, 43200];
+
+const SECRET_PREFIX = 'whsec_';
+
+// Longest response body kept in the delivery log
+const MAX_RESPONSE_LOG = 2000;
+
+// Addresses of this server's own networks, which webhooks may not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const SUBSCRIPTION_COLUMNS = 'id, name, url, event_types, is_active, created_by, created_at, updated_at';
+const DELIVERY_COLUMNS = 'id, subscription_id, event_id, event_type, status, attempts, max_attempts, next_attempt_at, last_attempt_at, response_status, error, created_at, delivered_at';
+
+let dispatchTimer = null;
+let dispatching = null;
+
+/**
+ * Checks a subscription definition.
+ * @param {object} body - { name, url, eventTypes, isActive }.
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only check the fields given (updates).
+ * @returns {string[]} The problems found (empty when valid).
+ */
+function validateSubscription(body, { partial = false } = {}) {
+  const errors = [];
+  if (!partial || body.name !== undefined) {
+    if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+      errors.push('"name" is required');
+    }
+  }
+  if (!partial || body.url !== undefined) {
+    let url = null;
+    try {
+      url = new URL(body.url);
+    } catch (error) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('"url" must be an http or https URL');
+    }
+  }
+  if (!partial || body.eventTypes !== undefined) {
+    if (!Array.isArray(body.eventTypes) || body.eventTypes.length === 0) {
+      errors.push('"eventTypes" must be a non-empty array');
+    } else {
+      const unknown = body.eventTypes.filter(type => !isKnownEventFilter(type));
+      if (unknown.length > 0) {
+        errors.push(`Unknown event type(s): ${unknown.join(', ')}. Use any of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}, a prefix such as "alert.*", or "*"`);
+      }
+    }
+  }
+  if (body.isActive !== undefined && typeof body.isActive !== 'boolean') {
+    errors.push('"isActive" must be true or false');
+  }
+  return errors;
+}
+
+/**
+ * Creates a subscription (call validateSubscription first).
+ * @returns {Promise<object>} { subscription, secret } - the secret is shown only here
+ *   and by rotateSubscriptionSecret.
+ */
+async function createSubscription({ name, url, eventTypes, isActive = true }, createdBy = null) {
+  const secret = newSecret();
+  const result = await pgPool.query(
+    `INSERT INTO webhook_subscriptions (name, url, secret, event_types, is_active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${SUBSCRIPTION_COLUMNS}`,
+    [name.trim(), url, secret, [...new Set(eventTypes)], isActive, createdBy]
+  );
+  return { subscription: result.rows[0], secret };
+}
+
+/**
+ * Lists subscriptions (without secrets) with their delivery counts.
+ */
+async function listSubscriptions() {
+  const result = await pgPool.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS.split(', ').map(column => `s.${column}`).join(', ')},
+       u.username as created_by_username,
+       COUNT(d.id) FILTER (WHERE d.status IN ('pending', 'delivering'))::int as pending_deliveries,
+       COUNT(d.id) FILTER (WHERE d.status = 'failed')::int as failed_deliveries,
+       MAX(d.delivered_at) as last_delivered_at
+     FROM webhook_subscriptions s
+     LEFT JOIN users u ON s.created_by = u.id
+     LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+     GROUP BY s.id, u.username
+     ORDER BY s.id`
+  );
+  return result.rows;
+}
+
+/**
+ * Returns one subscription without its secret, or null if it does not exist.
+ */
+async function getSubscription(subscriptionId) {
+  const result = await pgPool.query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = $1`, [subscriptionId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Changes a subscription (call validateSubscription with partial first).
+ * @returns {Promise<object|null>} The updated subscription, or null if it does not exist.
+ */
+async function updateSubscription(subscriptionId, { name, url, eventTypes, isActive }) {
+  const result = await pgPool.query(
+    `UPDATE webhook_subscriptions SET
+       name = COALESCE($2, name),
+       url = COALESCE($3, url),
+       event_types = COALESCE($4, event_types),
+       is_active = COALESCE($5, is_active),
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${SUBSCRIPTION_COLUMNS}`,
+    [subscriptionId, name !== undefined ? name.trim() : null, url, eventTypes ? [...new Set(eventTypes)] : null, isActive]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Replaces a subscription's signing secret.
+ * @returns {Promise<object|null>} { subscription, secret }, or null if it does not exist.
+ */
+async function rotateSubscriptionSecret(subscriptionId) {
+  const secret = newSecret();
+  const result = await pgPool.query(
+    `UPDATE webhook_subscriptions SET secret = $2, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${SUBSCRIPTION_COLUMNS}`,
+    [subscriptionId, secret]
+  );
+  return result.rows[0] ? { subscription: result.rows[0], secret } : null;
+}
+
+/**
+ * Deletes a subscription and its delivery log.
+ * @returns {Promise<boolean>} false if it does not exist.
+ */
+async function deleteSubscription(subscriptionId) {
+  const result = await pgPool.query('DELETE FROM webhook_subscriptions WHERE id = $1', [subscriptionId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Queues an event for every active subscription that wants it, then starts
+ * sending in the background. Call it after the change has been committed.
+ * Never throws: a failure is logged, since the change itself succeeded.
+ * @param {string} type - One of WEBHOOK_EVENTS.
+ * @param {object} data - The event's "data".
+ * @returns {Promise<number>} How many deliveries were queued.
+ */
+async function publishEvent(type, data) {
+  try {
+    const event = { id: uuidv4(), type, createdAt: new Date().toISOString(), data };
+    const result = await pgPool.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, max_attempts)
+       SELECT s.id, $1, $2::text, $3, $4
+       FROM webhook_subscriptions s
+       WHERE s.is_active = true
+         AND EXISTS (
+           SELECT 1 FROM unnest(s.event_types) filter
+           WHERE filter = '*' OR filter = $2::text OR (filter LIKE '%.*' AND $2::text LIKE left(filter, -1) || '%')
+         )`,
+      [event.id, type, JSON.stringify(event), RETRY_DELAYS_SECONDS.length + 1]
+    );
+    if (result.rowCount > 0) {
+      setImmediate(() => dispatchDueDeliveries().catch(error => console.error('Error sending webhooks:', error.message)));
+    }
+    return result.rowCount;
+  } catch (error) {
+    console.error(`Error queueing webhook event ${type}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Sends a 'webhook.test' event to one subscription (active or not) right away,
+ * with a single attempt, and records it in the delivery log.
+ * @returns {Promise<object|null>} The delivery, or null if the subscription does not exist.
+ */
+async function sendTestEvent(subscriptionId, requestedBy = null) {
+  const subscription = await getSubscription(subscriptionId);
+  if (!subscription) return null;
+
+  const event = {
+    id: uuidv4(),
+    type: 'webhook.test',
+    createdAt: new Date().toISOString(),
+    data: { subscriptionId: subscription.id, name: subscription.name, requestedBy }
+  };
+  const result = await pgPool.query(
+    `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, max_attempts, status, next_attempt_at)
+     VALUES ($1, $2, $3, $4, 1, 'delivering', NOW() + make_interval(secs => $5))
+     RETURNING id`,
+    [subscription.id, event.id, event.type, JSON.stringify(event), leaseSeconds()]
+  );
+  await attemptDelivery(result.rows[0].id);
+  return getDelivery(result.rows[0].id);
+}
+
+/**
+ * Lists a subscription's deliveries, newest first, without payloads.
+ */
+async function listDeliveries(subscriptionId, { status, eventType, limit = 50, offset = 0 } = {}) {
+  const params = [subscriptionId];
+  let where = 'WHERE subscription_id = $1';
+  for (const [value, column] of [[status, 'status'], [eventType, 'event_type']]) {
+    if (value) {
+      params.push(value);
+      where += ` AND ${column} = $${params.length}`;
+    }
+  }
+
+  const result = await pgPool.query(
+    `SELECT ${DELIVERY_COLUMNS}
+     FROM webhook_deliveries
+     ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return result.rows;
+}
+
+/**
+ * Returns one delivery with its payload and every attempt, or null.
+ */
+async function getDelivery(deliveryId) {
+  const result = await pgPool.query(
+    `SELECT ${DELIVERY_COLUMNS}, payload, attempt_log FROM webhook_deliveries WHERE id = $1`,
+    [deliveryId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Queues a finished delivery to be sent again, with a fresh set of attempts.
+ * @returns {Promise<object>} { status, delivery } where status is 'queued',
+ *   'not_found' or 'in_progress'.
+ */
+async function redeliver(deliveryId) {
+  const result = await pgPool.query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, max_attempts = $2, next_attempt_at = NOW(), error = NULL
+     WHERE id = $1 AND status IN ('succeeded', 'failed')
+     RETURNING id`,
+    [deliveryId, RETRY_DELAYS_SECONDS.length + 1]
+  );
+  if (result.rowCount === 0) {
+    const delivery = await getDelivery(deliveryId);
+    return delivery ? { status: 'in_progress', delivery } : { status: 'not_found' };
+  }
+  setImmediate(() => dispatchDueDeliveries().catch(error => console.error('Error sending webhooks:', error.message)));
+  return { status: 'queued', delivery: await getDelivery(deliveryId) };
+}
+
+/**
+ * Sends every delivery that is due, one at a time. Calls made while a pass is
+ * running join it.
+ * @returns {Promise<number>} How many deliveries were attempted.
+ */
+function dispatchDueDeliveries() {
+  if (!dispatching) {
+    dispatching = (async () => {
+      let attempted = 0;
+      try {
+        for (let id = await claimDueDelivery(); id; id = await claimDueDelivery()) {
+          await attemptDelivery(id);
+          attempted++;
+        }
+      } finally {
+        dispatching = null;
+      }
+      return attempted;
+    })();
+  }
+  return dispatching;
+}
+
+/**
+ * Starts sending due deliveries and retries every WEBHOOKS_POLL_SECONDS
+ * (default 15), unless WEBHOOKS_DISPATCH_ENABLED is 'false'.
+ */
+function startWebhookDispatcher() {
+  if (process.env.WEBHOOKS_DISPATCH_ENABLED === 'false' || dispatchTimer) return;
+  const interval = (parseInt(process.env.WEBHOOKS_POLL_SECONDS) || 15) * 1000;
+
+  dispatchTimer = setInterval(() => {
+    dispatchDueDeliveries().catch(error => console.error('Error sending webhooks:', error.message));
+  }, interval);
+  dispatchTimer.unref();
+  console.log(`📡 Webhook dispatcher started (polling every ${interval / 1000}s)`);
+}
+
+/**
+ * Stops polling for deliveries.
+ */
+function stopWebhookDispatcher() {
+  clearInterval(dispatchTimer);
+  dispatchTimer = null;
+}
+
+// --- Helper Functions ---
+function newSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+function isKnownEventFilter(type) {
+  if (typeof type !== 'string') return false;
+  if (type === '*' || WEBHOOK_EVENTS[type]) return true;
+  return type.endsWith('.*') && Object.keys(WEBHOOK_EVENTS).some(event => event.startsWith(type.slice(0, -1)));
+}
+
+function timeoutMs() {
+  return parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+}
+
+// How long a claimed delivery stays with its instance before another may take it over
+function leaseSeconds() {
+  return Math.ceil(timeoutMs() / 1000) + 60;
+}
+
+// Takes the oldest due delivery, including ones whose sender's lease ran out
+async function claimDueDelivery() {
+  const result = await pgPool.query(
+    `UPDATE webhook_deliveries
+     SET status = 'delivering', next_attempt_at = NOW() + make_interval(secs => $1)
+     WHERE id = (
+       SELECT d.id FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.status IN ('pending', 'delivering') AND d.next_attempt_at <= NOW() AND s.is_active = true
+       ORDER BY d.next_attempt_at, d.id
+       LIMIT 1
+       FOR UPDATE OF d SKIP LOCKED
+     )
+     RETURNING id`,
+    [leaseSeconds()]
+  );
+  return result.rows[0] ? result.rows[0].id : null;
+}
+
+// Makes one attempt at a claimed delivery and records the outcome
+async function attemptDelivery(deliveryId) {
+  const found = await pgPool.query(
+    `SELECT d.id, d.event_type, d.payload, d.attempts, d.max_attempts, s.url, s.secret
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     WHERE d.id = $1`,
+    [deliveryId]
+  );
+  const delivery = found.rows[0];
+  if (!delivery) return;
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', delivery.secret).update(`${timestamp}.${body}`).digest('hex');
+  const startedAt = Date.now();
+
+  let response = null, errorMessage = null;
+  try {
+    response = await postJson(delivery.url, body, {
+      'User-Agent': 'Hansei-Webhooks/1.0',
+      'X-Hansei-Event': delivery.event_type,
+      'X-Hansei-Delivery': String(delivery.id),
+      'X-Hansei-Signature': `t=${timestamp},v1=${signature}`
+    });
+    if (response.status < 200 || response.status >= 300) {
+      errorMessage = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const succeeded = errorMessage === null;
+  const retry = !succeeded && attempts < delivery.max_attempts;
+  const attempt = {
+    attempt: attempts,
+    at: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    responseStatus: response ? response.status : null,
+    error: errorMessage
+  };
+
+  await pgPool.query(
+    `UPDATE webhook_deliveries SET
+       status = $2,
+       attempts = $3,
+       last_attempt_at = $4,
+       next_attempt_at = NOW() + make_interval(secs => $8::double precision),
+       response_status = $5,
+       response_body = $6,
+       error = $7,
+       delivered_at = ${succeeded ? 'NOW()' : 'NULL'},
+       attempt_log = attempt_log || $9::jsonb
+     WHERE id = $1`,
+    [
+      delivery.id,
+      succeeded ? 'succeeded' : (retry ? 'pending' : 'failed'),
+      attempts,
+      new Date(startedAt),
+      response ? response.status : null,
+      response ? response.body.slice(0, MAX_RESPONSE_LOG) : null,
+      errorMessage,
+      retry ? RETRY_DELAYS_SECONDS[Math.min(attempts - 1, RETRY_DELAYS_SECONDS.length - 1)] : null,
+      JSON.stringify([attempt])
+    ]
+  );
+}
+
+// Sends the request, giving up once WEBHOOK_TIMEOUT_MS has passed in total
+// (a receiver trickling out its answer does not keep the delivery open)
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    const allowed = allowedHosts().includes(host.toLowerCase());
+    if (!allowed && net.isIP(host) && isBlockedAddress(host)) {
+      return reject(new Error(`Refusing to send to private address ${host}`));
+    }
+
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(deadline);
+      callback(value);
+    };
+
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      },
+      lookup: allowed ? undefined : publicLookup
+    }, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        if (text.length < MAX_RESPONSE_LOG) text += chunk;
+      });
+      response.on('end', () => settle(resolve, { status: response.statusCode, body: text }));
+      response.on('error', error => settle(reject, error));
+    });
+    const deadline = setTimeout(() => {
+      const error = new Error(`No complete response within ${timeoutMs()} ms`);
+      settle(reject, error);
+      request.destroy(error);
+    }, timeoutMs());
+    request.on('error', error => settle(reject, error));
+    request.end(body);
+  });
+}
+
+// dns.lookup that fails for hosts resolving to a blocked address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Refusing to send to ${hostname}: it resolves to private address ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function allowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  validateSubscription,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  rotateSubscriptionSecret,
+  deleteSubscription,
+  publishEvent,
+  sendTestEvent,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  dispatchDueDeliveries,
+  startWebhookDispatcher,
+  stopWebhookDispatcher
+};